@@ -0,0 +1,187 @@
+/**
+ * Middleton Grange CMS - Page Accessibility Module
+ *
+ * Checks a page for accessibility problems before it's published. The
+ * editor state is rendered by the preview server (build/preview-server.js)
+ * and checked with the same rules as the site build; any issues are
+ * listed so the editor can fix them or publish anyway. Bulk publishing
+ * from the pages list runs the same check on each selected page.
+ */
+
+const PageAccessibility = {
+    // State
+    resolve: null,
+    initialized: false,
+
+    // What each rule means, in the editor's terms
+    rules: {
+        'image-alt': 'Image alt text',
+        'header-image-alt': 'Header image alt text',
+        'heading-order': 'Heading order',
+        'empty-link': 'Link text',
+        'iframe-title': 'Embed title'
+    },
+
+    /**
+     * Bind modal events (once)
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        document.getElementById('a11y-publish-anyway')?.addEventListener('click', () => this.close(true));
+        document.getElementById('a11y-keep-editing')?.addEventListener('click', () => this.close(false));
+        document.getElementById('close-a11y')?.addEventListener('click', () => this.close(false));
+
+        const modal = document.getElementById('a11y-modal');
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.close(false);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close(false);
+        });
+    },
+
+    /**
+     * Check a page before publishing, and ask whether to go ahead if it
+     * has issues or couldn't be checked
+     * @param {Object} page - Page fields from the editor
+     * @param {string|null} pageId - Saved page ID, if any
+     * @returns {Promise<boolean>} - Whether to publish
+     */
+    async confirmPublish(page, pageId) {
+        this.init();
+
+        const publishBtn = document.getElementById('publish-page');
+        if (publishBtn) publishBtn.disabled = true;
+
+        let issues;
+        try {
+            issues = await this.check(page, pageId);
+        } finally {
+            if (publishBtn) publishBtn.disabled = false;
+        }
+
+        if (!issues) {
+            return confirm('Couldn\'t check this page for accessibility issues - is the preview server running?\n\nPublish without checking?');
+        }
+        if (!issues.length) return true;
+
+        this.render(issues);
+        document.getElementById('a11y-modal')?.classList.remove('hidden');
+        feather.replace();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    },
+
+    /**
+     * Check several saved pages before publishing them together, and ask
+     * whether to go ahead if any have issues or couldn't be checked
+     * @param {Array} pages - Page documents, each with its id
+     * @returns {Promise<boolean>} - Whether to publish
+     */
+    async confirmBulkPublish(pages) {
+        const problems = [];
+        let unchecked = 0;
+
+        for (const { id, ...page } of pages) {
+            const issues = await this.check(page, id);
+            if (!issues) {
+                unchecked++;
+            } else if (issues.length) {
+                problems.push(`- ${page.title || 'Untitled'} (${issues.length} issue${issues.length === 1 ? '' : 's'})`);
+            }
+        }
+
+        if (!problems.length && !unchecked) return true;
+
+        const lines = [];
+        if (problems.length) {
+            lines.push(`${problems.length} page(s) have accessibility issues:`, ...problems, '');
+        }
+        if (unchecked) {
+            lines.push(`${unchecked} page(s) couldn't be checked - is the preview server running?`, '');
+        }
+        lines.push('Publish anyway?');
+
+        return confirm(lines.join('\n'));
+    },
+
+    /**
+     * Check a page with the preview server. The preview token is only
+     * needed for the check, so it's deleted straight after.
+     * @param {Object} page - Page fields
+     * @param {string|null} pageId - Saved page ID, if any
+     * @returns {Promise<Array|null>} - Issues, or null if the check failed
+     */
+    async check(page, pageId) {
+        let token = null;
+        try {
+            ({ token } = await PagePreview.createToken(page, pageId));
+            const response = await fetch(`${await PagePreview.getServerUrl()}/accessibility/${token}`);
+            if (!response.ok) throw new Error(`Preview server responded ${response.status}`);
+
+            const { issues } = await response.json();
+            return issues || [];
+        } catch (error) {
+            console.error('Error checking accessibility:', error);
+            return null;
+        } finally {
+            if (token) {
+                db.collection('previewTokens').doc(token).delete().catch(error => {
+                    console.error('Error deleting preview token:', error);
+                });
+            }
+        }
+    },
+
+    /**
+     * Render the issue list
+     * @param {Array} issues - [{ rule, message, snippet }]
+     */
+    render(issues) {
+        const count = document.getElementById('a11y-count');
+        if (count) {
+            count.textContent = `${issues.length} issue${issues.length === 1 ? '' : 's'} found on this page`;
+        }
+
+        const list = document.getElementById('a11y-issues');
+        if (!list) return;
+
+        list.innerHTML = issues.map(issue => `
+            <li class="px-6 py-4">
+                <div class="flex items-start gap-3">
+                    <i data-feather="alert-triangle" class="w-4 h-4 mt-0.5 flex-shrink-0 text-yellow-500"></i>
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-800">${Utils.escapeHtml(this.rules[issue.rule] || issue.rule)}</p>
+                        <p class="text-sm text-gray-600">${Utils.escapeHtml(issue.message)}</p>
+                        ${issue.snippet ? `<code class="block mt-1 text-xs text-gray-500 bg-gray-50 rounded px-2 py-1 break-all">${Utils.escapeHtml(issue.snippet)}</code>` : ''}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Close the modal with the editor's choice
+     * @param {boolean} publish - Whether to publish anyway
+     */
+    close(publish) {
+        const modal = document.getElementById('a11y-modal');
+        if (!modal || modal.classList.contains('hidden')) return;
+
+        modal.classList.add('hidden');
+
+        if (this.resolve) {
+            this.resolve(publish);
+            this.resolve = null;
+        }
+    }
+};
+
+
+// Export for global use
+window.PageAccessibility = PageAccessibility;
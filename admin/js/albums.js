@@ -0,0 +1,632 @@
+/**
+ * Middleton Grange CMS - Photo Albums Module
+ *
+ * Groups media library images into albums for Photo Gallery pages:
+ * creating albums, adding images, drag-and-drop ordering, captions
+ * and choosing a cover image.
+ */
+
+const AlbumManager = {
+    // State
+    albums: [],
+    editingAlbumId: null,
+    album: null,
+    isDirty: false,
+    imageSortable: null,
+    media: [],
+    selectedMediaIds: new Set(),
+    search: '',
+
+    /**
+     * Initialize album management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadAlbums();
+    },
+
+    /**
+     * Load albums from Firestore
+     */
+    async loadAlbums() {
+        try {
+            const snapshot = await db.collection('albums')
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            this.albums = [];
+            snapshot.forEach(doc => {
+                this.albums.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderAlbums();
+
+        } catch (error) {
+            console.error('Error loading albums:', error);
+            Toast.error('Failed to load albums');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-album-btn')?.addEventListener('click', () => this.openAlbum());
+        document.getElementById('back-to-albums')?.addEventListener('click', () => this.closeAlbum());
+        document.getElementById('save-album-btn')?.addEventListener('click', () => this.saveAlbum());
+        document.getElementById('delete-album-btn')?.addEventListener('click', () => this.deleteAlbum());
+        document.getElementById('add-album-images-btn')?.addEventListener('click', () => this.showMediaModal());
+
+        ['album-title', 'album-description'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.markDirty());
+        });
+
+        const searchInput = document.getElementById('search-albums');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.search = e.target.value.trim().toLowerCase();
+                this.renderAlbums();
+            }, 300));
+        }
+
+        // Add images modal
+        document.getElementById('close-album-media')?.addEventListener('click', () => this.hideMediaModal());
+        document.getElementById('cancel-album-media')?.addEventListener('click', () => this.hideMediaModal());
+        document.getElementById('confirm-album-media')?.addEventListener('click', () => this.addSelectedMedia());
+
+        const mediaSearch = document.getElementById('album-media-search');
+        if (mediaSearch) {
+            mediaSearch.addEventListener('input', Utils.debounce(() => this.renderMedia(), 300));
+        }
+
+        // Modal close on outside click
+        const modal = document.getElementById('album-media-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideMediaModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideMediaModal();
+            }
+        });
+
+        // Warn before leaving with unsaved changes
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isDirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Get the cover image of an album
+     * @param {Object} album
+     * @returns {Object|null}
+     */
+    getCoverImage(album) {
+        const images = album.images || [];
+        return images.find(image => image.mediaId === album.coverMediaId) || images[0] || null;
+    },
+
+    /**
+     * Render the album list
+     */
+    renderAlbums() {
+        const grid = document.getElementById('albums-grid');
+        if (!grid) return;
+
+        const albums = this.albums.filter(album => {
+            if (!this.search) return true;
+            return `${album.title} ${album.description || ''}`.toLowerCase().includes(this.search);
+        });
+
+        if (albums.length === 0) {
+            grid.innerHTML = `
+                <div class="col-span-full bg-white rounded-lg shadow py-12 text-center text-gray-500">
+                    <i data-feather="camera" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                    <p class="text-lg">No albums found</p>
+                    <p class="text-sm">${this.albums.length === 0 ? 'Create an album to group photos from the media library.' : 'Try a different search.'}</p>
+                </div>
+            `;
+            feather.replace();
+            return;
+        }
+
+        grid.innerHTML = albums.map(album => {
+            const cover = this.getCoverImage(album);
+            const count = (album.images || []).length;
+
+            return `
+                <div class="bg-white rounded-lg shadow overflow-hidden cursor-pointer hover:shadow-lg transition-shadow"
+                     onclick="AlbumManager.openAlbum('${album.id}')">
+                    <div class="bg-gray-100 flex items-center justify-center" style="aspect-ratio: 16 / 9;">
+                        ${cover
+                            ? `<img src="${cover.url}" alt="${Utils.escapeHtml(cover.alt || album.title)}" class="w-full h-full object-cover" loading="lazy">`
+                            : '<i data-feather="image" class="w-10 h-10 text-gray-300"></i>'}
+                    </div>
+                    <div class="p-4">
+                        <h3 class="font-medium text-gray-900 truncate">${Utils.escapeHtml(album.title)}</h3>
+                        <p class="text-sm text-gray-500">${count} ${count === 1 ? 'image' : 'images'}</p>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Open the album editor
+     * @param {string} albumId - Album to edit, or none to create one
+     */
+    openAlbum(albumId = null) {
+        const album = albumId ? this.albums.find(a => a.id === albumId) : null;
+        if (albumId && !album) return;
+
+        this.editingAlbumId = albumId;
+        this.album = {
+            title: album?.title || '',
+            description: album?.description || '',
+            coverMediaId: album?.coverMediaId || null,
+            images: (album?.images || []).map(image => ({ ...image }))
+        };
+
+        document.getElementById('album-title').value = this.album.title;
+        document.getElementById('album-description').value = this.album.description;
+        document.getElementById('album-editor-title').textContent = album ? 'Edit Album' : 'New Album';
+        document.getElementById('delete-album-btn')?.classList.toggle('hidden', !album || !Auth.isAdmin());
+
+        document.getElementById('album-list-view')?.classList.add('hidden');
+        document.getElementById('album-editor-view')?.classList.remove('hidden');
+
+        this.isDirty = false;
+        this.renderImages();
+        document.getElementById('album-title')?.focus();
+    },
+
+    /**
+     * Return to the album list
+     */
+    closeAlbum() {
+        if (this.isDirty && !confirm('You have unsaved changes. Leave without saving?')) {
+            return;
+        }
+
+        this.editingAlbumId = null;
+        this.album = null;
+        this.isDirty = false;
+
+        document.getElementById('album-editor-view')?.classList.add('hidden');
+        document.getElementById('album-list-view')?.classList.remove('hidden');
+    },
+
+    /**
+     * Mark the open album as changed
+     */
+    markDirty() {
+        this.isDirty = true;
+    },
+
+    /**
+     * Render the images of the open album
+     */
+    renderImages() {
+        const container = document.getElementById('album-images');
+        if (!container || !this.album) return;
+
+        const images = this.album.images;
+        const cover = this.getCoverImage(this.album);
+
+        const countEl = document.getElementById('album-image-count');
+        if (countEl) countEl.textContent = images.length ? `(${images.length})` : '';
+
+        if (images.length === 0) {
+            container.innerHTML = `
+                <div class="col-span-full py-12 text-center text-gray-500 border-2 border-dashed border-gray-200 rounded-lg">
+                    <i data-feather="image" class="w-10 h-10 mx-auto mb-3 text-gray-400"></i>
+                    <p>No images yet</p>
+                    <p class="text-sm">Use "Add Images" to choose photos from the media library.</p>
+                </div>
+            `;
+            feather.replace();
+            return;
+        }
+
+        container.innerHTML = images.map(image => {
+            const isCover = cover && image.mediaId === cover.mediaId;
+
+            return `
+                <div class="border border-gray-200 rounded-lg overflow-hidden bg-white" data-media-id="${image.mediaId}">
+                    <div class="relative bg-gray-100" style="aspect-ratio: 4 / 3;">
+                        <img src="${image.url}" alt="${Utils.escapeHtml(image.alt || '')}" class="w-full h-full object-cover" loading="lazy">
+                        <span class="drag-handle absolute top-2 left-2 p-1 bg-white bg-opacity-90 rounded cursor-move text-gray-500" title="Drag to reorder">
+                            <i data-feather="move" class="w-4 h-4"></i>
+                        </span>
+                        <div class="absolute top-2 right-2 flex gap-1">
+                            <button onclick="AlbumManager.setCover('${image.mediaId}')"
+                                    class="p-1 rounded ${isCover ? 'bg-yellow-400 text-white' : 'bg-white bg-opacity-90 text-gray-500 hover:text-yellow-500'}"
+                                    title="${isCover ? 'Cover image' : 'Set as cover'}">
+                                <i data-feather="star" class="w-4 h-4"></i>
+                            </button>
+                            <button onclick="AlbumManager.removeImage('${image.mediaId}')"
+                                    class="p-1 rounded bg-white bg-opacity-90 text-gray-500 hover:text-red-600"
+                                    title="Remove from album">
+                                <i data-feather="x" class="w-4 h-4"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="p-2">
+                        <input type="text" value="${Utils.escapeHtml(image.caption || '')}" placeholder="Caption"
+                               oninput="AlbumManager.updateCaption('${image.mediaId}', this.value)"
+                               class="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        feather.replace();
+        this.initImageSortable();
+    },
+
+    /**
+     * Initialize SortableJS for the album images
+     */
+    initImageSortable() {
+        const container = document.getElementById('album-images');
+        if (!container) return;
+
+        if (this.imageSortable) {
+            this.imageSortable.destroy();
+        }
+
+        this.imageSortable = new Sortable(container, {
+            animation: 150,
+            handle: '.drag-handle',
+            ghostClass: 'bg-blue-50',
+            dragClass: 'shadow-lg',
+            onEnd: (evt) => {
+                this.handleImageReorder(evt.oldIndex, evt.newIndex);
+            }
+        });
+    },
+
+    /**
+     * Handle image reordering
+     * @param {number} oldIndex
+     * @param {number} newIndex
+     */
+    handleImageReorder(oldIndex, newIndex) {
+        if (oldIndex === newIndex) return;
+
+        const [moved] = this.album.images.splice(oldIndex, 1);
+        this.album.images.splice(newIndex, 0, moved);
+
+        this.markDirty();
+        this.renderImages();
+    },
+
+    /**
+     * Update an image caption
+     * @param {string} mediaId
+     * @param {string} caption
+     */
+    updateCaption(mediaId, caption) {
+        const image = this.album?.images.find(i => i.mediaId === mediaId);
+        if (!image) return;
+
+        image.caption = caption;
+        this.markDirty();
+    },
+
+    /**
+     * Set the album cover image
+     * @param {string} mediaId
+     */
+    setCover(mediaId) {
+        this.album.coverMediaId = mediaId;
+        this.markDirty();
+        this.renderImages();
+    },
+
+    /**
+     * Remove an image from the album
+     * @param {string} mediaId
+     */
+    removeImage(mediaId) {
+        this.album.images = this.album.images.filter(i => i.mediaId !== mediaId);
+
+        if (this.album.coverMediaId === mediaId) {
+            this.album.coverMediaId = null;
+        }
+
+        this.markDirty();
+        this.renderImages();
+    },
+
+    /**
+     * Show the add images modal
+     */
+    async showMediaModal() {
+        this.selectedMediaIds.clear();
+        this.updateMediaSelection();
+
+        const searchInput = document.getElementById('album-media-search');
+        if (searchInput) searchInput.value = '';
+
+        document.getElementById('album-media-modal')?.classList.remove('hidden');
+        await this.loadMedia();
+    },
+
+    /**
+     * Hide the add images modal
+     */
+    hideMediaModal() {
+        document.getElementById('album-media-modal')?.classList.add('hidden');
+        this.selectedMediaIds.clear();
+    },
+
+    /**
+     * Load images from the media library
+     */
+    async loadMedia() {
+        const grid = document.getElementById('album-media-grid');
+        if (!grid) return;
+
+        grid.innerHTML = '<div class="col-span-full text-center py-8 text-gray-500">Loading...</div>';
+
+        try {
+            const snapshot = await db.collection('media')
+                .where('type', '==', 'image')
+                .orderBy('createdAt', 'desc')
+                .limit(200)
+                .get();
+
+            this.media = [];
+            snapshot.forEach(doc => {
+                this.media.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderMedia();
+
+        } catch (error) {
+            console.error('Error loading media for album:', error);
+            grid.innerHTML = '<div class="col-span-full text-center py-8 text-red-500">Error loading images</div>';
+        }
+    },
+
+    /**
+     * Render the media library images in the modal
+     */
+    renderMedia() {
+        const grid = document.getElementById('album-media-grid');
+        if (!grid) return;
+
+        const search = document.getElementById('album-media-search')?.value.trim().toLowerCase() || '';
+        const inAlbum = new Set(this.album?.images.map(i => i.mediaId) || []);
+
+        const images = this.media.filter(img =>
+            !search ||
+            img.filename?.toLowerCase().includes(search) ||
+            img.alt?.toLowerCase().includes(search)
+        );
+
+        if (images.length === 0) {
+            grid.innerHTML = `<div class="col-span-full text-center py-8 text-gray-500">${this.media.length ? 'No matching images' : 'No images in the media library'}</div>`;
+            return;
+        }
+
+        grid.innerHTML = images.map(img => {
+            const added = inAlbum.has(img.id);
+            const selected = this.selectedMediaIds.has(img.id);
+
+            return `
+                <div class="relative bg-gray-100 rounded-lg overflow-hidden border-2 transition-all
+                            ${added ? 'opacity-40 cursor-not-allowed border-transparent' : 'cursor-pointer hover:border-blue-300'}
+                            ${selected ? 'border-blue-500 ring-2 ring-blue-500' : 'border-transparent'}"
+                     style="aspect-ratio: 1 / 1;"
+                     ${added ? 'title="Already in this album"' : `onclick="AlbumManager.toggleMedia('${img.id}')"`}>
+                    <img src="${img.url}" alt="${Utils.escapeHtml(img.alt || img.filename)}"
+                         class="w-full h-full object-cover" loading="lazy">
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Toggle an image's selection in the modal
+     * @param {string} mediaId
+     */
+    toggleMedia(mediaId) {
+        if (this.selectedMediaIds.has(mediaId)) {
+            this.selectedMediaIds.delete(mediaId);
+        } else {
+            this.selectedMediaIds.add(mediaId);
+        }
+
+        this.updateMediaSelection();
+        this.renderMedia();
+    },
+
+    /**
+     * Update the selected count and add button
+     */
+    updateMediaSelection() {
+        const count = this.selectedMediaIds.size;
+
+        const label = document.getElementById('album-media-selected');
+        if (label) {
+            label.textContent = count ? `${count} ${count === 1 ? 'image' : 'images'} selected` : 'No images selected';
+        }
+
+        const confirmBtn = document.getElementById('confirm-album-media');
+        if (confirmBtn) confirmBtn.disabled = count === 0;
+    },
+
+    /**
+     * Add the selected images to the end of the album
+     */
+    addSelectedMedia() {
+        // Keep library order rather than click order
+        const selected = this.media.filter(img => this.selectedMediaIds.has(img.id));
+
+        selected.forEach(img => {
+            this.album.images.push({
+                mediaId: img.id,
+                url: img.url,
+                alt: img.alt || '',
+                caption: ''
+            });
+        });
+
+        this.hideMediaModal();
+
+        if (selected.length > 0) {
+            this.markDirty();
+            this.renderImages();
+        }
+    },
+
+    /**
+     * Save the open album
+     */
+    async saveAlbum() {
+        if (!this.album) return;
+
+        const title = document.getElementById('album-title')?.value.trim() || '';
+        if (!title) {
+            Toast.error('Please enter an album title');
+            document.getElementById('album-title')?.focus();
+            return;
+        }
+
+        const images = this.album.images.map(image => ({
+            mediaId: image.mediaId,
+            url: image.url,
+            alt: image.alt || '',
+            caption: (image.caption || '').trim()
+        }));
+
+        const albumData = {
+            title,
+            description: document.getElementById('album-description')?.value.trim() || '',
+            images,
+            // Fall back to the first image if the cover was removed
+            coverMediaId: images.some(i => i.mediaId === this.album.coverMediaId)
+                ? this.album.coverMediaId
+                : (images[0]?.mediaId || null),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        const saveBtn = document.getElementById('save-album-btn');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            if (this.editingAlbumId) {
+                await db.collection('albums').doc(this.editingAlbumId).update(albumData);
+                await this.logActivity('update', `updated album "${title}"`);
+                Toast.success('Album saved');
+            } else {
+                albumData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                albumData.createdBy = Auth?.currentUser?.uid || null;
+                const docRef = await db.collection('albums').add(albumData);
+                this.editingAlbumId = docRef.id;
+                await this.logActivity('create', `created album "${title}"`);
+                Toast.success('Album created');
+            }
+
+            this.album.coverMediaId = albumData.coverMediaId;
+            this.isDirty = false;
+
+            document.getElementById('album-editor-title').textContent = 'Edit Album';
+            document.getElementById('delete-album-btn')?.classList.toggle('hidden', !Auth.isAdmin());
+
+            await this.loadAlbums();
+            this.renderImages();
+
+        } catch (error) {
+            console.error('Error saving album:', error);
+            Toast.error('Failed to save album');
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Delete the open album (admins only). Images stay in the media library.
+     */
+    async deleteAlbum() {
+        const album = this.albums.find(a => a.id === this.editingAlbumId);
+        if (!album) return;
+
+        if (!confirm(`Delete the album "${album.title}"? The images will stay in the media library.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('albums').doc(album.id).delete();
+
+            this.albums = this.albums.filter(a => a.id !== album.id);
+            Toast.success('Album deleted');
+            await this.logActivity('delete', `deleted album "${album.title}"`);
+
+            this.isDirty = false;
+            this.closeAlbum();
+            this.renderAlbums();
+
+        } catch (error) {
+            console.error('Error deleting album:', error);
+            Toast.error('Failed to delete album');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on albums page
+    if (!document.getElementById('albums-grid')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                AlbumManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.AlbumManager = AlbumManager;
@@ -0,0 +1,567 @@
+/**
+ * Middleton Grange CMS - Alumni Module
+ *
+ * Handles alumni profiles: listing, filtering by decade, and adding,
+ * editing and deleting profiles with a photo and rich text biography.
+ * Each profile is published at /alumni/{slug} and listed on pages with
+ * the "Alumni Listing" page type.
+ */
+
+const AlumniManager = {
+    // State
+    profiles: [],
+    editingProfileId: null,
+    bioEditor: null,
+    photoUrl: null,
+    photoPath: null,
+    filters: {
+        search: '',
+        decade: ''
+    },
+
+    /**
+     * Initialize alumni management
+     */
+    async init() {
+        this.initBioEditor();
+        this.bindEvents();
+        await this.loadProfiles();
+    },
+
+    /**
+     * Load alumni profiles from Firestore
+     */
+    async loadProfiles() {
+        try {
+            const snapshot = await db.collection('alumniProfiles')
+                .orderBy('leavingYear', 'desc')
+                .get();
+
+            this.profiles = [];
+            snapshot.forEach(doc => {
+                this.profiles.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderDecadeOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading alumni:', error);
+            Toast.error('Failed to load alumni');
+        }
+    },
+
+    /**
+     * Initialize the TipTap biography editor
+     */
+    initBioEditor() {
+        const container = document.getElementById('alumni-bio');
+        const toolbar = document.getElementById('alumni-bio-toolbar');
+        if (!container) return;
+
+        if (typeof tiptap === 'undefined' || !tiptap.Editor) {
+            console.warn('TipTap not loaded, using fallback textarea');
+            if (toolbar) toolbar.style.display = 'none';
+            container.innerHTML = `
+                <textarea id="alumni-bio-fallback" rows="8"
+                    class="w-full border-0 focus:ring-0 resize-none font-mono text-sm"
+                    placeholder="Biography (HTML supported)..."></textarea>
+            `;
+            return;
+        }
+
+        this.bioEditor = new tiptap.Editor({
+            element: container,
+            extensions: [
+                tiptap.StarterKit,
+                tiptap.Link.configure({
+                    openOnClick: false,
+                    HTMLAttributes: {
+                        class: 'text-blue-600 underline',
+                    },
+                }),
+                tiptap.Placeholder.configure({
+                    placeholder: 'Where are they now? What have they done since leaving school?',
+                }),
+            ],
+            content: ''
+        });
+
+        const buttons = [
+            ['bold', 'bold', () => this.bioEditor.chain().focus().toggleBold().run()],
+            ['italic', 'italic', () => this.bioEditor.chain().focus().toggleItalic().run()],
+            ['bulletList', 'list', () => this.bioEditor.chain().focus().toggleBulletList().run()],
+            ['orderedList', 'list-ordered', () => this.bioEditor.chain().focus().toggleOrderedList().run()],
+            ['blockquote', 'message-square', () => this.bioEditor.chain().focus().toggleBlockquote().run()],
+            ['link', 'link', () => this.editLink()]
+        ];
+
+        buttons.forEach(([name, icon, onClick]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toolbar-btn';
+            button.dataset.command = name;
+            button.title = name.charAt(0).toUpperCase() + name.slice(1);
+            button.innerHTML = `<i data-feather="${icon}" class="w-4 h-4"></i>`;
+            button.addEventListener('click', onClick);
+            toolbar?.appendChild(button);
+        });
+
+        // Highlight active formatting
+        const updateToolbar = () => {
+            toolbar?.querySelectorAll('.toolbar-btn').forEach(btn => {
+                btn.classList.toggle('is-active', this.bioEditor.isActive(btn.dataset.command));
+            });
+        };
+        this.bioEditor.on('selectionUpdate', updateToolbar);
+        this.bioEditor.on('update', updateToolbar);
+
+        feather.replace();
+    },
+
+    /**
+     * Add, change or remove a link in the biography
+     */
+    editLink() {
+        const existingUrl = this.bioEditor.getAttributes('link').href || '';
+
+        const url = prompt('Enter URL:', existingUrl);
+        if (url === null) return;
+
+        if (url === '') {
+            this.bioEditor.chain().focus().unsetLink().run();
+        } else {
+            this.bioEditor.chain().focus().extendMarkRange('link').setLink({ href: url }).run();
+        }
+    },
+
+    /**
+     * Get the biography HTML
+     * @returns {string}
+     */
+    getBio() {
+        if (this.bioEditor) {
+            return this.bioEditor.isEmpty ? '' : this.bioEditor.getHTML();
+        }
+        return document.getElementById('alumni-bio-fallback')?.value.trim() || '';
+    },
+
+    /**
+     * Set the biography HTML
+     * @param {string} html
+     */
+    setBio(html) {
+        if (this.bioEditor) {
+            this.bioEditor.commands.setContent(html || '');
+        } else {
+            const fallback = document.getElementById('alumni-bio-fallback');
+            if (fallback) fallback.value = html || '';
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-alumni-btn')?.addEventListener('click', () => this.showAlumniModal());
+        document.getElementById('cancel-alumni')?.addEventListener('click', () => this.hideAlumniModal());
+
+        document.getElementById('alumni-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+
+        // Auto-generate slug from name for new profiles
+        const nameInput = document.getElementById('alumni-name');
+        const slugInput = document.getElementById('alumni-slug');
+        if (nameInput && slugInput) {
+            nameInput.addEventListener('input', () => {
+                if (!this.editingProfileId || !slugInput.value) {
+                    slugInput.value = Utils.slugify(nameInput.value);
+                }
+            });
+        }
+
+        // Photo upload
+        const photoInput = document.getElementById('alumni-photo-input');
+        document.getElementById('alumni-photo-btn')?.addEventListener('click', () => photoInput?.click());
+        photoInput?.addEventListener('change', (e) => this.uploadPhoto(e.target.files[0]));
+        document.getElementById('alumni-photo-remove')?.addEventListener('click', () => this.setPhoto(null, null));
+
+        // Filters
+        const searchInput = document.getElementById('search-alumni');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-decade')?.addEventListener('change', (e) => {
+            this.filters.decade = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('alumni-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideAlumniModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideAlumniModal();
+            }
+        });
+    },
+
+    /**
+     * Get the first year of the decade a year falls in
+     * @param {number} year
+     * @returns {number}
+     */
+    getDecade(year) {
+        return Math.floor(year / 10) * 10;
+    },
+
+    /**
+     * Fill the decade filter from existing profiles
+     */
+    renderDecadeOptions() {
+        const select = document.getElementById('filter-decade');
+        if (!select) return;
+
+        const decades = [...new Set(this.profiles
+            .filter(p => p.leavingYear)
+            .map(p => this.getDecade(p.leavingYear)))]
+            .sort((a, b) => b - a);
+
+        select.innerHTML = '<option value="">All Decades</option>' +
+            decades.map(d => `<option value="${d}">${d}–${String(d + 9).slice(-2)}</option>`).join('');
+        select.value = decades.includes(Number(this.filters.decade)) ? this.filters.decade : '';
+    },
+
+    /**
+     * Get profiles matching the current filters
+     * @returns {Array}
+     */
+    getFilteredProfiles() {
+        return this.profiles.filter(profile => {
+            if (this.filters.decade && this.getDecade(profile.leavingYear) !== Number(this.filters.decade)) {
+                return false;
+            }
+
+            if (this.filters.search) {
+                const haystack = `${profile.name} ${profile.leavingYear || ''}`.toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render alumni table
+     */
+    render() {
+        const tableBody = document.getElementById('alumni-table-body');
+        if (!tableBody) return;
+
+        const profiles = this.getFilteredProfiles();
+
+        if (profiles.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="award" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No alumni found</p>
+                        <p class="text-sm">${this.profiles.length === 0 ? 'Add a profile to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = profiles.map(profile => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-6 py-4">
+                    <div class="flex items-center">
+                        <div class="w-10 h-10 rounded-full bg-gray-100 overflow-hidden flex items-center justify-center flex-shrink-0 mr-3">
+                            ${profile.photo
+                                ? `<img src="${profile.photo}" alt="" class="w-full h-full object-cover" loading="lazy">`
+                                : '<i data-feather="user" class="w-5 h-5 text-gray-400"></i>'}
+                        </div>
+                        <span class="font-medium text-gray-900">${Utils.escapeHtml(profile.name)}</span>
+                    </div>
+                </td>
+                <td class="px-6 py-4 text-sm text-gray-700">${profile.leavingYear || '-'}</td>
+                <td class="px-6 py-4 text-sm text-gray-500">/alumni/${Utils.escapeHtml(profile.slug || '')}</td>
+                <td class="px-6 py-4">
+                    <div class="flex items-center gap-2">
+                        <button onclick="AlumniManager.showAlumniModal('${profile.id}')"
+                                class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Edit Profile">
+                            <i data-feather="edit-2" class="w-4 h-4"></i>
+                        </button>
+                        ${isAdmin ? `
+                            <button onclick="AlumniManager.deleteProfile('${profile.id}')"
+                                    class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    title="Delete Profile">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit profile modal
+     * @param {string} profileId - Profile to edit, or none to add
+     */
+    showAlumniModal(profileId = null) {
+        const profile = profileId ? this.profiles.find(p => p.id === profileId) : null;
+        if (profileId && !profile) return;
+
+        this.editingProfileId = profileId;
+
+        document.getElementById('alumni-form')?.reset();
+        document.getElementById('alumni-modal-title').textContent = profile ? 'Edit Profile' : 'Add Profile';
+
+        document.getElementById('alumni-name').value = profile?.name || '';
+        document.getElementById('alumni-slug').value = profile?.slug || '';
+        document.getElementById('alumni-year').value = profile?.leavingYear || '';
+        document.getElementById('alumni-year').max = new Date().getFullYear();
+        this.setBio(profile?.bio || '');
+        this.setPhoto(profile?.photo || null, profile?.photoPath || null);
+
+        document.getElementById('alumni-modal')?.classList.remove('hidden');
+        document.getElementById('alumni-name')?.focus();
+    },
+
+    /**
+     * Hide profile modal
+     */
+    hideAlumniModal() {
+        document.getElementById('alumni-modal')?.classList.add('hidden');
+        this.editingProfileId = null;
+    },
+
+    /**
+     * Set the photo shown in the modal
+     * @param {string|null} url
+     * @param {string|null} storagePath
+     */
+    setPhoto(url, storagePath) {
+        this.photoUrl = url;
+        this.photoPath = storagePath;
+
+        const preview = document.getElementById('alumni-photo-preview');
+        if (preview) {
+            preview.innerHTML = url
+                ? `<img src="${url}" alt="" class="w-full h-full object-cover">`
+                : '<i data-feather="user" class="w-10 h-10 text-gray-300"></i>';
+        }
+
+        document.getElementById('alumni-photo-btn').textContent = url ? 'Change Photo' : 'Upload Photo';
+        document.getElementById('alumni-photo-remove')?.classList.toggle('hidden', !url);
+        feather.replace();
+    },
+
+    /**
+     * Upload a profile photo to the alumni storage folder
+     * @param {File} file
+     */
+    async uploadPhoto(file) {
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            Toast.error('Please select an image file');
+            return;
+        }
+
+        if (file.size > 5 * 1024 * 1024) {
+            Toast.error('Photo must be less than 5MB');
+            return;
+        }
+
+        const progressContainer = document.getElementById('alumni-photo-progress');
+        const progressBar = document.getElementById('alumni-photo-bar');
+        const saveBtn = document.getElementById('save-alumni');
+
+        progressContainer?.classList.remove('hidden');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const safeFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+            const storagePath = `alumni/${Date.now()}_${safeFilename}`;
+            const uploadTask = storage.ref(storagePath).put(file);
+
+            await new Promise((resolve, reject) => {
+                uploadTask.on('state_changed',
+                    (snapshot) => {
+                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+                        if (progressBar) progressBar.style.width = `${progress}%`;
+                    },
+                    reject,
+                    resolve
+                );
+            });
+
+            const url = await uploadTask.snapshot.ref.getDownloadURL();
+            this.setPhoto(url, storagePath);
+
+        } catch (error) {
+            console.error('Photo upload error:', error);
+            Toast.error('Failed to upload photo');
+        } finally {
+            progressContainer?.classList.add('hidden');
+            if (progressBar) progressBar.style.width = '0%';
+            if (saveBtn) saveBtn.disabled = false;
+            document.getElementById('alumni-photo-input').value = '';
+        }
+    },
+
+    /**
+     * Save the profile in the modal
+     */
+    async saveProfile() {
+        const name = document.getElementById('alumni-name')?.value.trim() || '';
+        const slug = Utils.slugify(document.getElementById('alumni-slug')?.value || name);
+        const leavingYear = parseInt(document.getElementById('alumni-year')?.value, 10);
+
+        if (!name || !leavingYear) {
+            Toast.error('Please enter a name and leaving year');
+            return;
+        }
+
+        if (leavingYear > new Date().getFullYear()) {
+            Toast.error('Leaving year cannot be in the future');
+            return;
+        }
+
+        if (!slug) {
+            Toast.error('Please enter a URL slug');
+            return;
+        }
+
+        if (this.profiles.some(p => p.slug === slug && p.id !== this.editingProfileId)) {
+            Toast.error('Another profile already uses this URL slug');
+            document.getElementById('alumni-slug')?.focus();
+            return;
+        }
+
+        const profileData = {
+            name,
+            slug,
+            leavingYear,
+            photo: this.photoUrl || null,
+            photoPath: this.photoPath || null,
+            bio: this.getBio(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingProfileId) {
+                await db.collection('alumniProfiles').doc(this.editingProfileId).update(profileData);
+                await this.logActivity('update', `updated alumni profile "${name}"`);
+                Toast.success('Profile updated');
+            } else {
+                profileData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('alumniProfiles').add(profileData);
+                await this.logActivity('create', `added alumni profile "${name}"`);
+                Toast.success('Profile added');
+            }
+
+            this.hideAlumniModal();
+            await this.loadProfiles();
+
+        } catch (error) {
+            console.error('Error saving alumni profile:', error);
+            Toast.error('Failed to save profile');
+        }
+    },
+
+    /**
+     * Delete a profile (admins only)
+     * @param {string} profileId
+     */
+    async deleteProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        if (!confirm(`Delete the profile for "${profile.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('alumniProfiles').doc(profileId).delete();
+
+            this.profiles = this.profiles.filter(p => p.id !== profileId);
+            Toast.success('Profile deleted');
+            await this.logActivity('delete', `deleted alumni profile "${profile.name}"`);
+
+            this.renderDecadeOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting alumni profile:', error);
+            Toast.error('Failed to delete profile');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on alumni page
+    if (!document.getElementById('alumni-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                AlumniManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.AlumniManager = AlumniManager;
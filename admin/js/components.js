@@ -228,6 +228,17 @@ const Components = {
                 'page-editor': 'Page Editor',
                 'media-library': 'Media Library',
                 'menu-manager': 'Menu Manager',
+                'redirects': 'Redirects',
+                'events': 'Events',
+                'videos': 'Videos',
+                'albums': 'Photo Albums',
+                'alumni': 'Alumni',
+                'staff': 'Staff Profiles',
+                'jobs': 'Jobs',
+                'sports': 'Sports',
+                'sponsors': 'Sponsors',
+                'forms': 'Forms',
+                'submissions': 'Submissions',
                 'settings': 'Settings',
                 'users': 'Users'
             };
@@ -391,6 +402,56 @@ const Utils = {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
+    },
+
+    /**
+     * Get badge classes for a page status
+     * @param {string} status
+     * @returns {string}
+     */
+    getStatusClass(status) {
+        const classes = {
+            published: 'bg-green-100 text-green-800',
+            scheduled: 'bg-blue-100 text-blue-800',
+            'in-review': 'bg-purple-100 text-purple-800',
+            approved: 'bg-teal-100 text-teal-800'
+        };
+        return classes[status] || 'bg-yellow-100 text-yellow-800';
+    },
+
+    /**
+     * Get the fields that publish a page. A future publish date schedules
+     * it instead. publishedAt records when the page first went live; news
+     * articles are dated by it, and pages published before it was tracked
+     * keep falling back to createdAt.
+     * @param {Object|null} page - The page as stored, or null if it's new
+     * @param {firebase.firestore.Timestamp|null} publishAt - Publish date
+     * @returns {Object} - { status, publishedAt }, publishedAt only when it changes
+     */
+    getPublishFields(page, publishAt) {
+        const status = publishAt && publishAt.toMillis() > Date.now() ? 'scheduled' : 'published';
+        const wasLive = ['published', 'scheduled'].includes(page?.status);
+
+        if (status === 'scheduled') {
+            return { status, publishedAt: publishAt };
+        }
+        if (!page?.publishedAt && !wasLive) {
+            return { status, publishedAt: firebase.firestore.FieldValue.serverTimestamp() };
+        }
+        return { status };
+    },
+
+    /**
+     * Get display label for a page status
+     * @param {string} status
+     * @returns {string}
+     */
+    formatStatus(status) {
+        const labels = {
+            'in-review': 'In review'
+        };
+        const value = status || 'draft';
+        return labels[value] || value.charAt(0).toUpperCase() + value.slice(1);
     }
 };
 
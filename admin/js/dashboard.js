@@ -16,6 +16,7 @@ const Dashboard = {
         // Load all dashboard data
         this.loadStats();
         this.loadRecentPages();
+        this.loadReviewQueue();
         this.loadRecentActivity();
         this.updateWelcomeName();
         this.initBuildButton();
@@ -81,10 +82,11 @@ const Dashboard = {
     async loadStats() {
         try {
             // Load page stats in parallel
-            const [totalPages, publishedPages, draftPages, mediaCount, menuSections] = await Promise.all([
+            const [totalPages, publishedPages, draftPages, scheduledPages, mediaCount, menuSections] = await Promise.all([
                 this.getCollectionCount('pages'),
                 this.getCollectionCount('pages', [['status', '==', 'published']]),
                 this.getCollectionCount('pages', [['status', '==', 'draft']]),
+                this.getCollectionCount('pages', [['status', '==', 'scheduled']]),
                 this.getCollectionCount('media'),
                 this.getCollectionCount('menuSections')
             ]);
@@ -93,6 +95,7 @@ const Dashboard = {
             this.updateStat('stat-total-pages', totalPages);
             this.updateStat('stat-published', publishedPages);
             this.updateStat('stat-drafts', draftPages);
+            this.updateStat('stat-scheduled', scheduledPages);
             this.updateStat('stat-media', mediaCount);
             this.updateStat('stat-menu-sections', menuSections);
 
@@ -102,7 +105,7 @@ const Dashboard = {
         } catch (error) {
             console.error('Error loading stats:', error);
             // Show zeros on error
-            ['stat-total-pages', 'stat-published', 'stat-drafts', 'stat-media', 'stat-menu-sections'].forEach(id => {
+            ['stat-total-pages', 'stat-published', 'stat-drafts', 'stat-scheduled', 'stat-media', 'stat-menu-sections'].forEach(id => {
                 this.updateStat(id, 0);
             });
         }
@@ -226,9 +229,7 @@ const Dashboard = {
             let html = '';
             snapshot.forEach(doc => {
                 const page = { id: doc.id, ...doc.data() };
-                const statusClass = page.status === 'published'
-                    ? 'bg-green-100 text-green-800'
-                    : 'bg-yellow-100 text-yellow-800';
+                const statusClass = Utils.getStatusClass(page.status);
 
                 html += `
                     <tr class="hover:bg-gray-50">
@@ -242,8 +243,8 @@ const Dashboard = {
                             </div>
                         </td>
                         <td class="px-6 py-4">
-                            <span class="px-2 py-1 text-xs font-medium rounded-full ${statusClass} capitalize">
-                                ${page.status || 'draft'}
+                            <span class="px-2 py-1 text-xs font-medium rounded-full ${statusClass}">
+                                ${Utils.formatStatus(page.status)}
                             </span>
                         </td>
                         <td class="px-6 py-4 text-sm text-gray-500">
@@ -273,6 +274,53 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Load pages waiting for the current user's review
+     */
+    async loadReviewQueue() {
+        const card = document.getElementById('review-queue-card');
+        const list = document.getElementById('review-queue');
+        const uid = Auth?.currentUser?.uid;
+        if (!card || !list || !uid) return;
+
+        try {
+            const snapshot = await db.collection('pages')
+                .where('status', '==', 'in-review')
+                .where('reviewerId', '==', uid)
+                .get();
+
+            if (snapshot.empty) {
+                card.classList.add('hidden');
+                return;
+            }
+
+            const pages = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.reviewRequestedAt?.toMillis?.() || 0) - (b.reviewRequestedAt?.toMillis?.() || 0));
+
+            document.getElementById('review-queue-count').textContent = pages.length;
+
+            list.innerHTML = pages.slice(0, 5).map(page => `
+                <li class="px-6 py-4 flex items-center justify-between hover:bg-gray-50">
+                    <div>
+                        <div class="font-medium text-gray-900">${Utils.escapeHtml(page.title || 'Untitled')}</div>
+                        <div class="text-sm text-gray-500">
+                            Requested by ${Utils.escapeHtml(page.reviewRequestedByName || 'Unknown')} &middot; ${Utils.formatDate(page.reviewRequestedAt)}
+                        </div>
+                    </div>
+                    <a href="page-editor.html?id=${page.id}" class="text-purple-600 hover:text-purple-800 text-sm font-medium">
+                        Review
+                    </a>
+                </li>
+            `).join('');
+
+            card.classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Error loading review queue:', error);
+        }
+    },
+
     /**
      * Load recent activity from activity log
      */
@@ -401,7 +449,11 @@ const Dashboard = {
             'upload': 'upload',
             'login': 'log-in',
             'logout': 'log-out',
-            'build': 'globe'
+            'build': 'globe',
+            'review': 'send',
+            'approve': 'thumbs-up',
+            'import': 'download',
+            'export': 'share'
         };
         return icons[action] || 'activity';
     },
@@ -421,27 +473,42 @@ const Dashboard = {
             'upload': 'bg-purple-100 text-purple-600',
             'login': 'bg-indigo-100 text-indigo-600',
             'logout': 'bg-gray-100 text-gray-600',
-            'build': 'bg-teal-100 text-teal-600'
+            'build': 'bg-teal-100 text-teal-600',
+            'review': 'bg-purple-100 text-purple-600',
+            'approve': 'bg-teal-100 text-teal-600',
+            'import': 'bg-indigo-100 text-indigo-600',
+            'export': 'bg-indigo-100 text-indigo-600'
         };
         return colors[action] || 'bg-gray-100 text-gray-600';
     },
 
     /**
-     * Initialize build site button
+     * Initialize build site button and build status
      */
     initBuildButton() {
         const buildBtn = document.getElementById('build-site-btn');
         if (buildBtn) {
             buildBtn.addEventListener('click', () => this.triggerBuild());
         }
+
+        // Build log modal
+        const logModal = document.getElementById('build-log-modal');
+        document.getElementById('close-build-log')?.addEventListener('click', () => this.hideBuildLog());
+        logModal?.addEventListener('click', (e) => {
+            if (e.target === logModal) this.hideBuildLog();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideBuildLog();
+        });
+
+        this.watchBuilds();
     },
 
     /**
-     * Trigger site build (placeholder - actual build would be server-side)
+     * Queue a site build for the build runner
      */
     async triggerBuild() {
         const buildBtn = document.getElementById('build-site-btn');
-        const lastBuildEl = document.getElementById('stat-last-build');
 
         if (!buildBtn) return;
 
@@ -451,20 +518,22 @@ const Dashboard = {
         feather.replace();
 
         try {
-            // Update last build timestamp in Firestore
-            await db.collection('siteSettings').doc('config').set({
-                lastBuild: firebase.firestore.FieldValue.serverTimestamp()
-            }, { merge: true });
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('buildRequests').add({
+                status: 'queued',
+                mode: 'production',
+                incremental: true,
+                requestedBy: user?.uid || null,
+                requestedByName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
 
             // Log activity
             await this.logActivity('build', 'triggered a site build');
 
-            // Show success
-            if (lastBuildEl) {
-                lastBuildEl.textContent = 'Built just now';
-            }
-
-            Toast.success('Site build triggered successfully!');
+            Toast.success('Site build queued');
 
         } catch (error) {
             console.error('Build error:', error);
@@ -476,6 +545,205 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Subscribe to recent builds for live progress and history
+     */
+    watchBuilds() {
+        if (this.buildUnsubscribe) return;
+
+        this.buildUnsubscribe = db.collection('buildRequests')
+            .orderBy('createdAt', 'desc')
+            .limit(10)
+            .onSnapshot(snapshot => {
+                this.builds = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                this.renderBuildProgress();
+                this.renderBuildHistory();
+                this.renderLinkCheck();
+            }, error => {
+                console.error('Error loading builds:', error);
+            });
+    },
+
+    /**
+     * Show progress of the current build, if any
+     */
+    renderBuildProgress() {
+        const panel = document.getElementById('build-progress');
+        const lastBuildEl = document.getElementById('stat-last-build');
+        const active = (this.builds || []).filter(b => b.status === 'queued' || b.status === 'running');
+
+        // Oldest active build is the one the runner is working on
+        const current = active[active.length - 1];
+
+        if (!current) {
+            panel?.classList.add('hidden');
+            this.loadLastBuildTime();
+            return;
+        }
+
+        const progress = current.progress || {};
+        const percent = progress.total ? Math.round((progress.step / progress.total) * 100) : 0;
+        const queuedBehind = active.length - 1;
+
+        let message = current.status === 'queued'
+            ? 'Waiting for the build runner...'
+            : (progress.message || 'Starting build...');
+        if (queuedBehind > 0) {
+            message += ` (${queuedBehind} more queued)`;
+        }
+
+        if (lastBuildEl) {
+            lastBuildEl.textContent = current.status === 'queued' ? 'Build queued' : `Building... ${percent}%`;
+        }
+
+        if (panel) {
+            panel.classList.remove('hidden');
+            document.getElementById('build-progress-message').textContent = message;
+            document.getElementById('build-progress-bar').style.width = `${percent}%`;
+        }
+    },
+
+    /**
+     * Render the list of recent builds
+     */
+    renderBuildHistory() {
+        const list = document.getElementById('build-history');
+        if (!list) return;
+
+        const builds = this.builds || [];
+
+        if (builds.length === 0) {
+            list.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                        No builds yet. Click Build to publish the site.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const statusClasses = {
+            success: 'bg-green-100 text-green-800',
+            failed: 'bg-red-100 text-red-800',
+            running: 'bg-blue-100 text-blue-800',
+            queued: 'bg-gray-100 text-gray-800'
+        };
+
+        list.innerHTML = builds.map(build => {
+            const warnings = build.warnings?.length || 0;
+            const details = build.status === 'failed'
+                ? `<span class="text-red-600">${Utils.escapeHtml(build.error || 'Build failed')}</span>`
+                : build.status === 'success'
+                    ? `${build.pageCount ?? 0} pages${warnings ? `, <span class="text-yellow-700">${warnings} warning${warnings > 1 ? 's' : ''}</span>` : ''}`
+                    : '-';
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${statusClasses[build.status] || statusClasses.queued} capitalize">
+                            ${build.status}
+                        </span>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-500">
+                        ${Utils.formatDate(build.createdAt)}
+                        <div class="text-xs">${Utils.escapeHtml(build.requestedByName || 'Unknown')}</div>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-500">
+                        ${build.duration ? `${(build.duration / 1000).toFixed(1)}s` : '-'}
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-500">${details}</td>
+                    <td class="px-6 py-4">
+                        ${build.log ? `<button onclick="Dashboard.showBuildLog('${build.id}')" class="text-blue-600 hover:text-blue-800 text-sm font-medium">View log</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show the link check report of the latest build that has one
+     */
+    renderLinkCheck() {
+        const panel = document.getElementById('link-check');
+        if (!panel) return;
+
+        const build = (this.builds || []).find(b => b.linkCheck);
+        if (!build) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const report = build.linkCheck;
+        const problems = {
+            'broken-link': { label: 'Broken link', classes: 'bg-red-100 text-red-800' },
+            'missing-anchor': { label: 'Missing anchor', classes: 'bg-yellow-100 text-yellow-800' },
+            'missing-asset': { label: 'Missing file', classes: 'bg-orange-100 text-orange-800' },
+            'wordpress-url': { label: 'WordPress URL', classes: 'bg-purple-100 text-purple-800' }
+        };
+        const overLimit = report.total > (report.maxIssues ?? 0);
+
+        document.getElementById('link-check-summary').innerHTML =
+            `${report.pages} pages and ${report.links} links checked (${Utils.formatDate(build.finishedAt || build.createdAt)}). ` +
+            (report.total === 0
+                ? '<span class="text-green-700">No problems found.</span>'
+                : `<span class="${overLimit ? 'text-red-600' : 'text-yellow-700'}">${report.total} problem${report.total > 1 ? 's' : ''} found` +
+                    `${overLimit ? `, more than the ${report.maxIssues ?? 0} allowed, so the build failed` : ''}.</span>`);
+
+        document.getElementById('link-check-counts').innerHTML = Object.entries(problems)
+            .filter(([type]) => report.counts?.[type] > 0)
+            .map(([type, problem]) => `
+                <span class="px-2 py-1 text-xs font-medium rounded-full ${problem.classes}">${problem.label}: ${report.counts[type]}</span>
+            `).join('');
+
+        const issues = report.issues || [];
+        document.getElementById('link-check-issues').innerHTML = issues.map(issue => {
+            const problem = problems[issue.type] || { label: issue.type, classes: 'bg-gray-100 text-gray-800' };
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-3">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full whitespace-nowrap ${problem.classes}">${problem.label}</span>
+                    </td>
+                    <td class="px-6 py-3 text-sm text-gray-700 font-mono break-all">${Utils.escapeHtml(issue.page)}</td>
+                    <td class="px-6 py-3 text-sm text-gray-500 font-mono break-all">${Utils.escapeHtml(issue.url)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const more = document.getElementById('link-check-more');
+        more.textContent = `Showing the first ${issues.length} of ${report.total} problems. The full report is in .build-cache/link-report.html on the build server.`;
+        more.classList.toggle('hidden', issues.length >= report.total);
+
+        panel.classList.remove('hidden');
+    },
+
+    /**
+     * Show the full log of a build
+     * @param {string} buildId
+     */
+    showBuildLog(buildId) {
+        const build = (this.builds || []).find(b => b.id === buildId);
+        const modal = document.getElementById('build-log-modal');
+        if (!build || !modal) return;
+
+        const warnings = build.warnings || [];
+        document.getElementById('build-log-warnings').innerHTML = warnings.length
+            ? warnings.map(w => `<li>${Utils.escapeHtml(w)}</li>`).join('')
+            : '';
+        document.getElementById('build-log-warnings').classList.toggle('hidden', warnings.length === 0);
+        document.getElementById('build-log-content').textContent = build.log || '';
+
+        modal.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the build log modal
+     */
+    hideBuildLog() {
+        document.getElementById('build-log-modal')?.classList.add('hidden');
+    },
+
     /**
      * Log an activity to the activity log
      * @param {string} action
@@ -12,6 +12,7 @@ const PageEditor = {
     isDirty: false,
     isNew: true,
     menuSections: [],
+    albums: [],
     autoSaveTimer: null,
     headerImageUrl: null,
     headerImageAlt: null,
@@ -28,6 +29,9 @@ const PageEditor = {
         // Load menu sections
         await this.loadMenuSections();
 
+        // Load photo albums for gallery pages
+        await this.loadAlbums();
+
         // Initialize TipTap editor
         this.initEditor();
 
@@ -81,6 +85,34 @@ const PageEditor = {
         }
     },
 
+    /**
+     * Load photo albums for the gallery album dropdown
+     */
+    async loadAlbums() {
+        try {
+            const snapshot = await db.collection('albums')
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            this.albums = [];
+            const select = document.getElementById('page-album');
+
+            snapshot.forEach(doc => {
+                const album = { id: doc.id, ...doc.data() };
+                this.albums.push(album);
+
+                if (select) {
+                    const option = document.createElement('option');
+                    option.value = album.id;
+                    option.textContent = album.title;
+                    select.appendChild(option);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading albums:', error);
+        }
+    },
+
     /**
      * Initialize TipTap editor
      */
@@ -504,7 +536,7 @@ const PageEditor = {
         }
 
         // Other form fields
-        ['page-menu-section', 'page-type', 'page-meta-title', 'page-meta-description'].forEach(id => {
+        ['page-menu-section', 'page-type', 'page-album', 'page-meta-title', 'page-meta-description', 'page-structured-data', 'publish-at', 'unpublish-at'].forEach(id => {
             const el = document.getElementById(id);
             if (el) {
                 el.addEventListener('change', () => this.markDirty());
@@ -561,6 +593,8 @@ const PageEditor = {
         // Set default page type
         const pageTypeSelect = document.getElementById('page-type');
         if (pageTypeSelect) pageTypeSelect.value = 'standard';
+
+        this.updatePublishButton();
     },
 
     /**
@@ -593,6 +627,10 @@ const PageEditor = {
             // Update publish button based on current status
             this.updatePublishButton();
 
+            // Load revision history and review workflow
+            PageRevisions.init(this.pageId);
+            PageWorkflow.init(this.pageId);
+
         } catch (error) {
             console.error('Error loading page:', error);
             Toast.error('Failed to load page');
@@ -609,8 +647,10 @@ const PageEditor = {
             'page-slug': data.slug || '',
             'page-menu-section': data.menuSection || '',
             'page-type': data.pageType || 'standard',
+            'page-album': data.albumId || '',
             'page-meta-title': data.metaTitle || '',
-            'page-meta-description': data.metaDescription || ''
+            'page-meta-description': data.metaDescription || '',
+            'page-structured-data': data.structuredData || ''
         };
 
         Object.entries(fields).forEach(([id, value]) => {
@@ -618,6 +658,10 @@ const PageEditor = {
             if (el) el.value = value;
         });
 
+        // Schedule
+        this.setDateInput('publish-at', data.publishAt);
+        this.setDateInput('unpublish-at', data.unpublishAt);
+
         // Editor content
         if (this.editor) {
             this.editor.commands.setContent(data.content || '');
@@ -646,9 +690,10 @@ const PageEditor = {
         const standardFields = document.getElementById('standard-fields');
         const videoFields = document.getElementById('video-gallery-fields');
         const staffFields = document.getElementById('staff-listing-fields');
+        const galleryFields = document.getElementById('photo-gallery-fields');
 
         // Hide all type-specific fields first
-        [standardFields, videoFields, staffFields].forEach(el => {
+        [standardFields, videoFields, staffFields, galleryFields].forEach(el => {
             if (el) el.classList.add('hidden');
         });
 
@@ -660,6 +705,9 @@ const PageEditor = {
             case 'staff-listing':
                 if (staffFields) staffFields.classList.remove('hidden');
                 break;
+            case 'photo-gallery':
+                if (galleryFields) galleryFields.classList.remove('hidden');
+                break;
             default:
                 if (standardFields) standardFields.classList.remove('hidden');
         }
@@ -671,13 +719,61 @@ const PageEditor = {
     updatePublishButton() {
         const publishBtn = document.getElementById('publish-page');
         if (publishBtn && this.pageData) {
-            if (this.pageData.status === 'published') {
+            if (this.pageData.status === 'published' || this.pageData.status === 'scheduled') {
                 publishBtn.innerHTML = '<i data-feather="check-circle" class="w-4 h-4 mr-2"></i> Update';
             } else {
                 publishBtn.innerHTML = '<i data-feather="globe" class="w-4 h-4 mr-2"></i> Publish';
             }
             feather.replace();
         }
+
+        // Editors go through review instead of publishing
+        if (publishBtn) {
+            publishBtn.classList.toggle('hidden', !Auth.isAdmin());
+        }
+
+        PageWorkflow.render();
+
+        const statusBadge = document.getElementById('publish-status');
+        if (statusBadge && this.pageData) {
+            statusBadge.className = `px-2 py-1 text-xs font-medium rounded-full ${Utils.getStatusClass(this.pageData.status)}`;
+            statusBadge.textContent = Utils.formatStatus(this.pageData.status);
+        }
+    },
+
+    /**
+     * Set a datetime-local input from a Firestore Timestamp
+     * @param {string} id - Input element ID
+     * @param {firebase.firestore.Timestamp|null} value
+     */
+    setDateInput(id, value) {
+        const el = document.getElementById(id);
+        if (!el) return;
+
+        if (!value) {
+            el.value = '';
+            return;
+        }
+
+        const date = value.toDate ? value.toDate() : new Date(value);
+        // datetime-local expects local time without a timezone suffix
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        el.value = local.toISOString().slice(0, 16);
+    },
+
+    /**
+     * Read a datetime-local input as a Firestore Timestamp
+     * @param {string} id - Input element ID
+     * @returns {firebase.firestore.Timestamp|null}
+     */
+    getDateInput(id) {
+        const value = document.getElementById(id)?.value;
+        if (!value) return null;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        return firebase.firestore.Timestamp.fromDate(date);
     },
 
     /**
@@ -700,7 +796,9 @@ const PageEditor = {
     initAutoSave() {
         // Auto-save every 60 seconds if dirty
         setInterval(() => {
-            if (this.isDirty && !this.isNew) {
+            // Only drafts autosave; saving would pull a page out of review or off the site
+            const status = this.pageData?.status || 'draft';
+            if (this.isDirty && !this.isNew && status === 'draft') {
                 this.savePage('draft', true); // Silent save
             }
         }, 60000);
@@ -708,17 +806,37 @@ const PageEditor = {
 
     /**
      * Save page
-     * @param {string} status - 'draft' or 'published'
+     * @param {string} status - 'draft', 'in-review', 'approved', 'published' or 'scheduled'
      * @param {boolean} silent - If true, don't show toast
+     * @param {Object} extra - Additional fields to save, e.g. workflow details
      */
-    async savePage(status = 'draft', silent = false) {
+    async savePage(status = 'draft', silent = false, extra = {}) {
         const saveBtn = document.getElementById('save-page');
         const publishBtn = document.getElementById('publish-page');
 
+        // Only admins can approve or publish; editors request a review
+        if (['approved', 'published', 'scheduled'].includes(status) && !Auth.isAdmin()) {
+            Toast.error('Only admins can approve or publish pages. Request a review instead.');
+            return;
+        }
+
         // Get form data
-        const formData = this.getFormData();
+        const formData = { ...this.getFormData(), ...extra };
+
+        // Publishing with a future publish date schedules the page instead
+        if (status === 'published' || status === 'scheduled') {
+            Object.assign(formData, Utils.getPublishFields(this.pageData, formData.publishAt));
+            status = formData.status;
+        }
         formData.status = status;
 
+        if (formData.publishAt && formData.unpublishAt &&
+            formData.unpublishAt.toMillis() <= formData.publishAt.toMillis()) {
+            Toast.error('Unpublish date must be after the publish date');
+            document.getElementById('unpublish-at')?.focus();
+            return;
+        }
+
         // Validate
         if (!formData.title) {
             Toast.error('Please enter a page title');
@@ -730,6 +848,22 @@ const PageEditor = {
             formData.slug = Utils.slugify(formData.title);
         }
 
+        if (formData.structuredData && !this.isValidStructuredData(formData.structuredData)) {
+            Toast.error('Structured data must be a JSON object or an array of objects');
+            document.getElementById('page-structured-data')?.focus();
+            return;
+        }
+
+        // Warn about accessibility issues before the page goes live
+        if ((status === 'published' || status === 'scheduled') && !silent) {
+            const publish = await PageAccessibility.confirmPublish({
+                ...this.getFormData(),
+                slug: formData.slug,
+                status: this.pageData?.status || 'draft'
+            }, this.pageId);
+            if (!publish) return;
+        }
+
         // Show loading state
         if (saveBtn) saveBtn.disabled = true;
         if (publishBtn) publishBtn.disabled = true;
@@ -740,29 +874,59 @@ const PageEditor = {
                 formData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
                 formData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
 
-                const docRef = await db.collection('pages').add(formData);
+                // The page and its first revision are written together
+                const docRef = db.collection('pages').doc();
+                const batch = db.batch();
+                batch.set(docRef, formData);
+                PageRevisions.addToBatch(batch, docRef.id, formData, { autosave: silent });
+                await batch.commit();
+
                 this.pageId = docRef.id;
                 this.isNew = false;
 
                 // Update URL without reload
                 window.history.replaceState({}, '', `page-editor.html?id=${this.pageId}`);
 
+                // Show history panel
+                PageRevisions.init(this.pageId);
+                PageWorkflow.init(this.pageId);
+
                 // Log activity
-                await Dashboard?.logActivity('create', `created "${formData.title}"`);
+                await window.Dashboard?.logActivity('create', `created "${formData.title}"`);
 
             } else {
                 // Update existing page
                 formData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
 
-                await db.collection('pages').doc(this.pageId).update(formData);
+                // The page and its revision are written together, so a save
+                // never overwrites the page without recording history
+                const batch = db.batch();
+                batch.update(db.collection('pages').doc(this.pageId), formData);
+                PageRevisions.addToBatch(batch, this.pageId, formData, { autosave: silent });
+                await batch.commit();
+
+                // Keep the old address working if the page has been on the site
+                const oldSlug = this.pageData?.slug;
+                if (oldSlug && oldSlug !== formData.slug &&
+                    (this.pageData.status === 'published' || this.pageData.publishedAt)) {
+                    await this.recordSlugRedirect(oldSlug, formData.slug);
+                }
+
+                await PageRevisions.refresh(this.pageId);
 
                 // Log activity
-                const action = status === 'published' ? 'publish' : 'update';
-                await Dashboard?.logActivity(action, `${action === 'publish' ? 'published' : 'updated'} "${formData.title}"`);
+                const action = { published: 'publish', scheduled: 'publish', 'in-review': 'review', approved: 'approve' }[status] || 'update';
+                const verb = {
+                    published: 'published',
+                    scheduled: 'scheduled',
+                    'in-review': 'submitted for review',
+                    approved: 'approved'
+                }[status] || 'updated';
+                await window.Dashboard?.logActivity(action, `${verb} "${formData.title}"`);
             }
 
             this.isDirty = false;
-            this.pageData = { id: this.pageId, ...formData };
+            this.pageData = { ...this.pageData, id: this.pageId, ...formData };
 
             // Update UI
             const saveBtnText = saveBtn?.querySelector('.btn-text') || saveBtn;
@@ -771,7 +935,16 @@ const PageEditor = {
             this.updatePublishButton();
 
             if (!silent) {
-                Toast.success(status === 'published' ? 'Page published!' : 'Page saved');
+                if (status === 'scheduled') {
+                    Toast.success(`Page scheduled for ${formData.publishAt.toDate().toLocaleString('en-NZ', { dateStyle: 'medium', timeStyle: 'short' })}`);
+                } else {
+                    const messages = {
+                        published: 'Page published!',
+                        'in-review': 'Page sent for review',
+                        approved: 'Page approved'
+                    };
+                    Toast.success(messages[status] || 'Page saved');
+                }
             }
 
         } catch (error) {
@@ -783,6 +956,67 @@ const PageEditor = {
         }
     },
 
+    /**
+     * Redirect a page's old address to its new one after a slug change. A
+     * redirect from the new address (the slug being changed back) is
+     * removed, since it would hide the page.
+     * @param {string} oldSlug
+     * @param {string} newSlug
+     */
+    async recordSlugRedirect(oldSlug, newSlug) {
+        const from = `/${oldSlug}`;
+        const to = `/${newSlug}`;
+
+        try {
+            const [existing, shadowing] = await Promise.all([
+                db.collection('redirects').where('from', '==', from).get(),
+                db.collection('redirects').where('from', '==', to).get()
+            ]);
+
+            const batch = db.batch();
+            shadowing.forEach(doc => batch.delete(doc.ref));
+
+            const redirect = {
+                from,
+                to,
+                type: 301,
+                source: 'slug-change',
+                pageId: this.pageId,
+                note: `Slug changed from "${oldSlug}" to "${newSlug}"`,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+
+            if (existing.empty) {
+                batch.set(db.collection('redirects').doc(), {
+                    ...redirect,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    createdBy: Auth.currentUser?.uid || null
+                });
+            } else {
+                batch.update(existing.docs[0].ref, redirect);
+            }
+
+            await batch.commit();
+        } catch (error) {
+            console.error('Error recording redirect:', error);
+            Toast.warning(`Page saved, but the redirect from ${from} could not be added`);
+        }
+    },
+
+    /**
+     * Check the page's structured data is JSON the site build can use
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isValidStructuredData(value) {
+        try {
+            const parsed = JSON.parse(value);
+            return [].concat(parsed).every(node => node && typeof node === 'object' && !Array.isArray(node));
+        } catch (error) {
+            return false;
+        }
+    },
+
     /**
      * Get form data
      */
@@ -792,32 +1026,37 @@ const PageEditor = {
             slug: document.getElementById('page-slug')?.value?.trim() || '',
             menuSection: document.getElementById('page-menu-section')?.value || null,
             pageType: document.getElementById('page-type')?.value || 'standard',
+            albumId: document.getElementById('page-album')?.value || null,
             metaTitle: document.getElementById('page-meta-title')?.value?.trim() || '',
             metaDescription: document.getElementById('page-meta-description')?.value?.trim() || '',
+            structuredData: document.getElementById('page-structured-data')?.value?.trim() || '',
             content: this.editor ? this.editor.getHTML() : (document.getElementById('content-fallback')?.value || ''),
             headerImage: this.headerImageUrl || null,
-            headerImageAlt: this.headerImageAlt || ''
+            headerImageAlt: this.headerImageAlt || '',
+            publishAt: this.getDateInput('publish-at'),
+            unpublishAt: this.getDateInput('unpublish-at')
         };
 
         return data;
     },
 
     /**
-     * Preview page
+     * Preview page, including unsaved changes
      */
     previewPage() {
-        if (this.isDirty) {
-            Toast.warning('Please save changes before previewing');
+        const formData = this.getFormData();
+
+        if (!formData.title) {
+            Toast.error('Please enter a page title');
+            document.getElementById('page-title')?.focus();
             return;
         }
 
-        // Open preview in new tab
-        // Note: This would need the actual site URL
-        const slug = document.getElementById('page-slug')?.value || '';
-        const previewUrl = `/${slug}`;
-
-        Toast.success('Preview functionality coming soon');
-        // window.open(previewUrl, '_blank');
+        PagePreview.open({
+            ...formData,
+            slug: formData.slug || Utils.slugify(formData.title),
+            status: this.pageData?.status || 'draft'
+        }, this.pageId);
     },
 
     /**
@@ -840,7 +1079,7 @@ const PageEditor = {
             await db.collection('pages').doc(this.pageId).delete();
 
             // Log activity
-            await Dashboard?.logActivity('delete', `deleted "${this.pageData?.title || 'a page'}"`);
+            await window.Dashboard?.logActivity('delete', `deleted "${this.pageData?.title || 'a page'}"`);
 
             Toast.success('Page deleted');
             window.location.href = 'pages.html';
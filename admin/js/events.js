@@ -0,0 +1,430 @@
+/**
+ * Middleton Grange CMS - Events Module
+ *
+ * Handles the events calendar: listing, filtering, and adding, editing
+ * and deleting events. Events imported from KAMAR (see
+ * build/import-events.js) are listed alongside manually added ones.
+ */
+
+const EventManager = {
+    // State
+    events: [],
+    editingEventId: null,
+    filters: {
+        search: '',
+        when: 'upcoming',
+        category: ''
+    },
+
+    /**
+     * Initialize events management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadEvents();
+    },
+
+    /**
+     * Load events from Firestore
+     */
+    async loadEvents() {
+        try {
+            const snapshot = await db.collection('events')
+                .orderBy('startDate', 'asc')
+                .get();
+
+            this.events = [];
+            snapshot.forEach(doc => {
+                this.events.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderCategoryOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading events:', error);
+            Toast.error('Failed to load events');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-event-btn')?.addEventListener('click', () => this.showEventModal());
+        document.getElementById('cancel-event')?.addEventListener('click', () => this.hideEventModal());
+
+        document.getElementById('event-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEvent();
+        });
+
+        document.getElementById('event-all-day')?.addEventListener('change', (e) => {
+            this.toggleTimeFields(!e.target.checked);
+        });
+
+        // Filters
+        const searchInput = document.getElementById('search-events');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-when')?.addEventListener('change', (e) => {
+            this.filters.when = e.target.value;
+            this.render();
+        });
+
+        document.getElementById('filter-category')?.addEventListener('change', (e) => {
+            this.filters.category = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('event-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideEventModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideEventModal();
+            }
+        });
+    },
+
+    /**
+     * Get today's date as YYYY-MM-DD in local time
+     * @returns {string}
+     */
+    getToday() {
+        const now = new Date();
+        return [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('-');
+    },
+
+    /**
+     * Get events matching the current filters
+     * @returns {Array}
+     */
+    getFilteredEvents() {
+        const today = this.getToday();
+
+        const events = this.events.filter(event => {
+            const lastDay = event.endDate || event.startDate;
+
+            if (this.filters.when === 'upcoming' && lastDay < today) return false;
+            if (this.filters.when === 'past' && lastDay >= today) return false;
+            if (this.filters.category && event.category !== this.filters.category) return false;
+
+            if (this.filters.search) {
+                const haystack = `${event.title} ${event.venue || ''} ${event.description || ''}`.toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+
+        // Most recent first when looking back
+        return this.filters.when === 'past' ? events.reverse() : events;
+    },
+
+    /**
+     * Fill the category filter and suggestions from existing events
+     */
+    renderCategoryOptions() {
+        const categories = [...new Set(this.events.map(e => e.category).filter(Boolean))].sort();
+
+        const select = document.getElementById('filter-category');
+        if (select) {
+            select.innerHTML = '<option value="">All Categories</option>' +
+                categories.map(c => `<option value="${Utils.escapeHtml(c)}">${Utils.escapeHtml(c)}</option>`).join('');
+            select.value = categories.includes(this.filters.category) ? this.filters.category : '';
+        }
+
+        const datalist = document.getElementById('event-category-options');
+        if (datalist) {
+            datalist.innerHTML = categories.map(c => `<option value="${Utils.escapeHtml(c)}">`).join('');
+        }
+    },
+
+    /**
+     * Render events table
+     */
+    render() {
+        const tableBody = document.getElementById('events-table-body');
+        if (!tableBody) return;
+
+        const events = this.getFilteredEvents();
+
+        if (events.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="calendar" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No events found</p>
+                        <p class="text-sm">${this.events.length === 0 ? 'Add an event or import a KAMAR calendar to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = events.map(event => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                    <div>${this.formatDateRange(event)}</div>
+                    <div class="text-xs text-gray-500">${this.formatTimeRange(event)}</div>
+                </td>
+                <td class="px-6 py-4">
+                    <div class="font-medium text-gray-900">${Utils.escapeHtml(event.title)}</div>
+                    ${event.source === 'kamar' ? '<span class="text-xs text-gray-500">Imported from KAMAR</span>' : ''}
+                </td>
+                <td class="px-6 py-4 text-sm text-gray-500">${Utils.escapeHtml(event.venue || '-')}</td>
+                <td class="px-6 py-4">
+                    ${event.category ? `<span class="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">${Utils.escapeHtml(event.category)}</span>` : ''}
+                </td>
+                <td class="px-6 py-4">
+                    <div class="flex items-center gap-2">
+                        <button onclick="EventManager.showEventModal('${event.id}')"
+                                class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Edit Event">
+                            <i data-feather="edit-2" class="w-4 h-4"></i>
+                        </button>
+                        ${isAdmin ? `
+                            <button onclick="EventManager.deleteEvent('${event.id}')"
+                                    class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    title="Delete Event">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Format an event's dates for display
+     * @param {Object} event
+     * @returns {string}
+     */
+    formatDateRange(event) {
+        const format = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-NZ', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+
+        if (event.endDate && event.endDate !== event.startDate) {
+            return `${format(event.startDate)} – ${format(event.endDate)}`;
+        }
+        return format(event.startDate);
+    },
+
+    /**
+     * Format an event's times for display
+     * @param {Object} event
+     * @returns {string}
+     */
+    formatTimeRange(event) {
+        if (event.allDay || !event.startTime) return 'All day';
+        return event.endTime ? `${event.startTime} – ${event.endTime}` : event.startTime;
+    },
+
+    /**
+     * Show or hide the start/end time inputs
+     * @param {boolean} visible
+     */
+    toggleTimeFields(visible) {
+        document.getElementById('event-time-fields')?.classList.toggle('hidden', !visible);
+    },
+
+    /**
+     * Show add/edit event modal
+     * @param {string} eventId - Event to edit, or none to add
+     */
+    showEventModal(eventId = null) {
+        const event = eventId ? this.events.find(e => e.id === eventId) : null;
+        if (eventId && !event) return;
+
+        this.editingEventId = eventId;
+
+        document.getElementById('event-form')?.reset();
+        document.getElementById('event-modal-title').textContent = event ? 'Edit Event' : 'Add Event';
+
+        if (event) {
+            document.getElementById('event-title').value = event.title || '';
+            document.getElementById('event-start-date').value = event.startDate || '';
+            document.getElementById('event-end-date').value = event.endDate || '';
+            document.getElementById('event-start-time').value = event.startTime || '';
+            document.getElementById('event-end-time').value = event.endTime || '';
+            document.getElementById('event-all-day').checked = Boolean(event.allDay);
+            document.getElementById('event-venue').value = event.venue || '';
+            document.getElementById('event-category').value = event.category || '';
+            document.getElementById('event-description').value = event.description || '';
+        }
+
+        this.toggleTimeFields(!event?.allDay);
+        document.getElementById('event-import-notice')?.classList.toggle('hidden', event?.source !== 'kamar');
+        document.getElementById('event-modal')?.classList.remove('hidden');
+        document.getElementById('event-title')?.focus();
+    },
+
+    /**
+     * Hide event modal
+     */
+    hideEventModal() {
+        document.getElementById('event-modal')?.classList.add('hidden');
+        this.editingEventId = null;
+    },
+
+    /**
+     * Save the event in the modal
+     */
+    async saveEvent() {
+        const allDay = document.getElementById('event-all-day')?.checked || false;
+
+        const eventData = {
+            title: document.getElementById('event-title')?.value.trim() || '',
+            startDate: document.getElementById('event-start-date')?.value || '',
+            endDate: document.getElementById('event-end-date')?.value || '',
+            startTime: allDay ? '' : document.getElementById('event-start-time')?.value || '',
+            endTime: allDay ? '' : document.getElementById('event-end-time')?.value || '',
+            allDay,
+            venue: document.getElementById('event-venue')?.value.trim() || '',
+            category: document.getElementById('event-category')?.value.trim() || '',
+            description: document.getElementById('event-description')?.value.trim() || ''
+        };
+
+        if (!eventData.title || !eventData.startDate) {
+            Toast.error('Please enter a title and start date');
+            return;
+        }
+
+        if (eventData.endDate === eventData.startDate) {
+            eventData.endDate = '';
+        }
+
+        if (eventData.endDate && eventData.endDate < eventData.startDate) {
+            Toast.error('End date must be after the start date');
+            return;
+        }
+
+        if (!eventData.endDate && eventData.startTime && eventData.endTime && eventData.endTime < eventData.startTime) {
+            Toast.error('End time must be after the start time');
+            return;
+        }
+
+        try {
+            eventData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+
+            if (this.editingEventId) {
+                await db.collection('events').doc(this.editingEventId).update(eventData);
+                await this.logActivity('update', `updated event "${eventData.title}"`);
+                Toast.success('Event updated');
+            } else {
+                eventData.source = 'manual';
+                eventData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('events').add(eventData);
+                await this.logActivity('create', `added event "${eventData.title}"`);
+                Toast.success('Event added');
+            }
+
+            this.hideEventModal();
+            await this.loadEvents();
+
+        } catch (error) {
+            console.error('Error saving event:', error);
+            Toast.error('Failed to save event');
+        }
+    },
+
+    /**
+     * Delete an event (admins only)
+     * @param {string} eventId
+     */
+    async deleteEvent(eventId) {
+        const event = this.events.find(e => e.id === eventId);
+        if (!event) return;
+
+        if (!confirm(`Delete "${event.title}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('events').doc(eventId).delete();
+
+            this.events = this.events.filter(e => e.id !== eventId);
+            Toast.success('Event deleted');
+            await this.logActivity('delete', `deleted event "${event.title}"`);
+
+            this.renderCategoryOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting event:', error);
+            Toast.error('Failed to delete event');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on events page
+    if (!document.getElementById('events-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                EventManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.EventManager = EventManager;
@@ -12,6 +12,14 @@ const firebaseConfig = {
   appId: "1:742516889418:web:a7c8b4eb76d53be13893b3"
 };
 
+// Draft preview server (build/preview-server.js)
+// serverUrl is only used until a Preview Server URL is saved in
+// Settings > General; the CMS warns while previews point at localhost
+const previewConfig = {
+  serverUrl: "http://localhost:5050",
+  tokenTtlDays: 7
+};
+
 // Validate configuration
 const isConfigured = firebaseConfig.apiKey !== "YOUR_API_KEY" &&
                      firebaseConfig.projectId !== "YOUR_PROJECT_ID";
@@ -81,6 +89,7 @@ try {
 
 // Export for use in other modules
 window.firebaseConfig = firebaseConfig;
+window.previewConfig = previewConfig;
 window.firebaseApp = app;
 window.auth = auth;
 window.db = db;
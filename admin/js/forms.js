@@ -0,0 +1,733 @@
+/**
+ * Middleton Grange CMS - Forms Module
+ *
+ * Form builder for website forms: text, email, phone, paragraph, radio,
+ * dropdown and checkbox fields, with required flags and fields shown only
+ * when another field has a given answer. Pages embed a form with
+ * {{form "id"}}; submissions arrive in the inbox (submissions.js) and are
+ * emailed to each form's notification recipients by build/form-notifier.js.
+ */
+
+const FormBuilder = {
+    // State
+    forms: [],
+    editingFormId: null,
+    fields: [],
+
+    // Field types offered in the builder
+    fieldTypes: {
+        text: 'Text',
+        email: 'Email',
+        tel: 'Phone',
+        textarea: 'Paragraph',
+        radio: 'Radio Buttons',
+        select: 'Dropdown',
+        checkbox: 'Checkboxes'
+    },
+
+    // Types that take a list of options
+    optionTypes: ['radio', 'select', 'checkbox'],
+
+    /**
+     * Initialize the form builder
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadForms();
+    },
+
+    /**
+     * Load forms from Firestore
+     */
+    async loadForms() {
+        try {
+            const snapshot = await db.collection('forms')
+                .orderBy('title', 'asc')
+                .get();
+
+            this.forms = [];
+            snapshot.forEach(doc => {
+                this.forms.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading forms:', error);
+            Toast.error('Failed to load forms');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-form-btn')?.addEventListener('click', () => this.showFormModal());
+        document.getElementById('cancel-form')?.addEventListener('click', () => this.hideFormModal());
+        document.getElementById('add-form-field')?.addEventListener('click', () => this.addField());
+
+        document.getElementById('form-builder')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+
+        // Auto-generate the form ID from the title for new forms
+        const titleInput = document.getElementById('form-title');
+        const idInput = document.getElementById('form-id');
+        if (titleInput && idInput) {
+            titleInput.addEventListener('input', () => {
+                if (!this.editingFormId) {
+                    idInput.value = Utils.slugify(titleInput.value);
+                    this.updateEmbedCode();
+                }
+            });
+            idInput.addEventListener('input', () => this.updateEmbedCode());
+        }
+
+        document.getElementById('form-template')?.addEventListener('change', (e) => {
+            this.applyTemplate(e.target.value);
+            e.target.value = '';
+        });
+
+        // Field cards: edits update the field state, buttons re-render
+        const fieldsContainer = document.getElementById('form-fields');
+        fieldsContainer?.addEventListener('input', (e) => this.updateFieldFromInput(e.target));
+        fieldsContainer?.addEventListener('change', (e) => this.updateFieldFromInput(e.target, true));
+        fieldsContainer?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('[data-index]').dataset.index);
+            if (button.dataset.action === 'up') this.moveField(index, -1);
+            if (button.dataset.action === 'down') this.moveField(index, 1);
+            if (button.dataset.action === 'remove') this.removeField(index);
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('form-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideFormModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideFormModal();
+            }
+        });
+    },
+
+    /**
+     * Get the shortcode that embeds a form in page content
+     * @param {string} formId
+     * @returns {string}
+     */
+    getEmbedCode(formId) {
+        return `{{form "${formId}"}}`;
+    },
+
+    /**
+     * Show the embed code for the form ID being entered
+     */
+    updateEmbedCode() {
+        const code = document.getElementById('form-embed-code');
+        if (code) {
+            code.textContent = this.getEmbedCode(document.getElementById('form-id')?.value.trim() || '...');
+        }
+    },
+
+    /**
+     * Render forms table
+     */
+    render() {
+        const tableBody = document.getElementById('forms-table-body');
+        if (!tableBody) return;
+
+        if (this.forms.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="clipboard" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No forms yet</p>
+                        <p class="text-sm">Create a form to get started.</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = this.forms.map(form => {
+            const recipients = form.recipients || [];
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <div class="font-medium text-gray-900">${Utils.escapeHtml(form.title)}</div>
+                        ${form.description ? `<div class="text-sm text-gray-500 truncate max-w-xs">${Utils.escapeHtml(form.description)}</div>` : ''}
+                    </td>
+                    <td class="px-6 py-4">
+                        <code class="text-sm bg-gray-100 px-2 py-1 rounded">${Utils.escapeHtml(this.getEmbedCode(form.id))}</code>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${(form.fields || []).length}</td>
+                    <td class="px-6 py-4 text-sm text-gray-700">
+                        ${recipients.length ? Utils.escapeHtml(recipients.join(', ')) : '<span class="text-gray-400">None</span>'}
+                    </td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            <button onclick="FormBuilder.showFormModal('${form.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Edit Form">
+                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                            </button>
+                            <a href="submissions.html?form=${encodeURIComponent(form.id)}"
+                               class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                               title="View Submissions">
+                                <i data-feather="inbox" class="w-4 h-4"></i>
+                            </a>
+                            ${isAdmin ? `
+                                <button onclick="FormBuilder.deleteForm('${form.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Form">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show the form builder
+     * @param {string} formId - Form to edit, or none to create
+     */
+    showFormModal(formId = null) {
+        const form = formId ? this.forms.find(f => f.id === formId) : null;
+        if (formId && !form) return;
+
+        this.editingFormId = formId;
+
+        document.getElementById('form-builder')?.reset();
+        document.getElementById('form-modal-title').textContent = form ? 'Edit Form' : 'New Form';
+
+        const idInput = document.getElementById('form-id');
+        idInput.value = form?.id || '';
+        idInput.disabled = !!form;
+
+        document.getElementById('form-title').value = form?.title || '';
+        document.getElementById('form-description').value = form?.description || '';
+        document.getElementById('form-submit-label').value = form?.submitLabel || '';
+        document.getElementById('form-success-message').value = form?.successMessage || '';
+        document.getElementById('form-recipients').value = (form?.recipients || []).join(', ');
+
+        this.fields = (form?.fields || []).map(field => ({ ...field, options: [...(field.options || [])] }));
+        this.updateEmbedCode();
+        this.renderFields();
+
+        document.getElementById('form-modal')?.classList.remove('hidden');
+        document.getElementById('form-title')?.focus();
+    },
+
+    /**
+     * Hide the form builder
+     */
+    hideFormModal() {
+        document.getElementById('form-modal')?.classList.add('hidden');
+        this.editingFormId = null;
+        this.fields = [];
+    },
+
+    /**
+     * Render the field cards in the builder
+     */
+    renderFields() {
+        const container = document.getElementById('form-fields');
+        if (!container) return;
+
+        if (this.fields.length === 0) {
+            container.innerHTML = `
+                <div class="px-4 py-8 text-center text-sm text-gray-500 border-2 border-dashed border-gray-200 rounded-lg">
+                    No fields yet. Add a field or start from a template.
+                </div>
+            `;
+            return;
+        }
+
+        const inputClass = 'w-full px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+        container.innerHTML = this.fields.map((field, index) => {
+            const others = this.fields.filter((other, i) => i !== index && other.name);
+            const hasOptions = this.optionTypes.includes(field.type);
+
+            return `
+                <div class="border border-gray-200 rounded-lg p-3 bg-gray-50" data-index="${index}">
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="text-xs font-semibold text-gray-500 uppercase">Field ${index + 1}</span>
+                        <div class="flex items-center gap-1">
+                            <button type="button" data-action="up" class="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move Up" ${index === 0 ? 'disabled' : ''}>
+                                <i data-feather="arrow-up" class="w-4 h-4"></i>
+                            </button>
+                            <button type="button" data-action="down" class="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move Down" ${index === this.fields.length - 1 ? 'disabled' : ''}>
+                                <i data-feather="arrow-down" class="w-4 h-4"></i>
+                            </button>
+                            <button type="button" data-action="remove" class="p-1 text-gray-400 hover:text-red-600" title="Remove Field">
+                                <i data-feather="x" class="w-4 h-4"></i>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="grid grid-cols-12 gap-2">
+                        <div class="col-span-5">
+                            <label class="block text-xs text-gray-600 mb-1">Label</label>
+                            <input type="text" data-prop="label" value="${Utils.escapeHtml(field.label || '')}" class="${inputClass}">
+                        </div>
+                        <div class="col-span-3">
+                            <label class="block text-xs text-gray-600 mb-1">Name</label>
+                            <input type="text" data-prop="name" value="${Utils.escapeHtml(field.name || '')}" class="${inputClass}">
+                        </div>
+                        <div class="col-span-3">
+                            <label class="block text-xs text-gray-600 mb-1">Type</label>
+                            <select data-prop="type" class="${inputClass}">
+                                ${Object.entries(this.fieldTypes).map(([value, label]) => `
+                                    <option value="${value}" ${field.type === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="col-span-1 flex items-end pb-2">
+                            <label class="inline-flex items-center text-xs text-gray-600" title="Required">
+                                <input type="checkbox" data-prop="required" ${field.required ? 'checked' : ''} class="mr-1">Req.
+                            </label>
+                        </div>
+
+                        <div class="col-span-6">
+                            <label class="block text-xs text-gray-600 mb-1">Placeholder</label>
+                            <input type="text" data-prop="placeholder" value="${Utils.escapeHtml(field.placeholder || '')}" class="${inputClass}">
+                        </div>
+                        <div class="col-span-6">
+                            <label class="block text-xs text-gray-600 mb-1">Help Text</label>
+                            <input type="text" data-prop="helpText" value="${Utils.escapeHtml(field.helpText || '')}" class="${inputClass}">
+                        </div>
+
+                        ${hasOptions ? `
+                            <div class="col-span-12">
+                                <label class="block text-xs text-gray-600 mb-1">Options (one per line)${field.type === 'checkbox' ? ' - leave empty for a single tick box' : ''}</label>
+                                <textarea data-prop="options" rows="3" class="${inputClass}">${Utils.escapeHtml((field.options || []).join('\n'))}</textarea>
+                            </div>
+                        ` : ''}
+
+                        <div class="col-span-6">
+                            <label class="block text-xs text-gray-600 mb-1">Only show when</label>
+                            <select data-prop="conditionField" class="${inputClass}">
+                                <option value="">Always show</option>
+                                ${others.map(other => `
+                                    <option value="${Utils.escapeHtml(other.name)}" ${field.condition?.field === other.name ? 'selected' : ''}>
+                                        ${Utils.escapeHtml(other.label || other.name)}
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="col-span-6 ${field.condition?.field ? '' : 'hidden'}">
+                            <label class="block text-xs text-gray-600 mb-1">has the answer</label>
+                            <input type="text" data-prop="conditionValue" value="${Utils.escapeHtml(field.condition?.value || '')}" placeholder="Any answer" class="${inputClass}">
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Copy an edited input back into the field state
+     * @param {HTMLElement} input
+     * @param {boolean} isChange - Change event (re-render when the layout depends on it)
+     */
+    updateFieldFromInput(input, isChange = false) {
+        const card = input.closest('[data-index]');
+        const prop = input.dataset.prop;
+        if (!card || !prop) return;
+
+        const field = this.fields[Number(card.dataset.index)];
+        if (!field) return;
+
+        switch (prop) {
+            case 'label':
+                // Keep the name following the label until it is edited by hand
+                if (!field.nameEdited) {
+                    field.name = this.toFieldName(input.value);
+                    card.querySelector('[data-prop="name"]').value = field.name;
+                }
+                field.label = input.value;
+                break;
+            case 'name':
+                field.name = this.toFieldName(input.value);
+                field.nameEdited = true;
+                if (isChange) input.value = field.name;
+                break;
+            case 'required':
+                field.required = input.checked;
+                break;
+            case 'options':
+                field.options = input.value.split('\n').map(option => option.trim()).filter(Boolean);
+                break;
+            case 'conditionField':
+                field.condition = input.value ? { field: input.value, value: field.condition?.value || '' } : null;
+                break;
+            case 'conditionValue':
+                if (field.condition) field.condition.value = input.value.trim();
+                break;
+            default:
+                field[prop] = input.value;
+        }
+
+        // Type and condition changes show or hide parts of the card; label
+        // and name changes feed the other cards' "Only show when" lists
+        if (isChange && ['type', 'conditionField', 'label', 'name'].includes(prop)) {
+            this.renderFields();
+        }
+    },
+
+    /**
+     * Turn a label into a field name, e.g. "First Name" -> "first_name"
+     * @param {string} text
+     * @returns {string}
+     */
+    toFieldName(text) {
+        return Utils.slugify(text).replace(/-/g, '_').slice(0, 40);
+    },
+
+    /**
+     * Add a blank field
+     */
+    addField() {
+        this.fields.push({ label: '', name: '', type: 'text', required: false, options: [], condition: null });
+        this.renderFields();
+
+        const cards = document.querySelectorAll('#form-fields [data-index]');
+        cards[cards.length - 1]?.querySelector('[data-prop="label"]')?.focus();
+    },
+
+    /**
+     * Move a field up or down
+     * @param {number} index
+     * @param {number} direction - -1 for up, 1 for down
+     */
+    moveField(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.fields.length) return;
+
+        [this.fields[index], this.fields[target]] = [this.fields[target], this.fields[index]];
+        this.renderFields();
+    },
+
+    /**
+     * Remove a field, and any conditions that depended on it
+     * @param {number} index
+     */
+    removeField(index) {
+        const [removed] = this.fields.splice(index, 1);
+
+        this.fields.forEach(field => {
+            if (removed?.name && field.condition?.field === removed.name) {
+                field.condition = null;
+            }
+        });
+
+        this.renderFields();
+    },
+
+    /**
+     * Fill the builder from a template. Replaces any fields already added.
+     * @param {string} templateId
+     */
+    applyTemplate(templateId) {
+        const template = FORM_TEMPLATES[templateId];
+        if (!template) return;
+
+        if (this.fields.length > 0 && !confirm('Replace the current fields with this template?')) {
+            return;
+        }
+
+        const titleInput = document.getElementById('form-title');
+        if (!titleInput.value.trim()) {
+            titleInput.value = template.title;
+            if (!this.editingFormId) {
+                document.getElementById('form-id').value = Utils.slugify(template.title);
+                this.updateEmbedCode();
+            }
+        }
+
+        if (!document.getElementById('form-description').value.trim()) {
+            document.getElementById('form-description').value = template.description;
+        }
+
+        this.fields = template.fields.map(field => ({
+            placeholder: '',
+            helpText: '',
+            options: [],
+            condition: null,
+            ...field,
+            nameEdited: true
+        }));
+        this.renderFields();
+    },
+
+    /**
+     * Check the fields can be saved
+     * @returns {string|null} - Error message, or null when valid
+     */
+    validateFields() {
+        if (this.fields.length === 0) {
+            return 'Please add at least one field';
+        }
+
+        const names = new Set();
+
+        for (const [index, field] of this.fields.entries()) {
+            const label = field.label?.trim() || `Field ${index + 1}`;
+
+            if (!field.label?.trim() || !field.name) {
+                return `${label} needs a label and a name`;
+            }
+            if (names.has(field.name)) {
+                return `More than one field is named "${field.name}"`;
+            }
+            if ((field.type === 'radio' || field.type === 'select') && (field.options || []).length === 0) {
+                return `${label} needs at least one option`;
+            }
+            if (field.condition?.field && !this.fields.some(other => other !== field && other.name === field.condition.field)) {
+                return `${label} depends on a field that no longer exists`;
+            }
+
+            names.add(field.name);
+        }
+
+        return null;
+    },
+
+    /**
+     * Save the form in the builder
+     */
+    async saveForm() {
+        const title = document.getElementById('form-title')?.value.trim() || '';
+        const formId = this.editingFormId || Utils.slugify(document.getElementById('form-id')?.value || title);
+        const recipients = (document.getElementById('form-recipients')?.value || '')
+            .split(/[,;\s]+/)
+            .map(email => email.trim())
+            .filter(Boolean);
+
+        if (!title || !formId) {
+            Toast.error('Please enter a title and form ID');
+            return;
+        }
+
+        if (!this.editingFormId && this.forms.some(f => f.id === formId)) {
+            Toast.error('Another form already uses this ID');
+            document.getElementById('form-id')?.focus();
+            return;
+        }
+
+        const invalidEmail = recipients.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+        if (invalidEmail) {
+            Toast.error(`"${invalidEmail}" is not a valid email address`);
+            return;
+        }
+
+        const fieldError = this.validateFields();
+        if (fieldError) {
+            Toast.error(fieldError);
+            return;
+        }
+
+        const formData = {
+            title,
+            description: document.getElementById('form-description')?.value.trim() || '',
+            submitLabel: document.getElementById('form-submit-label')?.value.trim() || '',
+            successMessage: document.getElementById('form-success-message')?.value.trim() || '',
+            recipients,
+            fields: this.fields.map(field => ({
+                name: field.name,
+                label: field.label.trim(),
+                type: field.type,
+                required: !!field.required,
+                placeholder: field.placeholder?.trim() || '',
+                helpText: field.helpText?.trim() || '',
+                options: this.optionTypes.includes(field.type) ? field.options || [] : [],
+                condition: field.condition?.field ? { field: field.condition.field, value: field.condition.value || '' } : null
+            })),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingFormId) {
+                await db.collection('forms').doc(formId).update(formData);
+                await this.logActivity('update', `updated form "${title}"`);
+                Toast.success('Form updated');
+            } else {
+                formData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('forms').doc(formId).set(formData);
+                await this.logActivity('create', `created form "${title}"`);
+                Toast.success('Form created');
+            }
+
+            this.hideFormModal();
+            await this.loadForms();
+
+        } catch (error) {
+            console.error('Error saving form:', error);
+            Toast.error('Failed to save form');
+        }
+    },
+
+    /**
+     * Delete a form (admins only). Its submissions are kept.
+     * @param {string} formId
+     */
+    async deleteForm(formId) {
+        const form = this.forms.find(f => f.id === formId);
+        if (!form) return;
+
+        if (!confirm(`Delete "${form.title}"? Pages embedding it will no longer show the form. Submissions already received are kept.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('forms').doc(formId).delete();
+
+            this.forms = this.forms.filter(f => f.id !== formId);
+            Toast.success('Form deleted');
+            await this.logActivity('delete', `deleted form "${form.title}"`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting form:', error);
+            Toast.error('Failed to delete form');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// FORM TEMPLATES
+// ============================================
+
+// Address fields shared by the alumni forms
+const ALUMNI_ADDRESS_FIELDS = [
+    { name: 'street_address', label: 'Street Address', type: 'text' },
+    { name: 'address_line_2', label: 'Address Line 2', type: 'text' },
+    { name: 'city', label: 'City', type: 'text' },
+    { name: 'postal_code', label: 'ZIP/Postal Code', type: 'text' },
+    {
+        name: 'country',
+        label: 'Country',
+        type: 'select',
+        options: [
+            'New Zealand', 'Australia', 'Canada', 'China', 'Fiji', 'Germany', 'Hong Kong',
+            'India', 'Japan', 'Malaysia', 'Netherlands', 'Philippines', 'Samoa', 'Singapore',
+            'South Africa', 'South Korea', 'Thailand', 'Tonga', 'United Kingdom',
+            'United States', 'Vietnam', 'Other'
+        ]
+    }
+];
+
+// Starting points matching the school's existing forms
+const FORM_TEMPLATES = {
+    'alumni-registration': {
+        title: 'New Alumni Registration',
+        description: 'Join the Middleton Grange alumni community and stay in touch with the school.',
+        fields: [
+            { name: 'first_name', label: 'First Name', type: 'text', required: true },
+            { name: 'last_name', label: 'Last Name', type: 'text', required: true },
+            { name: 'maiden_name', label: 'Maiden Name', type: 'text' },
+            { name: 'email', label: 'Email', type: 'email', required: true },
+            { name: 'mobile_phone', label: 'Mobile Phone', type: 'tel' },
+            {
+                name: 'past_role',
+                label: 'Are you a past:',
+                type: 'radio',
+                required: true,
+                options: ['Student', 'Staff', 'Board', 'Other']
+            },
+            {
+                name: 'relationship',
+                label: 'Relationship with school',
+                type: 'text',
+                required: true,
+                condition: { field: 'past_role', value: 'Other' }
+            },
+            { name: 'year_finished', label: 'Year finished at MGS', type: 'text' },
+            { name: 'achievements', label: 'Achievements/Awards', type: 'textarea' },
+            ...ALUMNI_ADDRESS_FIELDS
+        ]
+    },
+    'alumni-update': {
+        title: 'Alumni Update Details',
+        description: 'Let us know your new contact details or what you have been up to since leaving school.',
+        fields: [
+            { name: 'first_name', label: 'First Name', type: 'text', required: true },
+            { name: 'last_name', label: 'Last Name', type: 'text', required: true },
+            { name: 'maiden_name', label: 'Maiden Name', type: 'text' },
+            { name: 'email', label: 'Email', type: 'email', required: true },
+            { name: 'mobile_phone', label: 'Mobile Phone', type: 'tel' },
+            { name: 'year_finished', label: 'Year finished at MGS', type: 'text' },
+            { name: 'achievements', label: 'Achievements/Awards', type: 'textarea' },
+            ...ALUMNI_ADDRESS_FIELDS
+        ]
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on forms page
+    if (!document.getElementById('forms-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                FormBuilder.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.FormBuilder = FormBuilder;
@@ -0,0 +1,473 @@
+/**
+ * Middleton Grange CMS - Jobs Module
+ *
+ * Handles vacancies shown on pages with the "Job Listing" page type:
+ * adding, editing and deleting jobs with an optional PDF job description.
+ * The site build leaves jobs out once their closing date has passed.
+ */
+
+const JobManager = {
+    // State
+    jobs: [],
+    editingJobId: null,
+    pdf: null,
+    filters: {
+        search: '',
+        status: 'open'
+    },
+
+    /**
+     * Initialize job management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadJobs();
+    },
+
+    /**
+     * Load jobs from Firestore
+     */
+    async loadJobs() {
+        try {
+            const snapshot = await db.collection('jobs')
+                .orderBy('closingDate', 'desc')
+                .get();
+
+            this.jobs = [];
+            snapshot.forEach(doc => {
+                this.jobs.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading jobs:', error);
+            Toast.error('Failed to load jobs');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-job-btn')?.addEventListener('click', () => this.showJobModal());
+        document.getElementById('cancel-job')?.addEventListener('click', () => this.hideJobModal());
+
+        document.getElementById('job-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveJob();
+        });
+
+        // PDF upload
+        const pdfInput = document.getElementById('job-pdf-input');
+        document.getElementById('job-pdf-btn')?.addEventListener('click', () => pdfInput?.click());
+        pdfInput?.addEventListener('change', (e) => this.uploadPdf(e.target.files[0]));
+        document.getElementById('job-pdf-remove')?.addEventListener('click', () => this.setPdf(null));
+
+        // Filters
+        const searchInput = document.getElementById('search-jobs');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-status')?.addEventListener('change', (e) => {
+            this.filters.status = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('job-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideJobModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideJobModal();
+            }
+        });
+    },
+
+    /**
+     * Get today's date as YYYY-MM-DD in local time
+     * @returns {string}
+     */
+    getToday() {
+        const now = new Date();
+        return [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('-');
+    },
+
+    /**
+     * Check if a job is still open. Jobs close at the end of their closing date.
+     * @param {Object} job
+     * @returns {boolean}
+     */
+    isOpen(job) {
+        return !!job.closingDate && job.closingDate >= this.getToday();
+    },
+
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} date
+     * @returns {string}
+     */
+    formatDate(date) {
+        if (!date) return '-';
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-NZ', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    },
+
+    /**
+     * Get jobs matching the current filters
+     * @returns {Array}
+     */
+    getFilteredJobs() {
+        return this.jobs.filter(job => {
+            if (this.filters.status === 'open' && !this.isOpen(job)) return false;
+            if (this.filters.status === 'closed' && this.isOpen(job)) return false;
+
+            if (this.filters.search) {
+                const haystack = [job.title, job.reportsTo, job.summary]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render jobs table
+     */
+    render() {
+        const tableBody = document.getElementById('jobs-table-body');
+        if (!tableBody) return;
+
+        const jobs = this.getFilteredJobs();
+
+        if (jobs.length === 0) {
+            const message = this.jobs.length === 0
+                ? 'Add a job to get started.'
+                : this.filters.status === 'open' ? 'There are no open vacancies.' : 'Try changing the filters.';
+
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="briefcase" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No jobs found</p>
+                        <p class="text-sm">${message}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = jobs.map(job => {
+            const open = this.isOpen(job);
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <div class="font-medium text-gray-900">${Utils.escapeHtml(job.title)}</div>
+                        <div class="text-sm text-gray-500">
+                            ${Utils.escapeHtml(job.hours || '')}
+                            ${job.pdfUrl ? '<i data-feather="paperclip" class="w-3 h-3 inline-block ml-1" title="PDF attached"></i>' : ''}
+                        </div>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${this.formatDate(job.closingDate)}</td>
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${open ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}">
+                            ${open ? 'Open' : 'Closed'}
+                        </span>
+                    </td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            <button onclick="JobManager.showJobModal('${job.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Edit Job">
+                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                            </button>
+                            <button onclick="JobManager.duplicateJob('${job.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Re-advertise">
+                                <i data-feather="copy" class="w-4 h-4"></i>
+                            </button>
+                            ${isAdmin ? `
+                                <button onclick="JobManager.deleteJob('${job.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Job">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit job modal
+     * @param {string} jobId - Job to edit, or none to add
+     * @param {Object} template - Values to start a new job from
+     */
+    showJobModal(jobId = null, template = null) {
+        const job = jobId ? this.jobs.find(j => j.id === jobId) : template;
+        if (jobId && !job) return;
+
+        this.editingJobId = jobId;
+
+        document.getElementById('job-form')?.reset();
+        document.getElementById('job-modal-title').textContent = jobId ? 'Edit Job' : 'Add Job';
+
+        document.getElementById('job-title').value = job?.title || '';
+        document.getElementById('job-employment-type').value = job?.employmentType || '';
+        document.getElementById('job-hours').value = job?.hours || '';
+        document.getElementById('job-reports-to').value = job?.reportsTo || '';
+        document.getElementById('job-relationships').value = job?.relationships || '';
+        document.getElementById('job-posted-date').value = job?.postedDate || this.getToday();
+        document.getElementById('job-closing-date').value = job?.closingDate || '';
+        document.getElementById('job-summary').value = job?.summary || '';
+        this.setPdf(job?.pdfUrl ? { url: job.pdfUrl, path: job.pdfPath || null, name: job.pdfName || 'Job description.pdf' } : null);
+
+        document.getElementById('job-modal')?.classList.remove('hidden');
+        document.getElementById('job-title')?.focus();
+    },
+
+    /**
+     * Hide job modal
+     */
+    hideJobModal() {
+        document.getElementById('job-modal')?.classList.add('hidden');
+        this.editingJobId = null;
+    },
+
+    /**
+     * Start a new job from an existing one, with fresh dates
+     * @param {string} jobId
+     */
+    duplicateJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) return;
+
+        this.showJobModal(null, { ...job, postedDate: null, closingDate: null });
+    },
+
+    /**
+     * Set the PDF attached in the modal
+     * @param {Object|null} pdf - { url, path, name }
+     */
+    setPdf(pdf) {
+        this.pdf = pdf;
+
+        const nameEl = document.getElementById('job-pdf-name');
+        if (nameEl) {
+            nameEl.innerHTML = pdf
+                ? `<a href="${Utils.escapeHtml(pdf.url)}" target="_blank" rel="noopener" class="text-blue-600 hover:underline">${Utils.escapeHtml(pdf.name)}</a>`
+                : 'No file attached';
+        }
+
+        document.getElementById('job-pdf-btn').textContent = pdf ? 'Replace PDF' : 'Upload PDF';
+        document.getElementById('job-pdf-remove')?.classList.toggle('hidden', !pdf);
+    },
+
+    /**
+     * Upload a job description PDF to the jobs storage folder
+     * @param {File} file
+     */
+    async uploadPdf(file) {
+        if (!file) return;
+
+        if (file.type !== 'application/pdf') {
+            Toast.error('Please select a PDF file');
+            return;
+        }
+
+        if (file.size > 10 * 1024 * 1024) {
+            Toast.error('PDF must be less than 10MB');
+            return;
+        }
+
+        const progressContainer = document.getElementById('job-pdf-progress');
+        const progressBar = document.getElementById('job-pdf-bar');
+        const saveBtn = document.getElementById('save-job');
+
+        progressContainer?.classList.remove('hidden');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const safeFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+            const storagePath = `jobs/${Date.now()}_${safeFilename}`;
+            const uploadTask = storage.ref(storagePath).put(file);
+
+            await new Promise((resolve, reject) => {
+                uploadTask.on('state_changed',
+                    (snapshot) => {
+                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+                        if (progressBar) progressBar.style.width = `${progress}%`;
+                    },
+                    reject,
+                    resolve
+                );
+            });
+
+            const url = await uploadTask.snapshot.ref.getDownloadURL();
+            this.setPdf({ url, path: storagePath, name: file.name });
+
+        } catch (error) {
+            console.error('PDF upload error:', error);
+            Toast.error('Failed to upload PDF');
+        } finally {
+            progressContainer?.classList.add('hidden');
+            if (progressBar) progressBar.style.width = '0%';
+            if (saveBtn) saveBtn.disabled = false;
+            document.getElementById('job-pdf-input').value = '';
+        }
+    },
+
+    /**
+     * Save the job in the modal
+     */
+    async saveJob() {
+        const title = document.getElementById('job-title')?.value.trim() || '';
+        const closingDate = document.getElementById('job-closing-date')?.value || '';
+        const postedDate = document.getElementById('job-posted-date')?.value || this.getToday();
+
+        if (!title || !closingDate) {
+            Toast.error('Please enter a position title and closing date');
+            return;
+        }
+
+        if (closingDate < postedDate) {
+            Toast.error('Closing date cannot be before the date posted');
+            return;
+        }
+
+        const jobData = {
+            title,
+            employmentType: document.getElementById('job-employment-type')?.value || '',
+            hours: document.getElementById('job-hours')?.value.trim() || '',
+            reportsTo: document.getElementById('job-reports-to')?.value.trim() || '',
+            relationships: document.getElementById('job-relationships')?.value.trim() || '',
+            postedDate,
+            closingDate,
+            summary: document.getElementById('job-summary')?.value.trim() || '',
+            pdfUrl: this.pdf?.url || null,
+            pdfPath: this.pdf?.path || null,
+            pdfName: this.pdf?.name || null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingJobId) {
+                await db.collection('jobs').doc(this.editingJobId).update(jobData);
+                await this.logActivity('update', `updated job "${title}"`);
+                Toast.success('Job updated');
+            } else {
+                jobData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('jobs').add(jobData);
+                await this.logActivity('create', `added job "${title}"`);
+                Toast.success('Job added');
+            }
+
+            this.hideJobModal();
+            await this.loadJobs();
+
+        } catch (error) {
+            console.error('Error saving job:', error);
+            Toast.error('Failed to save job');
+        }
+    },
+
+    /**
+     * Delete a job (admins only)
+     * @param {string} jobId
+     */
+    async deleteJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) return;
+
+        if (!confirm(`Delete "${job.title}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('jobs').doc(jobId).delete();
+
+            this.jobs = this.jobs.filter(j => j.id !== jobId);
+            Toast.success('Job deleted');
+            await this.logActivity('delete', `deleted job "${job.title}"`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting job:', error);
+            Toast.error('Failed to delete job');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on jobs page
+    if (!document.getElementById('jobs-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                JobManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.JobManager = JobManager;
@@ -385,7 +385,8 @@ const MediaLibrary = {
     getThumbnail(media) {
         switch (media.type) {
             case 'image':
-                return `<img src="${media.url}" alt="${Utils.escapeHtml(media.alt || media.filename)}"
+                return `<img src="${this.getThumbnailUrl(media, 'small')}" ${this.getThumbnailSrcset(media)}
+                        alt="${Utils.escapeHtml(media.alt || media.filename)}"
                         class="w-full h-full object-cover" loading="lazy">`;
             case 'video':
                 return `
@@ -411,6 +412,28 @@ const MediaLibrary = {
         }
     },
 
+    /**
+     * Get the URL of an image's thumbnail, made by build/thumbnail-worker.js.
+     * Images the worker hasn't reached yet use the original.
+     * @param {Object} media
+     * @param {string} size - 'small' or 'medium'
+     * @returns {string}
+     */
+    getThumbnailUrl(media, size) {
+        return media.thumbnails?.[size]?.url || media.url;
+    },
+
+    /**
+     * Get a srcset attribute that swaps in the medium thumbnail on high
+     * density screens, or nothing if there are no thumbnails
+     * @param {Object} media
+     * @returns {string}
+     */
+    getThumbnailSrcset(media) {
+        const { small, medium } = media.thumbnails || {};
+        return small && medium ? `srcset="${small.url} 1x, ${medium.url} 2x"` : '';
+    },
+
     /**
      * Render empty state
      */
@@ -653,7 +676,7 @@ const MediaLibrary = {
         const previewEl = document.getElementById('media-preview');
         if (previewEl) {
             if (media.type === 'image') {
-                previewEl.innerHTML = `<img src="${media.url}" alt="${Utils.escapeHtml(media.alt || media.filename)}" class="max-w-full max-h-64 object-contain">`;
+                previewEl.innerHTML = `<img src="${this.getThumbnailUrl(media, 'medium')}" alt="${Utils.escapeHtml(media.alt || media.filename)}" class="max-w-full max-h-64 object-contain">`;
             } else if (media.type === 'video') {
                 previewEl.innerHTML = `<video src="${media.url}" controls class="max-w-full max-h-64"></video>`;
             } else if (media.type === 'pdf') {
@@ -754,6 +777,17 @@ const MediaLibrary = {
                 await storage.ref(media.storagePath).delete();
             }
 
+            // Thumbnails go too. One that's already gone is fine; any other
+            // failure is reported but doesn't stop the delete
+            let thumbnailErrors = 0;
+            for (const thumbnail of Object.values(media.thumbnails || {})) {
+                await storage.ref(thumbnail.path).delete().catch(error => {
+                    if (error.code === 'storage/object-not-found') return;
+                    console.error(`Error deleting thumbnail ${thumbnail.path}:`, error);
+                    thumbnailErrors++;
+                });
+            }
+
             // Delete from Firestore
             await db.collection('media').doc(id).delete();
 
@@ -762,6 +796,9 @@ const MediaLibrary = {
             this.selectedMedia.delete(id);
 
             Toast.success('File deleted');
+            if (thumbnailErrors) {
+                Toast.warning(`${thumbnailErrors} thumbnail${thumbnailErrors > 1 ? 's' : ''} of ${media.filename} couldn't be deleted`);
+            }
             this.applyFilters();
             this.updateBulkActions();
 
@@ -1048,7 +1085,8 @@ const ImagePicker = {
                 html += `
                     <div class="picker-image aspect-square bg-gray-100 rounded-lg overflow-hidden cursor-pointer border-2 border-transparent hover:border-blue-300 transition-all"
                          data-id="${img.id}">
-                        <img src="${img.url}" alt="${Utils.escapeHtml(img.alt || img.filename)}"
+                        <img src="${MediaLibrary.getThumbnailUrl(img, 'small')}" ${MediaLibrary.getThumbnailSrcset(img)}
+                             alt="${Utils.escapeHtml(img.alt || img.filename)}"
                              class="w-full h-full object-cover" loading="lazy">
                     </div>
                 `;
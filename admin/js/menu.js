@@ -2,6 +2,12 @@
  * Middleton Grange CMS - Menu Manager Module
  *
  * Handles menu section management with drag-and-drop reordering.
+ *
+ * Each section has a tree of menu items (`items` on the section
+ * document). An item is a page, an external link, an anchor on a page or
+ * a group heading, and any item can have sub-items, up to three levels.
+ * Pages in the tree also keep `menuSection` and `menuOrder`, which the
+ * page editor, page list and sidebar use.
  */
 
 const MenuManager = {
@@ -11,8 +17,23 @@ const MenuManager = {
     expandedSections: new Set(),
     editingSectionId: null,
     deletingSectionId: null,
+    editingItem: null,
     sectionSortable: null,
-    pageSortables: {},
+    itemSortables: {},
+
+    // Configuration
+    config: {
+        // Levels of items below a section
+        maxDepth: 3
+    },
+
+    // Kinds of menu item
+    itemTypes: {
+        page: { label: 'Page', icon: 'file-text' },
+        link: { label: 'Link', icon: 'external-link' },
+        anchor: { label: 'Anchor on a page', icon: 'hash' },
+        group: { label: 'Group heading', icon: 'folder' }
+    },
 
     /**
      * Initialize menu manager
@@ -87,6 +108,15 @@ const MenuManager = {
             });
         }
 
+        // Menu item form
+        document.getElementById('item-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveItem();
+        });
+
+        document.getElementById('item-type')?.addEventListener('change', () => this.updateItemFields());
+        document.getElementById('cancel-item')?.addEventListener('click', () => this.hideItemModal());
+
         // Delete confirmation
         const cancelDeleteBtn = document.getElementById('cancel-delete-section');
         const confirmDeleteBtn = document.getElementById('confirm-delete-section');
@@ -108,11 +138,16 @@ const MenuManager = {
             if (e.target.id === 'delete-section-modal') this.hideDeleteModal();
         });
 
+        document.getElementById('item-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'item-modal') this.hideItemModal();
+        });
+
         // ESC to close modals
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.hideSectionModal();
                 this.hideDeleteModal();
+                this.hideItemModal();
             }
         });
     },
@@ -143,7 +178,8 @@ const MenuManager = {
         let html = '';
         this.sections.forEach((section, index) => {
             const isExpanded = this.expandedSections.has(section.id);
-            const sectionPages = this.getPagesBySection(section.id);
+            const items = this.getSectionItems(section);
+            const itemCount = this.flattenItems(items).length;
             const visibilityClass = section.visible !== false ? 'text-green-600' : 'text-gray-400';
             const visibilityIcon = section.visible !== false ? 'eye' : 'eye-off';
 
@@ -172,7 +208,7 @@ const MenuManager = {
                         </div>
 
                         <div class="flex items-center gap-2 ml-4">
-                            <span class="text-sm text-gray-500">${sectionPages.length} pages</span>
+                            <span class="text-sm text-gray-500">${itemCount} item${itemCount === 1 ? '' : 's'}</span>
 
                             <button onclick="MenuManager.editSection('${section.id}')"
                                     class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
@@ -194,9 +230,9 @@ const MenuManager = {
                         </div>
                     </div>
 
-                    <!-- Section Pages (expandable) -->
+                    <!-- Section Items (expandable) -->
                     <div class="section-pages ${isExpanded ? '' : 'hidden'}" data-section-id="${section.id}">
-                        ${this.renderSectionPages(section.id, sectionPages)}
+                        ${this.renderSectionItems(section.id, items)}
                     </div>
                 </div>
             `;
@@ -208,85 +244,130 @@ const MenuManager = {
         // Initialize drag-and-drop for sections
         this.initSectionSortable();
 
-        // Initialize drag-and-drop for pages in expanded sections
+        // Initialize drag-and-drop for items in expanded sections
         this.expandedSections.forEach(sectionId => {
-            this.initPageSortable(sectionId);
+            this.initItemSortables(sectionId);
         });
     },
 
     /**
-     * Render pages within a section
+     * Render the item tree of a section
      * @param {string} sectionId
-     * @param {Array} pages
+     * @param {Array} items
      * @returns {string}
      */
-    renderSectionPages(sectionId, pages) {
-        if (pages.length === 0) {
-            return `
+    renderSectionItems(sectionId, items) {
+        let html = '';
+
+        if (items.length === 0) {
+            html += `
                 <div class="p-4 text-center text-gray-500">
-                    <p class="text-sm">No pages in this section</p>
+                    <p class="text-sm">No items in this section</p>
                     <a href="page-editor.html" class="text-blue-600 hover:underline text-sm">Create a page</a>
                 </div>
             `;
         }
 
-        // Sort pages by menuOrder
-        const sortedPages = [...pages].sort((a, b) => (a.menuOrder || 0) - (b.menuOrder || 0));
+        // The top-level list is rendered even when empty, so items can be dropped into it
+        html += `<div class="menu-item-list divide-y divide-gray-100" data-section-id="${sectionId}">
+                    ${items.map(item => this.renderItem(sectionId, item, 1)).join('')}
+                </div>`;
 
-        let html = '<div class="page-list divide-y divide-gray-100">';
+        // Add item button
+        html += `
+            <div class="p-3 bg-gray-50 border-t border-gray-100">
+                <button onclick="MenuManager.showItemModal('${sectionId}')"
+                        class="w-full py-2 text-center text-blue-600 hover:text-blue-800 text-sm font-medium hover:bg-blue-50 rounded-lg transition-colors">
+                    <i data-feather="plus" class="w-4 h-4 inline-block mr-1"></i>
+                    Add Menu Item
+                </button>
+            </div>
+        `;
 
-        sortedPages.forEach(page => {
-            const statusClass = page.status === 'published'
-                ? 'bg-green-100 text-green-800'
-                : 'bg-yellow-100 text-yellow-800';
+        return html;
+    },
 
-            html += `
-                <div class="page-item flex items-center px-4 py-3 hover:bg-gray-50" data-page-id="${page.id}">
-                    <div class="page-drag-handle mr-3 text-gray-400 hover:text-gray-600 cursor-move">
+    /**
+     * Render a menu item and its sub-items
+     * @param {string} sectionId
+     * @param {Object} item
+     * @param {number} depth - 1 for top-level items
+     * @returns {string}
+     */
+    renderItem(sectionId, item, depth) {
+        const type = this.itemTypes[item.type] || this.itemTypes.page;
+        const page = item.pageId ? this.pages.find(p => p.id === item.pageId) : null;
+        const title = this.getItemTitle(item);
+
+        let detail = '';
+        let badge = '';
+        switch (item.type) {
+            case 'page':
+                detail = `/${page?.slug || ''}`;
+                badge = `<span class="text-xs ${Utils.getStatusClass(page?.status)} px-2 py-0.5 rounded-full">${Utils.formatStatus(page?.status)}</span>`;
+                break;
+            case 'anchor':
+                detail = `/${page?.slug || ''}#${item.anchor}`;
+                break;
+            case 'link':
+                detail = item.url;
+                break;
+            default:
+                detail = 'Heading';
+        }
+
+        // Pages are edited in the page editor; other items here
+        const editButton = item.type === 'page'
+            ? `<a href="page-editor.html?id=${item.pageId}"
+                   class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                   title="Edit Page">
+                    <i data-feather="edit-2" class="w-4 h-4"></i>
+                </a>`
+            : `<button onclick="MenuManager.showItemModal('${sectionId}', '${item.id}')"
+                        class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                        title="Edit Item">
+                    <i data-feather="edit-2" class="w-4 h-4"></i>
+                </button>`;
+
+        return `
+            <div class="menu-item" data-item-id="${item.id}">
+                <div class="flex items-center px-4 py-3 hover:bg-gray-50">
+                    <div class="item-drag-handle mr-3 text-gray-400 hover:text-gray-600 cursor-move">
                         <i data-feather="grip-vertical" class="w-4 h-4"></i>
                     </div>
 
+                    <i data-feather="${type.icon}" class="w-4 h-4 mr-3 text-gray-400" title="${type.label}"></i>
+
                     <div class="flex-1 min-w-0">
                         <div class="flex items-center gap-2">
-                            <span class="font-medium text-gray-800">${Utils.escapeHtml(page.title || 'Untitled')}</span>
-                            <span class="text-xs ${statusClass} px-2 py-0.5 rounded-full capitalize">${page.status || 'draft'}</span>
+                            <span class="font-medium text-gray-800">${Utils.escapeHtml(title)}</span>
+                            ${badge}
                         </div>
-                        <p class="text-sm text-gray-500">/${page.slug || ''}</p>
+                        <p class="text-sm text-gray-500 truncate">${Utils.escapeHtml(detail)}</p>
                     </div>
 
                     <div class="flex items-center gap-2 ml-4">
-                        ${page.parentPage ? '<i data-feather="corner-down-right" class="w-4 h-4 text-gray-400" title="Sub-page"></i>' : ''}
+                        ${depth < this.config.maxDepth ? `
+                        <button onclick="MenuManager.showItemModal('${sectionId}', null, '${item.id}')"
+                                class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Add Sub-item">
+                            <i data-feather="corner-down-right" class="w-4 h-4"></i>
+                        </button>` : ''}
 
-                        <a href="page-editor.html?id=${page.id}"
-                           class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                           title="Edit Page">
-                            <i data-feather="edit-2" class="w-4 h-4"></i>
-                        </a>
+                        ${editButton}
 
-                        <button onclick="MenuManager.removePageFromSection('${page.id}')"
+                        <button onclick="MenuManager.removeItem('${sectionId}', '${item.id}')"
                                 class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                                title="Remove from section">
+                                title="Remove from menu">
                             <i data-feather="x" class="w-4 h-4"></i>
                         </button>
                     </div>
                 </div>
-            `;
-        });
-
-        html += '</div>';
-
-        // Add page button
-        html += `
-            <div class="p-3 bg-gray-50 border-t border-gray-100">
-                <button onclick="MenuManager.showAddPageModal('${sectionId}')"
-                        class="w-full py-2 text-center text-blue-600 hover:text-blue-800 text-sm font-medium hover:bg-blue-50 rounded-lg transition-colors">
-                    <i data-feather="plus" class="w-4 h-4 inline-block mr-1"></i>
-                    Add Page to Section
-                </button>
+                <div class="menu-item-list pl-8" data-section-id="${sectionId}" style="min-height: 0.5rem">
+                    ${(item.children || []).map(child => this.renderItem(sectionId, child, depth + 1)).join('')}
+                </div>
             </div>
         `;
-
-        return html;
     },
 
     /**
@@ -298,6 +379,50 @@ const MenuManager = {
         return this.pages.filter(page => page.menuSection === sectionId);
     },
 
+    /**
+     * Get a section's item tree. Sections saved before items could nest
+     * have no tree and list their pages in menuOrder. Pages added to the
+     * section in the page editor but not yet placed go at the end, and
+     * pages since moved to another section are left out.
+     * @param {Object} section
+     * @returns {Array} - Copy of the tree, safe to change
+     */
+    getSectionItems(section) {
+        const sectionPages = this.getPagesBySection(section.id)
+            .sort((a, b) => (a.menuOrder || 0) - (b.menuOrder || 0));
+
+        const keep = (items) => items
+            .filter(item => item.type !== 'page' || sectionPages.some(p => p.id === item.pageId))
+            .map(item => ({ ...item, children: keep(item.children || []) }));
+
+        const items = keep(section.items || []);
+        const placed = new Set(this.flattenItems(items).map(item => item.pageId));
+
+        sectionPages
+            .filter(page => !placed.has(page.id))
+            .forEach(page => items.push({ id: `page-${page.id}`, type: 'page', pageId: page.id, children: [] }));
+
+        return items;
+    },
+
+    /**
+     * List every item in a tree, parents before their children
+     * @param {Array} items
+     * @returns {Array}
+     */
+    flattenItems(items) {
+        return items.flatMap(item => [item, ...this.flattenItems(item.children || [])]);
+    },
+
+    /**
+     * Get the number of levels in a tree
+     * @param {Array} items
+     * @returns {number}
+     */
+    getTreeDepth(items) {
+        return items.reduce((max, item) => Math.max(max, 1 + this.getTreeDepth(item.children || [])), 0);
+    },
+
     /**
      * Initialize SortableJS for sections
      */
@@ -322,27 +447,75 @@ const MenuManager = {
     },
 
     /**
-     * Initialize SortableJS for pages within a section
+     * Initialize SortableJS for the item lists of a section. The lists
+     * share a group, so items can be dragged under another item or back
+     * up a level.
      * @param {string} sectionId
      */
-    initPageSortable(sectionId) {
-        const container = document.querySelector(`.section-pages[data-section-id="${sectionId}"] .page-list`);
-        if (!container) return;
+    initItemSortables(sectionId) {
+        this.destroyItemSortables(sectionId);
 
-        // Destroy existing sortable for this section
-        if (this.pageSortables[sectionId]) {
-            this.pageSortables[sectionId].destroy();
-        }
+        const lists = document.querySelectorAll(`.section-pages[data-section-id="${sectionId}"] .menu-item-list`);
 
-        this.pageSortables[sectionId] = new Sortable(container, {
+        this.itemSortables[sectionId] = Array.from(lists).map(list => new Sortable(list, {
+            group: `menu-items-${sectionId}`,
             animation: 150,
-            handle: '.page-drag-handle',
+            handle: '.item-drag-handle',
             ghostClass: 'bg-blue-50',
             dragClass: 'shadow-lg',
+            fallbackOnBody: true,
+            swapThreshold: 0.65,
+            onMove: (evt) => this.canDropItem(evt.dragged, evt.to),
             onEnd: (evt) => {
-                this.handlePageReorder(sectionId, evt.oldIndex, evt.newIndex);
+                if (evt.from !== evt.to || evt.oldIndex !== evt.newIndex) {
+                    this.handleItemMove(sectionId);
+                }
             }
-        });
+        }));
+    },
+
+    /**
+     * Destroy the item sortables of a section
+     * @param {string} sectionId
+     */
+    destroyItemSortables(sectionId) {
+        (this.itemSortables[sectionId] || []).forEach(sortable => sortable.destroy());
+        delete this.itemSortables[sectionId];
+    },
+
+    /**
+     * Check that dropping an item into a list keeps the menu within the
+     * maximum depth
+     * @param {HTMLElement} itemEl - Item being dragged
+     * @param {HTMLElement} listEl - List it would be dropped into
+     * @returns {boolean}
+     */
+    canDropItem(itemEl, listEl) {
+        let listDepth = 0;
+        for (let el = listEl; el && !el.classList.contains('section-pages'); el = el.parentElement) {
+            if (el.classList.contains('menu-item-list')) listDepth++;
+        }
+
+        const itemHeight = 1 + this.getTreeDepth(this.readItemTree(itemEl.querySelector('.menu-item-list')));
+
+        return listDepth - 1 + itemHeight <= this.config.maxDepth;
+    },
+
+    /**
+     * Read the item tree back from the rendered lists after a drag
+     * @param {HTMLElement} listEl
+     * @param {Map} [itemsById] - Items to read, by ID
+     * @returns {Array}
+     */
+    readItemTree(listEl, itemsById = null) {
+        if (!listEl) return [];
+
+        return Array.from(listEl.children)
+            .filter(el => el.classList.contains('menu-item'))
+            .map(el => ({
+                ...(itemsById ? itemsById.get(el.dataset.itemId) : {}),
+                children: this.readItemTree(el.querySelector(':scope > .menu-item-list'), itemsById)
+            }));
     },
 
     /**
@@ -383,40 +556,84 @@ const MenuManager = {
     },
 
     /**
-     * Handle page reordering within a section
+     * Save a section's items after they were dragged to a new place
      * @param {string} sectionId
-     * @param {number} oldIndex
-     * @param {number} newIndex
      */
-    async handlePageReorder(sectionId, oldIndex, newIndex) {
-        if (oldIndex === newIndex) return;
+    async handleItemMove(sectionId) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section) return;
 
-        const sectionPages = this.getPagesBySection(sectionId)
-            .sort((a, b) => (a.menuOrder || 0) - (b.menuOrder || 0));
+        const itemsById = new Map(this.flattenItems(this.getSectionItems(section)).map(item => [item.id, item]));
+        const root = document.querySelector(`.section-pages[data-section-id="${sectionId}"] > .menu-item-list`);
 
-        // Reorder array
-        const [removed] = sectionPages.splice(oldIndex, 1);
-        sectionPages.splice(newIndex, 0, removed);
+        if (await this.saveItems(sectionId, this.readItemTree(root, itemsById))) {
+            Toast.success('Menu order updated');
+            this.render();
+        }
+    },
+
+    /**
+     * Save a section's item tree. Pages in the tree are kept assigned to
+     * the section, with menuOrder following the tree, so page lists and
+     * the page editor agree with the menu; pages no longer in the tree are
+     * unassigned.
+     * @param {string} sectionId
+     * @param {Array} items
+     * @returns {Promise<boolean>} - Whether the items were saved
+     */
+    async saveItems(sectionId, items) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section) return false;
+
+        const clean = (list) => list.map(item => ({
+            id: item.id,
+            type: item.type,
+            ...(item.pageId ? { pageId: item.pageId } : {}),
+            ...(item.type !== 'page' ? { title: item.title } : {}),
+            ...(item.type === 'link' ? { url: item.url } : {}),
+            ...(item.type === 'anchor' ? { anchor: item.anchor } : {}),
+            children: clean(item.children || [])
+        }));
+
+        const tree = clean(items);
+        const pageIds = this.flattenItems(tree).filter(item => item.type === 'page').map(item => item.pageId);
 
-        // Update order in Firestore
         try {
             const batch = db.batch();
 
-            sectionPages.forEach((page, index) => {
-                const ref = db.collection('pages').doc(page.id);
-                batch.update(ref, { menuOrder: index });
+            batch.update(db.collection('menuSections').doc(sectionId), {
+                items: tree,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
 
-                // Update local data
-                const pageInList = this.pages.find(p => p.id === page.id);
-                if (pageInList) pageInList.menuOrder = index;
+            const updates = [];
+            pageIds.forEach((pageId, index) => {
+                const page = this.pages.find(p => p.id === pageId);
+                if (page && (page.menuSection !== sectionId || page.menuOrder !== index)) {
+                    updates.push([page, { menuSection: sectionId, menuOrder: index }]);
+                }
             });
+            this.getPagesBySection(sectionId)
+                .filter(page => !pageIds.includes(page.id))
+                .forEach(page => updates.push([page, { menuSection: null }]));
+
+            updates.forEach(([page, changes]) => batch.update(db.collection('pages').doc(page.id), changes));
 
             await batch.commit();
-            Toast.success('Page order updated');
+
+            // Update local data
+            section.items = tree;
+            updates.forEach(([page, changes]) => Object.assign(page, changes));
+
+            return true;
 
         } catch (error) {
-            console.error('Error reordering pages:', error);
-            Toast.error('Failed to save order');
+            console.error('Error saving menu items:', error);
+            Toast.error('Failed to save menu');
+            // Reload to restore correct state
+            await this.loadData();
+            this.render();
+            return false;
         }
     },
 
@@ -435,18 +652,15 @@ const MenuManager = {
             pagesContainer.classList.add('hidden');
             toggleBtn?.classList.remove('rotate-90');
 
-            // Destroy page sortable
-            if (this.pageSortables[sectionId]) {
-                this.pageSortables[sectionId].destroy();
-                delete this.pageSortables[sectionId];
-            }
+            // Destroy item sortables
+            this.destroyItemSortables(sectionId);
         } else {
             this.expandedSections.add(sectionId);
             pagesContainer.classList.remove('hidden');
             toggleBtn?.classList.add('rotate-90');
 
-            // Initialize page sortable
-            this.initPageSortable(sectionId);
+            // Initialize item sortables
+            this.initItemSortables(sectionId);
             feather.replace();
         }
     },
@@ -710,127 +924,218 @@ const MenuManager = {
     },
 
     /**
-     * Remove page from section (unassign)
-     * @param {string} pageId
+     * Find an item in a tree
+     * @param {Array} items
+     * @param {string} itemId
+     * @returns {Object|null}
      */
-    async removePageFromSection(pageId) {
-        if (!confirm('Remove this page from the section? (The page will not be deleted)')) {
-            return;
-        }
-
-        try {
-            await db.collection('pages').doc(pageId).update({
-                menuSection: null
-            });
-
-            // Update local data
-            const page = this.pages.find(p => p.id === pageId);
-            if (page) page.menuSection = null;
-
-            Toast.success('Page removed from section');
-            this.render();
+    findItem(items, itemId) {
+        return this.flattenItems(items).find(item => item.id === itemId) || null;
+    },
 
-        } catch (error) {
-            console.error('Error removing page from section:', error);
-            Toast.error('Failed to remove page');
-        }
+    /**
+     * Create an ID for a new menu item
+     * @returns {string}
+     */
+    createItemId() {
+        return `item-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
     },
 
     /**
-     * Show modal to add a page to section
+     * Show the menu item modal (add/edit)
      * @param {string} sectionId
+     * @param {string} itemId - Optional, for editing
+     * @param {string} parentId - Optional, to add a sub-item
      */
-    showAddPageModal(sectionId) {
-        // Get pages not in any section
-        const unassignedPages = this.pages.filter(p => !p.menuSection);
+    showItemModal(sectionId, itemId = null, parentId = null) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const modal = document.getElementById('item-modal');
+        const form = document.getElementById('item-form');
 
-        if (unassignedPages.length === 0) {
-            Toast.warning('No unassigned pages available. Create a new page or remove one from another section first.');
-            return;
+        if (!section || !modal || !form) return;
+
+        const items = this.getSectionItems(section);
+        const item = itemId ? this.findItem(items, itemId) : null;
+        const parent = parentId ? this.findItem(items, parentId) : null;
+
+        if (itemId && !item) return;
+
+        this.editingItem = { sectionId, itemId, parentId };
+
+        form.reset();
+        document.getElementById('item-modal-title').textContent = item
+            ? 'Edit Menu Item'
+            : parent ? `Add Item under "${this.getItemTitle(parent)}"` : `Add Item to ${section.title}`;
+
+        const typeSelect = document.getElementById('item-type');
+        typeSelect.value = item?.type || 'page';
+        // Pages are added and removed, not changed into another kind of item
+        typeSelect.querySelector('option[value="page"]').disabled = Boolean(item);
+        typeSelect.disabled = item?.type === 'page';
+
+        if (item) {
+            document.getElementById('item-title').value = item.title || '';
+            document.getElementById('item-url').value = item.url || '';
+            document.getElementById('item-anchor').value = item.anchor || '';
         }
 
-        // Create a simple dropdown modal
-        const modalHtml = `
-            <div id="add-page-modal" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                <div class="bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4">
-                    <h2 class="text-xl font-bold text-gray-800 mb-4">Add Page to Section</h2>
-
-                    <div class="mb-4">
-                        <label for="page-select" class="block text-sm font-medium text-gray-700 mb-1">
-                            Select Page
-                        </label>
-                        <select id="page-select" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-                            <option value="">-- Select a page --</option>
-                            ${unassignedPages.map(p => `
-                                <option value="${p.id}">${Utils.escapeHtml(p.title || 'Untitled')} (/${p.slug || ''})</option>
-                            `).join('')}
-                        </select>
-                    </div>
+        this.updateItemFields(item?.pageId);
 
-                    <div class="flex justify-end gap-3">
-                        <button onclick="MenuManager.closeAddPageModal()" class="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors">
-                            Cancel
-                        </button>
-                        <button onclick="MenuManager.addPageToSection('${sectionId}')" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
-                            Add Page
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
+        modal.classList.remove('hidden');
+        typeSelect.focus();
+    },
 
-        document.body.insertAdjacentHTML('beforeend', modalHtml);
+    /**
+     * Show the fields for the chosen item type
+     * @param {string} selectedPageId - Page to select, when editing
+     */
+    updateItemFields(selectedPageId = '') {
+        const type = document.getElementById('item-type')?.value;
+        const pageSelect = document.getElementById('item-page');
+
+        document.getElementById('item-page-field')?.classList.toggle('hidden', type !== 'page' && type !== 'anchor');
+        document.getElementById('item-title-field')?.classList.toggle('hidden', type === 'page');
+        document.getElementById('item-url-field')?.classList.toggle('hidden', type !== 'link');
+        document.getElementById('item-anchor-field')?.classList.toggle('hidden', type !== 'anchor');
+        document.getElementById('item-page-help')?.classList.toggle('hidden', type !== 'page');
+
+        // A page belongs to one section; anchors can point anywhere
+        const pages = (type === 'page' ? this.pages.filter(p => !p.menuSection) : [...this.pages])
+            .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+        if (pageSelect) {
+            pageSelect.innerHTML = `
+                <option value="">${pages.length ? '-- Select a page --' : '-- No unassigned pages --'}</option>
+                ${pages.map(p => `
+                    <option value="${p.id}" ${p.id === selectedPageId ? 'selected' : ''}>${Utils.escapeHtml(p.title || 'Untitled')} (/${Utils.escapeHtml(p.slug || '')})</option>
+                `).join('')}
+            `;
+        }
     },
 
     /**
-     * Close add page modal
+     * Hide the menu item modal
      */
-    closeAddPageModal() {
-        const modal = document.getElementById('add-page-modal');
-        if (modal) modal.remove();
+    hideItemModal() {
+        document.getElementById('item-modal')?.classList.add('hidden');
+        this.editingItem = null;
     },
 
     /**
-     * Add selected page to section
-     * @param {string} sectionId
+     * Save the menu item (add or update)
      */
-    async addPageToSection(sectionId) {
-        const select = document.getElementById('page-select');
-        const pageId = select?.value;
+    async saveItem() {
+        if (!this.editingItem) return;
+
+        const { sectionId, itemId, parentId } = this.editingItem;
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section) return;
+
+        const type = document.getElementById('item-type')?.value;
+        const pageId = document.getElementById('item-page')?.value || '';
+        const title = document.getElementById('item-title')?.value?.trim() || '';
+        const url = document.getElementById('item-url')?.value?.trim() || '';
+        const anchor = (document.getElementById('item-anchor')?.value?.trim() || '').replace(/^#/, '');
 
-        if (!pageId) {
+        if ((type === 'page' || type === 'anchor') && !pageId) {
             Toast.error('Please select a page');
             return;
         }
 
-        try {
-            // Get current max order in section
-            const sectionPages = this.getPagesBySection(sectionId);
-            const maxOrder = sectionPages.reduce((max, p) => Math.max(max, p.menuOrder || 0), -1);
+        if (type !== 'page' && !title) {
+            Toast.error('Please enter a label');
+            return;
+        }
 
-            await db.collection('pages').doc(pageId).update({
-                menuSection: sectionId,
-                menuOrder: maxOrder + 1
-            });
+        if (type === 'link' && !/^(https?:\/\/|\/|mailto:|tel:)/.test(url)) {
+            Toast.error('Links must start with https://, / (for a page on this site), mailto: or tel:');
+            return;
+        }
 
-            // Update local data
-            const page = this.pages.find(p => p.id === pageId);
-            if (page) {
-                page.menuSection = sectionId;
-                page.menuOrder = maxOrder + 1;
-            }
+        if (type === 'anchor' && !/^[A-Za-z][\w:.-]*$/.test(anchor)) {
+            Toast.error('Anchors must start with a letter and have no spaces');
+            return;
+        }
 
-            Toast.success('Page added to section');
-            this.closeAddPageModal();
+        const items = this.getSectionItems(section);
+        const fields = {
+            type,
+            ...(pageId && type !== 'link' && type !== 'group' ? { pageId } : {}),
+            ...(type !== 'page' ? { title } : {}),
+            ...(type === 'link' ? { url } : {}),
+            ...(type === 'anchor' ? { anchor } : {})
+        };
+
+        let item;
+        if (itemId) {
+            item = this.findItem(items, itemId);
+            if (!item) return;
+
+            ['pageId', 'title', 'url', 'anchor'].forEach(key => delete item[key]);
+            Object.assign(item, fields);
+        } else {
+            item = { id: this.createItemId(), ...fields, children: [] };
 
-            // Expand section and re-render
-            this.expandedSections.add(sectionId);
-            this.render();
+            const parent = parentId ? this.findItem(items, parentId) : null;
+            (parent ? parent.children : items).push(item);
+        }
 
-        } catch (error) {
-            console.error('Error adding page to section:', error);
-            Toast.error('Failed to add page');
+        if (!await this.saveItems(sectionId, items)) return;
+
+        Toast.success(itemId ? 'Menu item updated' : 'Menu item added');
+        await this.logActivity(itemId ? 'update' : 'create',
+            `${itemId ? 'updated' : 'added'} "${this.getItemTitle(item)}" in menu section "${section.title}"`);
+
+        this.hideItemModal();
+
+        // Expand section and re-render
+        this.expandedSections.add(sectionId);
+        this.render();
+    },
+
+    /**
+     * Remove an item from a section's menu. Its sub-items move up to take
+     * its place; a removed page is unassigned, not deleted.
+     * @param {string} sectionId
+     * @param {string} itemId
+     */
+    async removeItem(sectionId, itemId) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section) return;
+
+        const items = this.getSectionItems(section);
+        const item = this.findItem(items, itemId);
+        if (!item) return;
+
+        const message = item.type === 'page'
+            ? 'Remove this page from the menu? (The page will not be deleted)'
+            : `Remove "${this.getItemTitle(item)}" from the menu?`;
+
+        if (!confirm(item.children?.length ? `${message}\n\nIts sub-items will move up a level.` : message)) {
+            return;
         }
+
+        const remove = (list) => list.flatMap(i => (i.id === itemId
+            ? i.children || []
+            : [{ ...i, children: remove(i.children || []) }]));
+
+        if (!await this.saveItems(sectionId, remove(items))) return;
+
+        Toast.success(item.type === 'page' ? 'Page removed from section' : 'Menu item removed');
+        await this.logActivity('update', `removed "${this.getItemTitle(item)}" from menu section "${section.title}"`);
+
+        this.render();
+    },
+
+    /**
+     * Get the label shown for an item
+     * @param {Object} item
+     * @returns {string}
+     */
+    getItemTitle(item) {
+        return item.type === 'page'
+            ? this.pages.find(p => p.id === item.pageId)?.title || 'Untitled'
+            : item.title;
     },
 
     /**
@@ -35,6 +35,9 @@ const Pages = {
         // Load menu sections for filter dropdown
         await this.loadMenuSections();
 
+        // Only admins can publish
+        document.getElementById('bulk-publish')?.classList.toggle('hidden', !Auth.isAdmin());
+
         // Set up event listeners
         this.initEventListeners();
 
@@ -214,7 +217,11 @@ const Pages = {
             let query = db.collection('pages');
 
             // Apply Firestore filters where possible
-            if (this.filters.status) {
+            if (this.filters.status === 'awaiting-review') {
+                query = query
+                    .where('status', '==', 'in-review')
+                    .where('reviewerId', '==', Auth.currentUser?.uid || '');
+            } else if (this.filters.status) {
                 query = query.where('status', '==', this.filters.status);
             }
             if (this.filters.section) {
@@ -326,9 +333,7 @@ const Pages = {
         let html = '';
         pageSlice.forEach(page => {
             const isSelected = this.selectedPages.has(page.id);
-            const statusClass = page.status === 'published'
-                ? 'bg-green-100 text-green-800'
-                : 'bg-yellow-100 text-yellow-800';
+            const statusClass = Utils.getStatusClass(page.status);
 
             const section = this.menuSections.find(s => s.id === page.menuSection);
             const sectionName = section ? section.title : '-';
@@ -358,9 +363,10 @@ const Pages = {
                         /${Utils.escapeHtml(page.slug || '')}
                     </td>
                     <td class="px-4 py-3">
-                        <span class="px-2 py-1 text-xs font-medium rounded-full ${statusClass} capitalize">
-                            ${page.status || 'draft'}
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${statusClass}">
+                            ${Utils.formatStatus(page.status)}
                         </span>
+                        ${this.getScheduleLabel(page)}
                     </td>
                     <td class="px-4 py-3 text-sm text-gray-500">
                         ${Utils.escapeHtml(sectionName)}
@@ -406,12 +412,38 @@ const Pages = {
             'standard': 'file-text',
             'video-gallery': 'video',
             'staff-listing': 'users',
+            'calendar': 'calendar',
             'news': 'rss',
-            'alumni-profiles': 'award'
+            'photo-gallery': 'camera',
+            'alumni-listing': 'award',
+            'job-listing': 'briefcase',
+            'sponsors': 'star'
         };
         return icons[pageType] || 'file-text';
     },
 
+    /**
+     * Get the publish/unpublish window label for a page
+     * @param {Object} page
+     * @returns {string}
+     */
+    getScheduleLabel(page) {
+        const format = (ts) => ts.toDate().toLocaleString('en-NZ', { dateStyle: 'medium', timeStyle: 'short' });
+        const now = Date.now();
+
+        if (page.status === 'scheduled' && page.publishAt) {
+            const live = page.publishAt.toMillis() <= now;
+            return `<p class="text-xs text-gray-500 mt-1">${live ? 'Live since' : 'Goes live'} ${format(page.publishAt)}</p>`;
+        }
+
+        if (page.status !== 'draft' && page.unpublishAt) {
+            const expired = page.unpublishAt.toMillis() <= now;
+            return `<p class="text-xs ${expired ? 'text-red-600' : 'text-gray-500'} mt-1">${expired ? 'Expired' : 'Until'} ${format(page.unpublishAt)}</p>`;
+        }
+
+        return '';
+    },
+
     /**
      * Update pagination UI
      */
@@ -504,6 +536,20 @@ const Pages = {
             return;
         }
 
+        // Check admin permission for publish
+        if (action === 'publish' && !Auth.isAdmin()) {
+            Toast.error('Only administrators can publish pages.');
+            return;
+        }
+
+        // Check the pages for accessibility issues before publishing
+        if (action === 'publish') {
+            const pages = this.pages.filter(page => this.selectedPages.has(page.id));
+            if (!await PageAccessibility.confirmBulkPublish(pages)) {
+                return;
+            }
+        }
+
         // Confirm delete action
         if (action === 'delete') {
             if (!confirm(`Are you sure you want to delete ${pageIds.length} page(s)? This cannot be undone.`)) {
@@ -520,10 +566,16 @@ const Pages = {
                 if (action === 'delete') {
                     batch.delete(pageRef);
                 } else {
-                    batch.update(pageRef, {
-                        status: action === 'publish' ? 'published' : 'draft',
+                    // Publishing sets the same fields as publishing from the editor
+                    const page = this.pages.find(p => p.id === pageId);
+                    const update = {
+                        ...(action === 'publish' ? Utils.getPublishFields(page, page?.publishAt) : { status: 'draft' }),
                         updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-                    });
+                    };
+                    batch.update(pageRef, update);
+
+                    // Each page records a revision, as it does when saved from the editor
+                    PageRevisions.addToBatch(batch, pageId, { ...page, ...update });
                 }
             }
 
@@ -0,0 +1,221 @@
+/**
+ * Middleton Grange CMS - Page Preview Module
+ *
+ * Stores a snapshot of the editor state under an expiring preview token
+ * and shows it rendered by the preview server (build/preview-server.js)
+ * at desktop, tablet or mobile widths. The token URL can be shared with
+ * reviewers who do not have a CMS login.
+ */
+
+const PagePreview = {
+    // State
+    token: null,
+    previewUrl: null,
+    serverUrl: null,
+    initialized: false,
+
+    // Preview widths
+    devices: {
+        desktop: '100%',
+        tablet: '768px',
+        mobile: '375px'
+    },
+
+    /**
+     * Bind modal events (once)
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        document.getElementById('close-preview')?.addEventListener('click', () => this.close());
+        document.getElementById('preview-open-tab')?.addEventListener('click', () => this.openInTab());
+        document.getElementById('preview-copy-link')?.addEventListener('click', () => this.copyLink());
+        document.getElementById('preview-refresh')?.addEventListener('click', () => PageEditor.previewPage());
+
+        document.querySelectorAll('.preview-device-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setDevice(btn.dataset.device));
+        });
+
+        const modal = document.getElementById('preview-modal');
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    },
+
+    /**
+     * Create a preview token for a page snapshot and show it
+     * @param {Object} page - Page fields from the editor
+     * @param {string|null} pageId - Saved page ID, if any
+     */
+    async open(page, pageId) {
+        this.init();
+
+        const previewBtn = document.getElementById('preview-page');
+        if (previewBtn) previewBtn.disabled = true;
+
+        try {
+            const { token, url, expiresAt } = await this.createToken(page, pageId);
+            this.token = token;
+            this.previewUrl = url;
+
+            const frame = document.getElementById('preview-frame');
+            if (frame) frame.src = this.previewUrl;
+
+            // Reviewers can't open links to the editor's own computer
+            document.getElementById('preview-local-warning')?.classList.toggle('hidden', !this.isLocalUrl(this.previewUrl));
+
+            const expiry = document.getElementById('preview-expiry');
+            if (expiry) {
+                expiry.textContent = `Link expires ${expiresAt.toLocaleString('en-NZ', { dateStyle: 'medium', timeStyle: 'short' })}`;
+            }
+
+            document.getElementById('preview-modal')?.classList.remove('hidden');
+            feather.replace();
+
+        } catch (error) {
+            console.error('Error creating preview:', error);
+            Toast.error('Failed to create preview. Please try again.');
+        } finally {
+            if (previewBtn) previewBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Store a page snapshot under a new preview token
+     * @param {Object} page - Page fields from the editor
+     * @param {string|null} pageId - Saved page ID, if any
+     * @returns {Promise<Object>} - { token, url, expiresAt }
+     */
+    async createToken(page, pageId) {
+        const user = Auth.currentUser || auth.currentUser;
+        const userData = Auth.currentUserData || {};
+        const ttlDays = window.previewConfig?.tokenTtlDays || 7;
+        const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+        const token = this.generateToken();
+
+        await db.collection('previewTokens').doc(token).set({
+            pageId: pageId || null,
+            page,
+            createdBy: user?.uid || null,
+            createdByName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+            createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+            expiresAt: firebase.firestore.Timestamp.fromDate(expiresAt)
+        });
+
+        return {
+            token,
+            url: `${await this.getServerUrl()}/preview/${token}`,
+            expiresAt
+        };
+    },
+
+    /**
+     * Get the preview server's URL: the one saved in site settings, or
+     * previewConfig.serverUrl until one is set
+     * @returns {Promise<string>}
+     */
+    async getServerUrl() {
+        if (this.serverUrl === null) {
+            let configured = '';
+            try {
+                const doc = await db.collection('siteSettings').doc('config').get();
+                configured = doc.data()?.general?.previewServerUrl || '';
+            } catch (error) {
+                console.error('Error loading preview server URL:', error);
+            }
+
+            this.serverUrl = (configured || window.previewConfig?.serverUrl || '').replace(/\/+$/, '');
+        }
+
+        return this.serverUrl;
+    },
+
+    /**
+     * Check whether a URL points at this computer
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isLocalUrl(url) {
+        try {
+            return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Close the preview modal
+     */
+    close() {
+        const modal = document.getElementById('preview-modal');
+        if (!modal || modal.classList.contains('hidden')) return;
+
+        modal.classList.add('hidden');
+
+        const frame = document.getElementById('preview-frame');
+        if (frame) frame.src = 'about:blank';
+    },
+
+    /**
+     * Resize the preview frame to a device width
+     * @param {string} device - 'desktop', 'tablet' or 'mobile'
+     */
+    setDevice(device) {
+        const frame = document.getElementById('preview-frame');
+        if (frame) frame.style.width = this.devices[device] || this.devices.desktop;
+
+        document.querySelectorAll('.preview-device-btn').forEach(btn => {
+            const isActive = btn.dataset.device === device;
+            btn.classList.toggle('bg-blue-600', isActive);
+            btn.classList.toggle('text-white', isActive);
+            btn.classList.toggle('text-gray-700', !isActive);
+        });
+    },
+
+    /**
+     * Open the current preview in a new tab
+     */
+    openInTab() {
+        if (this.previewUrl) {
+            window.open(this.previewUrl, '_blank', 'noopener');
+        }
+    },
+
+    /**
+     * Copy the shareable preview link
+     */
+    async copyLink() {
+        if (!this.previewUrl) return;
+
+        try {
+            await navigator.clipboard.writeText(this.previewUrl);
+            if (this.isLocalUrl(this.previewUrl)) {
+                Toast.warning('Preview link copied, but it points at localhost and will only open on this computer');
+            } else {
+                Toast.success('Preview link copied');
+            }
+        } catch (error) {
+            // Clipboard API unavailable - let the user copy manually
+            window.prompt('Copy this preview link:', this.previewUrl);
+        }
+    },
+
+    /**
+     * Generate an unguessable token for the preview URL
+     * @returns {string}
+     */
+    generateToken() {
+        const bytes = new Uint8Array(24);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+
+// Export for global use
+window.PagePreview = PagePreview;
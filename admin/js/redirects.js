@@ -0,0 +1,392 @@
+/**
+ * Middleton Grange CMS - Redirects Module
+ *
+ * Handles redirects from old site addresses: pages whose slug changed,
+ * WordPress permalinks and uploads seeded by the migration, and rules
+ * added by hand. The site build writes them into the hosting config, so
+ * changes go live with the next build.
+ */
+
+const RedirectManager = {
+    // State
+    redirects: [],
+    editingRedirectId: null,
+    types: {
+        301: { label: '301 Permanent', classes: 'bg-green-100 text-green-800' },
+        302: { label: '302 Temporary', classes: 'bg-yellow-100 text-yellow-800' }
+    },
+    sources: {
+        manual: 'Added by hand',
+        'slug-change': 'Slug change',
+        migration: 'WordPress migration'
+    },
+    filters: {
+        search: '',
+        source: ''
+    },
+
+    /**
+     * Initialize redirect management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadRedirects();
+    },
+
+    /**
+     * Load redirects from Firestore
+     */
+    async loadRedirects() {
+        try {
+            const snapshot = await db.collection('redirects')
+                .orderBy('from', 'asc')
+                .get();
+
+            this.redirects = [];
+            snapshot.forEach(doc => {
+                this.redirects.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading redirects:', error);
+            Toast.error('Failed to load redirects');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-redirect-btn')?.addEventListener('click', () => this.showRedirectModal());
+        document.getElementById('cancel-redirect')?.addEventListener('click', () => this.hideRedirectModal());
+
+        document.getElementById('redirect-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRedirect();
+        });
+
+        // Filters
+        const searchInput = document.getElementById('search-redirects');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-source')?.addEventListener('change', (e) => {
+            this.filters.source = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('redirect-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideRedirectModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideRedirectModal();
+            }
+        });
+    },
+
+    /**
+     * Tidy an old address the way the build does: leading slash, no
+     * trailing slash. Full URLs from the old site are cut to their path.
+     * @param {string} value
+     * @returns {string}
+     */
+    normalizeFrom(value) {
+        let path = value.trim();
+        if (!path) return '';
+
+        if (/^https?:\/\//i.test(path)) {
+            try {
+                path = new URL(path).pathname;
+            } catch {
+                return path;
+            }
+        }
+
+        if (!path.startsWith('/')) path = `/${path}`;
+        return path.replace(/\/{2,}/g, '/').replace(/(.)\/+$/, '$1');
+    },
+
+    /**
+     * Tidy a destination: full URLs are kept as they are, site paths get
+     * a leading slash
+     * @param {string} value
+     * @returns {string}
+     */
+    normalizeTo(value) {
+        const to = value.trim();
+        if (!to || /^https?:\/\//i.test(to) || to.startsWith('/')) return to;
+        return `/${to}`;
+    },
+
+    /**
+     * Get redirects matching the current filters
+     * @returns {Array}
+     */
+    getFilteredRedirects() {
+        return this.redirects.filter(redirect => {
+            if (this.filters.source && (redirect.source || 'manual') !== this.filters.source) return false;
+
+            if (this.filters.search) {
+                const haystack = [redirect.from, redirect.to, redirect.note]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render redirects table
+     */
+    render() {
+        const tableBody = document.getElementById('redirects-table-body');
+        if (!tableBody) return;
+
+        const redirects = this.getFilteredRedirects();
+
+        if (redirects.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="corner-up-right" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No redirects found</p>
+                        <p class="text-sm">${this.redirects.length === 0 ? 'Redirects are added when a published page\'s slug changes, or you can add one.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = redirects.map(redirect => {
+            const type = this.types[redirect.type] || { label: String(redirect.type || '-'), classes: 'bg-gray-100 text-gray-600' };
+            const isExternal = /^https?:\/\//i.test(redirect.to || '');
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <div class="font-mono text-sm text-gray-900 break-all">${Utils.escapeHtml(redirect.from)}</div>
+                        ${redirect.note ? `<div class="text-xs text-gray-500 mt-1">${Utils.escapeHtml(redirect.note)}</div>` : ''}
+                    </td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center font-mono text-sm text-gray-700 break-all">
+                            ${isExternal ? '<i data-feather="external-link" class="w-4 h-4 mr-1 flex-shrink-0 text-gray-400"></i>' : ''}
+                            ${Utils.escapeHtml(redirect.to)}
+                        </div>
+                    </td>
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full whitespace-nowrap ${type.classes}">${Utils.escapeHtml(type.label)}</span>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${Utils.escapeHtml(this.sources[redirect.source] || this.sources.manual)}</td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            <button onclick="RedirectManager.showRedirectModal('${redirect.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Edit Redirect">
+                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                            </button>
+                            ${isAdmin ? `
+                                <button onclick="RedirectManager.deleteRedirect('${redirect.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Redirect">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit redirect modal
+     * @param {string} redirectId - Redirect to edit, or none to add
+     */
+    showRedirectModal(redirectId = null) {
+        const redirect = redirectId ? this.redirects.find(r => r.id === redirectId) : null;
+        if (redirectId && !redirect) return;
+
+        this.editingRedirectId = redirectId;
+
+        document.getElementById('redirect-form')?.reset();
+        document.getElementById('redirect-modal-title').textContent = redirectId ? 'Edit Redirect' : 'Add Redirect';
+
+        document.getElementById('redirect-from').value = redirect?.from || '';
+        document.getElementById('redirect-to').value = redirect?.to || '';
+        document.getElementById('redirect-type').value = String(redirect?.type || 301);
+        document.getElementById('redirect-note').value = redirect?.note || '';
+
+        document.getElementById('redirect-modal')?.classList.remove('hidden');
+        document.getElementById('redirect-from')?.focus();
+    },
+
+    /**
+     * Hide redirect modal
+     */
+    hideRedirectModal() {
+        document.getElementById('redirect-modal')?.classList.add('hidden');
+        this.editingRedirectId = null;
+    },
+
+    /**
+     * Save the redirect in the modal
+     */
+    async saveRedirect() {
+        const from = this.normalizeFrom(document.getElementById('redirect-from')?.value || '');
+        const to = this.normalizeTo(document.getElementById('redirect-to')?.value || '');
+        const type = Number(document.getElementById('redirect-type')?.value) === 302 ? 302 : 301;
+
+        if (!from || from === '/') {
+            Toast.error('Please enter the old address to redirect from');
+            return;
+        }
+
+        if (from.slice(0, -1).includes('*') || (from.endsWith('*') && !from.endsWith('/*'))) {
+            Toast.error('A wildcard can only be used as /* at the end of the old address');
+            return;
+        }
+
+        if (!to) {
+            Toast.error('Please enter the address to redirect to');
+            return;
+        }
+
+        if (to.includes(':splat') && !from.endsWith('/*')) {
+            Toast.error(':splat can only be used with a wildcard old address');
+            return;
+        }
+
+        if (this.normalizeFrom(to) === from) {
+            Toast.error('A redirect cannot point to itself');
+            return;
+        }
+
+        const duplicate = this.redirects.find(r => r.from === from && r.id !== this.editingRedirectId);
+        if (duplicate) {
+            Toast.error(`${from} already redirects to ${duplicate.to}`);
+            return;
+        }
+
+        const redirectData = {
+            from,
+            to,
+            type,
+            note: document.getElementById('redirect-note')?.value.trim() || '',
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingRedirectId) {
+                await db.collection('redirects').doc(this.editingRedirectId).update(redirectData);
+                await this.logActivity('update', `updated redirect from ${from}`);
+                Toast.success('Redirect updated');
+            } else {
+                redirectData.source = 'manual';
+                redirectData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                redirectData.createdBy = Auth.currentUser?.uid || null;
+                await db.collection('redirects').add(redirectData);
+                await this.logActivity('create', `added redirect from ${from}`);
+                Toast.success('Redirect added');
+            }
+
+            this.hideRedirectModal();
+            await this.loadRedirects();
+
+        } catch (error) {
+            console.error('Error saving redirect:', error);
+            Toast.error('Failed to save redirect');
+        }
+    },
+
+    /**
+     * Delete a redirect (admins only)
+     * @param {string} redirectId
+     */
+    async deleteRedirect(redirectId) {
+        const redirect = this.redirects.find(r => r.id === redirectId);
+        if (!redirect) return;
+
+        if (!confirm(`Delete the redirect from "${redirect.from}"? Links to the old address will stop working after the next build.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('redirects').doc(redirectId).delete();
+
+            this.redirects = this.redirects.filter(r => r.id !== redirectId);
+            Toast.success('Redirect deleted');
+            await this.logActivity('delete', `deleted redirect from ${redirect.from}`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting redirect:', error);
+            Toast.error('Failed to delete redirect');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on redirects page
+    if (!document.getElementById('redirects-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                RedirectManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.RedirectManager = RedirectManager;
@@ -0,0 +1,527 @@
+/**
+ * Middleton Grange CMS - Page Revisions Module
+ *
+ * Records an immutable revision on every page save and provides the
+ * revision history panel, side-by-side diffs and one-click restore.
+ */
+
+const PageRevisions = {
+    // State
+    pageId: null,
+    revisions: [],
+    selectedIds: [],
+    diffMode: 'text',
+    diffPair: null,
+
+    // Configuration
+    config: {
+        historyLimit: 50
+    },
+
+    /**
+     * Initialize revisions panel for a page
+     * @param {string} pageId
+     */
+    async init(pageId) {
+        if (!this.pageId) {
+            this.bindEvents();
+        }
+
+        this.pageId = pageId;
+        this.selectedIds = [];
+
+        document.getElementById('revisions-panel')?.classList.remove('hidden');
+
+        await this.loadRevisions();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('compare-revisions')?.addEventListener('click', () => this.compareSelected());
+        document.getElementById('close-revision-diff')?.addEventListener('click', () => this.closeDiff());
+
+        document.querySelectorAll('.diff-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setDiffMode(btn.dataset.mode));
+        });
+
+        const modal = document.getElementById('revision-diff-modal');
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeDiff();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeDiff();
+        });
+    },
+
+    /**
+     * Get the revisions subcollection for a page
+     * @param {string} pageId
+     * @returns {firebase.firestore.CollectionReference}
+     */
+    collection(pageId) {
+        return db.collection('pages').doc(pageId).collection('revisions');
+    },
+
+    /**
+     * Add an immutable revision of a page to a write batch. The page is
+     * written in the same batch, so it's never saved without its revision.
+     * @param {firebase.firestore.WriteBatch} batch
+     * @param {string} pageId
+     * @param {Object} pageData - Saved page fields
+     * @param {Object} options
+     * @param {boolean} options.autosave - Whether this was a silent autosave
+     */
+    addToBatch(batch, pageId, pageData, { autosave = false } = {}) {
+        const user = Auth.currentUser || auth.currentUser;
+        const userData = Auth.currentUserData || {};
+
+        const revision = {
+            title: pageData.title || '',
+            slug: pageData.slug || '',
+            content: pageData.content || '',
+            metaTitle: pageData.metaTitle || '',
+            metaDescription: pageData.metaDescription || '',
+            structuredData: pageData.structuredData || '',
+            headerImage: pageData.headerImage || null,
+            headerImageAlt: pageData.headerImageAlt || '',
+            pageType: pageData.pageType || 'standard',
+            albumId: pageData.albumId || null,
+            menuSection: pageData.menuSection || null,
+            status: pageData.status || 'draft',
+            publishAt: pageData.publishAt || null,
+            unpublishAt: pageData.unpublishAt || null,
+            autosave,
+            authorId: user?.uid || null,
+            authorName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        batch.set(this.collection(pageId).doc(), revision);
+    },
+
+    /**
+     * Reload the history panel after a page's revision has been saved
+     * @param {string} pageId
+     */
+    async refresh(pageId) {
+        if (pageId === this.pageId) {
+            await this.loadRevisions();
+        }
+    },
+
+    /**
+     * Load revisions for the current page
+     */
+    async loadRevisions() {
+        const list = document.getElementById('revision-list');
+        if (!list || !this.pageId) return;
+
+        try {
+            const snapshot = await this.collection(this.pageId)
+                .orderBy('createdAt', 'desc')
+                .limit(this.config.historyLimit)
+                .get();
+
+            this.revisions = [];
+            snapshot.forEach(doc => {
+                this.revisions.push({ id: doc.id, ...doc.data() });
+            });
+
+            // Drop selections that are no longer listed
+            this.selectedIds = this.selectedIds.filter(id => this.revisions.some(r => r.id === id));
+
+            this.renderList();
+
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            list.innerHTML = '<p class="text-sm text-red-500">Unable to load revision history</p>';
+        }
+    },
+
+    /**
+     * Render the revision list
+     */
+    renderList() {
+        const list = document.getElementById('revision-list');
+        if (!list) return;
+
+        if (this.revisions.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500">No revisions yet. A revision is saved each time this page is saved.</p>';
+            this.updateCompareButton();
+            return;
+        }
+
+        let html = '';
+        this.revisions.forEach((revision, index) => {
+            const isSelected = this.selectedIds.includes(revision.id);
+
+            html += `
+                <div class="revision-item flex items-start gap-3 py-2 ${index > 0 ? 'border-t border-gray-100' : ''}">
+                    <input
+                        type="checkbox"
+                        class="revision-checkbox mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                        data-id="${revision.id}"
+                        ${isSelected ? 'checked' : ''}
+                    >
+                    <div class="flex-1 min-w-0">
+                        <p class="text-sm text-gray-800">
+                            ${Utils.formatDate(revision.createdAt)}
+                            ${index === 0 ? '<span class="ml-1 px-1.5 py-0.5 text-xs rounded bg-blue-100 text-blue-800">Latest</span>' : ''}
+                            ${revision.autosave ? '<span class="ml-1 px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Autosave</span>' : ''}
+                        </p>
+                        <p class="text-xs text-gray-500 truncate">
+                            ${Utils.escapeHtml(revision.authorName || 'Unknown')} &middot; <span class="capitalize">${revision.status || 'draft'}</span>
+                        </p>
+                    </div>
+                    <button class="revision-restore text-xs text-blue-600 hover:text-blue-800" data-id="${revision.id}" title="Restore this revision">
+                        Restore
+                    </button>
+                </div>
+            `;
+        });
+
+        list.innerHTML = html;
+
+        list.querySelectorAll('.revision-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.toggleSelection(e.target.dataset.id, e.target.checked);
+            });
+        });
+
+        list.querySelectorAll('.revision-restore').forEach(btn => {
+            btn.addEventListener('click', () => this.restore(btn.dataset.id));
+        });
+
+        this.updateCompareButton();
+    },
+
+    /**
+     * Toggle a revision's selection for comparison (max two)
+     * @param {string} revisionId
+     * @param {boolean} selected
+     */
+    toggleSelection(revisionId, selected) {
+        this.selectedIds = this.selectedIds.filter(id => id !== revisionId);
+
+        if (selected) {
+            this.selectedIds.push(revisionId);
+
+            // Keep only the two most recent selections
+            if (this.selectedIds.length > 2) {
+                this.selectedIds.shift();
+            }
+        }
+
+        this.renderList();
+    },
+
+    /**
+     * Update compare button label and state
+     */
+    updateCompareButton() {
+        const btn = document.getElementById('compare-revisions');
+        if (!btn) return;
+
+        btn.disabled = this.selectedIds.length === 0;
+        btn.classList.toggle('opacity-50', btn.disabled);
+        btn.classList.toggle('cursor-not-allowed', btn.disabled);
+        btn.textContent = this.selectedIds.length === 1
+            ? 'Compare with current'
+            : 'Compare selected';
+    },
+
+    /**
+     * Compare the selected revisions (or one revision against the editor)
+     */
+    compareSelected() {
+        if (this.selectedIds.length === 0) return;
+
+        const selected = this.selectedIds
+            .map(id => this.revisions.find(r => r.id === id))
+            .filter(Boolean)
+            .sort((a, b) => this.getTime(a) - this.getTime(b));
+
+        if (selected.length === 1) {
+            const current = {
+                ...PageEditor.getFormData(),
+                authorName: 'Unsaved editor state',
+                createdAt: null
+            };
+            this.openDiff(selected[0], current);
+        } else {
+            this.openDiff(selected[0], selected[1]);
+        }
+    },
+
+    /**
+     * Get a sortable timestamp for a revision
+     * @param {Object} revision
+     * @returns {number}
+     */
+    getTime(revision) {
+        return revision.createdAt?.toMillis?.() || 0;
+    },
+
+    /**
+     * Open the diff modal for two revisions
+     * @param {Object} older
+     * @param {Object} newer
+     */
+    openDiff(older, newer) {
+        this.diffPair = { older, newer };
+
+        const modal = document.getElementById('revision-diff-modal');
+        const leftLabel = document.getElementById('diff-left-label');
+        const rightLabel = document.getElementById('diff-right-label');
+
+        if (leftLabel) leftLabel.textContent = this.describeRevision(older);
+        if (rightLabel) rightLabel.textContent = this.describeRevision(newer);
+
+        this.renderDiff();
+        modal?.classList.remove('hidden');
+        feather.replace();
+    },
+
+    /**
+     * Close the diff modal
+     */
+    closeDiff() {
+        document.getElementById('revision-diff-modal')?.classList.add('hidden');
+        this.diffPair = null;
+    },
+
+    /**
+     * Switch between text and HTML diff views
+     * @param {string} mode - 'text' or 'html'
+     */
+    setDiffMode(mode) {
+        this.diffMode = mode;
+
+        document.querySelectorAll('.diff-mode-btn').forEach(btn => {
+            const isActive = btn.dataset.mode === mode;
+            btn.classList.toggle('bg-blue-600', isActive);
+            btn.classList.toggle('text-white', isActive);
+            btn.classList.toggle('text-gray-700', !isActive);
+        });
+
+        if (this.diffPair) this.renderDiff();
+    },
+
+    /**
+     * Short label for a revision
+     * @param {Object} revision
+     * @returns {string}
+     */
+    describeRevision(revision) {
+        if (!revision.createdAt) return revision.authorName;
+        return `${Utils.formatDate(revision.createdAt)} by ${revision.authorName || 'Unknown'}`;
+    },
+
+    /**
+     * Render the side-by-side diff table
+     */
+    renderDiff() {
+        const body = document.getElementById('revision-diff-body');
+        if (!body || !this.diffPair) return;
+
+        const { older, newer } = this.diffPair;
+        const rows = [];
+
+        // Field-level changes first
+        const fields = [
+            ['title', 'Title'],
+            ['slug', 'Slug'],
+            ['metaTitle', 'Meta title'],
+            ['metaDescription', 'Meta description'],
+            ['structuredData', 'Structured data'],
+            ['headerImage', 'Header image'],
+            ['headerImageAlt', 'Header image alt']
+        ];
+
+        fields.forEach(([key, label]) => {
+            const before = older[key] || '';
+            const after = newer[key] || '';
+            if (before !== after) {
+                rows.push({ type: 'field', label, left: before, right: after });
+            }
+        });
+
+        const ops = this.diffLines(
+            this.toLines(older.content, this.diffMode),
+            this.toLines(newer.content, this.diffMode)
+        );
+
+        rows.push(...this.pairRows(ops));
+
+        if (!rows.some(row => row.type !== 'same')) {
+            body.innerHTML = '<tr><td colspan="2" class="px-4 py-8 text-center text-gray-500">These revisions are identical</td></tr>';
+            return;
+        }
+
+        body.innerHTML = rows.map(row => {
+            if (row.type === 'field') {
+                return `
+                    <tr class="diff-field">
+                        <td class="diff-cell diff-removed"><span class="diff-label">${row.label}</span>${Utils.escapeHtml(row.left)}</td>
+                        <td class="diff-cell diff-added"><span class="diff-label">${row.label}</span>${Utils.escapeHtml(row.right)}</td>
+                    </tr>
+                `;
+            }
+
+            const leftClass = row.type === 'same' ? '' : (row.left === null ? 'diff-empty' : 'diff-removed');
+            const rightClass = row.type === 'same' ? '' : (row.right === null ? 'diff-empty' : 'diff-added');
+
+            return `
+                <tr>
+                    <td class="diff-cell ${leftClass}">${row.left === null ? '' : Utils.escapeHtml(row.left)}</td>
+                    <td class="diff-cell ${rightClass}">${row.right === null ? '' : Utils.escapeHtml(row.right)}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Split content into comparable lines
+     * @param {string} html
+     * @param {string} mode - 'text' or 'html'
+     * @returns {Array<string>}
+     */
+    toLines(html, mode) {
+        if (!html) return [];
+
+        let text = html;
+
+        if (mode === 'html') {
+            // One line per block-level tag
+            text = text.replace(/(<\/(p|h[1-6]|li|ul|ol|blockquote|div|table|tr)>|<br\s*\/?>|<hr\s*\/?>)/gi, '$1\n');
+        } else {
+            // Keep block boundaries as line breaks, drop all markup
+            const div = document.createElement('div');
+            div.innerHTML = text.replace(/(<\/(p|h[1-6]|li|blockquote|div|tr)>|<br\s*\/?>)/gi, '$1\n');
+            text = div.textContent;
+        }
+
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    },
+
+    /**
+     * Compute a line diff using the longest common subsequence
+     * @param {Array<string>} a - Old lines
+     * @param {Array<string>} b - New lines
+     * @returns {Array<{type: string, line: string}>}
+     */
+    diffLines(a, b) {
+        const n = a.length;
+        const m = b.length;
+
+        // LCS length table
+        const table = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'same', line: a[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                ops.push({ type: 'removed', line: a[i++] });
+            } else {
+                ops.push({ type: 'added', line: b[j++] });
+            }
+        }
+
+        while (i < n) ops.push({ type: 'removed', line: a[i++] });
+        while (j < m) ops.push({ type: 'added', line: b[j++] });
+
+        return ops;
+    },
+
+    /**
+     * Pair removed/added runs into side-by-side rows
+     * @param {Array} ops
+     * @returns {Array<{type: string, left: ?string, right: ?string}>}
+     */
+    pairRows(ops) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            const count = Math.max(removed.length, added.length);
+            for (let k = 0; k < count; k++) {
+                rows.push({
+                    type: 'changed',
+                    left: removed[k] ?? null,
+                    right: added[k] ?? null
+                });
+            }
+            removed = [];
+            added = [];
+        };
+
+        ops.forEach(op => {
+            if (op.type === 'same') {
+                flush();
+                rows.push({ type: 'same', left: op.line, right: op.line });
+            } else if (op.type === 'removed') {
+                removed.push(op.line);
+            } else {
+                added.push(op.line);
+            }
+        });
+
+        flush();
+        return rows;
+    },
+
+    /**
+     * Restore a revision into the editor and save it
+     * @param {string} revisionId
+     */
+    async restore(revisionId) {
+        const revision = this.revisions.find(r => r.id === revisionId);
+        if (!revision) return;
+
+        if (!confirm(`Restore the revision from ${Utils.formatDate(revision.createdAt)}? The current content will be kept in the history.`)) {
+            return;
+        }
+
+        if (!revision.headerImage) {
+            PageEditor.removeHeaderImage();
+        }
+
+        // Keep the page's current schedule and state where the user may set it;
+        // restoring only changes content. An old publish date would otherwise
+        // publish a scheduled page straight away.
+        PageEditor.populateForm({
+            ...revision,
+            publishAt: PageEditor.getDateInput('publish-at'),
+            unpublishAt: PageEditor.getDateInput('unpublish-at')
+        });
+
+        const status = PageEditor.pageData?.status || 'draft';
+        await PageEditor.savePage(Auth.isAdmin() || ['draft', 'in-review'].includes(status) ? status : 'draft');
+
+        this.closeDiff();
+    }
+};
+
+
+// Export for global use
+window.PageRevisions = PageRevisions;
@@ -19,7 +19,8 @@ const SiteSettings = {
             faviconUrl: '',
             primaryColor: '#1e3a5f',
             secondaryColor: '#c9a227',
-            footerText: '© Middleton Grange School. All rights reserved.'
+            footerText: '© Middleton Grange School. All rights reserved.',
+            previewServerUrl: ''
         },
         contact: {
             address: '30 Donovans Road, Rangiora 7400',
@@ -35,7 +36,8 @@ const SiteSettings = {
             studentPortalUrl: '',
             kindoUrl: '',
             schoolAppUrl: '',
-            theatreUrl: ''
+            theatreUrl: '',
+            alumniUpdateUrl: ''
         },
         homepage: {
             heroVideoUrl: '',
@@ -132,6 +134,9 @@ const SiteSettings = {
         // Track changes
         this.bindFormChanges();
 
+        // Warn while previews still point at localhost
+        document.getElementById('preview-server-url')?.addEventListener('input', () => this.updatePreviewServerWarning());
+
         // Warn before leaving with unsaved changes
         window.addEventListener('beforeunload', (e) => {
             if (this.isDirty) {
@@ -272,6 +277,25 @@ const SiteSettings = {
         });
     },
 
+    /**
+     * Show the preview server warning while previews point at localhost,
+     * either from this setting or from previewConfig when it's empty
+     */
+    updatePreviewServerWarning() {
+        const warning = document.getElementById('preview-server-warning');
+        if (!warning) return;
+
+        const url = document.getElementById('preview-server-url')?.value?.trim() || window.previewConfig?.serverUrl || '';
+        let isLocal = false;
+        try {
+            isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+        } catch (error) {
+            // Not a full URL yet
+        }
+
+        warning.classList.toggle('hidden', !isLocal);
+    },
+
     /**
      * Mark settings as dirty (unsaved changes)
      */
@@ -328,6 +352,8 @@ const SiteSettings = {
         this.setInputValue('secondary-color', s.general.secondaryColor);
         this.setInputValue('secondary-color-hex', s.general.secondaryColor);
         this.setInputValue('footer-text', s.general.footerText);
+        this.setInputValue('preview-server-url', s.general.previewServerUrl);
+        this.updatePreviewServerWarning();
 
         // Logo preview
         if (s.general.logoUrl) {
@@ -354,6 +380,7 @@ const SiteSettings = {
         this.setInputValue('kindo-url', s.links.kindoUrl);
         this.setInputValue('school-app-url', s.links.schoolAppUrl);
         this.setInputValue('theatre-url', s.links.theatreUrl);
+        this.setInputValue('alumni-update-url', s.links.alumniUpdateUrl);
 
         // Homepage tab
         this.setInputValue('hero-video-url', s.homepage.heroVideoUrl);
@@ -495,7 +522,8 @@ const SiteSettings = {
                 faviconUrl: document.getElementById('favicon-url')?.value || '',
                 primaryColor: document.getElementById('primary-color-hex')?.value || '#1e3a5f',
                 secondaryColor: document.getElementById('secondary-color-hex')?.value || '#c9a227',
-                footerText: document.getElementById('footer-text')?.value?.trim() || ''
+                footerText: document.getElementById('footer-text')?.value?.trim() || '',
+                previewServerUrl: document.getElementById('preview-server-url')?.value?.trim().replace(/\/+$/, '') || ''
             },
             contact: {
                 address: document.getElementById('address')?.value?.trim() || '',
@@ -511,7 +539,8 @@ const SiteSettings = {
                 studentPortalUrl: document.getElementById('student-portal-url')?.value?.trim() || '',
                 kindoUrl: document.getElementById('kindo-url')?.value?.trim() || '',
                 schoolAppUrl: document.getElementById('school-app-url')?.value?.trim() || '',
-                theatreUrl: document.getElementById('theatre-url')?.value?.trim() || ''
+                theatreUrl: document.getElementById('theatre-url')?.value?.trim() || '',
+                alumniUpdateUrl: document.getElementById('alumni-update-url')?.value?.trim() || ''
             },
             homepage: {
                 heroVideoUrl: document.getElementById('hero-video-url')?.value?.trim() || '',
@@ -0,0 +1,482 @@
+/**
+ * Middleton Grange CMS - Sponsors Module
+ *
+ * Handles sponsors and partners: logo upload, website link, tier and the
+ * date range a sponsor is shown for. The site build groups active sponsors
+ * by tier on "Sponsors" pages and in sponsor-strip logo strips.
+ */
+
+const SponsorManager = {
+    // State
+    sponsors: [],
+    editingSponsorId: null,
+    logo: null,
+    tiers: {
+        gold: { label: 'Gold', classes: 'bg-yellow-100 text-yellow-800' },
+        silver: { label: 'Silver', classes: 'bg-gray-200 text-gray-700' },
+        community: { label: 'Community', classes: 'bg-blue-100 text-blue-800' }
+    },
+    filters: {
+        search: '',
+        tier: ''
+    },
+
+    /**
+     * Initialize sponsor management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadSponsors();
+    },
+
+    /**
+     * Load sponsors from Firestore
+     */
+    async loadSponsors() {
+        try {
+            const snapshot = await db.collection('sponsors')
+                .orderBy('name', 'asc')
+                .get();
+
+            this.sponsors = [];
+            snapshot.forEach(doc => {
+                this.sponsors.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading sponsors:', error);
+            Toast.error('Failed to load sponsors');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-sponsor-btn')?.addEventListener('click', () => this.showSponsorModal());
+        document.getElementById('cancel-sponsor')?.addEventListener('click', () => this.hideSponsorModal());
+
+        document.getElementById('sponsor-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSponsor();
+        });
+
+        // Logo upload
+        const logoInput = document.getElementById('sponsor-logo-input');
+        document.getElementById('sponsor-logo-btn')?.addEventListener('click', () => logoInput?.click());
+        logoInput?.addEventListener('change', (e) => this.uploadLogo(e.target.files[0]));
+        document.getElementById('sponsor-logo-remove')?.addEventListener('click', () => this.setLogo(null));
+
+        // Filters
+        const searchInput = document.getElementById('search-sponsors');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-tier')?.addEventListener('change', (e) => {
+            this.filters.tier = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('sponsor-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideSponsorModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideSponsorModal();
+            }
+        });
+    },
+
+    /**
+     * Get today's date as YYYY-MM-DD in local time
+     * @returns {string}
+     */
+    getToday() {
+        const now = new Date();
+        return [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('-');
+    },
+
+    /**
+     * Work out whether a sponsor is currently shown on the site.
+     * Missing start or end dates leave that end of the range open.
+     * @param {Object} sponsor
+     * @returns {string} 'active', 'scheduled' or 'ended'
+     */
+    getStatus(sponsor) {
+        const today = this.getToday();
+        if (sponsor.startDate && sponsor.startDate > today) return 'scheduled';
+        if (sponsor.endDate && sponsor.endDate < today) return 'ended';
+        return 'active';
+    },
+
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} date
+     * @returns {string}
+     */
+    formatDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-NZ', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    },
+
+    /**
+     * Describe a sponsor's active date range
+     * @param {Object} sponsor
+     * @returns {string}
+     */
+    formatDateRange(sponsor) {
+        if (sponsor.startDate && sponsor.endDate) {
+            return `${this.formatDate(sponsor.startDate)} – ${this.formatDate(sponsor.endDate)}`;
+        }
+        if (sponsor.startDate) return `From ${this.formatDate(sponsor.startDate)}`;
+        if (sponsor.endDate) return `Until ${this.formatDate(sponsor.endDate)}`;
+        return 'Ongoing';
+    },
+
+    /**
+     * Get sponsors matching the current filters
+     * @returns {Array}
+     */
+    getFilteredSponsors() {
+        return this.sponsors.filter(sponsor => {
+            if (this.filters.tier && sponsor.tier !== this.filters.tier) return false;
+
+            if (this.filters.search) {
+                const haystack = [sponsor.name, sponsor.url]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render sponsors table
+     */
+    render() {
+        const tableBody = document.getElementById('sponsors-table-body');
+        if (!tableBody) return;
+
+        const sponsors = this.getFilteredSponsors();
+
+        if (sponsors.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="star" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No sponsors found</p>
+                        <p class="text-sm">${this.sponsors.length === 0 ? 'Add a sponsor to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+        const statusBadges = {
+            active: { label: 'Active', classes: 'bg-green-100 text-green-800' },
+            scheduled: { label: 'Scheduled', classes: 'bg-blue-100 text-blue-800' },
+            ended: { label: 'Ended', classes: 'bg-gray-100 text-gray-600' }
+        };
+
+        tableBody.innerHTML = sponsors.map(sponsor => {
+            const tier = this.tiers[sponsor.tier] || { label: sponsor.tier || '-', classes: 'bg-gray-100 text-gray-600' };
+            const status = statusBadges[this.getStatus(sponsor)];
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <div class="flex items-center">
+                            <div class="w-16 h-10 flex-shrink-0 flex items-center justify-center bg-gray-50 rounded mr-3 overflow-hidden">
+                                ${sponsor.logo
+                                    ? `<img src="${Utils.escapeHtml(sponsor.logo)}" alt="" class="max-w-full max-h-full object-contain">`
+                                    : '<i data-feather="image" class="w-5 h-5 text-gray-300"></i>'}
+                            </div>
+                            <div class="min-w-0">
+                                <div class="font-medium text-gray-900">${Utils.escapeHtml(sponsor.name)}</div>
+                                ${sponsor.url ? `
+                                    <a href="${Utils.escapeHtml(sponsor.url)}" target="_blank" rel="noopener" class="text-sm text-blue-600 hover:underline truncate block">
+                                        ${Utils.escapeHtml(sponsor.url.replace(/^https?:\/\//, ''))}
+                                    </a>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </td>
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${tier.classes}">${Utils.escapeHtml(tier.label)}</span>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${this.formatDateRange(sponsor)}</td>
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${status.classes}">${status.label}</span>
+                    </td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            <button onclick="SponsorManager.showSponsorModal('${sponsor.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Edit Sponsor">
+                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                            </button>
+                            ${isAdmin ? `
+                                <button onclick="SponsorManager.deleteSponsor('${sponsor.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Sponsor">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit sponsor modal
+     * @param {string} sponsorId - Sponsor to edit, or none to add
+     */
+    showSponsorModal(sponsorId = null) {
+        const sponsor = sponsorId ? this.sponsors.find(s => s.id === sponsorId) : null;
+        if (sponsorId && !sponsor) return;
+
+        this.editingSponsorId = sponsorId;
+
+        document.getElementById('sponsor-form')?.reset();
+        document.getElementById('sponsor-modal-title').textContent = sponsorId ? 'Edit Sponsor' : 'Add Sponsor';
+
+        document.getElementById('sponsor-name').value = sponsor?.name || '';
+        document.getElementById('sponsor-url').value = sponsor?.url || '';
+        document.getElementById('sponsor-tier').value = sponsor?.tier || 'community';
+        document.getElementById('sponsor-start-date').value = sponsor?.startDate || '';
+        document.getElementById('sponsor-end-date').value = sponsor?.endDate || '';
+        this.setLogo(sponsor?.logo ? { url: sponsor.logo, path: sponsor.logoPath || null } : null);
+
+        document.getElementById('sponsor-modal')?.classList.remove('hidden');
+        document.getElementById('sponsor-name')?.focus();
+    },
+
+    /**
+     * Hide sponsor modal
+     */
+    hideSponsorModal() {
+        document.getElementById('sponsor-modal')?.classList.add('hidden');
+        this.editingSponsorId = null;
+    },
+
+    /**
+     * Set the logo shown in the modal
+     * @param {Object|null} logo - { url, path }
+     */
+    setLogo(logo) {
+        this.logo = logo;
+
+        const preview = document.getElementById('sponsor-logo-preview');
+        if (preview) {
+            preview.src = logo?.url || '';
+            preview.classList.toggle('hidden', !logo);
+        }
+
+        document.getElementById('sponsor-logo-placeholder')?.classList.toggle('hidden', !!logo);
+        document.getElementById('sponsor-logo-btn').textContent = logo ? 'Replace Logo' : 'Upload Logo';
+        document.getElementById('sponsor-logo-remove')?.classList.toggle('hidden', !logo);
+    },
+
+    /**
+     * Upload a sponsor logo to the sponsors storage folder
+     * @param {File} file
+     */
+    async uploadLogo(file) {
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            Toast.error('Please select an image file');
+            return;
+        }
+
+        if (file.size > 5 * 1024 * 1024) {
+            Toast.error('Logo must be less than 5MB');
+            return;
+        }
+
+        const progressContainer = document.getElementById('sponsor-logo-progress');
+        const progressBar = document.getElementById('sponsor-logo-bar');
+        const saveBtn = document.getElementById('save-sponsor');
+
+        progressContainer?.classList.remove('hidden');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const safeFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+            const storagePath = `sponsors/${Date.now()}_${safeFilename}`;
+            const uploadTask = storage.ref(storagePath).put(file);
+
+            await new Promise((resolve, reject) => {
+                uploadTask.on('state_changed',
+                    (snapshot) => {
+                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+                        if (progressBar) progressBar.style.width = `${progress}%`;
+                    },
+                    reject,
+                    resolve
+                );
+            });
+
+            const url = await uploadTask.snapshot.ref.getDownloadURL();
+            this.setLogo({ url, path: storagePath });
+
+        } catch (error) {
+            console.error('Logo upload error:', error);
+            Toast.error('Failed to upload logo');
+        } finally {
+            progressContainer?.classList.add('hidden');
+            if (progressBar) progressBar.style.width = '0%';
+            if (saveBtn) saveBtn.disabled = false;
+            document.getElementById('sponsor-logo-input').value = '';
+        }
+    },
+
+    /**
+     * Save the sponsor in the modal
+     */
+    async saveSponsor() {
+        const name = document.getElementById('sponsor-name')?.value.trim() || '';
+        const startDate = document.getElementById('sponsor-start-date')?.value || '';
+        const endDate = document.getElementById('sponsor-end-date')?.value || '';
+
+        if (!name) {
+            Toast.error('Please enter a sponsor name');
+            return;
+        }
+
+        if (startDate && endDate && endDate < startDate) {
+            Toast.error('End date cannot be before the start date');
+            return;
+        }
+
+        const sponsorData = {
+            name,
+            url: document.getElementById('sponsor-url')?.value.trim() || '',
+            tier: document.getElementById('sponsor-tier')?.value || 'community',
+            startDate: startDate || null,
+            endDate: endDate || null,
+            logo: this.logo?.url || null,
+            logoPath: this.logo?.path || null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingSponsorId) {
+                await db.collection('sponsors').doc(this.editingSponsorId).update(sponsorData);
+                await this.logActivity('update', `updated sponsor "${name}"`);
+                Toast.success('Sponsor updated');
+            } else {
+                sponsorData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('sponsors').add(sponsorData);
+                await this.logActivity('create', `added sponsor "${name}"`);
+                Toast.success('Sponsor added');
+            }
+
+            this.hideSponsorModal();
+            await this.loadSponsors();
+
+        } catch (error) {
+            console.error('Error saving sponsor:', error);
+            Toast.error('Failed to save sponsor');
+        }
+    },
+
+    /**
+     * Delete a sponsor (admins only)
+     * @param {string} sponsorId
+     */
+    async deleteSponsor(sponsorId) {
+        const sponsor = this.sponsors.find(s => s.id === sponsorId);
+        if (!sponsor) return;
+
+        if (!confirm(`Delete "${sponsor.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('sponsors').doc(sponsorId).delete();
+
+            this.sponsors = this.sponsors.filter(s => s.id !== sponsorId);
+            Toast.success('Sponsor deleted');
+            await this.logActivity('delete', `deleted sponsor "${sponsor.name}"`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting sponsor:', error);
+            Toast.error('Failed to delete sponsor');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on sponsors page
+    if (!document.getElementById('sponsors-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                SponsorManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.SponsorManager = SponsorManager;
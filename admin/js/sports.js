@@ -0,0 +1,520 @@
+/**
+ * Middleton Grange CMS - Sports Module
+ *
+ * Handles the sports catalogue: adding, editing and deleting sports with
+ * year levels, terms, cost, requirements, external links and a tile image.
+ * The site build publishes each sport at /sports/{slug} and a tile index
+ * at /sports/ that can be filtered by term and year level.
+ */
+
+const SportManager = {
+    // State
+    sports: [],
+    editingSportId: null,
+    imageUrl: null,
+    imagePath: null,
+    filters: {
+        search: '',
+        term: ''
+    },
+
+    /**
+     * Initialize sport management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadSports();
+    },
+
+    /**
+     * Load sports from Firestore
+     */
+    async loadSports() {
+        try {
+            const snapshot = await db.collection('sports')
+                .orderBy('name', 'asc')
+                .get();
+
+            this.sports = [];
+            snapshot.forEach(doc => {
+                this.sports.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading sports:', error);
+            Toast.error('Failed to load sports');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-sport-btn')?.addEventListener('click', () => this.showSportModal());
+        document.getElementById('cancel-sport')?.addEventListener('click', () => this.hideSportModal());
+        document.getElementById('add-sport-link')?.addEventListener('click', () => this.addLinkRow());
+
+        document.getElementById('sport-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSport();
+        });
+
+        // Auto-generate slug from name for new sports
+        const nameInput = document.getElementById('sport-name');
+        const slugInput = document.getElementById('sport-slug');
+        if (nameInput && slugInput) {
+            nameInput.addEventListener('input', () => {
+                if (!this.editingSportId || !slugInput.value) {
+                    slugInput.value = Utils.slugify(nameInput.value);
+                }
+            });
+        }
+
+        // Image upload
+        const imageInput = document.getElementById('sport-image-input');
+        document.getElementById('sport-image-btn')?.addEventListener('click', () => imageInput?.click());
+        imageInput?.addEventListener('change', (e) => this.uploadImage(e.target.files[0]));
+        document.getElementById('sport-image-remove')?.addEventListener('click', () => this.setImage(null, null));
+
+        // Filters
+        const searchInput = document.getElementById('search-sports');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-term')?.addEventListener('change', (e) => {
+            this.filters.term = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('sport-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideSportModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideSportModal();
+            }
+        });
+    },
+
+    /**
+     * Collapse sorted numbers into ranges, e.g. [7, 8, 9, 13] -> "7–9, 13"
+     * @param {Array<number>} numbers
+     * @returns {string}
+     */
+    formatRanges(numbers) {
+        const ranges = [];
+
+        [...(numbers || [])].sort((a, b) => a - b).forEach(number => {
+            const last = ranges[ranges.length - 1];
+            if (last && number === last.end + 1) {
+                last.end = number;
+            } else {
+                ranges.push({ start: number, end: number });
+            }
+        });
+
+        return ranges
+            .map(range => range.start === range.end ? `${range.start}` : `${range.start}–${range.end}`)
+            .join(', ');
+    },
+
+    /**
+     * Get sports matching the current filters
+     * @returns {Array}
+     */
+    getFilteredSports() {
+        return this.sports.filter(sport => {
+            if (this.filters.term && !(sport.terms || []).includes(Number(this.filters.term))) return false;
+
+            if (this.filters.search) {
+                const haystack = [sport.name, sport.summary]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render sports table
+     */
+    render() {
+        const tableBody = document.getElementById('sports-table-body');
+        if (!tableBody) return;
+
+        const sports = this.getFilteredSports();
+
+        if (sports.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="activity" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No sports found</p>
+                        <p class="text-sm">${this.sports.length === 0 ? 'Add a sport to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = sports.map(sport => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-6 py-4">
+                    <div class="flex items-center">
+                        <div class="w-16 h-12 flex-shrink-0 flex items-center justify-center bg-gray-100 rounded mr-3 overflow-hidden">
+                            ${sport.image
+                                ? `<img src="${Utils.escapeHtml(sport.image)}" alt="" class="w-full h-full object-cover">`
+                                : '<i data-feather="activity" class="w-5 h-5 text-gray-300"></i>'}
+                        </div>
+                        <div>
+                            <div class="font-medium text-gray-900">${Utils.escapeHtml(sport.name)}</div>
+                            <div class="text-sm text-gray-500">/sports/${Utils.escapeHtml(sport.slug || '')}</div>
+                        </div>
+                    </div>
+                </td>
+                <td class="px-6 py-4 text-sm text-gray-700">${this.formatRanges(sport.yearLevels) || '-'}</td>
+                <td class="px-6 py-4 text-sm text-gray-700">${this.formatRanges(sport.terms) || '-'}</td>
+                <td class="px-6 py-4 text-sm text-gray-700">${Utils.escapeHtml(sport.cost || '-')}</td>
+                <td class="px-6 py-4">
+                    <div class="flex items-center gap-2">
+                        <button onclick="SportManager.showSportModal('${sport.id}')"
+                                class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Edit Sport">
+                            <i data-feather="edit-2" class="w-4 h-4"></i>
+                        </button>
+                        ${isAdmin ? `
+                            <button onclick="SportManager.deleteSport('${sport.id}')"
+                                    class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    title="Delete Sport">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit sport modal
+     * @param {string} sportId - Sport to edit, or none to add
+     */
+    showSportModal(sportId = null) {
+        const sport = sportId ? this.sports.find(s => s.id === sportId) : null;
+        if (sportId && !sport) return;
+
+        this.editingSportId = sportId;
+
+        document.getElementById('sport-form')?.reset();
+        document.getElementById('sport-modal-title').textContent = sport ? 'Edit Sport' : 'Add Sport';
+
+        document.getElementById('sport-name').value = sport?.name || '';
+        document.getElementById('sport-slug').value = sport?.slug || '';
+        document.getElementById('sport-cost').value = sport?.cost || '';
+        document.getElementById('sport-summary').value = sport?.summary || '';
+        document.getElementById('sport-description').value = sport?.description || '';
+        document.getElementById('sport-requirements').value = sport?.requirements || '';
+        this.setChecked('sport-year-level', sport?.yearLevels || []);
+        this.setChecked('sport-term', sport?.terms || []);
+        this.setImage(sport?.image || null, sport?.imagePath || null);
+
+        const linksContainer = document.getElementById('sport-links');
+        if (linksContainer) linksContainer.innerHTML = '';
+        (sport?.links || []).forEach(link => this.addLinkRow(link));
+
+        document.getElementById('sport-modal')?.classList.remove('hidden');
+        document.getElementById('sport-name')?.focus();
+    },
+
+    /**
+     * Hide sport modal
+     */
+    hideSportModal() {
+        document.getElementById('sport-modal')?.classList.add('hidden');
+        this.editingSportId = null;
+    },
+
+    /**
+     * Tick the checkboxes in a group whose values are listed
+     * @param {string} name - Checkbox name
+     * @param {Array<number>} values
+     */
+    setChecked(name, values) {
+        document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+            input.checked = values.includes(Number(input.value));
+        });
+    },
+
+    /**
+     * Get the ticked values in a checkbox group
+     * @param {string} name - Checkbox name
+     * @returns {Array<number>}
+     */
+    getChecked(name) {
+        return [...document.querySelectorAll(`input[name="${name}"]:checked`)]
+            .map(input => Number(input.value));
+    },
+
+    /**
+     * Add a link row to the modal
+     * @param {Object} link - { label, url }
+     */
+    addLinkRow(link = {}) {
+        const container = document.getElementById('sport-links');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'sport-link-row flex items-center gap-2';
+        row.innerHTML = `
+            <input type="text" class="sport-link-label w-1/3 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                   placeholder="Label" value="${Utils.escapeHtml(link.label || '')}">
+            <input type="url" class="sport-link-url flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                   placeholder="https://" value="${Utils.escapeHtml(link.url || '')}">
+            <button type="button" class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Remove Link">
+                <i data-feather="x" class="w-4 h-4"></i>
+            </button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+
+        container.appendChild(row);
+        feather.replace();
+    },
+
+    /**
+     * Get the links entered in the modal, skipping rows without a URL
+     * @returns {Array<Object>}
+     */
+    getLinks() {
+        return [...document.querySelectorAll('#sport-links .sport-link-row')]
+            .map(row => ({
+                label: row.querySelector('.sport-link-label').value.trim(),
+                url: row.querySelector('.sport-link-url').value.trim()
+            }))
+            .filter(link => link.url);
+    },
+
+    /**
+     * Set the tile image shown in the modal
+     * @param {string|null} url
+     * @param {string|null} storagePath
+     */
+    setImage(url, storagePath) {
+        this.imageUrl = url;
+        this.imagePath = storagePath;
+
+        const preview = document.getElementById('sport-image-preview');
+        if (preview) {
+            preview.innerHTML = url
+                ? `<img src="${url}" alt="" class="w-full h-full object-cover">`
+                : '<i data-feather="image" class="w-10 h-10 text-gray-300"></i>';
+        }
+
+        document.getElementById('sport-image-btn').textContent = url ? 'Change Image' : 'Upload Image';
+        document.getElementById('sport-image-remove')?.classList.toggle('hidden', !url);
+        feather.replace();
+    },
+
+    /**
+     * Upload a tile image to the sports storage folder
+     * @param {File} file
+     */
+    async uploadImage(file) {
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            Toast.error('Please select an image file');
+            return;
+        }
+
+        if (file.size > 5 * 1024 * 1024) {
+            Toast.error('Image must be less than 5MB');
+            return;
+        }
+
+        const progressContainer = document.getElementById('sport-image-progress');
+        const progressBar = document.getElementById('sport-image-bar');
+        const saveBtn = document.getElementById('save-sport');
+
+        progressContainer?.classList.remove('hidden');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const safeFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+            const storagePath = `sports/${Date.now()}_${safeFilename}`;
+            const uploadTask = storage.ref(storagePath).put(file);
+
+            await new Promise((resolve, reject) => {
+                uploadTask.on('state_changed',
+                    (snapshot) => {
+                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+                        if (progressBar) progressBar.style.width = `${progress}%`;
+                    },
+                    reject,
+                    resolve
+                );
+            });
+
+            const url = await uploadTask.snapshot.ref.getDownloadURL();
+            this.setImage(url, storagePath);
+
+        } catch (error) {
+            console.error('Image upload error:', error);
+            Toast.error('Failed to upload image');
+        } finally {
+            progressContainer?.classList.add('hidden');
+            if (progressBar) progressBar.style.width = '0%';
+            if (saveBtn) saveBtn.disabled = false;
+            document.getElementById('sport-image-input').value = '';
+        }
+    },
+
+    /**
+     * Save the sport in the modal
+     */
+    async saveSport() {
+        const name = document.getElementById('sport-name')?.value.trim() || '';
+        const slug = Utils.slugify(document.getElementById('sport-slug')?.value || name);
+
+        if (!name) {
+            Toast.error('Please enter the name of the sport');
+            return;
+        }
+
+        if (!slug) {
+            Toast.error('Please enter a URL slug');
+            return;
+        }
+
+        if (this.sports.some(s => s.slug === slug && s.id !== this.editingSportId)) {
+            Toast.error('Another sport already uses this URL slug');
+            document.getElementById('sport-slug')?.focus();
+            return;
+        }
+
+        const sportData = {
+            name,
+            slug,
+            summary: document.getElementById('sport-summary')?.value.trim() || '',
+            yearLevels: this.getChecked('sport-year-level'),
+            terms: this.getChecked('sport-term'),
+            cost: document.getElementById('sport-cost')?.value.trim() || '',
+            requirements: document.getElementById('sport-requirements')?.value.trim() || '',
+            description: document.getElementById('sport-description')?.value.trim() || '',
+            links: this.getLinks(),
+            image: this.imageUrl || null,
+            imagePath: this.imagePath || null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingSportId) {
+                await db.collection('sports').doc(this.editingSportId).update(sportData);
+                await this.logActivity('update', `updated sport "${name}"`);
+                Toast.success('Sport updated');
+            } else {
+                sportData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('sports').add(sportData);
+                await this.logActivity('create', `added sport "${name}"`);
+                Toast.success('Sport added');
+            }
+
+            this.hideSportModal();
+            await this.loadSports();
+
+        } catch (error) {
+            console.error('Error saving sport:', error);
+            Toast.error('Failed to save sport');
+        }
+    },
+
+    /**
+     * Delete a sport (admins only)
+     * @param {string} sportId
+     */
+    async deleteSport(sportId) {
+        const sport = this.sports.find(s => s.id === sportId);
+        if (!sport) return;
+
+        if (!confirm(`Delete "${sport.name}"? Its page will be removed from the site at the next build.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('sports').doc(sportId).delete();
+
+            this.sports = this.sports.filter(s => s.id !== sportId);
+            Toast.success('Sport deleted');
+            await this.logActivity('delete', `deleted sport "${sport.name}"`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting sport:', error);
+            Toast.error('Failed to delete sport');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on sports page
+    if (!document.getElementById('sports-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                SportManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.SportManager = SportManager;
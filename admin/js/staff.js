@@ -0,0 +1,1073 @@
+/**
+ * Middleton Grange CMS - Staff Module
+ *
+ * Handles staff profiles shown on pages with the "Staff Listing" page
+ * type: adding, editing and deleting profiles, drag-and-drop ordering of
+ * departments, and CSV import/export so the staffing office can keep the
+ * site in sync with their spreadsheet.
+ */
+
+const StaffManager = {
+    // State
+    staff: [],
+    departments: [],
+    editingStaffId: null,
+    photoUrl: null,
+    photoPath: null,
+    departmentSortable: null,
+    pendingImport: null,
+    filters: {
+        search: '',
+        department: ''
+    },
+
+    // Columns written to and read from CSV files, in order
+    csvColumns: ['id', 'name', 'role', 'department', 'qualifications', 'email', 'bio', 'order', 'photo'],
+
+    // Firestore allows at most 500 writes per batch
+    batchSize: 450,
+
+    /**
+     * Initialize staff management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadData();
+    },
+
+    /**
+     * Load departments and staff profiles from Firestore
+     */
+    async loadData() {
+        try {
+            const [departmentsSnapshot, staffSnapshot] = await Promise.all([
+                db.collection('staffDepartments').orderBy('order', 'asc').get(),
+                db.collection('staffProfiles').get()
+            ]);
+
+            this.departments = [];
+            departmentsSnapshot.forEach(doc => {
+                this.departments.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.staff = [];
+            staffSnapshot.forEach(doc => {
+                this.staff.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.sortStaff();
+            this.renderDepartments();
+            this.renderDepartmentOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading staff:', error);
+            Toast.error('Failed to load staff');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-staff-btn')?.addEventListener('click', () => this.showStaffModal());
+        document.getElementById('cancel-staff')?.addEventListener('click', () => this.hideStaffModal());
+
+        document.getElementById('staff-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveStaff();
+        });
+
+        document.getElementById('department-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addDepartment();
+        });
+
+        // Photo upload
+        const photoInput = document.getElementById('staff-photo-input');
+        document.getElementById('staff-photo-btn')?.addEventListener('click', () => photoInput?.click());
+        photoInput?.addEventListener('change', (e) => this.uploadPhoto(e.target.files[0]));
+        document.getElementById('staff-photo-remove')?.addEventListener('click', () => this.setPhoto(null, null));
+
+        // CSV import/export
+        const csvInput = document.getElementById('staff-csv-input');
+        document.getElementById('import-staff-btn')?.addEventListener('click', () => csvInput?.click());
+        csvInput?.addEventListener('change', (e) => this.readImportFile(e.target.files[0]));
+        document.getElementById('export-staff-btn')?.addEventListener('click', () => this.exportCSV());
+        document.getElementById('cancel-import')?.addEventListener('click', () => this.hideImportModal());
+        document.getElementById('confirm-import')?.addEventListener('click', () => this.confirmImport());
+
+        // Filters
+        const searchInput = document.getElementById('search-staff');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-department')?.addEventListener('change', (e) => {
+            this.filters.department = e.target.value;
+            this.render();
+        });
+
+        // Click outside modals to close
+        document.getElementById('staff-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'staff-modal') this.hideStaffModal();
+        });
+
+        document.getElementById('import-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'import-modal') this.hideImportModal();
+        });
+
+        // ESC to close modals
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideStaffModal();
+                this.hideImportModal();
+            }
+        });
+    },
+
+    // ============================================
+    // DEPARTMENTS
+    // ============================================
+
+    /**
+     * Get every department name, in display order. Departments used by
+     * staff but not yet added to the department list come last.
+     * @returns {string[]}
+     */
+    getDepartmentNames() {
+        const names = this.departments.map(d => d.name);
+        const extra = [...new Set(this.staff.map(s => s.department).filter(Boolean))]
+            .filter(name => !names.includes(name))
+            .sort((a, b) => a.localeCompare(b));
+        return [...names, ...extra];
+    },
+
+    /**
+     * Sort staff by department order, then display order, then name
+     */
+    sortStaff() {
+        const names = this.getDepartmentNames();
+        const rank = (staff) => staff.department ? names.indexOf(staff.department) : names.length;
+
+        this.staff.sort((a, b) =>
+            rank(a) - rank(b) ||
+            (a.order || 0) - (b.order || 0) ||
+            (a.name || '').localeCompare(b.name || '')
+        );
+    },
+
+    /**
+     * Render the sortable department list
+     */
+    renderDepartments() {
+        const container = document.getElementById('department-list');
+        if (!container) return;
+
+        if (this.departments.length === 0) {
+            container.innerHTML = `
+                <p class="px-4 py-6 text-sm text-center text-gray-500">No departments yet.</p>
+            `;
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        container.innerHTML = this.departments.map(department => {
+            const count = this.staff.filter(s => s.department === department.name).length;
+            return `
+                <div class="flex items-center px-3 py-2 bg-white" data-department-id="${department.id}">
+                    <span class="drag-handle cursor-move p-1 mr-1 text-gray-400 hover:text-gray-600" title="Drag to reorder">
+                        <i data-feather="menu" class="w-4 h-4"></i>
+                    </span>
+                    <span class="flex-1 min-w-0 truncate text-sm text-gray-800">${Utils.escapeHtml(department.name)}</span>
+                    <span class="text-xs text-gray-400 mx-2">${count}</span>
+                    <button onclick="StaffManager.renameDepartment('${department.id}')"
+                            class="p-1 text-gray-400 hover:text-blue-600 rounded transition-colors"
+                            title="Rename Department">
+                        <i data-feather="edit-2" class="w-3 h-3"></i>
+                    </button>
+                    ${isAdmin ? `
+                        <button onclick="StaffManager.deleteDepartment('${department.id}')"
+                                class="p-1 text-gray-400 hover:text-red-600 rounded transition-colors"
+                                title="Delete Department">
+                            <i data-feather="trash-2" class="w-3 h-3"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        feather.replace();
+        this.initDepartmentSortable();
+    },
+
+    /**
+     * Fill the department filter and the modal department select
+     */
+    renderDepartmentOptions() {
+        const names = this.getDepartmentNames();
+        const options = names.map(name =>
+            `<option value="${Utils.escapeHtml(name)}">${Utils.escapeHtml(name)}</option>`
+        ).join('');
+
+        const filter = document.getElementById('filter-department');
+        if (filter) {
+            filter.innerHTML = '<option value="">All Departments</option>' + options;
+            filter.value = names.includes(this.filters.department) ? this.filters.department : '';
+            this.filters.department = filter.value;
+        }
+
+        const select = document.getElementById('staff-department');
+        if (select) {
+            select.innerHTML = '<option value="">-- No Department --</option>' + options;
+        }
+    },
+
+    /**
+     * Initialize SortableJS for departments
+     */
+    initDepartmentSortable() {
+        const container = document.getElementById('department-list');
+        if (!container || typeof Sortable === 'undefined') return;
+
+        if (this.departmentSortable) {
+            this.departmentSortable.destroy();
+        }
+
+        this.departmentSortable = new Sortable(container, {
+            animation: 150,
+            handle: '.drag-handle',
+            ghostClass: 'bg-blue-50',
+            dragClass: 'shadow-lg',
+            onEnd: (evt) => {
+                this.handleDepartmentReorder(evt.oldIndex, evt.newIndex);
+            }
+        });
+    },
+
+    /**
+     * Handle department reordering
+     * @param {number} oldIndex
+     * @param {number} newIndex
+     */
+    async handleDepartmentReorder(oldIndex, newIndex) {
+        if (oldIndex === newIndex) return;
+
+        const [removed] = this.departments.splice(oldIndex, 1);
+        this.departments.splice(newIndex, 0, removed);
+
+        try {
+            const batch = db.batch();
+
+            this.departments.forEach((department, index) => {
+                const ref = db.collection('staffDepartments').doc(department.id);
+                batch.update(ref, { order: index });
+                department.order = index;
+            });
+
+            await batch.commit();
+            Toast.success('Department order updated');
+
+            await this.logActivity('update', 'reordered staff departments');
+
+            this.sortStaff();
+            this.renderDepartmentOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error reordering departments:', error);
+            Toast.error('Failed to save order');
+            await this.loadData();
+        }
+    },
+
+    /**
+     * Add a department from the department form
+     */
+    async addDepartment() {
+        const input = document.getElementById('department-name');
+        const name = input?.value.trim() || '';
+        if (!name) return;
+
+        if (this.departments.some(d => d.name.toLowerCase() === name.toLowerCase())) {
+            Toast.error('That department already exists');
+            return;
+        }
+
+        try {
+            await db.collection('staffDepartments').add({
+                name,
+                order: this.departments.length,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            input.value = '';
+            Toast.success('Department added');
+            await this.logActivity('create', `added staff department "${name}"`);
+            await this.loadData();
+
+        } catch (error) {
+            console.error('Error adding department:', error);
+            Toast.error('Failed to add department');
+        }
+    },
+
+    /**
+     * Rename a department and move its staff across
+     * @param {string} departmentId
+     */
+    async renameDepartment(departmentId) {
+        const department = this.departments.find(d => d.id === departmentId);
+        if (!department) return;
+
+        const name = prompt('Department name:', department.name)?.trim();
+        if (!name || name === department.name) return;
+
+        if (this.departments.some(d => d.id !== departmentId && d.name.toLowerCase() === name.toLowerCase())) {
+            Toast.error('That department already exists');
+            return;
+        }
+
+        try {
+            const operations = [
+                { type: 'update', ref: db.collection('staffDepartments').doc(departmentId), data: { name } }
+            ];
+
+            this.staff
+                .filter(s => s.department === department.name)
+                .forEach(s => operations.push({
+                    type: 'update',
+                    ref: db.collection('staffProfiles').doc(s.id),
+                    data: { department: name, updatedAt: firebase.firestore.FieldValue.serverTimestamp() }
+                }));
+
+            await this.commitOperations(operations);
+
+            Toast.success('Department renamed');
+            await this.logActivity('update', `renamed staff department "${department.name}" to "${name}"`);
+            await this.loadData();
+
+        } catch (error) {
+            console.error('Error renaming department:', error);
+            Toast.error('Failed to rename department');
+        }
+    },
+
+    /**
+     * Delete a department (admins only). Its staff are kept but left
+     * without a department.
+     * @param {string} departmentId
+     */
+    async deleteDepartment(departmentId) {
+        const department = this.departments.find(d => d.id === departmentId);
+        if (!department) return;
+
+        const members = this.staff.filter(s => s.department === department.name);
+        const message = members.length
+            ? `Delete "${department.name}"? ${members.length} staff member(s) will be left without a department.`
+            : `Delete "${department.name}"?`;
+
+        if (!confirm(message)) return;
+
+        try {
+            const operations = [
+                { type: 'delete', ref: db.collection('staffDepartments').doc(departmentId) }
+            ];
+
+            members.forEach(s => operations.push({
+                type: 'update',
+                ref: db.collection('staffProfiles').doc(s.id),
+                data: { department: '', updatedAt: firebase.firestore.FieldValue.serverTimestamp() }
+            }));
+
+            await this.commitOperations(operations);
+
+            Toast.success('Department deleted');
+            await this.logActivity('delete', `deleted staff department "${department.name}"`);
+            await this.loadData();
+
+        } catch (error) {
+            console.error('Error deleting department:', error);
+            Toast.error('Failed to delete department');
+        }
+    },
+
+    // ============================================
+    // STAFF PROFILES
+    // ============================================
+
+    /**
+     * Get staff matching the current filters
+     * @returns {Array}
+     */
+    getFilteredStaff() {
+        return this.staff.filter(staff => {
+            if (this.filters.department && staff.department !== this.filters.department) {
+                return false;
+            }
+
+            if (this.filters.search) {
+                const haystack = [staff.name, staff.role, staff.department, staff.email]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render staff table
+     */
+    render() {
+        const tableBody = document.getElementById('staff-table-body');
+        if (!tableBody) return;
+
+        const staffList = this.getFilteredStaff();
+
+        if (staffList.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="users" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No staff found</p>
+                        <p class="text-sm">${this.staff.length === 0 ? 'Add a staff member or import a CSV file to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = staffList.map(staff => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-6 py-4">
+                    <div class="flex items-center">
+                        <div class="w-10 h-10 rounded-full bg-gray-100 overflow-hidden flex items-center justify-center flex-shrink-0 mr-3">
+                            ${staff.photo
+                                ? `<img src="${staff.photo}" alt="" class="w-full h-full object-cover" loading="lazy">`
+                                : '<i data-feather="user" class="w-5 h-5 text-gray-400"></i>'}
+                        </div>
+                        <div>
+                            <div class="font-medium text-gray-900">${Utils.escapeHtml(staff.name)}</div>
+                            ${staff.role ? `<div class="text-sm text-gray-500">${Utils.escapeHtml(staff.role)}</div>` : ''}
+                        </div>
+                    </div>
+                </td>
+                <td class="px-6 py-4 text-sm text-gray-700">${Utils.escapeHtml(staff.department || '-')}</td>
+                <td class="px-6 py-4 text-sm text-gray-700">${staff.order || 0}</td>
+                <td class="px-6 py-4">
+                    <div class="flex items-center gap-2">
+                        <button onclick="StaffManager.showStaffModal('${staff.id}')"
+                                class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Edit Staff Member">
+                            <i data-feather="edit-2" class="w-4 h-4"></i>
+                        </button>
+                        ${isAdmin ? `
+                            <button onclick="StaffManager.deleteStaff('${staff.id}')"
+                                    class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    title="Delete Staff Member">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit staff modal
+     * @param {string} staffId - Staff member to edit, or none to add
+     */
+    showStaffModal(staffId = null) {
+        const staff = staffId ? this.staff.find(s => s.id === staffId) : null;
+        if (staffId && !staff) return;
+
+        this.editingStaffId = staffId;
+
+        document.getElementById('staff-form')?.reset();
+        document.getElementById('staff-modal-title').textContent = staff ? 'Edit Staff Member' : 'Add Staff Member';
+
+        document.getElementById('staff-name').value = staff?.name || '';
+        document.getElementById('staff-role').value = staff?.role || '';
+        document.getElementById('staff-department').value = staff?.department || this.filters.department || '';
+        document.getElementById('staff-order').value = staff?.order || 0;
+        document.getElementById('staff-email').value = staff?.email || '';
+        document.getElementById('staff-qualifications').value = staff?.qualifications || '';
+        document.getElementById('staff-bio').value = staff?.bio || '';
+        this.setPhoto(staff?.photo || null, staff?.photoPath || null);
+
+        document.getElementById('staff-modal')?.classList.remove('hidden');
+        document.getElementById('staff-name')?.focus();
+    },
+
+    /**
+     * Hide staff modal
+     */
+    hideStaffModal() {
+        document.getElementById('staff-modal')?.classList.add('hidden');
+        this.editingStaffId = null;
+    },
+
+    /**
+     * Set the photo shown in the modal
+     * @param {string|null} url
+     * @param {string|null} storagePath
+     */
+    setPhoto(url, storagePath) {
+        this.photoUrl = url;
+        this.photoPath = storagePath;
+
+        const preview = document.getElementById('staff-photo-preview');
+        if (preview) {
+            preview.innerHTML = url
+                ? `<img src="${url}" alt="" class="w-full h-full object-cover">`
+                : '<i data-feather="user" class="w-10 h-10 text-gray-300"></i>';
+        }
+
+        document.getElementById('staff-photo-btn').textContent = url ? 'Change Photo' : 'Upload Photo';
+        document.getElementById('staff-photo-remove')?.classList.toggle('hidden', !url);
+        feather.replace();
+    },
+
+    /**
+     * Upload a staff photo to the staff storage folder
+     * @param {File} file
+     */
+    async uploadPhoto(file) {
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            Toast.error('Please select an image file');
+            return;
+        }
+
+        if (file.size > 5 * 1024 * 1024) {
+            Toast.error('Photo must be less than 5MB');
+            return;
+        }
+
+        const progressContainer = document.getElementById('staff-photo-progress');
+        const progressBar = document.getElementById('staff-photo-bar');
+        const saveBtn = document.getElementById('save-staff');
+
+        progressContainer?.classList.remove('hidden');
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const safeFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+            const storagePath = `staff/${Date.now()}_${safeFilename}`;
+            const uploadTask = storage.ref(storagePath).put(file);
+
+            await new Promise((resolve, reject) => {
+                uploadTask.on('state_changed',
+                    (snapshot) => {
+                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+                        if (progressBar) progressBar.style.width = `${progress}%`;
+                    },
+                    reject,
+                    resolve
+                );
+            });
+
+            const url = await uploadTask.snapshot.ref.getDownloadURL();
+            this.setPhoto(url, storagePath);
+
+        } catch (error) {
+            console.error('Photo upload error:', error);
+            Toast.error('Failed to upload photo');
+        } finally {
+            progressContainer?.classList.add('hidden');
+            if (progressBar) progressBar.style.width = '0%';
+            if (saveBtn) saveBtn.disabled = false;
+            document.getElementById('staff-photo-input').value = '';
+        }
+    },
+
+    /**
+     * Save the staff member in the modal
+     */
+    async saveStaff() {
+        const name = document.getElementById('staff-name')?.value.trim() || '';
+
+        if (!name) {
+            Toast.error('Please enter a name');
+            return;
+        }
+
+        const staffData = {
+            name,
+            role: document.getElementById('staff-role')?.value.trim() || '',
+            department: document.getElementById('staff-department')?.value || '',
+            qualifications: document.getElementById('staff-qualifications')?.value.trim() || '',
+            email: document.getElementById('staff-email')?.value.trim() || '',
+            bio: document.getElementById('staff-bio')?.value.trim() || '',
+            order: parseInt(document.getElementById('staff-order')?.value, 10) || 0,
+            photo: this.photoUrl || null,
+            photoPath: this.photoPath || null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingStaffId) {
+                await db.collection('staffProfiles').doc(this.editingStaffId).update(staffData);
+                await this.logActivity('update', `updated staff profile "${name}"`);
+                Toast.success('Staff member updated');
+            } else {
+                staffData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('staffProfiles').add(staffData);
+                await this.logActivity('create', `added staff profile "${name}"`);
+                Toast.success('Staff member added');
+            }
+
+            this.hideStaffModal();
+            await this.loadData();
+
+        } catch (error) {
+            console.error('Error saving staff profile:', error);
+            Toast.error('Failed to save staff member');
+        }
+    },
+
+    /**
+     * Delete a staff member (admins only)
+     * @param {string} staffId
+     */
+    async deleteStaff(staffId) {
+        const staff = this.staff.find(s => s.id === staffId);
+        if (!staff) return;
+
+        if (!confirm(`Delete the profile for "${staff.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('staffProfiles').doc(staffId).delete();
+
+            this.staff = this.staff.filter(s => s.id !== staffId);
+            Toast.success('Staff member deleted');
+            await this.logActivity('delete', `deleted staff profile "${staff.name}"`);
+
+            this.renderDepartments();
+            this.renderDepartmentOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting staff profile:', error);
+            Toast.error('Failed to delete staff member');
+        }
+    },
+
+    // ============================================
+    // CSV IMPORT/EXPORT
+    // ============================================
+
+    /**
+     * Quote a value for CSV output
+     * @param {*} value
+     * @returns {string}
+     */
+    toCSVField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Parse CSV text into rows of fields. Handles quoted fields containing
+     * commas, quotes and line breaks.
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Download all staff as a CSV file
+     */
+    exportCSV() {
+        const lines = [this.csvColumns.join(',')];
+
+        this.staff.forEach(staff => {
+            lines.push(this.csvColumns.map(column =>
+                this.toCSVField(column === 'order' ? staff.order || 0 : staff[column])
+            ).join(','));
+        });
+
+        // BOM so Excel opens the file as UTF-8
+        const blob = new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `staff-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.logActivity('export', `exported ${this.staff.length} staff profiles to CSV`);
+    },
+
+    /**
+     * Read a CSV file chosen for import
+     * @param {File} file
+     */
+    async readImportFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            this.prepareImport(this.parseCSV(text));
+        } catch (error) {
+            console.error('Error reading CSV:', error);
+            Toast.error('Failed to read CSV file');
+        } finally {
+            document.getElementById('staff-csv-input').value = '';
+        }
+    },
+
+    /**
+     * Match CSV rows to existing staff and work out what will change.
+     * Rows are matched by id, then email, then name. Columns missing from
+     * the file are left untouched on existing profiles.
+     * @param {string[][]} rows
+     */
+    prepareImport(rows) {
+        if (rows.length < 2) {
+            Toast.error('The CSV file has no staff rows');
+            return;
+        }
+
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const columns = this.csvColumns.filter(column => header.includes(column));
+
+        if (!columns.includes('name')) {
+            Toast.error('The CSV file needs a "name" column');
+            return;
+        }
+
+        const byId = new Map(this.staff.map(s => [s.id, s]));
+        const byEmail = new Map(this.staff.filter(s => s.email).map(s => [s.email.toLowerCase(), s]));
+        const byName = new Map(this.staff.map(s => [(s.name || '').toLowerCase(), s]));
+
+        const creates = [];
+        const updates = [];
+        const errors = [];
+        const matched = new Set();
+        let unchanged = 0;
+
+        rows.slice(1).forEach((row, index) => {
+            const line = index + 2;
+            const values = {};
+            columns.forEach(column => {
+                values[column] = (row[header.indexOf(column)] || '').trim();
+            });
+
+            if (!values.name) {
+                errors.push(`Row ${line}: missing name`);
+                return;
+            }
+
+            if (columns.includes('order')) {
+                if (values.order === '') {
+                    values.order = 0;
+                } else if (!/^\d+$/.test(values.order)) {
+                    errors.push(`Row ${line}: order must be a whole number`);
+                    return;
+                } else {
+                    values.order = parseInt(values.order, 10);
+                }
+            }
+
+            if (columns.includes('photo')) {
+                values.photo = values.photo || null;
+            }
+
+            let existing = null;
+            if (values.id) {
+                existing = byId.get(values.id);
+                if (!existing) {
+                    errors.push(`Row ${line}: no staff member with id "${values.id}"`);
+                    return;
+                }
+            } else {
+                existing = (values.email && byEmail.get(values.email.toLowerCase())) ||
+                    byName.get(values.name.toLowerCase()) || null;
+            }
+
+            delete values.id;
+
+            if (!existing) {
+                creates.push(values);
+                return;
+            }
+
+            if (matched.has(existing.id)) {
+                errors.push(`Row ${line}: "${values.name}" appears more than once`);
+                return;
+            }
+            matched.add(existing.id);
+
+            const changes = {};
+            Object.keys(values).forEach(key => {
+                const current = key === 'order' ? existing.order || 0 : existing[key] ?? (key === 'photo' ? null : '');
+                if (values[key] !== current) changes[key] = values[key];
+            });
+
+            if (Object.keys(changes).length) {
+                updates.push({ staff: existing, changes });
+            } else {
+                unchanged++;
+            }
+        });
+
+        const missing = this.staff.filter(s => !matched.has(s.id));
+        const newDepartments = [...new Set([...creates, ...updates.map(u => u.changes)]
+            .map(values => values.department)
+            .filter(Boolean))]
+            .filter(name => !this.departments.some(d => d.name === name));
+
+        this.pendingImport = { creates, updates, missing, newDepartments };
+        this.showImportModal(unchanged, errors);
+    },
+
+    /**
+     * Show the import preview
+     * @param {number} unchanged - Rows that match a profile exactly
+     * @param {string[]} errors - Rows that will be skipped
+     */
+    showImportModal(unchanged, errors) {
+        const { creates, updates, missing, newDepartments } = this.pendingImport;
+        const summary = document.getElementById('import-summary');
+
+        if (summary) {
+            summary.innerHTML = `
+                <p><strong>${creates.length}</strong> new staff member(s) will be added</p>
+                <p><strong>${updates.length}</strong> existing profile(s) will be updated</p>
+                <p><strong>${unchanged}</strong> profile(s) are unchanged</p>
+                ${newDepartments.length ? `
+                    <p><strong>${newDepartments.length}</strong> new department(s): ${newDepartments.map(n => Utils.escapeHtml(n)).join(', ')}</p>
+                ` : ''}
+                ${errors.length ? `
+                    <div class="mt-3 p-3 bg-red-50 text-red-700 rounded-lg max-h-40 overflow-y-auto">
+                        <p class="font-medium mb-1">${errors.length} row(s) will be skipped:</p>
+                        <ul class="list-disc list-inside text-xs space-y-0.5">
+                            ${errors.map(e => `<li>${Utils.escapeHtml(e)}</li>`).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+            `;
+        }
+
+        // Only admins can delete profiles
+        const removeOption = document.getElementById('import-remove-option');
+        const removeCheckbox = document.getElementById('import-remove-missing');
+        if (removeCheckbox) removeCheckbox.checked = false;
+        removeOption?.classList.toggle('hidden', !Auth.isAdmin() || missing.length === 0);
+        document.getElementById('import-missing-count').textContent = missing.length;
+
+        const confirmBtn = document.getElementById('confirm-import');
+        if (confirmBtn) {
+            confirmBtn.disabled = creates.length === 0 && updates.length === 0 && missing.length === 0;
+        }
+
+        document.getElementById('import-modal')?.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the import preview
+     */
+    hideImportModal() {
+        document.getElementById('import-modal')?.classList.add('hidden');
+        this.pendingImport = null;
+    },
+
+    /**
+     * Write the pending import to Firestore
+     */
+    async confirmImport() {
+        if (!this.pendingImport) return;
+
+        const { creates, updates, missing, newDepartments } = this.pendingImport;
+        const removeMissing = Auth.isAdmin() && document.getElementById('import-remove-missing')?.checked;
+        const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+        const operations = [];
+
+        newDepartments.forEach((name, index) => {
+            operations.push({
+                type: 'set',
+                ref: db.collection('staffDepartments').doc(),
+                data: { name, order: this.departments.length + index, createdAt: timestamp }
+            });
+        });
+
+        creates.forEach(values => {
+            operations.push({
+                type: 'set',
+                ref: db.collection('staffProfiles').doc(),
+                data: {
+                    role: '',
+                    department: '',
+                    qualifications: '',
+                    email: '',
+                    bio: '',
+                    order: 0,
+                    photo: null,
+                    ...values,
+                    createdAt: timestamp,
+                    updatedAt: timestamp
+                }
+            });
+        });
+
+        updates.forEach(({ staff, changes }) => {
+            operations.push({
+                type: 'update',
+                ref: db.collection('staffProfiles').doc(staff.id),
+                data: { ...changes, updatedAt: timestamp }
+            });
+        });
+
+        if (removeMissing) {
+            missing.forEach(staff => {
+                operations.push({ type: 'delete', ref: db.collection('staffProfiles').doc(staff.id) });
+            });
+        }
+
+        if (operations.length === 0) return;
+
+        const confirmBtn = document.getElementById('confirm-import');
+        if (confirmBtn) confirmBtn.disabled = true;
+
+        try {
+            await this.commitOperations(operations);
+
+            const removed = removeMissing ? missing.length : 0;
+            Toast.success('Staff import complete');
+            await this.logActivity('import',
+                `imported staff from CSV (${creates.length} added, ${updates.length} updated, ${removed} removed)`);
+
+            this.hideImportModal();
+            await this.loadData();
+
+        } catch (error) {
+            console.error('Error importing staff:', error);
+            Toast.error('Failed to import staff');
+            if (confirmBtn) confirmBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Commit writes in batches small enough for Firestore
+     * @param {Array<{type: string, ref: Object, data?: Object}>} operations
+     */
+    async commitOperations(operations) {
+        for (let i = 0; i < operations.length; i += this.batchSize) {
+            const batch = db.batch();
+
+            operations.slice(i, i + this.batchSize).forEach(({ type, ref, data }) => {
+                if (type === 'delete') {
+                    batch.delete(ref);
+                } else {
+                    batch[type](ref, data);
+                }
+            });
+
+            await batch.commit();
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on staff page
+    if (!document.getElementById('staff-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                StaffManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.StaffManager = StaffManager;
@@ -0,0 +1,470 @@
+/**
+ * Middleton Grange CMS - Submissions Module
+ *
+ * Inbox for submissions to website forms. Submissions are created by
+ * visitors (see FormSubmission in public/js/main.js); editors can read them,
+ * mark them read and export a form's submissions to CSV.
+ */
+
+const SubmissionInbox = {
+    // State
+    forms: [],
+    submissions: [],
+    currentFormFilter: '',
+    currentStatusFilter: '',
+
+    // Most recent submissions shown when no form is chosen
+    recentLimit: 200,
+
+    /**
+     * Initialize the inbox
+     */
+    async init() {
+        this.currentFormFilter = new URLSearchParams(window.location.search).get('form') || '';
+
+        this.bindEvents();
+        await this.loadForms();
+        await this.loadSubmissions();
+    },
+
+    /**
+     * Load forms for the filter and for field labels
+     */
+    async loadForms() {
+        try {
+            const snapshot = await db.collection('forms')
+                .orderBy('title', 'asc')
+                .get();
+
+            this.forms = [];
+            snapshot.forEach(doc => {
+                this.forms.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderFormFilter();
+
+        } catch (error) {
+            console.error('Error loading forms:', error);
+            Toast.error('Failed to load forms');
+        }
+    },
+
+    /**
+     * Load submissions, for the chosen form or the most recent across all forms
+     */
+    async loadSubmissions() {
+        try {
+            let query = db.collection('formSubmissions');
+
+            if (this.currentFormFilter) {
+                query = query.where('formId', '==', this.currentFormFilter)
+                    .orderBy('submittedAt', 'desc');
+            } else {
+                query = query.orderBy('submittedAt', 'desc').limit(this.recentLimit);
+            }
+
+            const snapshot = await query.get();
+
+            this.submissions = [];
+            snapshot.forEach(doc => {
+                this.submissions.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading submissions:', error);
+            Toast.error('Failed to load submissions');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('submission-form-filter')?.addEventListener('change', (e) => {
+            this.currentFormFilter = e.target.value;
+
+            // Keep the chosen form in the URL so the page can be bookmarked
+            const url = new URL(window.location.href);
+            if (this.currentFormFilter) {
+                url.searchParams.set('form', this.currentFormFilter);
+            } else {
+                url.searchParams.delete('form');
+            }
+            history.replaceState(null, '', url);
+
+            this.loadSubmissions();
+        });
+
+        document.getElementById('submission-status-filter')?.addEventListener('change', (e) => {
+            this.currentStatusFilter = e.target.value;
+            this.render();
+        });
+
+        document.getElementById('export-submissions-btn')?.addEventListener('click', () => this.exportCSV());
+        document.getElementById('close-submission')?.addEventListener('click', () => this.hideSubmissionModal());
+
+        // Modal close on outside click
+        const modal = document.getElementById('submission-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideSubmissionModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideSubmissionModal();
+            }
+        });
+    },
+
+    /**
+     * Fill the form filter. Keeps a form from the URL that no longer exists
+     * so its submissions can still be viewed.
+     */
+    renderFormFilter() {
+        const select = document.getElementById('submission-form-filter');
+        if (!select) return;
+
+        const options = this.forms.map(form => ({ id: form.id, title: form.title }));
+        if (this.currentFormFilter && !options.some(option => option.id === this.currentFormFilter)) {
+            options.push({ id: this.currentFormFilter, title: `${this.currentFormFilter} (deleted)` });
+        }
+
+        select.innerHTML = '<option value="">All Forms</option>' + options.map(option => `
+            <option value="${Utils.escapeHtml(option.id)}" ${option.id === this.currentFormFilter ? 'selected' : ''}>
+                ${Utils.escapeHtml(option.title)}
+            </option>
+        `).join('');
+    },
+
+    /**
+     * Get submissions matching the status filter
+     * @returns {Array}
+     */
+    getFilteredSubmissions() {
+        if (!this.currentStatusFilter) return this.submissions;
+        return this.submissions.filter(submission => submission.status === this.currentStatusFilter);
+    },
+
+    /**
+     * Get the fields of a submission's form, falling back to the answers
+     * themselves when the form has been deleted or changed
+     * @param {Object} submission
+     * @returns {Array<{name: string, label: string}>}
+     */
+    getFields(submission) {
+        const form = this.forms.find(f => f.id === submission.formId);
+        const fields = (form?.fields || []).map(field => ({ name: field.name, label: field.label || field.name }));
+
+        Object.keys(submission.data || {}).forEach(name => {
+            if (!fields.some(field => field.name === name)) {
+                fields.push({ name, label: name });
+            }
+        });
+
+        return fields;
+    },
+
+    /**
+     * Get a one-line summary of a submission's first answers
+     * @param {Object} submission
+     * @returns {string}
+     */
+    getSummary(submission) {
+        const answers = submission.data || {};
+
+        return this.getFields(submission)
+            .map(field => answers[field.name])
+            .filter(Boolean)
+            .slice(0, 3)
+            .join(' · ');
+    },
+
+    /**
+     * Format a submission date for the table, modal and export
+     * @param {firebase.firestore.Timestamp} timestamp
+     * @returns {string}
+     */
+    formatDateTime(timestamp) {
+        if (!timestamp) return '';
+
+        const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+        return date.toLocaleString('en-NZ', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    },
+
+    /**
+     * Render submissions table
+     */
+    render() {
+        const tableBody = document.getElementById('submissions-table-body');
+        if (!tableBody) return;
+
+        const exportButton = document.getElementById('export-submissions-btn');
+        if (exportButton) {
+            exportButton.disabled = !this.currentFormFilter || this.submissions.length === 0;
+        }
+
+        const submissions = this.getFilteredSubmissions();
+
+        if (submissions.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="inbox" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No submissions found</p>
+                        <p class="text-sm">${this.submissions.length ? 'Try a different status' : 'Submissions will appear here when visitors send a form.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = submissions.map(submission => {
+            const isNew = submission.status === 'new';
+
+            return `
+                <tr class="hover:bg-gray-50 ${isNew ? 'font-medium' : ''}">
+                    <td class="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">${this.formatDateTime(submission.submittedAt)}</td>
+                    <td class="px-6 py-4 text-sm text-gray-900">${Utils.escapeHtml(submission.formTitle || submission.formId)}</td>
+                    <td class="px-6 py-4 text-sm text-gray-600 truncate max-w-xs">${Utils.escapeHtml(this.getSummary(submission))}</td>
+                    <td class="px-6 py-4">
+                        <span class="px-2 py-1 text-xs font-medium rounded-full ${isNew ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'}">
+                            ${isNew ? 'New' : 'Read'}
+                        </span>
+                    </td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            <button onclick="SubmissionInbox.showSubmissionModal('${submission.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="View Submission">
+                                <i data-feather="eye" class="w-4 h-4"></i>
+                            </button>
+                            ${isAdmin ? `
+                                <button onclick="SubmissionInbox.deleteSubmission('${submission.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Submission">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show a submission and mark it read
+     * @param {string} submissionId
+     */
+    showSubmissionModal(submissionId) {
+        const submission = this.submissions.find(s => s.id === submissionId);
+        if (!submission) return;
+
+        const answers = submission.data || {};
+
+        document.getElementById('submission-modal-title').textContent = submission.formTitle || submission.formId;
+        document.getElementById('submission-modal-date').textContent = this.formatDateTime(submission.submittedAt);
+
+        const rows = this.getFields(submission)
+            .filter(field => answers[field.name])
+            .map(field => `
+                <div class="py-3 grid grid-cols-3 gap-4">
+                    <dt class="text-sm font-medium text-gray-500">${Utils.escapeHtml(field.label)}</dt>
+                    <dd class="text-sm text-gray-900 col-span-2 whitespace-pre-line">${Utils.escapeHtml(answers[field.name])}</dd>
+                </div>
+            `);
+
+        if (submission.pageUrl) {
+            rows.push(`
+                <div class="py-3 grid grid-cols-3 gap-4">
+                    <dt class="text-sm font-medium text-gray-500">Sent from</dt>
+                    <dd class="text-sm col-span-2">
+                        <a href="${Utils.escapeHtml(submission.pageUrl)}" target="_blank" rel="noopener" class="text-blue-600 hover:underline break-all">${Utils.escapeHtml(submission.pageUrl)}</a>
+                    </dd>
+                </div>
+            `);
+        }
+
+        document.getElementById('submission-answers').innerHTML = rows.join('') ||
+            '<p class="text-sm text-gray-500">This submission has no answers.</p>';
+
+        document.getElementById('submission-modal')?.classList.remove('hidden');
+
+        if (submission.status === 'new') {
+            this.markRead(submission);
+        }
+    },
+
+    /**
+     * Hide submission modal
+     */
+    hideSubmissionModal() {
+        document.getElementById('submission-modal')?.classList.add('hidden');
+    },
+
+    /**
+     * Mark a submission read
+     * @param {Object} submission
+     */
+    async markRead(submission) {
+        try {
+            await db.collection('formSubmissions').doc(submission.id).update({
+                status: 'read',
+                readAt: firebase.firestore.FieldValue.serverTimestamp(),
+                readBy: Auth.currentUser?.uid || null
+            });
+
+            submission.status = 'read';
+            this.render();
+
+        } catch (error) {
+            console.error('Error updating submission:', error);
+        }
+    },
+
+    /**
+     * Delete a submission (admins only)
+     * @param {string} submissionId
+     */
+    async deleteSubmission(submissionId) {
+        const submission = this.submissions.find(s => s.id === submissionId);
+        if (!submission) return;
+
+        if (!confirm('Delete this submission? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await db.collection('formSubmissions').doc(submissionId).delete();
+
+            this.submissions = this.submissions.filter(s => s.id !== submissionId);
+            Toast.success('Submission deleted');
+            await this.logActivity('delete', `deleted a submission to "${submission.formTitle || submission.formId}"`);
+
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting submission:', error);
+            Toast.error('Failed to delete submission');
+        }
+    },
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value
+     * @returns {string}
+     */
+    toCSVField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Export the chosen form's submissions to a CSV file, one column per field
+     */
+    exportCSV() {
+        if (!this.currentFormFilter || this.submissions.length === 0) return;
+
+        const form = this.forms.find(f => f.id === this.currentFormFilter);
+
+        // Columns from the form, plus any answers to fields since removed
+        const fields = [];
+        this.submissions.forEach(submission => {
+            this.getFields(submission).forEach(field => {
+                if (!fields.some(existing => existing.name === field.name)) {
+                    fields.push(field);
+                }
+            });
+        });
+
+        const lines = [
+            ['Submitted', 'Status', ...fields.map(field => field.label), 'Page URL']
+                .map(value => this.toCSVField(value)).join(',')
+        ];
+
+        this.submissions.forEach(submission => {
+            const answers = submission.data || {};
+            lines.push([
+                this.formatDateTime(submission.submittedAt),
+                submission.status,
+                ...fields.map(field => answers[field.name]),
+                submission.pageUrl
+            ].map(value => this.toCSVField(value)).join(','));
+        });
+
+        // BOM so Excel opens the file as UTF-8
+        const blob = new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.currentFormFilter}-submissions-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.logActivity('export', `exported ${this.submissions.length} submissions to "${form?.title || this.currentFormFilter}" to CSV`);
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on submissions page
+    if (!document.getElementById('submissions-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                SubmissionInbox.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.SubmissionInbox = SubmissionInbox;
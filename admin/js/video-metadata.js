@@ -0,0 +1,155 @@
+/**
+ * Middleton Grange CMS - Video Metadata Module
+ *
+ * Parses YouTube and Vimeo URLs and looks up video metadata (title,
+ * thumbnail, duration) from the provider's oEmbed endpoint. The lookup
+ * can be swapped out with setLookup(), so a local stub can stand in for
+ * the provider APIs when testing or working offline.
+ */
+
+const VideoMetadata = {
+    // Supported providers
+    providers: {
+        youtube: {
+            name: 'YouTube',
+            hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'www.youtube-nocookie.com'],
+            oembed: 'https://www.youtube.com/oembed',
+            watchUrl: (id) => `https://www.youtube.com/watch?v=${id}`,
+            thumbnail: (id) => `https://img.youtube.com/vi/${id}/hqdefault.jpg`
+        },
+        vimeo: {
+            name: 'Vimeo',
+            hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+            oembed: 'https://vimeo.com/api/oembed.json',
+            watchUrl: (id) => `https://vimeo.com/${id}`,
+            thumbnail: () => null
+        }
+    },
+
+    // Replacement lookup function, if one has been set
+    customLookup: null,
+
+    /**
+     * Get the provider and video ID from a YouTube or Vimeo URL
+     * @param {string} input
+     * @returns {{provider: string, videoId: string}|null}
+     */
+    parseUrl(input) {
+        let url;
+        try {
+            url = new URL(input.trim());
+        } catch (error) {
+            return null;
+        }
+
+        const host = url.hostname.toLowerCase();
+        const segments = url.pathname.split('/').filter(Boolean);
+
+        if (this.providers.youtube.hosts.includes(host)) {
+            let id = null;
+
+            if (host === 'youtu.be') {
+                id = segments[0];
+            } else if (segments[0] === 'watch') {
+                id = url.searchParams.get('v');
+            } else if (['embed', 'shorts', 'live', 'v'].includes(segments[0])) {
+                id = segments[1];
+            }
+
+            return /^[A-Za-z0-9_-]{11}$/.test(id || '') ? { provider: 'youtube', videoId: id } : null;
+        }
+
+        if (this.providers.vimeo.hosts.includes(host)) {
+            // vimeo.com/123, vimeo.com/channels/name/123, player.vimeo.com/video/123
+            const id = segments.find(segment => /^\d+$/.test(segment));
+            return id ? { provider: 'vimeo', videoId: id } : null;
+        }
+
+        return null;
+    },
+
+    /**
+     * Get the default thumbnail for a video, without a network lookup
+     * @param {string} provider
+     * @param {string} videoId
+     * @returns {string|null}
+     */
+    getThumbnail(provider, videoId) {
+        return this.providers[provider]?.thumbnail(videoId) || null;
+    },
+
+    /**
+     * Replace the metadata lookup. The function receives the provider and
+     * video ID and resolves to {title, thumbnail, duration, author}.
+     * Pass null to go back to the oEmbed lookup.
+     * @param {Function|null} lookupFn
+     */
+    setLookup(lookupFn) {
+        this.customLookup = lookupFn;
+    },
+
+    /**
+     * Look up metadata for a video
+     * @param {string} provider
+     * @param {string} videoId
+     * @returns {Promise<{title: string, thumbnail: string|null, duration: string, author: string}>}
+     */
+    async lookup(provider, videoId) {
+        if (!this.providers[provider]) {
+            throw new Error(`Unsupported video provider: ${provider}`);
+        }
+
+        const lookupFn = this.customLookup || this.fetchOEmbed.bind(this);
+        const metadata = await lookupFn(provider, videoId) || {};
+
+        return {
+            title: metadata.title || '',
+            thumbnail: metadata.thumbnail || this.getThumbnail(provider, videoId),
+            duration: metadata.duration || '',
+            author: metadata.author || ''
+        };
+    },
+
+    /**
+     * Fetch metadata from the provider's oEmbed endpoint
+     * @param {string} provider
+     * @param {string} videoId
+     * @returns {Promise<Object>}
+     */
+    async fetchOEmbed(provider, videoId) {
+        const config = this.providers[provider];
+        const url = `${config.oembed}?format=json&url=${encodeURIComponent(config.watchUrl(videoId))}`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${config.name} lookup failed (${response.status})`);
+        }
+
+        const data = await response.json();
+
+        return {
+            title: data.title,
+            thumbnail: data.thumbnail_url,
+            duration: data.duration ? this.formatDuration(data.duration) : '',
+            author: data.author_name
+        };
+    },
+
+    /**
+     * Format a duration in seconds as m:ss or h:mm:ss
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+};
+
+
+// Export for global use
+window.VideoMetadata = VideoMetadata;
@@ -0,0 +1,501 @@
+/**
+ * Middleton Grange CMS - Videos Module
+ *
+ * Handles the video library shown on pages with the "Video Gallery" page
+ * type. Editors paste a YouTube or Vimeo link; the provider and video ID
+ * are parsed from it and the title and thumbnail are looked up through
+ * VideoMetadata. Videos are grouped by year on the public site.
+ */
+
+const VideoManager = {
+    // State
+    videos: [],
+    editingVideoId: null,
+    parsedVideo: null,
+    metadata: null,
+    lookupToken: 0,
+    filters: {
+        search: '',
+        category: '',
+        year: ''
+    },
+
+    /**
+     * Initialize video management
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadVideos();
+    },
+
+    /**
+     * Load videos from Firestore
+     */
+    async loadVideos() {
+        try {
+            const snapshot = await db.collection('videos')
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            this.videos = [];
+            snapshot.forEach(doc => {
+                this.videos.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderFilterOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading videos:', error);
+            Toast.error('Failed to load videos');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('add-video-btn')?.addEventListener('click', () => this.showVideoModal());
+        document.getElementById('cancel-video')?.addEventListener('click', () => this.hideVideoModal());
+
+        document.getElementById('video-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVideo();
+        });
+
+        // Parse and look up the video as soon as a link is pasted
+        const urlInput = document.getElementById('video-url');
+        urlInput?.addEventListener('input', Utils.debounce(() => this.handleUrlChange(urlInput.value), 400));
+
+        // Filters
+        const searchInput = document.getElementById('search-videos');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim().toLowerCase();
+                this.render();
+            }, 300));
+        }
+
+        document.getElementById('filter-category')?.addEventListener('change', (e) => {
+            this.filters.category = e.target.value;
+            this.render();
+        });
+
+        document.getElementById('filter-year')?.addEventListener('change', (e) => {
+            this.filters.year = e.target.value;
+            this.render();
+        });
+
+        // Modal close on outside click
+        const modal = document.getElementById('video-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideVideoModal();
+                }
+            });
+        }
+
+        // ESC to close modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideVideoModal();
+            }
+        });
+    },
+
+    /**
+     * Fill the category and year filters from existing videos
+     */
+    renderFilterOptions() {
+        const categories = [...new Set(this.videos.map(v => v.category).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+        const years = [...new Set(this.videos.map(v => v.year).filter(Boolean))]
+            .sort((a, b) => b - a);
+
+        const categorySelect = document.getElementById('filter-category');
+        if (categorySelect) {
+            categorySelect.innerHTML = '<option value="">All Categories</option>' +
+                categories.map(c => `<option value="${Utils.escapeHtml(c)}">${Utils.escapeHtml(c)}</option>`).join('');
+            categorySelect.value = categories.includes(this.filters.category) ? this.filters.category : '';
+            this.filters.category = categorySelect.value;
+        }
+
+        const yearSelect = document.getElementById('filter-year');
+        if (yearSelect) {
+            yearSelect.innerHTML = '<option value="">All Years</option>' +
+                years.map(y => `<option value="${y}">${y}</option>`).join('');
+            yearSelect.value = years.includes(Number(this.filters.year)) ? this.filters.year : '';
+            this.filters.year = yearSelect.value;
+        }
+
+        const datalist = document.getElementById('video-category-options');
+        if (datalist) {
+            datalist.innerHTML = categories.map(c => `<option value="${Utils.escapeHtml(c)}">`).join('');
+        }
+    },
+
+    /**
+     * Get videos matching the current filters
+     * @returns {Array}
+     */
+    getFilteredVideos() {
+        return this.videos.filter(video => {
+            if (this.filters.category && video.category !== this.filters.category) {
+                return false;
+            }
+
+            if (this.filters.year && video.year !== Number(this.filters.year)) {
+                return false;
+            }
+
+            if (this.filters.search) {
+                const haystack = [video.title, video.producer, video.description]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(this.filters.search)) return false;
+            }
+
+            return true;
+        });
+    },
+
+    /**
+     * Render videos table
+     */
+    render() {
+        const tableBody = document.getElementById('videos-table-body');
+        if (!tableBody) return;
+
+        const videos = this.getFilteredVideos();
+
+        if (videos.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-6 py-12 text-center text-gray-500">
+                        <i data-feather="video" class="w-12 h-12 mx-auto mb-3 text-gray-400"></i>
+                        <p class="text-lg">No videos found</p>
+                        <p class="text-sm">${this.videos.length === 0 ? 'Add a YouTube or Vimeo video to get started.' : 'Try changing the filters.'}</p>
+                    </td>
+                </tr>
+            `;
+            feather.replace();
+            return;
+        }
+
+        const isAdmin = Auth.isAdmin();
+
+        tableBody.innerHTML = videos.map(video => {
+            const thumbnail = video.thumbnail || VideoMetadata.getThumbnail(video.provider, video.videoId);
+            const providerName = VideoMetadata.providers[video.provider]?.name || video.provider || '';
+
+            return `
+                <tr class="hover:bg-gray-50">
+                    <td class="px-6 py-4">
+                        <div class="flex items-center">
+                            <div class="w-24 bg-gray-100 rounded overflow-hidden flex items-center justify-center flex-shrink-0 mr-3" style="aspect-ratio: 16 / 9;">
+                                ${thumbnail
+                                    ? `<img src="${thumbnail}" alt="" class="w-full h-full object-cover" loading="lazy">`
+                                    : '<i data-feather="video" class="w-5 h-5 text-gray-400"></i>'}
+                            </div>
+                            <div>
+                                <div class="font-medium text-gray-900">${Utils.escapeHtml(video.title)}</div>
+                                <div class="text-sm text-gray-500">
+                                    ${Utils.escapeHtml(providerName)}${video.producer ? ` &middot; ${Utils.escapeHtml(video.producer)}` : ''}
+                                </div>
+                            </div>
+                        </div>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${Utils.escapeHtml(video.category || '-')}</td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${video.year || '-'}</td>
+                    <td class="px-6 py-4">
+                        <div class="flex items-center gap-2">
+                            ${video.url ? `
+                                <a href="${Utils.escapeHtml(video.url)}" target="_blank" rel="noopener"
+                                   class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                   title="Watch on ${Utils.escapeHtml(providerName)}">
+                                    <i data-feather="external-link" class="w-4 h-4"></i>
+                                </a>
+                            ` : ''}
+                            <button onclick="VideoManager.showVideoModal('${video.id}')"
+                                    class="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                    title="Edit Video">
+                                <i data-feather="edit-2" class="w-4 h-4"></i>
+                            </button>
+                            ${isAdmin ? `
+                                <button onclick="VideoManager.deleteVideo('${video.id}')"
+                                        class="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                        title="Delete Video">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        feather.replace();
+    },
+
+    /**
+     * Show add/edit video modal
+     * @param {string} videoId - Video to edit, or none to add
+     */
+    showVideoModal(videoId = null) {
+        const video = videoId ? this.videos.find(v => v.id === videoId) : null;
+        if (videoId && !video) return;
+
+        this.editingVideoId = videoId;
+        this.lookupToken++;
+
+        document.getElementById('video-form')?.reset();
+        document.getElementById('video-modal-title').textContent = video ? 'Edit Video' : 'Add Video';
+
+        document.getElementById('video-url').value = video?.url || '';
+        document.getElementById('video-title').value = video?.title || '';
+        document.getElementById('video-category').value = video?.category || '';
+        document.getElementById('video-year').value = video?.year || new Date().getFullYear();
+        document.getElementById('video-year').max = new Date().getFullYear() + 1;
+        document.getElementById('video-producer').value = video?.producer || '';
+        document.getElementById('video-description').value = video?.description || '';
+
+        this.parsedVideo = video?.videoId ? { provider: video.provider, videoId: video.videoId } : null;
+        this.metadata = video ? { thumbnail: video.thumbnail || null, duration: video.duration || '' } : null;
+        this.setUrlStatus(video ? '' : 'Paste a link and the title and thumbnail will be filled in.');
+        this.renderPreview();
+
+        document.getElementById('video-modal')?.classList.remove('hidden');
+        document.getElementById('video-url')?.focus();
+    },
+
+    /**
+     * Hide video modal
+     */
+    hideVideoModal() {
+        document.getElementById('video-modal')?.classList.add('hidden');
+        this.editingVideoId = null;
+        this.lookupToken++;
+    },
+
+    /**
+     * Show a message under the URL field
+     * @param {string} message
+     * @param {boolean} isError
+     */
+    setUrlStatus(message, isError = false) {
+        const status = document.getElementById('video-url-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-red-600', isError);
+        status.classList.toggle('text-gray-500', !isError);
+    },
+
+    /**
+     * Show the thumbnail for the current video
+     */
+    renderPreview() {
+        const preview = document.getElementById('video-preview');
+        if (!preview) return;
+
+        const thumbnail = this.metadata?.thumbnail ||
+            (this.parsedVideo && VideoMetadata.getThumbnail(this.parsedVideo.provider, this.parsedVideo.videoId));
+
+        preview.innerHTML = thumbnail
+            ? `<img src="${thumbnail}" alt="" class="w-full h-full object-cover">`
+            : '<i data-feather="video" class="w-8 h-8 text-gray-300"></i>';
+        feather.replace();
+    },
+
+    /**
+     * Parse a pasted URL and look up its metadata
+     * @param {string} url
+     */
+    async handleUrlChange(url) {
+        const token = ++this.lookupToken;
+
+        if (!url.trim()) {
+            this.parsedVideo = null;
+            this.metadata = null;
+            this.setUrlStatus('Paste a link and the title and thumbnail will be filled in.');
+            this.renderPreview();
+            return;
+        }
+
+        const parsed = VideoMetadata.parseUrl(url);
+        if (!parsed) {
+            this.parsedVideo = null;
+            this.metadata = null;
+            this.setUrlStatus('This doesn\'t look like a YouTube or Vimeo video link.', true);
+            this.renderPreview();
+            return;
+        }
+
+        const unchanged = this.parsedVideo &&
+            this.parsedVideo.provider === parsed.provider &&
+            this.parsedVideo.videoId === parsed.videoId;
+        if (unchanged) return;
+
+        this.parsedVideo = parsed;
+        this.metadata = null;
+        this.renderPreview();
+
+        const providerName = VideoMetadata.providers[parsed.provider].name;
+        this.setUrlStatus(`Looking up ${providerName} video...`);
+
+        try {
+            const metadata = await VideoMetadata.lookup(parsed.provider, parsed.videoId);
+            if (token !== this.lookupToken) return;
+
+            this.metadata = metadata;
+            this.renderPreview();
+
+            const titleInput = document.getElementById('video-title');
+            if (titleInput && !titleInput.value.trim() && metadata.title) {
+                titleInput.value = metadata.title;
+            }
+
+            this.setUrlStatus(`${providerName} video ${parsed.videoId}${metadata.author ? ` from ${metadata.author}` : ''}`);
+
+        } catch (error) {
+            if (token !== this.lookupToken) return;
+
+            // The link is still usable; the editor just has to fill in the title
+            console.warn('Video metadata lookup failed:', error);
+            this.setUrlStatus(`${providerName} video ${parsed.videoId} (details could not be looked up)`);
+        }
+    },
+
+    /**
+     * Save the video in the modal
+     */
+    async saveVideo() {
+        const url = document.getElementById('video-url')?.value.trim() || '';
+        const title = document.getElementById('video-title')?.value.trim() || '';
+        const year = parseInt(document.getElementById('video-year')?.value, 10);
+
+        // Parse again in case the debounced handler hasn't run yet
+        const parsed = VideoMetadata.parseUrl(url);
+        if (!parsed) {
+            Toast.error('Please enter a YouTube or Vimeo video link');
+            document.getElementById('video-url')?.focus();
+            return;
+        }
+
+        if (!title || !year) {
+            Toast.error('Please enter a title and year');
+            return;
+        }
+
+        const sameVideo = this.parsedVideo &&
+            this.parsedVideo.provider === parsed.provider &&
+            this.parsedVideo.videoId === parsed.videoId;
+        const metadata = sameVideo ? this.metadata : null;
+
+        const videoData = {
+            title,
+            url,
+            provider: parsed.provider,
+            videoId: parsed.videoId,
+            thumbnail: metadata?.thumbnail || VideoMetadata.getThumbnail(parsed.provider, parsed.videoId),
+            duration: metadata?.duration || '',
+            category: document.getElementById('video-category')?.value.trim() || '',
+            year,
+            producer: document.getElementById('video-producer')?.value.trim() || '',
+            description: document.getElementById('video-description')?.value.trim() || '',
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (this.editingVideoId) {
+                await db.collection('videos').doc(this.editingVideoId).update(videoData);
+                await this.logActivity('update', `updated video "${title}"`);
+                Toast.success('Video updated');
+            } else {
+                videoData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                await db.collection('videos').add(videoData);
+                await this.logActivity('create', `added video "${title}"`);
+                Toast.success('Video added');
+            }
+
+            this.hideVideoModal();
+            await this.loadVideos();
+
+        } catch (error) {
+            console.error('Error saving video:', error);
+            Toast.error('Failed to save video');
+        }
+    },
+
+    /**
+     * Delete a video (admins only)
+     * @param {string} videoId
+     */
+    async deleteVideo(videoId) {
+        const video = this.videos.find(v => v.id === videoId);
+        if (!video) return;
+
+        if (!confirm(`Delete "${video.title}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await db.collection('videos').doc(videoId).delete();
+
+            this.videos = this.videos.filter(v => v.id !== videoId);
+            Toast.success('Video deleted');
+            await this.logActivity('delete', `deleted video "${video.title}"`);
+
+            this.renderFilterOptions();
+            this.render();
+
+        } catch (error) {
+            console.error('Error deleting video:', error);
+            Toast.error('Failed to delete video');
+        }
+    },
+
+    /**
+     * Log activity
+     * @param {string} action
+     * @param {string} description
+     */
+    async logActivity(action, description) {
+        try {
+            const user = Auth?.currentUser || auth?.currentUser;
+            const userData = Auth?.currentUserData || {};
+
+            await db.collection('activityLog').add({
+                action,
+                description,
+                userId: user?.uid || null,
+                userName: userData.displayName || user?.email?.split('@')[0] || 'Unknown',
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error logging activity:', error);
+        }
+    }
+};
+
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check if we're on videos page
+    if (!document.getElementById('videos-table-body')) return;
+
+    if (typeof Auth !== 'undefined') {
+        Auth.onAuthStateChange((user, userData) => {
+            if (user) {
+                VideoManager.init();
+            }
+        });
+    }
+});
+
+
+// Export for global use
+window.VideoManager = VideoManager;
@@ -0,0 +1,304 @@
+/**
+ * Middleton Grange CMS - Page Workflow Module
+ *
+ * Editorial workflow for the page editor: draft → in review → approved →
+ * published. Editors send a page to an admin reviewer, reviewers approve
+ * or request changes, and everyone can leave review comments, optionally
+ * attached to selected text in the editor.
+ */
+
+const PageWorkflow = {
+    // State
+    pageId: null,
+    reviewers: [],
+    comments: [],
+    initialized: false,
+
+    /**
+     * Initialize the workflow panel for a page
+     * @param {string} pageId
+     */
+    async init(pageId) {
+        if (!this.initialized) {
+            this.bindEvents();
+            this.initialized = true;
+            await this.loadReviewers();
+        }
+
+        this.pageId = pageId;
+        this.render();
+
+        await this.loadComments();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('request-review')?.addEventListener('click', () => this.requestReview());
+        document.getElementById('approve-page')?.addEventListener('click', () => this.approve());
+        document.getElementById('request-changes')?.addEventListener('click', () => this.requestChanges());
+        document.getElementById('add-review-comment')?.addEventListener('click', () => this.addComment());
+    },
+
+    /**
+     * Load admins who can review pages
+     */
+    async loadReviewers() {
+        const select = document.getElementById('review-reviewer');
+        if (!select) return;
+
+        try {
+            const snapshot = await db.collection('users')
+                .where('role', '==', 'admin')
+                .get();
+
+            this.reviewers = [];
+            snapshot.forEach(doc => {
+                const user = doc.data();
+                if (user.active !== false) {
+                    this.reviewers.push({
+                        id: doc.id,
+                        name: user.displayName || user.email || 'Admin'
+                    });
+                }
+            });
+
+            this.reviewers.sort((a, b) => a.name.localeCompare(b.name));
+
+            select.innerHTML = '<option value="">-- Select Reviewer --</option>' +
+                this.reviewers.map(r => `<option value="${r.id}">${Utils.escapeHtml(r.name)}</option>`).join('');
+
+        } catch (error) {
+            console.error('Error loading reviewers:', error);
+        }
+    },
+
+    /**
+     * Show the actions available for the page status and user role
+     */
+    render() {
+        const panel = document.getElementById('workflow-panel');
+        if (!panel) return;
+
+        if (!this.pageId) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const page = PageEditor.pageData || {};
+        const status = page.status || 'draft';
+        const isAdmin = Auth.isAdmin();
+        const isReviewer = page.reviewerId === Auth.currentUser?.uid;
+
+        const summary = document.getElementById('workflow-summary');
+        if (summary) {
+            const messages = {
+                draft: 'Send this page to an admin for sign-off before it is published.',
+                'in-review': `Waiting for review by ${Utils.escapeHtml(page.reviewerName || 'an admin')}.`,
+                approved: `Approved by ${Utils.escapeHtml(page.approvedByName || 'an admin')}. Ready to publish.`,
+                published: 'This page is published.',
+                scheduled: 'This page is scheduled to publish.'
+            };
+            summary.innerHTML = messages[status] || messages.draft;
+        }
+
+        const select = document.getElementById('review-reviewer');
+        if (select && page.reviewerId) select.value = page.reviewerId;
+
+        // Anyone can (re)request a review unless it's already waiting
+        this.toggle('request-review-group', status !== 'in-review');
+
+        // Reviewers (and other admins) act on pages in review
+        this.toggle('review-actions', status === 'in-review' && (isAdmin || isReviewer));
+
+        feather.replace();
+    },
+
+    /**
+     * Show or hide an element
+     * @param {string} id
+     * @param {boolean} visible
+     */
+    toggle(id, visible) {
+        document.getElementById(id)?.classList.toggle('hidden', !visible);
+    },
+
+    /**
+     * Send the page for review
+     */
+    async requestReview() {
+        const reviewerId = document.getElementById('review-reviewer')?.value;
+        const reviewer = this.reviewers.find(r => r.id === reviewerId);
+
+        if (!reviewer) {
+            Toast.error('Please choose a reviewer');
+            return;
+        }
+
+        const user = Auth.currentUser;
+
+        await PageEditor.savePage('in-review', false, {
+            reviewerId: reviewer.id,
+            reviewerName: reviewer.name,
+            reviewRequestedBy: user?.uid || null,
+            reviewRequestedByName: Auth.getDisplayName(),
+            reviewRequestedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    },
+
+    /**
+     * Approve the page (admins only)
+     */
+    async approve() {
+        await PageEditor.savePage('approved', false, {
+            approvedBy: Auth.currentUser?.uid || null,
+            approvedByName: Auth.getDisplayName(),
+            approvedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    },
+
+    /**
+     * Send the page back to draft with a comment explaining what to change
+     */
+    async requestChanges() {
+        const input = document.getElementById('review-comment-input');
+
+        if (!input?.value.trim()) {
+            Toast.warning('Add a comment describing the changes needed');
+            input?.focus();
+            return;
+        }
+
+        await this.addComment();
+        await PageEditor.savePage('draft');
+    },
+
+    /**
+     * Load review comments for the page
+     */
+    async loadComments() {
+        const list = document.getElementById('review-comments');
+        if (!list || !this.pageId) return;
+
+        try {
+            const snapshot = await db.collection('pages').doc(this.pageId)
+                .collection('comments')
+                .orderBy('createdAt', 'asc')
+                .get();
+
+            this.comments = [];
+            snapshot.forEach(doc => {
+                this.comments.push({ id: doc.id, ...doc.data() });
+            });
+
+            this.renderComments();
+
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            list.innerHTML = '<p class="text-sm text-red-500">Unable to load comments</p>';
+        }
+    },
+
+    /**
+     * Render review comments
+     */
+    renderComments() {
+        const list = document.getElementById('review-comments');
+        if (!list) return;
+
+        const open = this.comments.filter(c => !c.resolved);
+        const count = document.getElementById('review-comment-count');
+        if (count) count.textContent = open.length ? `(${open.length} open)` : '';
+
+        if (this.comments.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500">No comments yet</p>';
+            return;
+        }
+
+        list.innerHTML = this.comments.map(comment => `
+            <div class="py-2 ${comment.resolved ? 'opacity-50' : ''}">
+                ${comment.quote ? `<blockquote class="text-xs text-gray-500 border-l-2 border-yellow-400 pl-2 mb-1 italic">${Utils.escapeHtml(comment.quote)}</blockquote>` : ''}
+                <p class="text-sm text-gray-800 whitespace-pre-line">${Utils.escapeHtml(comment.text)}</p>
+                <div class="flex items-center justify-between mt-1">
+                    <span class="text-xs text-gray-500">${Utils.escapeHtml(comment.authorName || 'Unknown')} &middot; ${Utils.formatDate(comment.createdAt)}</span>
+                    ${comment.resolved
+                        ? '<span class="text-xs text-green-600">Resolved</span>'
+                        : `<button onclick="PageWorkflow.resolveComment('${comment.id}')" class="text-xs text-blue-600 hover:text-blue-800">Resolve</button>`}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Add a review comment, attached to the selected editor text if any
+     */
+    async addComment() {
+        const input = document.getElementById('review-comment-input');
+        const text = input?.value.trim();
+
+        if (!text || !this.pageId) return;
+
+        const btn = document.getElementById('add-review-comment');
+        if (btn) btn.disabled = true;
+
+        try {
+            await db.collection('pages').doc(this.pageId).collection('comments').add({
+                text,
+                quote: this.getSelectedText(),
+                resolved: false,
+                authorId: Auth.currentUser?.uid || null,
+                authorName: Auth.getDisplayName(),
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            input.value = '';
+            await this.loadComments();
+
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            Toast.error('Failed to add comment');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    },
+
+    /**
+     * Mark a comment as resolved
+     * @param {string} commentId
+     */
+    async resolveComment(commentId) {
+        try {
+            await db.collection('pages').doc(this.pageId).collection('comments').doc(commentId).update({
+                resolved: true,
+                resolvedBy: Auth.currentUser?.uid || null,
+                resolvedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            await this.loadComments();
+
+        } catch (error) {
+            console.error('Error resolving comment:', error);
+            Toast.error('Failed to resolve comment');
+        }
+    },
+
+    /**
+     * Get the text currently selected in the editor
+     * @returns {string}
+     */
+    getSelectedText() {
+        const editor = PageEditor.editor;
+        if (!editor) return '';
+
+        const { from, to } = editor.state.selection;
+        if (from === to) return '';
+
+        return editor.state.doc.textBetween(from, to, ' ').slice(0, 300);
+    }
+};
+
+
+// Export for global use
+window.PageWorkflow = PageWorkflow;
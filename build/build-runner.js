@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Build Runner
+ *
+ * Long-running service that watches the `buildRequests` collection and runs
+ * the static site generator for each queued request, one at a time. Status,
+ * progress, duration, page counts, warnings, the link check summary and the
+ * full log are written back to the request document so the dashboard can
+ * show them live.
+ *
+ * Usage:
+ *   npm run build:runner
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ */
+
+const path = require('path');
+const os = require('os');
+const { fork } = require('child_process');
+const admin = require('firebase-admin');
+
+const FirebaseClient = require('./lib/firebase');
+const QueueService = require('./lib/queue-service');
+
+// Configuration
+const CONFIG = {
+    generatorScript: path.join(__dirname, 'generate-site.js'),
+    collection: 'buildRequests',
+    runnerId: `${os.hostname()}:${process.pid}`,
+
+    // Throttle progress/log writes to Firestore
+    flushInterval: 1000,
+
+    // Keep the stored log well under the 1MB document limit
+    maxLogLength: 200000,
+
+    // A running build holds a lease that its runner renews while the build
+    // runs. A build whose lease has run out was left by a runner that
+    // crashed or restarted, and is failed so the queue can move on.
+    leaseDuration: 2 * 60 * 1000,
+    heartbeatInterval: 30 * 1000,
+
+    // Kill a generator that hangs
+    timeout: 15 * 60 * 1000
+};
+
+// Runner state
+let db = null;
+
+const service = new QueueService({
+    name: 'Build Runner',
+    icon: '🏃',
+    source: 'build queue',
+    run: runNextBuild,
+    // A failed claim, or another runner's live lease, holds up the queue
+    // until the lease has been renewed or has run out
+    retryInterval: CONFIG.heartbeatInterval
+});
+
+/**
+ * Mark builds left running by a crashed runner as failed
+ */
+async function failStaleBuilds() {
+    const snapshot = await db.collection(CONFIG.collection)
+        .where('status', '==', 'running')
+        .get();
+
+    for (const doc of snapshot.docs) {
+        if (isLeaseExpired(doc.data())) {
+            await doc.ref.update(getInterruptedUpdate());
+            console.log(`   ⚠ Marked interrupted build ${doc.id} as failed`);
+        }
+    }
+}
+
+/**
+ * Check whether a running build's lease has run out
+ * @param {Object} data - Build request data
+ * @returns {boolean}
+ */
+function isLeaseExpired(data) {
+    // Builds claimed before leases existed can't outlive the generator timeout
+    const expiresAt = data.leaseExpiresAt?.toMillis() ??
+        (data.startedAt?.toMillis() || 0) + CONFIG.timeout;
+
+    return expiresAt < Date.now();
+}
+
+/**
+ * Get a lease expiry time from now
+ * @returns {admin.firestore.Timestamp}
+ */
+function getLeaseExpiry() {
+    return admin.firestore.Timestamp.fromMillis(Date.now() + CONFIG.leaseDuration);
+}
+
+/**
+ * Get the update that fails an interrupted build
+ * @returns {Object}
+ */
+function getInterruptedUpdate() {
+    return {
+        status: 'failed',
+        error: 'Build was interrupted',
+        leaseExpiresAt: null,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+/**
+ * Claim and run the oldest queued build
+ * @returns {Promise<boolean>} - Whether there may be more
+ */
+async function runNextBuild() {
+    const { request, busy } = await claimNextRequest();
+
+    // Another runner's build is still running
+    if (busy) {
+        service.retryLater();
+        return false;
+    }
+    if (!request) return false;
+
+    await runBuild(request);
+
+    // Check again in case more builds were queued meanwhile
+    return true;
+}
+
+/**
+ * Claim the oldest queued request. The transaction refuses to start a
+ * build while another holds a live lease, so several runners (or several
+ * clicks on Build) never write to dist/ at the same time. Running builds
+ * whose lease has run out are failed in the same transaction.
+ * @returns {Object} - { request, busy }
+ */
+async function claimNextRequest() {
+    const collection = db.collection(CONFIG.collection);
+
+    return db.runTransaction(async (transaction) => {
+        const running = await transaction.get(collection.where('status', '==', 'running'));
+        const stale = running.docs.filter(doc => isLeaseExpired(doc.data()));
+        if (stale.length < running.size) return { request: null, busy: true };
+
+        const queued = await transaction.get(
+            collection.where('status', '==', 'queued').orderBy('createdAt', 'asc').limit(1)
+        );
+
+        stale.forEach(doc => transaction.update(doc.ref, getInterruptedUpdate()));
+
+        if (queued.empty) return { request: null, busy: false };
+
+        const doc = queued.docs[0];
+        transaction.update(doc.ref, {
+            status: 'running',
+            runner: CONFIG.runnerId,
+            startedAt: admin.firestore.FieldValue.serverTimestamp(),
+            leaseExpiresAt: getLeaseExpiry(),
+            progress: { step: 0, total: 0, message: 'Starting build...' }
+        });
+
+        return { request: { id: doc.id, ref: doc.ref, ...doc.data() }, busy: false };
+    });
+}
+
+/**
+ * Run the generator for a request and record the outcome
+ * @param {Object} request
+ */
+async function runBuild(request) {
+    const startTime = Date.now();
+    const mode = request.mode === 'dev' ? 'dev' : 'production';
+
+    console.log(`🔨 Build ${request.id} started (${mode}${request.incremental ? ', incremental' : ''}, requested by ${request.requestedByName || 'unknown'})`);
+
+    let log = '';
+    let progress = null;
+    let result = null;
+    let errorMessage = null;
+    let dirty = false;
+
+    const appendLog = (chunk) => {
+        log += chunk.toString();
+        if (log.length > CONFIG.maxLogLength) {
+            log = '[earlier output truncated]\n' + log.slice(-CONFIG.maxLogLength);
+        }
+        dirty = true;
+    };
+
+    const flush = async () => {
+        if (!dirty) return;
+        dirty = false;
+
+        const update = { log };
+        if (progress) update.progress = progress;
+
+        try {
+            await request.ref.update(update);
+        } catch (error) {
+            console.error('   ⚠ Could not update build progress:', error.message);
+        }
+    };
+
+    const flushTimer = setInterval(flush, CONFIG.flushInterval);
+
+    // Keep the lease while the build runs
+    const leaseTimer = setInterval(async () => {
+        try {
+            await request.ref.update({ leaseExpiresAt: getLeaseExpiry() });
+        } catch (error) {
+            console.error('   ⚠ Could not renew build lease:', error.message);
+        }
+    }, CONFIG.heartbeatInterval);
+
+    const exitCode = await new Promise((resolve) => {
+        const args = mode === 'dev' ? ['--dev'] : [];
+        if (request.incremental) args.push('--incremental');
+        const child = fork(CONFIG.generatorScript, args, {
+            cwd: path.join(__dirname, '..'),
+            env: process.env,
+            silent: true
+        });
+
+        const killTimer = setTimeout(() => {
+            errorMessage = `Build timed out after ${CONFIG.timeout / 60000} minutes`;
+            child.kill();
+        }, CONFIG.timeout);
+
+        child.stdout.on('data', appendLog);
+        child.stderr.on('data', appendLog);
+
+        child.on('message', (message) => {
+            if (message.type === 'progress') {
+                progress = { step: message.step, total: message.total, message: message.message };
+                dirty = true;
+            } else if (message.type === 'result') {
+                result = message;
+            } else if (message.type === 'error') {
+                errorMessage = errorMessage || message.message;
+                result = message;
+            }
+        });
+
+        child.on('error', (error) => {
+            errorMessage = error.message;
+        });
+
+        child.on('exit', (code) => {
+            clearTimeout(killTimer);
+            resolve(code);
+        });
+    });
+
+    clearInterval(flushTimer);
+    clearInterval(leaseTimer);
+
+    const success = exitCode === 0 && !errorMessage;
+    const duration = Date.now() - startTime;
+
+    await request.ref.update({
+        status: success ? 'success' : 'failed',
+        leaseExpiresAt: null,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+        duration,
+        pageCount: result?.pageCount ?? null,
+        assetCount: result?.assetCount ?? null,
+        warnings: result?.warnings || [],
+        linkCheck: result?.linkCheck || null,
+        error: success ? null : (errorMessage || `Generator exited with code ${exitCode}`),
+        progress: progress || null,
+        log
+    });
+
+    if (success) {
+        await db.collection('siteSettings').doc('config').set({
+            lastBuild: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    const seconds = (duration / 1000).toFixed(2);
+    console.log(success
+        ? `   ✓ Build ${request.id} succeeded in ${seconds}s\n`
+        : `   ❌ Build ${request.id} failed after ${seconds}s: ${errorMessage || `exit code ${exitCode}`}\n`);
+}
+
+service.start(async () => {
+    db = FirebaseClient.db;
+
+    await failStaleBuilds();
+
+    console.log(`👀 Watching ${CONFIG.collection} for queued builds (${CONFIG.runnerId})\n`);
+
+    return db.collection(CONFIG.collection).where('status', '==', 'queued');
+});
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Contact Router
+ *
+ * Long-running service that delivers messages sent through the staff
+ * contact form (/contact-staff/). Visitors never see staff email
+ * addresses: each message is stored in `staffMessages` with the staff
+ * member's ID, and the address is looked up here from `staffProfiles`.
+ * Messages to staff without an address go to the school's contact email
+ * from site settings.
+ *
+ * Delivery goes through a mail transport (see lib/mail-transports.js).
+ * The default queues emails for the Firebase "Trigger Email" extension;
+ * `file` writes them to .eml files instead, for testing.
+ *
+ * Usage:
+ *   npm run contact:route
+ *   CONTACT_TRANSPORT=file npm run contact:route
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ *   CONTACT_TRANSPORT - Mail transport: mail (default) or file
+ *   CONTACT_OUTBOX_DIR - Directory for the file transport (default: ./outbox)
+ *   CONTACT_FROM - From address written by the file transport
+ */
+
+const path = require('path');
+const admin = require('firebase-admin');
+
+const FirebaseClient = require('./lib/firebase');
+const QueueService = require('./lib/queue-service');
+const { createTransport } = require('./lib/mail-transports');
+
+// Configuration
+const CONFIG = {
+    collection: 'staffMessages',
+    staffCollection: 'staffProfiles',
+    mailCollection: 'mail',
+    transport: process.env.CONTACT_TRANSPORT || 'mail',
+    outboxDir: process.env.CONTACT_OUTBOX_DIR || path.join(__dirname, '../outbox'),
+    from: process.env.CONTACT_FROM || 'website@middleton.school.nz'
+};
+
+// Router state
+let db = null;
+let transport = null;
+
+const service = new QueueService({
+    name: 'Contact Router',
+    icon: '✉️',
+    source: 'staff messages',
+    run: deliverPending
+});
+
+/**
+ * Deliver a page of pending messages, one at a time
+ * @returns {Promise<boolean>} - Whether there may be more
+ */
+async function deliverPending() {
+    const snapshot = await db.collection(CONFIG.collection)
+        .where('status', '==', 'pending')
+        .limit(20)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        await deliver(doc);
+    }
+
+    return snapshot.size === 20;
+}
+
+/**
+ * Deliver a message to its staff member and record the outcome.
+ * Failed messages are marked failed rather than retried, so a bad
+ * address can't cause a loop; set status back to pending to retry.
+ * @param {Object} doc - Message document snapshot
+ */
+async function deliver(doc) {
+    const message = doc.data();
+
+    try {
+        const recipient = await getRecipient(message.staffId);
+        if (!recipient) {
+            throw new Error('No address for this staff member and no school contact email');
+        }
+
+        const result = await transport.send(buildEmail(message, recipient));
+
+        await doc.ref.update({
+            status: 'delivered',
+            deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+            deliveredVia: transport.name,
+            deliveryId: result?.id || null,
+            routedToSchool: recipient.isFallback
+        });
+
+        console.log(`   ✓ Message ${doc.id} delivered to ${recipient.name}${recipient.isFallback ? ' (school office)' : ''}`);
+    } catch (error) {
+        await doc.ref.update({
+            status: 'failed',
+            error: error.message
+        });
+
+        console.error(`   ✗ Message ${doc.id} could not be delivered: ${error.message}`);
+    }
+}
+
+/**
+ * Find where a message to a staff member should go
+ * @param {string} staffId
+ * @returns {Promise<Object|null>} - { name, email, isFallback }
+ */
+async function getRecipient(staffId) {
+    const staffDoc = staffId
+        ? await db.collection(CONFIG.staffCollection).doc(staffId).get()
+        : null;
+    const staff = staffDoc?.exists ? staffDoc.data() : null;
+
+    if (staff?.email) {
+        return { name: staff.name, email: staff.email, isFallback: false };
+    }
+
+    // Left, or no address on file: pass it to the school office
+    const settingsDoc = await db.collection('siteSettings').doc('config').get();
+    const schoolEmail = settingsDoc.exists ? settingsDoc.data().contact?.email : null;
+
+    return schoolEmail
+        ? { name: staff?.name || 'School office', email: schoolEmail, isFallback: true }
+        : null;
+}
+
+/**
+ * Build the email for a message
+ * @param {Object} message
+ * @param {Object} recipient
+ * @returns {Object} - Transport message
+ */
+function buildEmail(message, recipient) {
+    const intro = recipient.isFallback
+        ? `This message was sent to ${recipient.name} through the school website, but there is no email address for them on file.`
+        : 'This message was sent to you through the staff contact form on the school website.';
+
+    const text = [
+        intro,
+        '',
+        `From: ${message.name} <${message.email}>`,
+        message.phone ? `Phone: ${message.phone}` : '',
+        `Subject: ${message.subject}`,
+        '',
+        message.message,
+        '',
+        message.pageUrl ? `Sent from ${message.pageUrl}` : '',
+        'Reply to this email to answer the sender directly.'
+    ].filter((line, index, lines) => line || lines[index - 1]).join('\n');
+
+    return {
+        to: [recipient.email],
+        replyTo: message.email,
+        subject: `Website message: ${message.subject || '(no subject)'}`,
+        text
+    };
+}
+
+service.start(async () => {
+    db = FirebaseClient.db;
+
+    transport = createTransport(CONFIG.transport, {
+        db,
+        collection: CONFIG.mailCollection,
+        dir: CONFIG.outboxDir,
+        from: CONFIG.from
+    });
+
+    console.log(`📮 Delivering with the "${transport.name}" transport`);
+    if (transport.name === 'file') {
+        console.log(`   Messages are written to ${CONFIG.outboxDir}`);
+    }
+    console.log(`👀 Watching ${CONFIG.collection} for new messages\n`);
+
+    return db.collection(CONFIG.collection).where('status', '==', 'pending');
+});
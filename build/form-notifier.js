@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Form Notifier
+ *
+ * Long-running service that watches the `formSubmissions` collection and
+ * emails each new submission to the notification recipients set on its
+ * form. Emails are queued as documents in the `mail` collection, in the
+ * format sent by the Firebase "Trigger Email" extension.
+ *
+ * Submissions come from anonymous visitors, who may only create them, so
+ * recipients are looked up here rather than trusted from the submission.
+ *
+ * Usage:
+ *   npm run forms:notify
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ *   CMS_ADMIN_URL - Admin site URL, for the inbox link in emails (optional)
+ */
+
+const admin = require('firebase-admin');
+
+const FirebaseClient = require('./lib/firebase');
+const QueueService = require('./lib/queue-service');
+
+// Configuration
+const CONFIG = {
+    collection: 'formSubmissions',
+    formsCollection: 'forms',
+    mailCollection: 'mail',
+    adminUrl: process.env.CMS_ADMIN_URL || ''
+};
+
+// Notifier state
+let db = null;
+
+const service = new QueueService({
+    name: 'Form Notifier',
+    icon: '📨',
+    source: 'form submissions',
+    run: notifyPending
+});
+
+/**
+ * Send notifications for a page of unnotified submissions, one at a time
+ * @returns {Promise<boolean>} - Whether there may be more
+ */
+async function notifyPending() {
+    const snapshot = await db.collection(CONFIG.collection)
+        .where('notified', '==', false)
+        .limit(20)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        await notify(doc);
+    }
+
+    return snapshot.size === 20;
+}
+
+/**
+ * Queue the notification email for a submission and mark it notified.
+ * Both writes happen in one batch so an email is never queued twice.
+ * @param {Object} doc - Submission document snapshot
+ */
+async function notify(doc) {
+    const submission = doc.data();
+    const formDoc = await db.collection(CONFIG.formsCollection).doc(submission.formId).get();
+    const form = formDoc.exists ? formDoc.data() : null;
+    const recipients = form?.recipients || [];
+
+    const batch = db.batch();
+
+    if (recipients.length > 0) {
+        batch.set(db.collection(CONFIG.mailCollection).doc(), buildEmail(doc.id, submission, form));
+    }
+
+    batch.update(doc.ref, {
+        notified: true,
+        notifiedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+
+    console.log(recipients.length > 0
+        ? `   ✓ Submission ${doc.id} to "${form.title}" sent to ${recipients.join(', ')}`
+        : `   - Submission ${doc.id} has no notification recipients`);
+}
+
+/**
+ * Build the email for a submission, listing answers in form field order
+ * @param {string} submissionId
+ * @param {Object} submission
+ * @param {Object} form
+ * @returns {Object} - Trigger Email document
+ */
+function buildEmail(submissionId, submission, form) {
+    const answers = submission.data || {};
+    const rows = (form.fields || [])
+        .filter(field => answers[field.name])
+        .map(field => ({ label: field.label || field.name, value: answers[field.name] }));
+
+    const inboxUrl = CONFIG.adminUrl
+        ? `${CONFIG.adminUrl.replace(/\/$/, '')}/submissions.html?form=${encodeURIComponent(submission.formId)}`
+        : '';
+
+    const text = [
+        `New submission to "${form.title}"`,
+        '',
+        ...rows.map(row => `${row.label}: ${row.value}`),
+        '',
+        submission.pageUrl ? `Sent from ${submission.pageUrl}` : '',
+        inboxUrl ? `View in the CMS: ${inboxUrl}` : ''
+    ].filter((line, index, lines) => line || lines[index - 1]).join('\n');
+
+    const html = `
+        <h2>New submission to "${escapeHtml(form.title)}"</h2>
+        <table cellpadding="6" style="border-collapse: collapse;">
+            ${rows.map(row => `
+                <tr>
+                    <th align="left" valign="top">${escapeHtml(row.label)}</th>
+                    <td>${escapeHtml(row.value).replace(/\n/g, '<br>')}</td>
+                </tr>
+            `).join('')}
+        </table>
+        ${submission.pageUrl ? `<p>Sent from <a href="${escapeHtml(submission.pageUrl)}">${escapeHtml(submission.pageUrl)}</a></p>` : ''}
+        ${inboxUrl ? `<p><a href="${escapeHtml(inboxUrl)}">View in the CMS</a></p>` : ''}
+    `;
+
+    // Let recipients reply straight to the sender
+    const replyField = (form.fields || []).find(field => field.type === 'email' && answers[field.name]);
+
+    return {
+        to: form.recipients,
+        ...(replyField ? { replyTo: answers[replyField.name] } : {}),
+        message: {
+            subject: `${form.title}: new submission`,
+            text,
+            html
+        },
+        submissionId
+    };
+}
+
+/**
+ * Escape text for the HTML email
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+service.start(async () => {
+    db = FirebaseClient.db;
+
+    console.log(`👀 Watching ${CONFIG.collection} for new submissions\n`);
+
+    return db.collection(CONFIG.collection).where('notified', '==', false);
+});
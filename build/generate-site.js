@@ -8,10 +8,24 @@
  * Usage:
  *   npm run build          - Production build
  *   npm run build:dev      - Development build (includes drafts)
+ *   npm run build:incremental - Only re-render pages whose inputs changed
+ *
+ * Built pages and the site colours are checked for accessibility issues,
+ * reported as warnings and written to .build-cache/accessibility-report.json.
+ *
+ * The built site is link checked last. The build fails when the check finds
+ * more issues in page content than --max-link-issues=N allows (default 0);
+ * broken links the templates add (the shared header and footer, and marked
+ * links like the sidebars' "Get in Touch") are warnings. The report is
+ * written to .build-cache/link-report.html and .json.
+ *
+ * When started by the build runner (build/build-runner.js) progress,
+ * warnings and the final result are also sent over the IPC channel.
  *
  * Environment Variables:
  *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
  *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   LINK_CHECK_MAX_ISSUES - Link check issues allowed, if --max-link-issues isn't given
  */
 
 const path = require('path');
@@ -21,7 +35,12 @@ const fs = require('fs').promises;
 const FirebaseClient = require('./lib/firebase');
 const TemplateEngine = require('./lib/templates');
 const PageGenerator = require('./lib/generators');
-const AssetManager = require('./lib/assets');
+const AssetHandler = require('./lib/assets');
+const ImagePipeline = require('./lib/images');
+const BuildManifest = require('./lib/manifest');
+const RedirectRules = require('./lib/redirects');
+const LinkChecker = require('./lib/link-checker');
+const AccessibilityChecker = require('./lib/accessibility');
 
 // Configuration
 const CONFIG = {
@@ -29,11 +48,25 @@ const CONFIG = {
     templatesDir: path.join(__dirname, '..', 'templates'),
     publicDir: path.join(__dirname, '..', 'public'),
     outputDir: path.join(__dirname, '..', 'dist'),
+    manifestPath: path.join(__dirname, '..', '.build-cache', 'manifest.json'),
+    imageCacheDir: path.join(__dirname, '..', '.build-cache', 'images'),
+    firebaseConfigPath: path.join(__dirname, '..', 'firebase.json'),
+    firebaseDeployConfigPath: path.join(__dirname, '..', 'firebase.deploy.json'),
+    linkReportDir: path.join(__dirname, '..', '.build-cache'),
+    a11yReportPath: path.join(__dirname, '..', '.build-cache', 'accessibility-report.json'),
 
     // Build options
     isDev: process.argv.includes('--dev'),
+    incremental: process.argv.includes('--incremental'),
     verbose: process.argv.includes('--verbose') || process.argv.includes('-v'),
 
+    // The build fails when the link check finds more issues than this
+    // (--max-link-issues=N or LINK_CHECK_MAX_ISSUES)
+    maxLinkIssues: getMaxLinkIssues(),
+
+    // Firebase project that embedded forms submit to, set once connected
+    firebaseProjectId: null,
+
     // Site defaults
     siteDefaults: {
         siteName: 'Middleton Grange School',
@@ -44,6 +77,57 @@ const CONFIG = {
     }
 };
 
+// Number of steps reported as build progress
+const TOTAL_STEPS = 12;
+
+// Collected during the build for the runner's report
+const buildReport = {
+    step: 0,
+    warnings: [],
+    linkCheck: null
+};
+
+/**
+ * Get the most link check issues a build may have, from the command line
+ * or environment. Defaults to none; problems in the templates' own links
+ * are only warnings, so a new site still builds.
+ * @returns {number}
+ */
+function getMaxLinkIssues() {
+    const arg = process.argv.find(a => a.startsWith('--max-link-issues='));
+    const value = Number(arg ? arg.split('=')[1] : process.env.LINK_CHECK_MAX_ISSUES);
+    return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * Log the start of a build step and report progress to the runner
+ * @param {string} message
+ */
+function step(message) {
+    buildReport.step++;
+    console.log(message);
+    notifyRunner({ type: 'progress', step: buildReport.step, total: TOTAL_STEPS, message });
+}
+
+/**
+ * Log a build warning and keep it for the build report
+ * @param {string} message
+ */
+function warn(message) {
+    buildReport.warnings.push(message);
+    console.log(`   ⚠ ${message}`);
+}
+
+/**
+ * Send a message to the parent build runner, if there is one
+ * @param {Object} message
+ */
+function notifyRunner(message) {
+    if (process.send && process.connected) {
+        process.send(message);
+    }
+}
+
 /**
  * Main build function
  */
@@ -59,71 +143,182 @@ async function build() {
 
     try {
         // Step 1: Initialize Firebase
-        console.log('🔥 Connecting to Firebase...');
+        step('🔥 Connecting to Firebase...');
         await FirebaseClient.init();
+        CONFIG.firebaseProjectId = FirebaseClient.getProjectId();
         console.log('   ✓ Firebase connected\n');
 
         // Step 2: Load site settings
-        console.log('⚙️  Loading site settings...');
+        step('⚙️  Loading site settings...');
         const siteSettings = await loadSiteSettings();
         console.log('   ✓ Settings loaded\n');
 
         // Step 3: Initialize template engine
-        console.log('📄 Initializing template engine...');
+        step('📄 Initializing template engine...');
         await TemplateEngine.init(CONFIG.templatesDir);
         console.log(`   ✓ ${TemplateEngine.getTemplateCount()} templates loaded\n`);
 
-        // Step 4: Clean output directory
-        console.log('🧹 Cleaning output directory...');
-        await cleanOutputDir();
+        // Step 4: Load data from Firestore
+        step('📊 Loading content from Firestore...');
+        const data = await loadAllData();
+        console.log(`   ✓ ${data.pages.length} pages, ${data.menuSections.length} menu sections loaded\n`);
+
+        // Step 5: Prepare output directory
+        step('🧹 Preparing output directory...');
+        const manifest = await prepareOutputDir(siteSettings, data);
         console.log('   ✓ Output directory ready\n');
 
-        // Step 5: Copy static assets
-        console.log('📦 Copying static assets...');
-        const assetCount = await AssetManager.copyAssets(CONFIG.publicDir, CONFIG.outputDir);
+        // Step 6: Copy static assets
+        step('📦 Copying static assets...');
+        const assetStats = await new AssetHandler(CONFIG).copyAssets();
+        const assetCount = Object.values(assetStats).reduce((sum, count) => sum + count, 0);
         console.log(`   ✓ ${assetCount} assets copied\n`);
 
-        // Step 6: Load data from Firestore
-        console.log('📊 Loading content from Firestore...');
-        const data = await loadAllData();
-        console.log(`   ✓ ${data.pages.length} pages, ${data.menuSections.length} menu sections loaded\n`);
+        // Step 7: Process images
+        step('🖼️  Processing images...');
+        const images = new ImagePipeline(CONFIG);
+        const imageStats = await images.run(data);
+        imageStats.failed.forEach(({ src, error }) => warn(`Image not processed (${error}): ${src}`));
+        console.log(`   ✓ ${imageStats.processed} images processed, ${imageStats.cached} unchanged${imageStats.skipped ? `, ${imageStats.skipped} left as they are` : ''}\n`);
 
-        // Step 7: Generate pages
-        console.log('🔨 Generating pages...');
+        // Step 8: Generate pages
+        step('🔨 Generating pages...');
         const generator = new PageGenerator(TemplateEngine, CONFIG, siteSettings);
+        generator.images = images;
+        generator.manifest = manifest;
 
         // Generate homepage
         await generator.generateHomepage(data);
         console.log('   ✓ Homepage generated');
 
         // Generate content pages
-        const pageCount = await generator.generatePages(data);
-        console.log(`   ✓ ${pageCount} content pages generated`);
+        const { generated, unchanged } = await generator.generatePages(data, manifest);
+        const pageCount = generated + unchanged;
+        console.log(`   ✓ ${generated} content pages generated${unchanged ? `, ${unchanged} unchanged` : ''}`);
+
+        // Generate news listing, archives and feeds
+        const newsFiles = await generator.generateNews(data);
+        console.log(`   ✓ News listing, archives and feeds generated (${newsFiles} files)`);
+
+        // Generate alumni profile pages
+        const alumniFiles = await generator.generateAlumni(data);
+        if (alumniFiles > 0) {
+            console.log(`   ✓ ${alumniFiles} alumni profile pages generated`);
+        }
+
+        // Generate sports index and sport pages
+        const sportFiles = await generator.generateSports(data);
+        if (sportFiles > 0) {
+            console.log(`   ✓ Sports index and ${sportFiles - 1} sport pages generated`);
+        }
+
+        // Generate the staff contact form
+        if (await generator.generateStaffContact(data) > 0) {
+            console.log('   ✓ Staff contact form generated');
+        }
+
+        // Generate the search page and index
+        await generator.generateSearch(data);
+        console.log('   ✓ Search index generated');
+
+        // Generate event archives and calendar.ics
+        const calendarFiles = await generator.generateCalendar(data);
+        if (calendarFiles > 0) {
+            console.log(`   ✓ ${data.events.length} events: ${calendarFiles} calendar file(s) generated`);
+        }
 
         // Generate special pages (404, etc.)
         await generator.generateSpecialPages(data);
-        console.log('   ✓ Special pages generated\n');
 
-        // Step 8: Generate sitemap
-        console.log('🗺️  Generating sitemap...');
+        // Page data problems that didn't stop a page being written
+        generator.warnings.forEach(message => warn(message));
+        console.log('   ✓ Special pages generated');
+
+        // Remove pages and other generated files that were deleted or
+        // unpublished since the last build
+        const removed = await manifest.removeStale();
+        if (removed.length > 0) {
+            console.log(`   ✓ ${removed.length} removed file(s) deleted from output`);
+        }
+        await manifest.save();
+        console.log('');
+
+        // Step 9: Generate sitemap
+        step('🗺️  Generating sitemap...');
         await generateSitemap(data, siteSettings);
         console.log('   ✓ Sitemap generated\n');
 
+        // Step 10: Write redirects
+        step('↪️  Writing redirects...');
+        const redirects = new RedirectRules(CONFIG);
+        const rules = redirects.build(data.redirects, data.pages);
+        redirects.skipped.forEach(({ from, to, reason }) => warn(`Redirect skipped (${reason}): ${from} -> ${to}`));
+        const { hostingFound } = await redirects.write();
+        if (!hostingFound) {
+            warn('No "public" hosting target in firebase.json; firebase.deploy.json has no redirects');
+        }
+        console.log(`   ✓ ${rules.length} redirect(s) written to _redirects and firebase.deploy.json\n`);
+
+        // Step 11: Check accessibility
+        step('♿ Checking accessibility...');
+        const a11yReport = await new AccessibilityChecker(CONFIG, siteSettings).run(data.pages, generator);
+        a11yReport.colours.forEach(({ message }) => warn(`Site colours: ${message}`));
+        a11yReport.pages.forEach(({ url, issues }) => {
+            const rules = [...new Set(issues.map(issue => issue.rule))].join(', ');
+            warn(`Accessibility: ${issues.length} issue(s) on ${url} (${rules})`);
+        });
+        console.log(`   ✓ ${a11yReport.pages.length} page(s) with issues; report: ${CONFIG.a11yReportPath}\n`);
+
+        // Step 12: Check links
+        step('🔗 Checking links...');
+        const checker = new LinkChecker(CONFIG, {
+            siteUrl: siteSettings.siteUrl,
+            media: data.media,
+            redirects: rules
+        });
+        const linkReport = await checker.run();
+        const reportFiles = await checker.writeReport(linkReport);
+        buildReport.linkCheck = { ...checker.summarize(linkReport), maxIssues: CONFIG.maxLinkIssues };
+        console.log(`   ✓ ${linkReport.pages} pages, ${linkReport.links} links checked: ${linkReport.total} issue(s)`);
+        Object.entries(linkReport.counts)
+            .filter(([, count]) => count > 0)
+            .forEach(([type, count]) => console.log(`     ${type}: ${count}`));
+        linkReport.templateIssues.forEach(({ type, url }) => warn(`Link check: ${type} in the site templates: ${url}`));
+        console.log(`   Report: ${reportFiles.html}\n`);
+
+        if (linkReport.total > CONFIG.maxLinkIssues) {
+            throw new Error(`Link check found ${linkReport.total} issues, more than the limit of ${CONFIG.maxLinkIssues}. See ${reportFiles.html}`);
+        }
+
         // Done!
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log('================================================');
         console.log(`✅ Build complete in ${duration}s`);
         console.log(`   Output: ${CONFIG.outputDir}\n`);
 
+        notifyRunner({
+            type: 'result',
+            pageCount: pageCount + 1, // Content pages plus homepage
+            assetCount,
+            warnings: buildReport.warnings,
+            linkCheck: buildReport.linkCheck
+        });
+
     } catch (error) {
         console.error('\n❌ Build failed:', error.message);
         if (CONFIG.verbose) {
             console.error(error.stack);
         }
-        process.exit(1);
+        notifyRunner({ type: 'error', message: error.message, warnings: buildReport.warnings, linkCheck: buildReport.linkCheck });
+        process.exitCode = 1;
     } finally {
         // Cleanup Firebase connection
         await FirebaseClient.cleanup();
+
+        // Close the IPC channel so the process can exit
+        if (process.connected) {
+            process.disconnect();
+        }
     }
 }
 
@@ -136,7 +331,7 @@ async function loadSiteSettings() {
         const settings = await FirebaseClient.getDocument('siteSettings', 'config');
 
         if (!settings) {
-            console.log('   ⚠ No settings found, using defaults');
+            warn('No settings found, using defaults');
             return CONFIG.siteDefaults;
         }
 
@@ -150,7 +345,7 @@ async function loadSiteSettings() {
             popup: settings.popup || {}
         };
     } catch (error) {
-        console.log('   ⚠ Error loading settings, using defaults');
+        warn('Error loading settings, using defaults');
         return CONFIG.siteDefaults;
     }
 }
@@ -160,11 +355,21 @@ async function loadSiteSettings() {
  * @returns {Object}
  */
 async function loadAllData() {
-    const [pages, menuSections, videos, staffProfiles] = await Promise.all([
+    const [pages, menuSections, videos, staffProfiles, staffDepartments, alumniProfiles, events, albums, jobs, sponsors, sports, forms, redirects, media] = await Promise.all([
         loadPages(),
         FirebaseClient.getCollection('menuSections', [['order', 'asc']]),
         FirebaseClient.getCollection('videos', [['createdAt', 'desc']]),
-        FirebaseClient.getCollection('staffProfiles', [['order', 'asc']])
+        FirebaseClient.getCollection('staffProfiles'),
+        FirebaseClient.getCollection('staffDepartments', [['order', 'asc']]),
+        FirebaseClient.getCollection('alumniProfiles', [['leavingYear', 'desc']]),
+        FirebaseClient.getCollection('events', [['startDate', 'asc']]),
+        FirebaseClient.getCollection('albums', [['createdAt', 'desc']]),
+        FirebaseClient.getCollection('jobs', [['closingDate', 'asc']]),
+        FirebaseClient.getCollection('sponsors', [['name', 'asc']]),
+        FirebaseClient.getCollection('sports', [['name', 'asc']]),
+        FirebaseClient.getCollection('forms'),
+        FirebaseClient.getCollection('redirects'),
+        FirebaseClient.getCollection('media')
     ]);
 
     // Organize pages by menu section
@@ -180,10 +385,68 @@ async function loadAllData() {
         menuSections,
         pagesBySection,
         videos,
-        staffProfiles
+        staffProfiles: sortStaff(staffProfiles, staffDepartments),
+        alumniProfiles: sortAlumni(alumniProfiles),
+        events: sortEvents(events),
+        albums,
+        jobs,
+        sponsors,
+        sports,
+        forms,
+        redirects,
+        media
     };
 }
 
+/**
+ * Sort events by start date and time, all-day events first on each day
+ * @param {Array} events
+ * @returns {Array}
+ */
+function sortEvents(events) {
+    return events
+        .filter(event => event.startDate)
+        .sort((a, b) =>
+            a.startDate.localeCompare(b.startDate) ||
+            (a.allDay ? '' : a.startTime || '').localeCompare(b.allDay ? '' : b.startTime || '')
+        );
+}
+
+/**
+ * Sort staff by department order, then display order, then name.
+ * Departments missing from the department list follow, alphabetically,
+ * and staff without a department come last.
+ * @param {Array} staff
+ * @param {Array} departments
+ * @returns {Array}
+ */
+function sortStaff(staff, departments) {
+    const listed = departments.map(department => department.name);
+    const unlisted = [...new Set(staff.map(person => person.department).filter(Boolean))]
+        .filter(name => !listed.includes(name))
+        .sort((a, b) => a.localeCompare(b));
+    const names = [...listed, ...unlisted];
+    const rank = (person) => person.department ? names.indexOf(person.department) : names.length;
+
+    return staff.sort((a, b) =>
+        rank(a) - rank(b) ||
+        (Number(a.order) || 0) - (Number(b.order) || 0) ||
+        (a.name || '').localeCompare(b.name || '')
+    );
+}
+
+/**
+ * Sort alumni by leaving year, newest first, then by name
+ * @param {Array} profiles
+ * @returns {Array}
+ */
+function sortAlumni(profiles) {
+    return profiles.sort((a, b) =>
+        (Number(b.leavingYear) || 0) - (Number(a.leavingYear) || 0) ||
+        (a.name || '').localeCompare(b.name || '')
+    );
+}
+
 /**
  * Load pages based on build mode
  * @returns {Array}
@@ -191,14 +454,82 @@ async function loadAllData() {
 async function loadPages() {
     let pages = await FirebaseClient.getCollection('pages');
 
-    // Filter to published only in production mode
+    // Filter to live pages only in production mode
     if (!CONFIG.isDev) {
-        pages = pages.filter(page => page.status === 'published');
+        const now = new Date();
+        pages = pages.filter(page => isPageLive(page, now));
     }
 
     return pages;
 }
 
+/**
+ * Check whether a page should be on the live site at a given time.
+ * Published and scheduled pages are live once publishAt has passed
+ * and until unpublishAt is reached.
+ * @param {Object} page
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isPageLive(page, now) {
+    if (page.status !== 'published' && page.status !== 'scheduled') {
+        return false;
+    }
+
+    const publishAt = toDate(page.publishAt);
+    const unpublishAt = toDate(page.unpublishAt);
+
+    if (publishAt && publishAt > now) return false;
+    if (unpublishAt && unpublishAt <= now) return false;
+
+    return true;
+}
+
+/**
+ * Convert a Firestore Timestamp or date value to a Date
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Prepare the output directory and build manifest. Incremental builds keep
+ * dist/ and fall back to a full rebuild when there is no manifest or the
+ * site-wide inputs (settings, menu sections, build mode) have changed.
+ * @param {Object} siteSettings
+ * @param {Object} data
+ * @returns {BuildManifest}
+ */
+async function prepareOutputDir(siteSettings, data) {
+    const manifest = new BuildManifest(CONFIG.manifestPath, CONFIG.outputDir);
+    const siteHash = BuildManifest.hash({
+        siteSettings,
+        menuSections: data.menuSections,
+        isDev: CONFIG.isDev
+    });
+
+    if (CONFIG.incremental) {
+        const loaded = await manifest.load();
+
+        if (loaded && manifest.siteHash === siteHash) {
+            console.log('   ✓ Incremental build: reusing unchanged pages');
+            return manifest;
+        }
+
+        console.log(loaded
+            ? '   ⚠ Menu sections or site settings changed, doing a full rebuild'
+            : '   ⚠ No build manifest found, doing a full rebuild');
+    }
+
+    await cleanOutputDir();
+    manifest.reset(siteHash);
+    return manifest;
+}
+
 /**
  * Clean the output directory
  */
@@ -231,9 +562,52 @@ async function generateSitemap(data, settings) {
     <priority>1.0</priority>
   </url>\n`;
 
-    // Content pages
+    // News listing
+    xml += `  <url>
+    <loc>${siteUrl}/news/</loc>
+    <lastmod>${now}</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>0.7</priority>
+  </url>\n`;
+
+    // Alumni profiles
+    data.alumniProfiles.forEach(profile => {
+        if (profile.slug) {
+            const lastmod = profile.updatedAt?.toDate?.()?.toISOString() || now;
+            xml += `  <url>
+    <loc>${siteUrl}/alumni/${profile.slug}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>0.5</priority>
+  </url>\n`;
+        }
+    });
+
+    // Sports index and sport pages
+    const sports = data.sports.filter(sport => sport.slug && sport.name);
+    if (sports.length > 0) {
+        xml += `  <url>
+    <loc>${siteUrl}/sports/</loc>
+    <lastmod>${now}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>0.6</priority>
+  </url>\n`;
+    }
+    sports.forEach(sport => {
+        const lastmod = sport.updatedAt?.toDate?.()?.toISOString() || now;
+        xml += `  <url>
+    <loc>${siteUrl}/sports/${sport.slug}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>0.5</priority>
+  </url>\n`;
+    });
+
+    // Content pages - published, or scheduled and inside their live window,
+    // as loadPages keeps them (dev builds also load drafts)
+    const buildTime = new Date();
     data.pages.forEach(page => {
-        if (page.status === 'published' && page.slug) {
+        if (page.slug && isPageLive(page, buildTime)) {
             const lastmod = page.updatedAt?.toDate?.()?.toISOString() || now;
             xml += `  <url>
     <loc>${siteUrl}/${page.slug}</loc>
@@ -249,5 +623,13 @@ async function generateSitemap(data, settings) {
     await fs.writeFile(path.join(CONFIG.outputDir, 'sitemap.xml'), xml);
 }
 
-// Run the build
-build();
+// Run the build when invoked directly
+if (require.main === module) {
+    build();
+}
+
+module.exports = {
+    CONFIG,
+    loadSiteSettings,
+    loadAllData
+};
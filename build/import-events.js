@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Event Importer
+ *
+ * Imports events from a KAMAR calendar export (.ics) into the `events`
+ * collection. Each event is stored under an ID derived from its ICS UID,
+ * so importing the same or an updated file again updates existing events
+ * instead of duplicating them. Cancelled events are removed.
+ *
+ * Usage:
+ *   npm run import:events -- <calendar.ics> [options]
+ *
+ * Options:
+ *   --dry-run    Show what would change without writing to Firestore
+ *   --verbose    List every event
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const FirebaseClient = require('./lib/firebase');
+const ICSCalendar = require('./lib/ics');
+
+// Configuration
+const CONFIG = {
+    collection: 'events',
+    source: 'kamar',
+
+    // Firestore batches are limited to 500 writes
+    batchSize: 400,
+
+    // Fields owned by the feed - compared to detect changes
+    fields: ['title', 'description', 'venue', 'category', 'startDate', 'startTime', 'endDate', 'endTime', 'allDay']
+};
+
+/**
+ * Parse command line arguments
+ * @returns {Object}
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+
+    return {
+        inputFile: args.find(arg => !arg.startsWith('-')) || null,
+        dryRun: args.includes('--dry-run'),
+        verbose: args.includes('--verbose') || args.includes('-v')
+    };
+}
+
+/**
+ * Get the document ID for an ICS UID
+ * @param {string} uid
+ * @returns {string}
+ */
+function getEventId(uid) {
+    // UIDs can contain characters that aren't valid in document IDs
+    return `ics-${crypto.createHash('sha1').update(uid).digest('hex').substring(0, 24)}`;
+}
+
+/**
+ * Check whether any feed-owned field differs from the stored event
+ * @param {Object} existing
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function hasChanged(existing, event) {
+    return CONFIG.fields.some(field => (existing[field] ?? '') !== (event[field] ?? ''));
+}
+
+/**
+ * Run the import
+ */
+async function run() {
+    const options = parseArgs();
+
+    console.log('\n📅 Middleton Grange CMS - Event Importer');
+    console.log('================================================\n');
+
+    if (!options.inputFile) {
+        console.error('Usage: npm run import:events -- <calendar.ics> [--dry-run] [--verbose]');
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.dryRun) {
+        console.log('📝 Dry run: no changes will be written\n');
+    }
+
+    try {
+        console.log(`📖 Reading ${path.basename(options.inputFile)}...`);
+        const parsed = await new ICSCalendar().parseFile(options.inputFile);
+
+        // The same UID can appear more than once - the last entry wins
+        const events = new Map();
+        parsed.forEach(event => events.set(event.uid, event));
+
+        const recurring = parsed.filter(e => e.recurring).length;
+        console.log(`   ✓ ${events.size} events found`);
+        if (recurring > 0) {
+            console.log(`   ⚠ ${recurring} recurring event(s) will be imported as their first occurrence only`);
+        }
+        console.log('');
+
+        console.log('🔥 Connecting to Firebase...');
+        await FirebaseClient.init();
+        const db = FirebaseClient.db;
+        console.log('   ✓ Firebase connected\n');
+
+        // Look up existing events for every UID in the file
+        const refs = [...events.keys()].map(uid => db.collection(CONFIG.collection).doc(getEventId(uid)));
+        const snapshots = refs.length > 0 ? await db.getAll(...refs) : [];
+        const existing = new Map(snapshots.filter(s => s.exists).map(s => [s.id, s.data()]));
+
+        console.log('💾 Importing events...');
+        const stats = { created: 0, updated: 0, unchanged: 0, removed: 0 };
+        let batch = db.batch();
+        let pending = 0;
+
+        for (const event of events.values()) {
+            const ref = db.collection(CONFIG.collection).doc(getEventId(event.uid));
+            const stored = existing.get(ref.id);
+            let action = null;
+
+            if (event.cancelled) {
+                if (stored) {
+                    batch.delete(ref);
+                    action = 'removed';
+                }
+            } else if (!stored) {
+                batch.set(ref, {
+                    ...pick(event),
+                    uid: event.uid,
+                    source: CONFIG.source,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                action = 'created';
+            } else if (hasChanged(stored, event)) {
+                batch.update(ref, {
+                    ...pick(event),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                action = 'updated';
+            } else {
+                stats.unchanged++;
+            }
+
+            if (!action) continue;
+
+            stats[action]++;
+            pending++;
+
+            if (options.verbose) {
+                console.log(`   ${action === 'removed' ? '-' : '→'} ${event.startDate} ${event.title} (${action})`);
+            }
+
+            if (pending >= CONFIG.batchSize) {
+                if (!options.dryRun) await batch.commit();
+                batch = db.batch();
+                pending = 0;
+            }
+        }
+
+        if (pending > 0 && !options.dryRun) {
+            await batch.commit();
+        }
+
+        console.log(`   ✓ ${stats.created} created, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.removed} removed\n`);
+
+        if (!options.dryRun && stats.created + stats.updated + stats.removed > 0) {
+            await db.collection('activityLog').add({
+                action: 'import',
+                description: `imported ${stats.created + stats.updated} events from ${path.basename(options.inputFile)}`,
+                userId: null,
+                userName: 'Event Importer',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log('✅ Import complete\n');
+
+    } catch (error) {
+        console.error('\n❌ Import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await FirebaseClient.cleanup();
+    }
+}
+
+/**
+ * Get the feed-owned fields of an event
+ * @param {Object} event
+ * @returns {Object}
+ */
+function pick(event) {
+    const data = {};
+    CONFIG.fields.forEach(field => {
+        data[field] = event[field] ?? '';
+    });
+    return data;
+}
+
+// Run the import when invoked directly
+if (require.main === module) {
+    run();
+}
+
+module.exports = {
+    getEventId,
+    hasChanged,
+    pick
+};
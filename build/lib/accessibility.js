@@ -0,0 +1,243 @@
+/**
+ * Accessibility Checker
+ *
+ * Checks generated pages for common accessibility problems:
+ *
+ *   - image-alt:        images in the page without alt text, or with a
+ *                       file name as their alt text
+ *   - header-image-alt: a header image without alt text of its own, so the
+ *                       page title is used instead
+ *   - heading-order:    headings that skip a level (an h2 followed by an h4)
+ *   - empty-link:       links with no text or label for screen readers
+ *   - iframe-title:     embedded frames (videos, maps) without a title
+ *
+ * Pages are checked inside <main>, so problems in the shared header and
+ * footer aren't repeated for every page. The site colours from settings
+ * are checked separately against the text shown on and in them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Checker options
+const A11Y = {
+    // WCAG AA contrast for normal-size text
+    minContrast: 4.5,
+    // How the stylesheet pairs the site colours with text
+    colourPairs: [
+        { text: 'primaryColor', background: '#ffffff', usage: 'links and headings on white' },
+        { text: '#ffffff', background: 'primaryColor', usage: 'white text on the header and primary buttons' },
+        { text: 'secondaryColor', background: 'primaryColor', usage: 'the current breadcrumb on the page header' },
+        { text: '#111827', background: 'secondaryColor', usage: 'dark text on secondary buttons' }
+    ],
+    // Longest element snippet kept in an issue
+    snippetLength: 160
+};
+
+class AccessibilityChecker {
+    /**
+     * Create a new AccessibilityChecker
+     * @param {Object} config - Build configuration
+     * @param {string} config.outputDir - Site output directory
+     * @param {string} config.a11yReportPath - Where the build's report is written
+     * @param {Object} settings - Site settings, for the site colours
+     */
+    constructor(config, settings = {}) {
+        this.config = config;
+        this.settings = settings;
+    }
+
+    /**
+     * Check the site colours and every content page the build wrote
+     * @param {Array} pages - Content pages
+     * @param {PageGenerator} generator - For which pages were written, and where
+     * @returns {Promise<Object>} - { checkedAt, colours, pages: [{ id, title, url, issues }] }
+     */
+    async run(pages, generator) {
+        const report = {
+            checkedAt: new Date().toISOString(),
+            colours: this.checkColours(),
+            pages: []
+        };
+
+        for (const page of pages) {
+            if (!page.slug || (!this.config.isDev && !generator.isPublished(page))) continue;
+
+            let html;
+            try {
+                html = await fs.readFile(path.join(this.config.outputDir, generator.getOutputPath(page)), 'utf8');
+            } catch {
+                continue;
+            }
+
+            const issues = this.checkPage(html, page);
+            if (issues.length > 0) {
+                report.pages.push({ id: page.id, title: page.title, url: `/${page.slug}`, issues });
+            }
+        }
+
+        await fs.mkdir(path.dirname(this.config.a11yReportPath), { recursive: true });
+        await fs.writeFile(this.config.a11yReportPath, JSON.stringify(report, null, 2), 'utf8');
+
+        return report;
+    }
+
+    /**
+     * Check the contrast between the site colours and the text shown with
+     * them
+     * @returns {Array} - [{ rule, message }]
+     */
+    checkColours() {
+        const colour = (value) => this.settings[value] || value;
+
+        return A11Y.colourPairs.flatMap(pair => {
+            const text = this.parseColour(colour(pair.text));
+            const background = this.parseColour(colour(pair.background));
+            if (!text || !background) return [];
+
+            const ratio = this.getContrast(text, background);
+            if (ratio >= A11Y.minContrast) return [];
+
+            return [{
+                rule: 'contrast',
+                message: `${colour(pair.text)} on ${colour(pair.background)} has a contrast of ${ratio.toFixed(2)}:1, ` +
+                    `below ${A11Y.minContrast}:1 (${pair.usage})`
+            }];
+        });
+    }
+
+    /**
+     * Check a generated page
+     * @param {string} html - The page's HTML
+     * @param {Object} page - The page's data, for its header image
+     * @returns {Array} - [{ rule, message, snippet }]
+     */
+    checkPage(html, page = {}) {
+        const { window } = new JSDOM(html);
+        const { document } = window;
+        const main = document.querySelector('main') || document.body;
+        const issues = [];
+
+        const add = (rule, message, element) => issues.push({
+            rule,
+            message,
+            snippet: element ? this.getSnippet(element) : ''
+        });
+
+        // Images
+        if (page.headerImage && !(page.headerImageAlt || '').trim()) {
+            add('header-image-alt', 'The header image has no alt text, so the page title is used instead');
+        }
+
+        main.querySelectorAll('img').forEach(img => {
+            const alt = img.getAttribute('alt');
+            if (alt === null) {
+                add('image-alt', 'Image has no alt text. Describe the image, or mark it as decorative with empty alt text', img);
+            } else if (/\.(jpe?g|png|gif|webp|avif|svg)$/i.test(alt.trim())) {
+                add('image-alt', `Image alt text is a file name ("${alt.trim()}")`, img);
+            }
+        });
+
+        // Headings
+        let previousLevel = 0;
+        main.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            const level = Number(heading.tagName.substring(1));
+            if (previousLevel && level > previousLevel + 1) {
+                add('heading-order', `Heading level skips from h${previousLevel} to h${level}`, heading);
+            }
+            previousLevel = level;
+        });
+
+        // Links
+        main.querySelectorAll('a[href]').forEach(link => {
+            // Hidden links (like a gallery's lightbox list) aren't announced
+            if (link.closest('[hidden], [aria-hidden="true"]')) return;
+
+            if (!this.getAccessibleName(link, document)) {
+                add('empty-link', 'Link has no text or label, so screen readers can\'t say where it goes', link);
+            }
+        });
+
+        // Frames
+        main.querySelectorAll('iframe').forEach(iframe => {
+            if (!(iframe.getAttribute('title') || '').trim()) {
+                add('iframe-title', 'Embedded frame has no title describing its content', iframe);
+            }
+        });
+
+        window.close();
+
+        return issues;
+    }
+
+    /**
+     * Get the text a screen reader would announce for an element
+     * @param {Element} element
+     * @param {Document} document
+     * @returns {string}
+     */
+    getAccessibleName(element, document) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .map(id => id && document.getElementById(id)?.textContent)
+            .filter(Boolean)
+            .join(' ');
+
+        const imageAlts = [...element.querySelectorAll('img[alt], [role="img"][aria-label]')]
+            .map(img => img.getAttribute('alt') || img.getAttribute('aria-label'))
+            .join(' ');
+
+        return [
+            element.getAttribute('aria-label'),
+            labelledBy,
+            element.textContent,
+            imageAlts,
+            element.getAttribute('title')
+        ].filter(Boolean).join(' ').trim();
+    }
+
+    /**
+     * Get a short snippet of an element's HTML, for finding it in the page
+     * @param {Element} element
+     * @returns {string}
+     */
+    getSnippet(element) {
+        const html = element.outerHTML.replace(/\s+/g, ' ');
+        return html.length > A11Y.snippetLength ? `${html.substring(0, A11Y.snippetLength)}…` : html;
+    }
+
+    /**
+     * Parse a #rgb or #rrggbb colour
+     * @param {string} value
+     * @returns {Array<number>|null} - [r, g, b]
+     */
+    parseColour(value) {
+        const hex = String(value || '').trim().replace(/^#/, '');
+        if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) return null;
+
+        const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+        return [0, 2, 4].map(i => parseInt(full.substring(i, i + 2), 16));
+    }
+
+    /**
+     * Get the WCAG contrast ratio between two colours
+     * @param {Array<number>} a - [r, g, b]
+     * @param {Array<number>} b - [r, g, b]
+     * @returns {number}
+     */
+    getContrast(a, b) {
+        const luminance = (rgb) => {
+            const [r, g, bl] = rgb.map(channel => {
+                const c = channel / 255;
+                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+        };
+
+        const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+}
+
+module.exports = AccessibilityChecker;
@@ -207,7 +207,7 @@ class AssetHandler {
      */
     async generateSitemap(pages, baseUrl) {
         const urls = pages
-            .filter(page => page.status === 'published')
+            .filter(page => page.status === 'published' || page.status === 'scheduled')
             .map(page => {
                 const loc = page.slug === 'index'
                     ? baseUrl
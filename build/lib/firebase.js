@@ -9,6 +9,9 @@
  * 3. Save the JSON file
  * 4. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to the file path
  *    OR place the file as 'service-account.json' in the project root
+ *
+ * To build against the local emulator instead, set FIRESTORE_EMULATOR_HOST
+ * (e.g. localhost:8080) and FIREBASE_PROJECT_ID; no credentials are needed.
  */
 
 const admin = require('firebase-admin');
@@ -46,7 +49,10 @@ class FirebaseClient {
                 }
             }
 
-            if (!credential) {
+            // Option 3: Firestore emulator needs no credentials
+            const useEmulator = !credential && Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+            if (!credential && !useEmulator) {
                 throw new Error(
                     'Firebase credentials not found.\n' +
                     'Please either:\n' +
@@ -61,7 +67,7 @@ class FirebaseClient {
 
             // Initialize the app
             this.app = admin.initializeApp({
-                credential,
+                credential: credential || undefined,
                 projectId: process.env.FIREBASE_PROJECT_ID || undefined
             });
 
@@ -165,6 +171,38 @@ class FirebaseClient {
         return documents;
     }
 
+    /**
+     * Get the Firebase project ID, from FIREBASE_PROJECT_ID or the credentials
+     * @returns {string|null}
+     */
+    getProjectId() {
+        this.ensureInitialized();
+
+        return process.env.FIREBASE_PROJECT_ID ||
+            this.app.options.projectId ||
+            this.app.options.credential?.projectId ||
+            process.env.GOOGLE_CLOUD_PROJECT ||
+            process.env.GCLOUD_PROJECT ||
+            null;
+    }
+
+    /**
+     * Get a Storage bucket, by default the project's Firebase bucket
+     * (FIREBASE_STORAGE_BUCKET or <project-id>.firebasestorage.app). Set
+     * FIREBASE_STORAGE_EMULATOR_HOST to use the local emulator.
+     * @param {string} [name] - Bucket name
+     * @returns {Object} - Cloud Storage bucket
+     */
+    getBucket(name) {
+        this.ensureInitialized();
+
+        const bucketName = name ||
+            process.env.FIREBASE_STORAGE_BUCKET ||
+            `${this.getProjectId()}.firebasestorage.app`;
+
+        return admin.storage(this.app).bucket(bucketName);
+    }
+
     /**
      * Ensure Firebase is initialized
      */
@@ -6,6 +6,95 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const BuildManifest = require('./manifest');
+const ICSCalendar = require('./ics');
+
+// Calendar page type options
+const CALENDAR = {
+    upcomingLimit: 60,
+    feedFile: 'calendar.ics'
+};
+
+// News listing, archive and feed options
+const NEWS = {
+    path: 'news',
+    perPage: 12,
+    feedLimit: 20,
+    rssFile: 'feed.xml',
+    atomFile: 'atom.xml'
+};
+
+// Alumni profile page options
+const ALUMNI = {
+    path: 'alumni',
+    relatedLimit: 6
+};
+
+// Sports catalogue options - the index and sport pages live under /sports/
+const SPORTS = {
+    path: 'sports',
+    title: 'Sports Offered',
+    terms: [1, 2, 3, 4]
+};
+
+// Form embedding options. Submissions are written straight to Firestore
+// through its REST API; {{form "id"}} in page content embeds a form. The
+// editor wraps a shortcode on its own line in a paragraph, which is matched
+// too so the form is not left inside a <p>.
+const FORMS = {
+    collection: 'formSubmissions',
+    shortcode: /(<p>\s*)?\{\{\s*form\s+(?:"|&quot;)([\w-]+)(?:"|&quot;)\s*\}\}(\s*<\/p>)?/g
+};
+
+// Staff contact form. Staff email addresses are never published: links to
+// them go to this form, and build/contact-router.js delivers the messages.
+const STAFF_CONTACT = {
+    path: 'contact-staff',
+    title: 'Contact a Staff Member',
+    collection: 'staffMessages'
+};
+
+// Site search. The index is a JSON file fetched by the search module in
+// public/js/main.js; body text is trimmed to keep it small.
+const SEARCH = {
+    path: 'search',
+    title: 'Search',
+    indexFile: 'search-index.json',
+    bodyLength: 3000,
+    newsSection: 'News',
+    staffSection: 'Staff',
+    defaultSection: 'General'
+};
+
+// Sponsor tiers, in display order
+const SPONSORS = {
+    tiers: [
+        { value: 'gold', label: 'Gold' },
+        { value: 'silver', label: 'Silver' },
+        { value: 'community', label: 'Community' }
+    ]
+};
+
+// Job listing options - schema.org employment types and their labels
+const JOBS = {
+    employmentTypes: {
+        FULL_TIME: 'Full-time',
+        PART_TIME: 'Part-time',
+        TEMPORARY: 'Fixed-term',
+        CONTRACTOR: 'Contract'
+    }
+};
+
+// Structured data (JSON-LD) in each page's <head>. The school is one node
+// other nodes refer to by its @id; the editor's per-page structured data
+// is merged into the nodes by @id or @type.
+const STRUCTURED_DATA = {
+    schoolTypes: ['School', 'EducationalOrganization'],
+    schoolId: '#school',
+    addressCountry: 'NZ',
+    // Google truncates longer NewsArticle headlines
+    headlineLength: 110
+};
 
 class PageGenerator {
     /**
@@ -18,6 +107,29 @@ class PageGenerator {
         this.templates = templateEngine;
         this.config = config;
         this.settings = siteSettings;
+        this.ics = new ICSCalendar();
+
+        // Responsive image pipeline (lib/images.js), set by the build once
+        // images are processed. Written HTML pages use its images.
+        this.images = null;
+
+        // Build manifest (lib/manifest.js), set by the build so every
+        // written file is recorded and stale ones can be removed
+        this.manifest = null;
+
+        // Problems with page data that didn't stop a page being written,
+        // reported by the build as warnings
+        this.warnings = [];
+    }
+
+    /**
+     * Check if a page is published. Scheduled pages only reach the
+     * generator once their publish window is open (see loadPages).
+     * @param {Object} page
+     * @returns {boolean}
+     */
+    isPublished(page) {
+        return page.status === 'published' || page.status === 'scheduled';
     }
 
     /**
@@ -52,10 +164,17 @@ class PageGenerator {
             kindo_url: this.settings.links?.kindoUrl || '',
             school_app_url: this.settings.links?.schoolAppUrl || '',
             theatre_url: this.settings.links?.theatreUrl || '',
+            alumni_update_url: this.settings.links?.alumniUpdateUrl || '',
 
             // Navigation
             menu_sections: this.buildNavigation(data),
 
+            // Active sponsors, for the sponsor-strip partial
+            sponsors: this.getActiveSponsors(data.sponsors || []),
+
+            // Forms, for the form helper
+            forms: this.getPublicForms(data.forms || []),
+
             // Popup (if enabled and within date range)
             popup_enabled: this.isPopupActive(),
             popup_title: this.settings.popup?.title || '',
@@ -99,43 +218,157 @@ class PageGenerator {
     buildNavigation(data) {
         return data.menuSections
             .filter(section => section.visible !== false)
-            .map(section => ({
-                id: section.id,
-                title: section.title,
-                description: section.description || '',
-                pages: (data.pagesBySection[section.id] || [])
-                    .filter(page => page.status === 'published' || this.config.isDev)
-                    .map(page => ({
-                        title: page.title,
-                        slug: page.slug
-                    }))
+            .map(section => {
+                const items = this.getMenuItems(section, data);
+
+                return {
+                    id: section.id,
+                    title: section.title,
+                    description: section.description || '',
+                    items,
+                    // Items with sub-items are shown as columns
+                    has_groups: items.some(item => item.children.length > 0)
+                };
+            });
+    }
+
+    /**
+     * Get the items of a menu section with their titles and URLs.
+     * Items are pages, links, anchors on a page or group headings, and
+     * can have sub-items. Sections saved before menus could nest have no
+     * item tree and list their pages in menuOrder; pages assigned to a
+     * section but not placed in its tree come last. Unpublished pages,
+     * pages moved to another section and empty groups are left out, with
+     * their sub-items.
+     * @param {Object} section
+     * @param {Object} data
+     * @returns {Array} - [{ title, url, external, page_id, children }]
+     */
+    getMenuItems(section, data) {
+        const pagesById = new Map(data.pages.map(page => [page.id, page]));
+        const isVisible = (page) => Boolean(page) && (this.isPublished(page) || this.config.isDev);
+        const siteUrl = this.settings.siteUrl || '';
+        const placed = new Set();
+
+        const resolve = (items) => items.flatMap(item => {
+            const page = item.pageId ? pagesById.get(item.pageId) : null;
+            if (item.type === 'page') placed.add(item.pageId);
+
+            let entry;
+            switch (item.type) {
+                case 'page':
+                    if (!isVisible(page) || page.menuSection !== section.id) return [];
+                    entry = { title: page.title, url: `/${page.slug}`, page_id: page.id };
+                    break;
+                case 'anchor':
+                    if (!isVisible(page)) return [];
+                    entry = { title: item.title, url: `/${page.slug}#${item.anchor}` };
+                    break;
+                case 'link':
+                    entry = {
+                        title: item.title,
+                        url: item.url,
+                        external: /^https?:\/\//.test(item.url) && !(siteUrl && item.url.startsWith(siteUrl))
+                    };
+                    break;
+                case 'group':
+                    entry = { title: item.title, url: null };
+                    break;
+                default:
+                    return [];
+            }
+
+            const children = resolve(item.children || []);
+            if (!entry.url && children.length === 0) return [];
+
+            return [{ external: false, page_id: null, ...entry, children }];
+        });
+
+        const items = resolve(section.items || []);
+
+        (data.pagesBySection[section.id] || [])
+            .filter(page => !placed.has(page.id) && isVisible(page))
+            .forEach(page => items.push({
+                title: page.title,
+                url: `/${page.slug}`,
+                external: false,
+                page_id: page.id,
+                children: []
             }));
+
+        return items;
+    }
+
+    /**
+     * Find the menu items leading to a page, from the top level down
+     * @param {Array} items
+     * @param {string} pageId
+     * @returns {Array|null}
+     */
+    findMenuPath(items, pageId) {
+        for (const item of items) {
+            if (item.page_id === pageId) return [item];
+
+            const path = this.findMenuPath(item.children, pageId);
+            if (path) return [item, ...path];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the URL of the first page in a list of menu items
+     * @param {Array} items
+     * @returns {string|null}
+     */
+    getFirstPageUrl(items) {
+        for (const item of items) {
+            if (item.page_id) return item.url;
+
+            const url = this.getFirstPageUrl(item.children);
+            if (url) return url;
+        }
+
+        return null;
     }
 
     /**
-     * Generate breadcrumbs for a page
+     * Generate breadcrumbs for a page: its menu section, then the menu
+     * items above it. The section and group headings link to their first
+     * page.
      * @param {Object} page
      * @param {Object} data
      * @returns {Array}
      */
     generateBreadcrumbs(page, data) {
         const breadcrumbs = [];
+        const pageUrl = `/${page.slug}`;
 
         // Find the menu section
-        if (page.menuSection) {
-            const section = data.menuSections.find(s => s.id === page.menuSection);
-            if (section) {
-                // Get first page in section as section landing page
-                const sectionPages = data.pagesBySection[section.id] || [];
-                const landingPage = sectionPages[0];
-
-                if (landingPage && landingPage.id !== page.id) {
-                    breadcrumbs.push({
-                        title: section.title,
-                        url: `/${landingPage.slug}`
-                    });
-                }
+        const section = page.menuSection
+            ? data.menuSections.find(s => s.id === page.menuSection)
+            : null;
+
+        if (section) {
+            const items = this.getMenuItems(section, data);
+            const ancestors = (this.findMenuPath(items, page.id) || []).slice(0, -1);
+
+            // Get first page in section as section landing page
+            const landingUrl = this.getFirstPageUrl(items);
+            if (landingUrl && landingUrl !== pageUrl) {
+                breadcrumbs.push({ title: section.title, url: landingUrl });
             }
+
+            // A group heading is left out when its first page is already in the trail
+            const trailUrls = new Set([pageUrl, ...ancestors.map(item => item.url)]);
+
+            ancestors.forEach(item => {
+                const url = item.url || this.getFirstPageUrl(item.children);
+
+                if (url && (item.url || !trailUrls.has(url))) {
+                    breadcrumbs.push({ title: item.title, url });
+                }
+            });
         }
 
         // Current page (no URL)
@@ -184,7 +417,7 @@ class PageGenerator {
             recent_news: this.getRecentNews(data, 3)
         };
 
-        const html = this.templates.renderPage('homepage', pageData);
+        const html = this.renderPage('homepage', pageData);
         await this.writeFile('index.html', html);
     }
 
@@ -195,23 +428,60 @@ class PageGenerator {
      * @returns {Array}
      */
     getRecentNews(data, limit = 3) {
-        // Find pages that are news/blog type
-        const newsPages = data.pages
-            .filter(p => p.pageType === 'news' && p.status === 'published')
-            .sort((a, b) => {
-                const dateA = a.createdAt?.toDate?.() || new Date(0);
-                const dateB = b.createdAt?.toDate?.() || new Date(0);
-                return dateB - dateA;
-            })
-            .slice(0, limit);
+        return this.getNewsArticles(data)
+            .slice(0, limit)
+            .map(page => this.formatArticle(page));
+    }
+
+    /**
+     * Get news articles, newest first
+     * @param {Object} data
+     * @returns {Array}
+     */
+    getNewsArticles(data) {
+        return data.pages
+            .filter(p => p.pageType === 'news' && p.slug && (this.isPublished(p) || this.config.isDev))
+            .sort((a, b) => this.getArticleDate(b) - this.getArticleDate(a));
+    }
+
+    /**
+     * Get the date a news article was published
+     * @param {Object} page
+     * @returns {Date}
+     */
+    getArticleDate(page) {
+        const date = page.publishedAt || page.publishAt || page.createdAt;
+        if (!date) return new Date(0);
+        return date.toDate ? date.toDate() : new Date(date);
+    }
+
+    /**
+     * Get the YYYY-MM month an article was published in, in school time
+     * @param {Object} page
+     * @returns {string}
+     */
+    getArticleMonth(page) {
+        return this.ics.toLocalParts(this.getArticleDate(page)).date.substring(0, 7);
+    }
+
+    /**
+     * Prepare a news article for listings
+     * @param {Object} page
+     * @returns {Object}
+     */
+    formatArticle(page) {
+        const date = this.getArticleDate(page);
 
-        return newsPages.map(page => ({
+        return {
             title: page.title,
             slug: page.slug,
+            url: `/${page.slug}`,
             excerpt: this.generateExcerpt(page.content),
             image: page.headerImage || '',
-            date: this.formatDate(page.createdAt)
-        }));
+            image_alt: page.headerImageAlt || page.title,
+            date: this.formatDate(date),
+            date_iso: date.toISOString()
+        };
     }
 
     /**
@@ -245,23 +515,75 @@ class PageGenerator {
     /**
      * Generate all content pages
      * @param {Object} data
-     * @returns {number} - Count of pages generated
+     * @param {BuildManifest} manifest - Optional manifest for incremental builds
+     * @returns {Object} - Counts of pages generated and skipped as unchanged
      */
-    async generatePages(data) {
-        let count = 0;
+    async generatePages(data, manifest = null) {
+        let generated = 0;
+        let unchanged = 0;
 
         for (const page of data.pages) {
             // Skip pages without slugs
             if (!page.slug) continue;
 
             // Skip unpublished in production
-            if (!this.config.isDev && page.status !== 'published') continue;
+            if (!this.config.isDev && !this.isPublished(page)) continue;
+
+            if (!manifest) {
+                await this.generatePage(page, data);
+                generated++;
+                continue;
+            }
+
+            const entry = this.getManifestEntry(page, data);
+
+            if (await manifest.isUnchanged(page.id, entry)) {
+                manifest.keep(page.id);
+                unchanged++;
+                continue;
+            }
 
             await this.generatePage(page, data);
-            count++;
+            await manifest.set(page.id, entry);
+            generated++;
         }
 
-        return count;
+        return { generated, unchanged };
+    }
+
+    /**
+     * Describe the inputs a page is rendered from, for the build manifest
+     * @param {Object} page
+     * @param {Object} data
+     * @returns {Object}
+     */
+    getManifestEntry(page, data) {
+        const updatedAt = page.updatedAt?.toMillis?.() ?? page.updatedAt ?? null;
+
+        return {
+            file: this.getOutputPath(page),
+            updatedAt,
+            templateHash: this.templates.getTemplateHash(this.getTemplateForPage(page)),
+            // Navigation, popup state and other layout data shared by all pages
+            navHash: BuildManifest.hash({
+                common: this.getCommonData(data, page),
+                breadcrumbs: this.generateBreadcrumbs(page, data),
+                sidebar: this.getSidebarMenu(page, data),
+                staffContacts: this.getStaffContacts(data.staffProfiles || [])
+            }),
+            dataHash: BuildManifest.hash(this.getPageTypeData(page, data))
+        };
+    }
+
+    /**
+     * Get the output file for a page
+     * @param {Object} page
+     * @returns {string}
+     */
+    getOutputPath(page) {
+        return page.slug.includes('/')
+            ? `${page.slug}/index.html`
+            : `${page.slug}.html`;
     }
 
     /**
@@ -270,11 +592,27 @@ class PageGenerator {
      * @param {Object} data
      */
     async generatePage(page, data) {
+        const html = this.renderContentPage(page, data);
+
+        // Create directory structure for slug
+        await this.writeFile(this.getOutputPath(page), html);
+    }
+
+    /**
+     * Render a content page to HTML without writing it.
+     * Also used by the preview server for unsaved drafts.
+     * @param {Object} page
+     * @param {Object} data
+     * @param {Object} extra - Template data overriding the page type data
+     * @returns {string}
+     */
+    renderContentPage(page, data, extra = {}) {
         // Determine template based on page type
         const templateName = this.getTemplateForPage(page);
+        const common = this.getCommonData(data, page);
 
         const pageData = {
-            ...this.getCommonData(data, page),
+            ...common,
 
             // Meta
             meta_title: page.metaTitle || page.title,
@@ -284,7 +622,10 @@ class PageGenerator {
             // Page content
             title: page.title,
             slug: page.slug,
-            content: page.content || '',
+            content: this.routeStaffEmails(
+                this.embedForms(page.content || '', common.forms),
+                this.getStaffContacts(data.staffProfiles || [])
+            ),
             header_image: page.headerImage || '',
             header_image_alt: page.headerImageAlt || page.title,
 
@@ -297,17 +638,30 @@ class PageGenerator {
             contact_widget: true,
 
             // Page type specific data
-            ...this.getPageTypeData(page, data)
+            ...this.getPageTypeData(page, data),
+            ...extra
         };
 
-        const html = this.templates.renderPage(templateName, pageData);
-
-        // Create directory structure for slug
-        const outputPath = page.slug.includes('/')
-            ? `${page.slug}/index.html`
-            : `${page.slug}.html`;
+        return this.renderPage(templateName, pageData, {
+            nodes: this.getPageSchemas(page, pageData),
+            page
+        });
+    }
 
-        await this.writeFile(outputPath, html);
+    /**
+     * Render a page template, adding the page's structured data
+     * @param {string} templateName
+     * @param {Object} pageData - Template data, with page_url and breadcrumbs
+     * @param {Object} options
+     * @param {Array} options.nodes - Page-specific schema.org nodes
+     * @param {Object} options.page - Content page, for the editor's structured data
+     * @returns {string}
+     */
+    renderPage(templateName, pageData, { nodes = [], page = null } = {}) {
+        return this.templates.renderPage(templateName, {
+            ...pageData,
+            structured_data: this.getStructuredData(pageData, nodes, page)
+        });
     }
 
     /**
@@ -328,7 +682,12 @@ class PageGenerator {
             'standard': 'page',
             'video-gallery': 'video-gallery',
             'staff-listing': 'staff-listing',
-            'news': 'page'
+            'calendar': 'calendar',
+            'news': 'news',
+            'photo-gallery': 'photo-gallery',
+            'alumni-listing': 'alumni-listing',
+            'job-listing': 'job-listing',
+            'sponsors': 'sponsors'
         };
 
         return templateMap[pageType] || 'page';
@@ -340,8 +699,8 @@ class PageGenerator {
      * @returns {boolean}
      */
     shouldShowSidebar(page) {
-        // Video galleries and staff listings typically don't have sidebars
-        const noSidebarTypes = ['video-gallery', 'staff-listing'];
+        // Galleries and staff listings typically don't have sidebars
+        const noSidebarTypes = ['video-gallery', 'staff-listing', 'photo-gallery', 'alumni-listing', 'sponsors'];
         return !noSidebarTypes.includes(page.pageType);
     }
 
@@ -357,7 +716,7 @@ class PageGenerator {
         const sectionPages = data.pagesBySection[page.menuSection] || [];
 
         return sectionPages
-            .filter(p => p.status === 'published' || this.config.isDev)
+            .filter(p => this.isPublished(p) || this.config.isDev)
             .map(p => ({
                 title: p.title,
                 slug: p.slug,
@@ -374,17 +733,48 @@ class PageGenerator {
     getPageTypeData(page, data) {
         switch (page.pageType) {
             case 'video-gallery':
-                return {
-                    videos: data.videos || [],
-                    video_categories: this.getVideoCategories(data.videos || [])
-                };
+                return this.getVideoData(data.videos || []);
+
+            case 'staff-listing': {
+                // Email addresses are replaced by a link to the contact form
+                const staff = (data.staffProfiles || []).map(({ email, ...person }) => ({
+                    ...person,
+                    department_slug: person.department ? this.getDepartmentSlug(person.department) : '',
+                    contact_url: email ? this.getStaffContactUrl(person.id) : ''
+                }));
 
-            case 'staff-listing':
                 return {
-                    staff: data.staffProfiles || [],
+                    staff,
                     departments: this.getDepartments(data.staffProfiles || []),
-                    staff_data_json: JSON.stringify(data.staffProfiles || [])
+                    staff_data_json: JSON.stringify(staff.map(person => ({
+                        id: person.id,
+                        name: person.name,
+                        role: person.role,
+                        qualifications: person.qualifications,
+                        bio: person.bio,
+                        photo: person.photo,
+                        contact_url: person.contact_url
+                    })))
                 };
+            }
+
+            case 'calendar':
+                return this.getCalendarData(page, data.events || []);
+
+            case 'news':
+                return this.getArticleData(page, data);
+
+            case 'photo-gallery':
+                return this.getGalleryData(page, data.albums || []);
+
+            case 'alumni-listing':
+                return this.getAlumniData(data.alumniProfiles || []);
+
+            case 'job-listing':
+                return this.getJobData(data.jobs || []);
+
+            case 'sponsors':
+                return { sponsor_tiers: this.groupSponsorsByTier(this.getActiveSponsors(data.sponsors || [])) };
 
             default:
                 return {};
@@ -392,8 +782,71 @@ class PageGenerator {
     }
 
     /**
-     * Get unique video categories
+     * Get videos for a video gallery page, grouped by year
      * @param {Array} videos
+     * @returns {Object}
+     */
+    getVideoData(videos) {
+        const formatted = videos
+            .map(video => this.formatVideo(video))
+            .filter(video => video.video_id);
+
+        return {
+            videos: formatted,
+            video_categories: this.getVideoCategories(formatted),
+            video_years: this.groupVideosByYear(formatted)
+        };
+    }
+
+    /**
+     * Format a video for templates
+     * @param {Object} video
+     * @returns {Object}
+     */
+    formatVideo(video) {
+        // Older videos only stored a YouTube ID
+        const provider = video.provider || 'youtube';
+        const videoId = video.videoId || video.youtubeId || '';
+
+        return {
+            id: video.id,
+            title: video.title || '',
+            description: video.description || '',
+            provider,
+            video_id: videoId,
+            thumbnail: video.thumbnail ||
+                (provider === 'youtube' && videoId ? `https://img.youtube.com/vi/${videoId}/hqdefault.jpg` : ''),
+            duration: video.duration || '',
+            producer: video.producer || '',
+            category: video.category || '',
+            category_slug: video.category ? this.getCategorySlug(video.category) : '',
+            year: parseInt(video.year, 10) || null
+        };
+    }
+
+    /**
+     * Group videos by year, newest first. Videos without a year come last.
+     * @param {Array} videos - Formatted videos
+     * @returns {Array} - [{ value, label, videos }]
+     */
+    groupVideosByYear(videos) {
+        const groups = new Map();
+
+        videos.forEach(video => {
+            const key = video.year || '';
+            if (!groups.has(key)) {
+                groups.set(key, { value: key, label: key ? String(key) : 'Other Videos', videos: [] });
+            }
+            groups.get(key).videos.push(video);
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => (b.value || 0) - (a.value || 0));
+    }
+
+    /**
+     * Get unique video categories
+     * @param {Array} videos - Formatted videos
      * @returns {Array}
      */
     getVideoCategories(videos) {
@@ -402,7 +855,7 @@ class PageGenerator {
         videos.forEach(video => {
             if (video.category && !categories.has(video.category)) {
                 categories.set(video.category, {
-                    slug: video.category.toLowerCase().replace(/\s+/g, '-'),
+                    slug: video.category_slug,
                     name: video.category
                 });
             }
@@ -412,7 +865,17 @@ class PageGenerator {
     }
 
     /**
-     * Get unique staff departments
+     * Get the filter slug for a video category
+     * @param {string} category
+     * @returns {string}
+     */
+    getCategorySlug(category) {
+        return category.toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /**
+     * Get unique staff departments, in the order staff are listed
+     * (staff are sorted by department order when data is loaded)
      * @param {Array} staff
      * @returns {Array}
      */
@@ -422,7 +885,7 @@ class PageGenerator {
         staff.forEach(person => {
             if (person.department && !departments.has(person.department)) {
                 departments.set(person.department, {
-                    slug: person.department.toLowerCase().replace(/\s+/g, '-'),
+                    slug: this.getDepartmentSlug(person.department),
                     name: person.department
                 });
             }
@@ -432,43 +895,1532 @@ class PageGenerator {
     }
 
     /**
-     * Generate special pages (404, etc.)
+     * Get the filter slug for a staff department
+     * @param {string} department
+     * @returns {string}
+     */
+    getDepartmentSlug(department) {
+        return department.toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /**
+     * Get the album (or all albums) shown on a photo gallery page
+     * @param {Object} page
+     * @param {Array} albums
+     * @returns {Object}
+     */
+    getGalleryData(page, albums) {
+        const galleryAlbums = albums
+            .map(album => this.formatAlbum(album))
+            .filter(album => album.images.length > 0);
+
+        // A page can show a single album; otherwise it lists them all
+        if (page.albumId) {
+            return {
+                album: galleryAlbums.find(album => album.id === page.albumId) || null,
+                albums: []
+            };
+        }
+
+        return { album: null, albums: galleryAlbums };
+    }
+
+    /**
+     * Format an album for templates
+     * @param {Object} album
+     * @returns {Object}
+     */
+    formatAlbum(album) {
+        const images = (album.images || [])
+            .filter(image => image.url)
+            .map(image => ({
+                url: image.url,
+                alt: image.alt || image.caption || album.title,
+                caption: image.caption || ''
+            }));
+
+        const coverIndex = Math.max(0, (album.images || [])
+            .filter(image => image.url)
+            .findIndex(image => image.mediaId === album.coverMediaId));
+
+        return {
+            id: album.id,
+            title: album.title,
+            description: album.description || '',
+            images,
+            image_count: images.length,
+            cover_index: coverIndex,
+            cover_url: images[coverIndex]?.url || '',
+            cover_alt: images[coverIndex]?.alt || album.title
+        };
+    }
+
+    /**
+     * Get alumni cards and the year and decade filters for an alumni listing
+     * @param {Array} profiles - Sorted by leaving year, newest first
+     * @returns {Object}
+     */
+    getAlumniData(profiles) {
+        const alumni = profiles
+            .filter(profile => profile.slug)
+            .map(profile => this.formatAlumnus(profile));
+
+        const years = [...new Set(alumni.map(a => a.leaving_year).filter(Boolean))].sort((a, b) => b - a);
+        const decades = [...new Set(years.map(y => this.getDecade(y)))];
+
+        return {
+            alumni,
+            alumni_years: years,
+            alumni_decades: decades.map(decade => ({
+                value: decade,
+                label: `${decade}–${String(decade + 9).slice(-2)}`
+            }))
+        };
+    }
+
+    /**
+     * Format an alumni profile for listings
+     * @param {Object} profile
+     * @returns {Object}
+     */
+    formatAlumnus(profile) {
+        const leavingYear = Number(profile.leavingYear) || null;
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            url: `/${ALUMNI.path}/${profile.slug}`,
+            photo: profile.photo || '',
+            leaving_year: leavingYear,
+            decade: leavingYear ? this.getDecade(leavingYear) : ''
+        };
+    }
+
+    /**
+     * Get the first year of the decade a year falls in
+     * @param {number} year
+     * @returns {number}
+     */
+    getDecade(year) {
+        return Math.floor(year / 10) * 10;
+    }
+
+    /**
+     * Get the alumni who left closest in time to a profile
+     * @param {Object} profile
+     * @param {Array} profiles
+     * @returns {Array}
+     */
+    getRelatedAlumni(profile, profiles) {
+        const year = Number(profile.leavingYear) || 0;
+
+        return profiles
+            .filter(p => p.id !== profile.id && p.slug)
+            .map(p => ({ profile: p, distance: Math.abs((Number(p.leavingYear) || 0) - year) }))
+            .sort((a, b) => a.distance - b.distance || a.profile.name.localeCompare(b.profile.name))
+            .slice(0, ALUMNI.relatedLimit)
+            .map(({ profile: p }) => this.formatAlumnus(p));
+    }
+
+    /**
+     * Generate a page for each alumni profile at /alumni/{slug}
      * @param {Object} data
+     * @returns {number} - Number of profiles written
      */
-    async generateSpecialPages(data) {
-        // 404 page
-        const notFoundData = {
-            ...this.getCommonData(data),
-            meta_title: 'Page Not Found',
-            meta_description: 'The page you are looking for could not be found.',
-            title: 'Page Not Found',
-            content: `
-                <div class="text-center py-12">
-                    <h1 class="text-6xl font-bold text-gray-300 mb-4">404</h1>
-                    <p class="text-xl text-gray-600 mb-8">Sorry, the page you're looking for doesn't exist.</p>
-                    <a href="/" class="btn btn-primary">Return Home</a>
-                </div>
-            `
+    async generateAlumni(data) {
+        const profiles = (data.alumniProfiles || []).filter(profile => profile.slug);
+        if (profiles.length === 0) return 0;
+
+        // Profiles link back to the first alumni listing page
+        const listingPage = data.pages.find(page =>
+            page.pageType === 'alumni-listing' && page.slug &&
+            (this.config.isDev || this.isPublished(page))
+        );
+        const listing = listingPage
+            ? { title: listingPage.title, url: `/${listingPage.slug}` }
+            : null;
+
+        for (const profile of profiles) {
+            const alumnus = this.formatAlumnus(profile);
+            const title = profile.name;
+
+            const html = this.renderPage('alumni-profile', {
+                ...this.getCommonData(data, { slug: `${ALUMNI.path}/${profile.slug}` }),
+
+                meta_title: `${title} - Alumni Profile`,
+                meta_description: this.generateExcerpt(profile.bio, 160) || `${title}, class of ${alumnus.leaving_year}`,
+                og_image: profile.photo || this.settings.logoUrl || '',
+
+                title,
+                breadcrumbs: [
+                    ...(listing ? [listing] : []),
+                    { title, url: null }
+                ],
+                photo: alumnus.photo,
+                leaving_year: alumnus.leaving_year,
+                bio: profile.bio || '',
+                alumni_url: listing?.url || '',
+                related_alumni: this.getRelatedAlumni(profile, profiles)
+            });
+
+            await this.writeFile(`${ALUMNI.path}/${profile.slug}.html`, html);
+        }
+
+        return profiles.length;
+    }
+
+    /**
+     * Format a sport for the index tiles and its own page
+     * @param {Object} sport
+     * @returns {Object}
+     */
+    formatSport(sport) {
+        const toNumbers = (values) => [...new Set((values || []).map(Number).filter(Boolean))].sort((a, b) => a - b);
+        const yearLevels = toNumbers(sport.yearLevels);
+        const terms = toNumbers(sport.terms);
+
+        return {
+            id: sport.id,
+            name: sport.name,
+            slug: sport.slug,
+            url: `/${SPORTS.path}/${sport.slug}`,
+            image: sport.image || '',
+            summary: sport.summary || '',
+            year_levels: yearLevels,
+            year_levels_label: yearLevels.length
+                ? `${yearLevels.length > 1 ? 'Years' : 'Year'} ${this.formatNumberRanges(yearLevels)}`
+                : '',
+            terms,
+            terms_label: terms.length
+                ? (terms.length === SPORTS.terms.length ? 'All year' : `${terms.length > 1 ? 'Terms' : 'Term'} ${this.formatNumberRanges(terms)}`)
+                : '',
+            cost: sport.cost || '',
+            requirements: sport.requirements || '',
+            description: sport.description || '',
+            links: (sport.links || []).filter(link => link && link.url)
         };
+    }
 
-        const html404 = this.templates.renderPage('page', notFoundData);
-        await this.writeFile('404.html', html404);
+    /**
+     * Collapse sorted numbers into ranges, e.g. [1, 2, 3, 7, 9, 10] -> "1–3, 7, 9–10"
+     * @param {Array<number>} numbers
+     * @returns {string}
+     */
+    formatNumberRanges(numbers) {
+        const ranges = [];
+
+        numbers.forEach(number => {
+            const last = ranges[ranges.length - 1];
+            if (last && number === last.end + 1) {
+                last.end = number;
+            } else {
+                ranges.push({ start: number, end: number });
+            }
+        });
+
+        return ranges
+            .map(range => range.start === range.end ? `${range.start}` : `${range.start}–${range.end}`)
+            .join(', ');
     }
 
     /**
-     * Write a file to the output directory
-     * @param {string} relativePath
-     * @param {string} content
+     * Generate the sports tile index at /sports/ and a page per sport
+     * at /sports/{slug}
+     * @param {Object} data
+     * @returns {number} - Number of files written
      */
-    async writeFile(relativePath, content) {
-        const fullPath = path.join(this.config.outputDir, relativePath);
-        const dir = path.dirname(fullPath);
+    async generateSports(data) {
+        const sports = (data.sports || []).filter(sport => sport.slug && sport.name);
+        if (sports.length === 0) return 0;
 
-        // Ensure directory exists
-        await fs.mkdir(dir, { recursive: true });
+        const formatted = sports.map(sport => this.formatSport(sport));
+        const yearLevels = [...new Set(formatted.flatMap(sport => sport.year_levels))].sort((a, b) => a - b);
+        const indexUrl = `/${SPORTS.path}/`;
+
+        const html = this.renderPage('sports-index', {
+            ...this.getCommonData(data, { slug: SPORTS.path }),
+
+            meta_title: SPORTS.title,
+            meta_description: `${SPORTS.title} at ${this.settings.siteName}`,
+            og_image: this.settings.logoUrl || '',
+
+            title: SPORTS.title,
+            breadcrumbs: [{ title: SPORTS.title, url: null }],
+            sports: formatted,
+            sport_terms: SPORTS.terms,
+            sport_year_levels: yearLevels
+        });
+
+        await this.writeFile(`${SPORTS.path}/index.html`, html);
+
+        for (const sport of formatted) {
+            const sportHtml = this.renderPage('sport', {
+                ...this.getCommonData(data, { slug: `${SPORTS.path}/${sport.slug}` }),
+
+                meta_title: sport.name,
+                meta_description: sport.summary || this.generateExcerpt(sport.description, 160) || `${sport.name} at ${this.settings.siteName}`,
+                og_image: sport.image || this.settings.logoUrl || '',
+
+                title: sport.name,
+                breadcrumbs: [
+                    { title: SPORTS.title, url: indexUrl },
+                    { title: sport.name, url: null }
+                ],
+                sport,
+                sports_url: indexUrl,
+                other_sports: formatted.filter(s => s.id !== sport.id)
+            });
+
+            await this.writeFile(`${SPORTS.path}/${sport.slug}.html`, sportHtml);
+        }
+
+        return formatted.length + 1;
+    }
+
+    /**
+     * Get forms as rendered on the site. Notification recipients stay
+     * out of the published HTML.
+     * @param {Array} forms
+     * @returns {Array}
+     */
+    getPublicForms(forms) {
+        const target = this.getFormTarget();
+
+        return forms
+            .filter(form => Array.isArray(form.fields) && form.fields.length > 0)
+            .map(form => ({
+                id: form.id,
+                title: form.title || '',
+                description: form.description || '',
+                submit_label: form.submitLabel || 'Submit',
+                success_message: form.successMessage || 'Thank you. Your form has been sent.',
+                endpoint: target.endpoint,
+                collection: target.collection,
+                fields: form.fields
+                    .filter(field => field.name && field.type)
+                    .map(field => this.formatFormField(form.id, field))
+            }));
+    }
+
+    /**
+     * Format a form field for the form partial
+     * @param {string} formId
+     * @param {Object} field
+     * @returns {Object}
+     */
+    formatFormField(formId, field) {
+        const id = `${formId}-${field.name}`;
+
+        return {
+            id,
+            name: field.name,
+            label: field.label || field.name,
+            type: field.type,
+            required: !!field.required,
+            placeholder: field.placeholder || '',
+            help_text: field.helpText || '',
+            options: (field.options || []).map((option, index) => ({
+                value: option,
+                id: `${id}-${index}`
+            })),
+            condition: field.condition?.field ? {
+                field: field.condition.field,
+                value: field.condition.value || ''
+            } : null
+        };
+    }
+
+    /**
+     * Get the Firestore REST commit endpoint forms submit to, and the
+     * resource path of the submissions collection
+     * @param {string} collection - Collection the form writes to
+     * @returns {Object} - { endpoint, collection }, empty when the project ID is unknown
+     */
+    getFormTarget(collection = FORMS.collection) {
+        const projectId = this.config.firebaseProjectId;
+        if (!projectId) return { endpoint: '', collection: '' };
+
+        const documents = `projects/${projectId}/databases/(default)/documents`;
+        return {
+            endpoint: `https://firestore.googleapis.com/v1/${documents}:commit`,
+            collection: `${documents}/${collection}`
+        };
+    }
+
+    /**
+     * Replace {{form "id"}} shortcodes in page content with the form.
+     * Shortcodes for unknown forms are removed.
+     * @param {string} html
+     * @param {Array} forms - From getPublicForms
+     * @returns {string}
+     */
+    embedForms(html, forms) {
+        return html.replace(FORMS.shortcode, (match, open, formId, close) => {
+            const form = forms.find(f => f.id === formId);
+            const rendered = form ? this.templates.renderPartial('form', form) : '';
+
+            // Only drop the paragraph when the shortcode was all of it
+            return open && close ? rendered : `${open || ''}${rendered}${close || ''}`;
+        });
+    }
+
+    /**
+     * Get staff who can be contacted through the contact form. The
+     * addresses are only used to find links to replace, never rendered.
+     * @param {Array} staff
+     * @returns {Array} - { id, name, role, email }
+     */
+    getStaffContacts(staff) {
+        return staff
+            .filter(person => person.name && person.email)
+            .map(person => ({
+                id: person.id,
+                name: person.name,
+                role: person.role || '',
+                email: person.email.trim().toLowerCase()
+            }));
+    }
+
+    /**
+     * Get the contact form URL for a staff member
+     * @param {string} staffId
+     * @returns {string}
+     */
+    getStaffContactUrl(staffId) {
+        return `/${STAFF_CONTACT.path}/?staff=${encodeURIComponent(staffId)}`;
+    }
+
+    /**
+     * Point mailto: links to staff at the contact form, and replace any
+     * staff addresses left in the text with their names
+     * @param {string} html
+     * @param {Array} contacts - From getStaffContacts
+     * @returns {string}
+     */
+    routeStaffEmails(html, contacts) {
+        if (contacts.length === 0 || !html.includes('@')) return html;
+
+        const byEmail = new Map(contacts.map(contact => [contact.email, contact]));
+
+        let routed = html.replace(/href=(["'])mailto:([^"'?]+)[^"']*\1/gi, (match, quote, address) => {
+            let email = address;
+            try {
+                email = decodeURIComponent(address);
+            } catch {
+                // Leave malformed addresses as written
+            }
+
+            const contact = byEmail.get(email.trim().toLowerCase());
+            return contact ? `href=${quote}${this.getStaffContactUrl(contact.id)}${quote}` : match;
+        });
+
+        contacts.forEach(contact => {
+            const pattern = new RegExp(contact.email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            routed = routed.replace(pattern, this.escapeXml(contact.name));
+        });
+
+        return routed;
+    }
+
+    /**
+     * Generate the staff contact form page. The form takes the staff member
+     * from ?staff= in the URL, so one page serves every staff member.
+     * @param {Object} data
+     * @returns {number} - Files generated
+     */
+    async generateStaffContact(data) {
+        const contacts = this.getStaffContacts(data.staffProfiles || []);
+        if (contacts.length === 0) return 0;
+
+        const target = this.getFormTarget(STAFF_CONTACT.collection);
+
+        const html = this.renderPage('staff-contact', {
+            ...this.getCommonData(data, { slug: STAFF_CONTACT.path }),
+
+            meta_title: STAFF_CONTACT.title,
+            meta_description: `Send a message to a member of staff at ${this.settings.siteName}`,
+            og_image: this.settings.logoUrl || '',
+
+            title: STAFF_CONTACT.title,
+            breadcrumbs: [{ title: STAFF_CONTACT.title, url: null }],
+            staff_contacts: contacts
+                .map(({ id, name, role }) => ({ id, name, role }))
+                .sort((a, b) => a.name.localeCompare(b.name)),
+            endpoint: target.endpoint,
+            collection: target.collection
+        });
+
+        await this.writeFile(`${STAFF_CONTACT.path}/index.html`, html);
+        return 1;
+    }
+
+    /**
+     * Generate the search results page and the search index it reads
+     * @param {Object} data
+     * @returns {number} - Files generated
+     */
+    async generateSearch(data) {
+        const index = this.buildSearchIndex(data);
+
+        await this.writeFile(SEARCH.indexFile, JSON.stringify(index));
+
+        const html = this.renderPage('search', {
+            ...this.getCommonData(data, { slug: SEARCH.path }),
+
+            meta_title: SEARCH.title,
+            meta_description: `Search ${this.settings.siteName}`,
+            og_image: this.settings.logoUrl || '',
+
+            title: SEARCH.title,
+            breadcrumbs: [{ title: SEARCH.title, url: null }]
+        });
+
+        await this.writeFile(`${SEARCH.path}/index.html`, html);
+        return 2;
+    }
+
+    /**
+     * Build the search index from published pages, news articles and staff
+     * profiles. Sections are listed once and referenced by position:
+     *
+     *   { sections: ['About', ...], docs: [{ t, u, s, h, b }] }
+     *
+     * where t is the title, u the URL, s the section, h the headings and
+     * b the plain body text.
+     * @param {Object} data
+     * @returns {Object}
+     */
+    buildSearchIndex(data) {
+        const sections = [];
+        const docs = [];
+        const contacts = this.getStaffContacts(data.staffProfiles || []);
+
+        const sectionIndex = (name) => {
+            if (!sections.includes(name)) sections.push(name);
+            return sections.indexOf(name);
+        };
+
+        const pages = data.pages.filter(page =>
+            page.slug &&
+            (this.config.isDev || this.isPublished(page))
+        );
+
+        pages.forEach(page => {
+            const section = page.pageType === 'news'
+                ? SEARCH.newsSection
+                : data.menuSections.find(s => s.id === page.menuSection)?.title || SEARCH.defaultSection;
+
+            // Same content as the page shows, without forms or staff addresses
+            const content = this.routeStaffEmails(
+                (page.content || '').replace(FORMS.shortcode, ' '),
+                contacts
+            );
+
+            docs.push({
+                t: page.title || '',
+                u: `/${page.slug}`,
+                s: sectionIndex(section),
+                h: this.getHeadings(content),
+                b: this.toPlainText(content).slice(0, SEARCH.bodyLength)
+            });
+        });
+
+        // Staff profiles link to their card on the staff listing page
+        const staffPage = pages.find(page => page.pageType === 'staff-listing');
+        if (staffPage) {
+            (data.staffProfiles || []).filter(person => person.name).forEach(person => {
+                docs.push({
+                    t: person.name,
+                    u: `/${staffPage.slug}#staff-${person.id}`,
+                    s: sectionIndex(SEARCH.staffSection),
+                    h: [person.role, person.department].filter(Boolean),
+                    b: [person.qualifications, this.toPlainText(person.bio || '')]
+                        .filter(Boolean)
+                        .join(' ')
+                        .slice(0, SEARCH.bodyLength)
+                });
+            });
+        }
+
+        return { sections, docs };
+    }
+
+    /**
+     * Get the text of the headings in HTML content
+     * @param {string} html
+     * @returns {Array<string>}
+     */
+    getHeadings(html) {
+        return [...html.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)]
+            .map(match => this.toPlainText(match[1]))
+            .filter(Boolean);
+    }
+
+    /**
+     * Convert HTML to plain text with entities decoded
+     * @param {string} html
+     * @returns {string}
+     */
+    toPlainText(html) {
+        const entities = {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+            ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+        };
+
+        return html
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            // Block elements separate words; inline ones (links, bold) don't
+            .replace(/<\/?(p|div|h[1-6]|li|ul|ol|br|hr|tr|td|th|table|blockquote|figure|figcaption|section|article)\b[^>]*>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+                if (entity[0] !== '#') return entities[entity.toLowerCase()] ?? match;
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Get sponsors whose active date range includes today (school-local).
+     * Missing start or end dates leave that end of the range open.
+     * @param {Array} sponsors
+     * @returns {Array}
+     */
+    getActiveSponsors(sponsors) {
+        const today = this.ics.toLocalParts(new Date()).date;
+        const tiers = SPONSORS.tiers.map(tier => tier.value);
+
+        return sponsors
+            .filter(sponsor =>
+                sponsor.name &&
+                tiers.includes(sponsor.tier) &&
+                (!sponsor.startDate || sponsor.startDate <= today) &&
+                (!sponsor.endDate || sponsor.endDate >= today)
+            )
+            .sort((a, b) =>
+                tiers.indexOf(a.tier) - tiers.indexOf(b.tier) ||
+                a.name.localeCompare(b.name)
+            )
+            .map(sponsor => ({
+                id: sponsor.id,
+                name: sponsor.name,
+                url: sponsor.url || '',
+                logo: sponsor.logo || '',
+                tier: sponsor.tier
+            }));
+    }
+
+    /**
+     * Group active sponsors by tier, skipping empty tiers
+     * @param {Array} sponsors - Active sponsors
+     * @returns {Array} - [{ value, label, sponsors }]
+     */
+    groupSponsorsByTier(sponsors) {
+        return SPONSORS.tiers
+            .map(tier => ({
+                ...tier,
+                sponsors: sponsors.filter(sponsor => sponsor.tier === tier.value)
+            }))
+            .filter(tier => tier.sponsors.length > 0);
+    }
+
+    /**
+     * Get the open vacancies for a job listing page. Jobs drop out once
+     * their closing date (school-local) has passed.
+     * @param {Array} jobs
+     * @returns {Object}
+     */
+    getJobData(jobs) {
+        const today = this.ics.toLocalParts(new Date()).date;
+
+        return {
+            jobs: jobs
+                .filter(job => job.title && job.closingDate && job.closingDate >= today)
+                .sort((a, b) =>
+                    a.closingDate.localeCompare(b.closingDate) ||
+                    a.title.localeCompare(b.title)
+                )
+                .map(job => this.formatJob(job))
+        };
+    }
+
+    /**
+     * Format a job for templates
+     * @param {Object} job
+     * @returns {Object}
+     */
+    formatJob(job) {
+        return {
+            id: job.id,
+            title: job.title,
+            summary: job.summary || '',
+            employment_type: JOBS.employmentTypes[job.employmentType] || '',
+            hours: job.hours || '',
+            reports_to: job.reportsTo || '',
+            relationships: job.relationships || '',
+            closing_date: this.formatLongDate(job.closingDate),
+            closing_date_iso: job.closingDate,
+            pdf_url: job.pdfUrl || '',
+            pdf_name: job.pdfName || '',
+            json_ld: this.toJsonLd(this.getJobPostingSchema(job))
+        };
+    }
+
+    /**
+     * Build the schema.org JobPosting for a job
+     * @param {Object} job
+     * @returns {Object}
+     */
+    getJobPostingSchema(job) {
+        const details = [
+            job.summary,
+            job.hours && `Hours: ${job.hours}`,
+            job.reportsTo && `Reports to: ${job.reportsTo}`,
+            job.relationships && `Key relationships: ${job.relationships}`
+        ].filter(Boolean);
+
+        // Jobs saved before the posted date field fall back to when they
+        // were added; with neither, datePosted is left out rather than
+        // guessed (it must not equal validThrough)
+        const createdAt = job.createdAt?.toDate ? job.createdAt.toDate() : null;
+        const datePosted = job.postedDate || (createdAt ? this.ics.toLocalParts(createdAt).date : undefined);
+
+        const schema = {
+            '@context': 'https://schema.org',
+            '@type': 'JobPosting',
+            title: job.title,
+            description: details.map(text => `<p>${this.escapeXml(text)}</p>`).join('') || `<p>${this.escapeXml(job.title)}</p>`,
+            datePosted,
+            validThrough: job.closingDate,
+            hiringOrganization: {
+                '@type': 'Organization',
+                name: this.settings.siteName,
+                sameAs: this.settings.siteUrl,
+                logo: this.settings.logoUrl || undefined
+            },
+            jobLocation: {
+                '@type': 'Place',
+                address: {
+                    '@type': 'PostalAddress',
+                    streetAddress: this.settings.contact?.address || undefined,
+                    addressCountry: 'NZ'
+                }
+            }
+        };
+
+        if (JOBS.employmentTypes[job.employmentType]) {
+            schema.employmentType = job.employmentType;
+        }
+
+        return schema;
+    }
+
+    /**
+     * Serialize structured data for a <script type="application/ld+json">
+     * block, escaping "<" so the JSON can't close the script element
+     * @param {Object} schema
+     * @returns {string}
+     */
+    toJsonLd(schema) {
+        return JSON.stringify(schema).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * Build a page's structured data: the school, the breadcrumb trail and
+     * the page's own nodes, with the editor's structured data for the page
+     * merged in last
+     * @param {Object} pageData - Template data, with page_url and breadcrumbs
+     * @param {Array} nodes - Page-specific schema.org nodes
+     * @param {Object} page - Content page, if any
+     * @returns {string} - JSON-LD
+     */
+    getStructuredData(pageData, nodes = [], page = null) {
+        const graph = [this.getSchoolSchema()];
+
+        if (pageData.breadcrumbs?.length) {
+            graph.push(this.getBreadcrumbSchema(pageData.breadcrumbs, pageData.page_url));
+        }
+
+        graph.push(...nodes);
+
+        return this.toJsonLd({
+            '@context': 'https://schema.org',
+            '@graph': this.mergeStructuredData(graph, page)
+                .map(node => this.pruneSchema(node))
+        });
+    }
+
+    /**
+     * Get the nodes for a content page's type: the article on a news page,
+     * the listed events on a calendar and the staff on a staff listing
+     * @param {Object} page
+     * @param {Object} pageData - Template data for the page
+     * @returns {Array}
+     */
+    getPageSchemas(page, pageData) {
+        switch (page.pageType) {
+            case 'news':
+                return [this.getNewsArticleSchema(page, pageData)];
+
+            case 'calendar':
+                return (pageData.event_groups || []).flatMap(group => group.events.map(event => event.schema));
+
+            case 'staff-listing':
+                return (pageData.staff || []).filter(person => person.name).map(person => this.getPersonSchema(person));
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Build the schema.org School for the site, from the site settings and
+     * contact details. Other nodes refer to it by its @id.
+     * @returns {Object}
+     */
+    getSchoolSchema() {
+        const contact = this.settings.contact || {};
+
+        return {
+            '@type': STRUCTURED_DATA.schoolTypes,
+            '@id': this.getSchoolId(),
+            name: this.settings.siteName,
+            description: this.settings.tagline,
+            url: this.settings.siteUrl,
+            logo: this.getAbsoluteUrl(this.settings.logoUrl || '/images/logo.png'),
+            telephone: contact.phone,
+            email: contact.email,
+            address: this.getAddressSchema(),
+            sameAs: [this.settings.links?.facebookUrl].filter(Boolean)
+        };
+    }
+
+    /**
+     * Get the @id of the school node
+     * @returns {string}
+     */
+    getSchoolId() {
+        return `${this.settings.siteUrl || ''}/${STRUCTURED_DATA.schoolId}`;
+    }
+
+    /**
+     * Build the school's postal address, if one is set
+     * @returns {Object|undefined}
+     */
+    getAddressSchema() {
+        if (!this.settings.contact?.address) return undefined;
+
+        return {
+            '@type': 'PostalAddress',
+            streetAddress: this.settings.contact.address,
+            addressCountry: STRUCTURED_DATA.addressCountry
+        };
+    }
+
+    /**
+     * Build a schema.org BreadcrumbList from a page's breadcrumbs. The
+     * templates show Home first, so it's listed first here too.
+     * @param {Array} breadcrumbs - [{ title, url }], the current page last with no url
+     * @param {string} pageUrl - Absolute URL of the current page
+     * @returns {Object}
+     */
+    getBreadcrumbSchema(breadcrumbs, pageUrl) {
+        const trail = [
+            { title: 'Home', url: '/' },
+            ...breadcrumbs
+        ];
+
+        return {
+            '@type': 'BreadcrumbList',
+            itemListElement: trail.map((crumb, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                name: crumb.title,
+                item: crumb.url ? this.getAbsoluteUrl(crumb.url) : pageUrl
+            }))
+        };
+    }
+
+    /**
+     * Build the schema.org NewsArticle for a news page
+     * @param {Object} page
+     * @param {Object} pageData - Template data, with published_iso
+     * @returns {Object}
+     */
+    getNewsArticleSchema(page, pageData) {
+        const updatedAt = page.updatedAt?.toDate ? page.updatedAt.toDate() : page.updatedAt && new Date(page.updatedAt);
+
+        return {
+            '@type': 'NewsArticle',
+            '@id': `${pageData.page_url}#article`,
+            headline: page.title.length > STRUCTURED_DATA.headlineLength
+                ? `${page.title.substring(0, STRUCTURED_DATA.headlineLength - 1)}…`
+                : page.title,
+            description: pageData.meta_description,
+            image: page.headerImage ? [this.getAbsoluteUrl(page.headerImage)] : undefined,
+            datePublished: pageData.published_iso,
+            dateModified: updatedAt && !isNaN(updatedAt) ? updatedAt.toISOString() : pageData.published_iso,
+            author: { '@id': this.getSchoolId() },
+            publisher: { '@id': this.getSchoolId() },
+            mainEntityOfPage: pageData.page_url
+        };
+    }
+
+    /**
+     * Build the schema.org Event for a calendar event. Timed events carry
+     * the school's UTC offset; all-day events are plain dates.
+     * @param {Object} event
+     * @returns {Object}
+     */
+    getEventSchema(event) {
+        const timed = !event.allDay && event.startTime;
+        const endDate = event.endDate || event.startDate;
+
+        let end = event.endDate && event.endDate !== event.startDate ? event.endDate : undefined;
+        if (timed && event.endTime) {
+            end = this.ics.toOffsetDateTime(endDate, event.endTime);
+        }
+
+        return {
+            '@type': 'Event',
+            name: event.title,
+            description: event.description,
+            startDate: timed ? this.ics.toOffsetDateTime(event.startDate, event.startTime) : event.startDate,
+            endDate: end,
+            eventStatus: 'https://schema.org/EventScheduled',
+            eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+            location: {
+                '@type': 'Place',
+                name: event.venue || this.settings.siteName,
+                address: this.getAddressSchema()
+            },
+            organizer: { '@id': this.getSchoolId() }
+        };
+    }
+
+    /**
+     * Build the schema.org Person for a staff member. Email addresses
+     * are never published, so none is included.
+     * @param {Object} person - Staff profile, without its email
+     * @returns {Object}
+     */
+    getPersonSchema(person) {
+        return {
+            '@type': 'Person',
+            name: person.name,
+            jobTitle: person.role,
+            description: person.bio ? this.toPlainText(person.bio) : undefined,
+            image: person.photo ? this.getAbsoluteUrl(person.photo) : undefined,
+            worksFor: { '@id': this.getSchoolId() }
+        };
+    }
+
+    /**
+     * Merge the editor's structured data for a page into its nodes. The
+     * page's structuredData is a JSON object, an array of objects or an
+     * object with an @graph. A node with the @id, or else the @type, of a
+     * generated node overrides its properties (null removes one); any
+     * other node is added. Invalid JSON is left out with a warning.
+     * @param {Array} graph - Generated nodes
+     * @param {Object} page - Content page, if any
+     * @returns {Array}
+     */
+    mergeStructuredData(graph, page) {
+        const source = typeof page?.structuredData === 'string' ? page.structuredData.trim() : '';
+        if (!source) return graph;
+
+        let custom;
+        try {
+            custom = JSON.parse(source);
+        } catch (error) {
+            this.addWarning(`Structured data on /${page.slug} is not valid JSON and was left out (${error.message})`);
+            return graph;
+        }
+
+        const nodes = [].concat(custom?.['@graph'] || custom);
+        const merged = [...graph];
+        const sameType = (a, b) => JSON.stringify([].concat(a)) === JSON.stringify([].concat(b));
+
+        nodes.forEach(node => {
+            if (!node || typeof node !== 'object' || Array.isArray(node) || !(node['@id'] || node['@type'])) {
+                this.addWarning(`Structured data on /${page.slug} has an entry without an @type or @id, which was left out`);
+                return;
+            }
+
+            const { '@context': _context, ...properties } = node;
+            const index = properties['@id']
+                ? merged.findIndex(existing => existing['@id'] === properties['@id'])
+                : merged.findIndex(existing => sameType(existing['@type'], properties['@type']));
+
+            if (index === -1) {
+                merged.push(properties);
+                return;
+            }
+
+            const override = { ...merged[index], ...properties };
+            Object.keys(override).forEach(key => {
+                if (override[key] === null) delete override[key];
+            });
+            merged[index] = override;
+        });
+
+        return merged;
+    }
+
+    /**
+     * Remove empty values from a schema.org node, so optional settings
+     * that aren't filled in don't appear as empty strings
+     * @param {*} value
+     * @returns {*}
+     */
+    pruneSchema(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.pruneSchema(item)).filter(item => item !== undefined);
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value)
+                .map(([key, item]) => [key, this.pruneSchema(item)])
+                .filter(([, item]) => item !== undefined && !(Array.isArray(item) && item.length === 0));
+            return Object.fromEntries(entries);
+        }
+
+        return value === '' || value === null ? undefined : value;
+    }
+
+    /**
+     * Make a site path absolute with the site URL
+     * @param {string} url
+     * @returns {string}
+     */
+    getAbsoluteUrl(url) {
+        if (!url || /^https?:\/\//i.test(url)) return url;
+        return `${this.settings.siteUrl || ''}${url.startsWith('/') ? '' : '/'}${url}`;
+    }
+
+    /**
+     * Record a build warning once, however many times a page is rendered
+     * @param {string} message
+     */
+    addWarning(message) {
+        if (!this.warnings.includes(message)) {
+            this.warnings.push(message);
+        }
+    }
+
+    /**
+     * Format a YYYY-MM-DD date as e.g. "Friday, 14 November 2025"
+     * @param {string} date
+     * @returns {string}
+     */
+    formatLongDate(date) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-NZ', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Get the publish date, previous/next links and archive links for a news article
+     * @param {Object} page
+     * @param {Object} data
+     * @returns {Object}
+     */
+    getArticleData(page, data) {
+        const articles = this.getNewsArticles(data);
+        const index = articles.findIndex(article => article.id === page.id);
+        const date = this.getArticleDate(page);
+
+        // Articles are newest first, so "previous" is the next older one
+        const previous = index >= 0 ? articles[index + 1] : null;
+        const next = index > 0 ? articles[index - 1] : null;
+
+        return {
+            published_date: this.formatDate(date),
+            published_iso: date.toISOString(),
+            previous_article: previous ? { title: previous.title, url: `/${previous.slug}` } : null,
+            next_article: next ? { title: next.title, url: `/${next.slug}` } : null,
+            news_url: `/${NEWS.path}/`,
+            news_archives: this.getNewsArchives(articles)
+        };
+    }
+
+    /**
+     * Get year and month archive links for news articles
+     * @param {Array} articles - Newest first
+     * @returns {Array} - [{ year, url, count, months: [{ label, url, count }] }]
+     */
+    getNewsArchives(articles) {
+        const years = new Map();
+
+        articles.forEach(article => {
+            const [year, month] = this.getArticleMonth(article).split('-');
+
+            if (!years.has(year)) {
+                years.set(year, { year, url: `/${NEWS.path}/${year}/`, count: 0, months: new Map() });
+            }
+
+            const entry = years.get(year);
+            entry.count++;
+
+            if (!entry.months.has(month)) {
+                entry.months.set(month, {
+                    key: month,
+                    label: this.formatMonth(`${year}-${month}`),
+                    url: `/${NEWS.path}/${year}/${month}/`,
+                    count: 0
+                });
+            }
+            entry.months.get(month).count++;
+        });
+
+        return Array.from(years.values()).map(entry => ({
+            ...entry,
+            months: Array.from(entry.months.values())
+        }));
+    }
+
+    /**
+     * Generate the news listing, year and month archives, and RSS/Atom feeds
+     * @param {Object} data
+     * @returns {number} - Number of files written
+     */
+    async generateNews(data) {
+        const articles = this.getNewsArticles(data);
+        const archives = this.getNewsArchives(articles);
+        const newsTitle = 'News';
+        let count = 0;
+
+        const crumbs = (...items) => [
+            { title: newsTitle, url: items.length ? `/${NEWS.path}/` : null },
+            ...items
+        ];
+
+        // Main listing
+        count += await this.generateNewsListing(data, articles, {
+            path: NEWS.path,
+            title: newsTitle,
+            breadcrumbs: crumbs(),
+            archives
+        });
+
+        // Year and month archives
+        for (const year of archives) {
+            const yearArticles = articles.filter(a => this.getArticleMonth(a).startsWith(`${year.year}-`));
+
+            count += await this.generateNewsListing(data, yearArticles, {
+                path: `${NEWS.path}/${year.year}`,
+                title: `${newsTitle}: ${year.year}`,
+                breadcrumbs: crumbs({ title: year.year, url: null }),
+                archives
+            });
+
+            for (const month of year.months) {
+                const monthArticles = yearArticles.filter(a => this.getArticleMonth(a) === `${year.year}-${month.key}`);
+
+                count += await this.generateNewsListing(data, monthArticles, {
+                    path: `${NEWS.path}/${year.year}/${month.key}`,
+                    title: `${newsTitle}: ${month.label}`,
+                    breadcrumbs: crumbs({ title: year.year, url: year.url }, { title: month.label, url: null }),
+                    archives
+                });
+            }
+        }
+
+        // Feeds only include published articles, even in dev builds
+        const feedArticles = articles.filter(a => this.isPublished(a)).slice(0, NEWS.feedLimit);
+        await this.writeFile(NEWS.rssFile, this.renderRSS(feedArticles));
+        await this.writeFile(NEWS.atomFile, this.renderAtom(feedArticles));
+
+        return count + 2;
+    }
+
+    /**
+     * Generate a paginated news listing at {path}/, {path}/page/2/, ...
+     * @param {Object} data
+     * @param {Array} articles
+     * @param {Object} options - { path, title, breadcrumbs, archives }
+     * @returns {number} - Number of pages written
+     */
+    async generateNewsListing(data, articles, options) {
+        const totalPages = Math.max(1, Math.ceil(articles.length / NEWS.perPage));
+        const pageUrl = (number) => number === 1 ? `/${options.path}/` : `/${options.path}/page/${number}/`;
+
+        for (let number = 1; number <= totalPages; number++) {
+            const pageArticles = articles.slice((number - 1) * NEWS.perPage, number * NEWS.perPage);
+            const title = number > 1 ? `${options.title} (page ${number})` : options.title;
+
+            const html = this.renderPage('news-listing', {
+                ...this.getCommonData(data, { slug: options.path }),
+
+                meta_title: title,
+                meta_description: `${options.title} from ${this.settings.siteName}`,
+                og_image: this.settings.logoUrl || '',
+
+                title: options.title,
+                breadcrumbs: options.breadcrumbs,
+                articles: pageArticles.map(page => this.formatArticle(page)),
+                news_archives: options.archives,
+                rss_url: `/${NEWS.rssFile}`,
+                atom_url: `/${NEWS.atomFile}`,
+                pagination: totalPages > 1 ? {
+                    current: number,
+                    total: totalPages,
+                    prev_url: number > 1 ? pageUrl(number - 1) : null,
+                    next_url: number < totalPages ? pageUrl(number + 1) : null,
+                    pages: Array.from({ length: totalPages }, (_, i) => ({
+                        number: i + 1,
+                        url: pageUrl(i + 1),
+                        current: i + 1 === number
+                    }))
+                } : null
+            });
+
+            const file = number === 1
+                ? `${options.path}/index.html`
+                : `${options.path}/page/${number}/index.html`;
+
+            await this.writeFile(file, html);
+        }
+
+        return totalPages;
+    }
+
+    /**
+     * Render an RSS 2.0 feed of news articles
+     * @param {Array} articles
+     * @returns {string}
+     */
+    renderRSS(articles) {
+        const siteUrl = this.settings.siteUrl || '';
+        const lastBuild = articles.length ? this.getArticleDate(articles[0]) : new Date();
+
+        const items = articles.map(page => {
+            const url = `${siteUrl}/${page.slug}`;
+            return `    <item>
+      <title>${this.escapeXml(page.title)}</title>
+      <link>${this.escapeXml(url)}</link>
+      <guid isPermaLink="true">${this.escapeXml(url)}</guid>
+      <pubDate>${this.getArticleDate(page).toUTCString()}</pubDate>
+      <description>${this.escapeXml(this.generateExcerpt(page.content, 300))}</description>
+    </item>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${this.escapeXml(`${this.settings.siteName} News`)}</title>
+    <link>${this.escapeXml(`${siteUrl}/${NEWS.path}/`)}</link>
+    <description>${this.escapeXml(this.settings.tagline || '')}</description>
+    <language>en-NZ</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <atom:link href="${this.escapeXml(`${siteUrl}/${NEWS.rssFile}`)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+    }
+
+    /**
+     * Render an Atom feed of news articles
+     * @param {Array} articles
+     * @returns {string}
+     */
+    renderAtom(articles) {
+        const siteUrl = this.settings.siteUrl || '';
+        const toISO = (date) => (date?.toDate ? date.toDate() : new Date(date)).toISOString();
+        const updated = articles.length
+            ? toISO(articles[0].updatedAt || this.getArticleDate(articles[0]))
+            : new Date().toISOString();
+
+        const entries = articles.map(page => {
+            const url = `${siteUrl}/${page.slug}`;
+            const published = this.getArticleDate(page).toISOString();
+            return `  <entry>
+    <title>${this.escapeXml(page.title)}</title>
+    <link href="${this.escapeXml(url)}"/>
+    <id>${this.escapeXml(url)}</id>
+    <published>${published}</published>
+    <updated>${page.updatedAt ? toISO(page.updatedAt) : published}</updated>
+    <summary>${this.escapeXml(this.generateExcerpt(page.content, 300))}</summary>
+    <content type="html">${this.escapeXml(page.content || '')}</content>
+  </entry>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${this.escapeXml(`${this.settings.siteName} News`)}</title>
+  <subtitle>${this.escapeXml(this.settings.tagline || '')}</subtitle>
+  <link href="${this.escapeXml(`${siteUrl}/${NEWS.atomFile}`)}" rel="self"/>
+  <link href="${this.escapeXml(`${siteUrl}/${NEWS.path}/`)}"/>
+  <id>${this.escapeXml(`${siteUrl}/${NEWS.path}/`)}</id>
+  <updated>${updated}</updated>
+  <author>
+    <name>${this.escapeXml(this.settings.siteName)}</name>
+  </author>
+${entries.join('\n')}
+</feed>
+`;
+    }
+
+    /**
+     * Escape text for XML
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Get upcoming events, archive links and the feed URL for a calendar page
+     * @param {Object} page
+     * @param {Array} events
+     * @returns {Object}
+     */
+    getCalendarData(page, events) {
+        const today = this.ics.toLocalParts(new Date()).date;
+        const upcoming = events
+            .filter(event => (event.endDate || event.startDate) >= today)
+            .slice(0, CALENDAR.upcomingLimit);
+
+        return {
+            event_groups: this.groupEventsByMonth(upcoming),
+            event_archives: this.getEventMonths(events).map(month => ({
+                label: month.label,
+                url: `/${page.slug}/${month.key}`
+            })),
+            event_categories: this.getEventCategories(events),
+            calendar_feed_url: `/${CALENDAR.feedFile}`
+        };
+    }
+
+    /**
+     * Group events by the month they start in
+     * @param {Array} events - Sorted events
+     * @returns {Array} - [{ key, label, events }]
+     */
+    groupEventsByMonth(events) {
+        const groups = new Map();
+
+        events.forEach(event => {
+            const key = event.startDate.substring(0, 7);
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: this.formatMonth(key), events: [] });
+            }
+            groups.get(key).events.push(this.formatEvent(event));
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Get every month that has events, newest first
+     * @param {Array} events
+     * @returns {Array} - [{ key, label }]
+     */
+    getEventMonths(events) {
+        const keys = new Set(events.map(event => event.startDate.substring(0, 7)));
+
+        return Array.from(keys)
+            .sort()
+            .reverse()
+            .map(key => ({ key, label: this.formatMonth(key) }));
+    }
+
+    /**
+     * Get unique event categories
+     * @param {Array} events
+     * @returns {Array}
+     */
+    getEventCategories(events) {
+        const categories = new Map();
+
+        events.forEach(event => {
+            if (event.category && !categories.has(event.category)) {
+                categories.set(event.category, {
+                    slug: event.category.toLowerCase().replace(/\s+/g, '-'),
+                    name: event.category
+                });
+            }
+        });
+
+        return Array.from(categories.values());
+    }
+
+    /**
+     * Prepare an event for templates
+     * @param {Object} event
+     * @returns {Object}
+     */
+    formatEvent(event) {
+        const [year, month, day] = event.startDate.split('-').map(Number);
+        const start = new Date(Date.UTC(year, month - 1, day));
+        const dateOptions = { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' };
+
+        let dateLabel = start.toLocaleDateString('en-NZ', dateOptions);
+        if (event.endDate && event.endDate !== event.startDate) {
+            const [endYear, endMonth, endDay] = event.endDate.split('-').map(Number);
+            const end = new Date(Date.UTC(endYear, endMonth - 1, endDay));
+            dateLabel += ` – ${end.toLocaleDateString('en-NZ', dateOptions)}`;
+        }
+
+        let timeLabel = '';
+        if (!event.allDay && event.startTime) {
+            timeLabel = this.formatTime(event.startTime);
+            if (event.endTime) timeLabel += ` – ${this.formatTime(event.endTime)}`;
+        }
+
+        return {
+            title: event.title,
+            description: event.description || '',
+            venue: event.venue || '',
+            category: event.category || '',
+            category_slug: (event.category || '').toLowerCase().replace(/\s+/g, '-'),
+            day,
+            month_short: start.toLocaleDateString('en-NZ', { month: 'short', timeZone: 'UTC' }),
+            date_label: dateLabel,
+            time_label: timeLabel,
+            all_day: !timeLabel,
+            datetime: event.startTime && !event.allDay ? `${event.startDate}T${event.startTime}` : event.startDate,
+            schema: this.getEventSchema(event)
+        };
+    }
+
+    /**
+     * Format a YYYY-MM month key, e.g. "March 2026"
+     * @param {string} key
+     * @returns {string}
+     */
+    formatMonth(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-NZ', {
+            month: 'long',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Format an HH:MM time, e.g. "3:30pm"
+     * @param {string} time
+     * @returns {string}
+     */
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const suffix = hours >= 12 ? 'pm' : 'am';
+        const hour = hours % 12 || 12;
+        return `${hour}:${String(minutes).padStart(2, '0')}${suffix}`;
+    }
+
+    /**
+     * Generate monthly event archives for calendar pages and the
+     * calendar.ics export
+     * @param {Object} data
+     * @returns {number} - Number of files written
+     */
+    async generateCalendar(data) {
+        const events = data.events || [];
+        if (events.length === 0) return 0;
+
+        let count = 0;
+
+        const calendarPages = data.pages.filter(page =>
+            page.pageType === 'calendar' && page.slug &&
+            (this.config.isDev || this.isPublished(page))
+        );
+
+        for (const page of calendarPages) {
+            const archives = this.getCalendarData(page, events).event_archives;
+
+            for (const month of this.getEventMonths(events)) {
+                const monthEvents = events.filter(event => event.startDate.startsWith(month.key));
+                const html = this.renderContentPage({
+                    ...page,
+                    title: `${page.title}: ${month.label}`,
+                    content: '',
+                    metaTitle: `${page.title}: ${month.label}`
+                }, data, {
+                    breadcrumbs: [
+                        ...this.generateBreadcrumbs(page, data).slice(0, -1),
+                        { title: page.title, url: `/${page.slug}` },
+                        { title: month.label, url: null }
+                    ],
+                    event_groups: this.groupEventsByMonth(monthEvents),
+                    event_archives: archives,
+                    archive_month: month.label,
+                    calendar_url: `/${page.slug}`
+                });
+
+                await this.writeFile(`${page.slug}/${month.key}.html`, html);
+                count++;
+            }
+        }
+
+        const feed = this.ics.serialize(events.map(event => ({
+            ...event,
+            url: calendarPages[0] ? `${this.settings.siteUrl || ''}/${calendarPages[0].slug}` : ''
+        })), {
+            name: this.settings.siteName,
+            siteUrl: this.settings.siteUrl
+        });
+
+        await this.writeFile(CALENDAR.feedFile, feed);
+        return count + 1;
+    }
+
+    /**
+     * Generate special pages (404, etc.)
+     * @param {Object} data
+     */
+    async generateSpecialPages(data) {
+        // 404 page
+        const notFoundData = {
+            ...this.getCommonData(data),
+            meta_title: 'Page Not Found',
+            meta_description: 'The page you are looking for could not be found.',
+            title: 'Page Not Found',
+            content: `
+                <div class="text-center py-12">
+                    <h1 class="text-6xl font-bold text-gray-300 mb-4">404</h1>
+                    <p class="text-xl text-gray-600 mb-8">Sorry, the page you're looking for doesn't exist.</p>
+                    <a href="/" class="btn btn-primary">Return Home</a>
+                </div>
+            `
+        };
+
+        const html404 = this.templates.renderPage('page', notFoundData);
+        await this.writeFile('404.html', html404);
+    }
+
+    /**
+     * Write a file to the output directory
+     * @param {string} relativePath
+     * @param {string} content
+     */
+    async writeFile(relativePath, content) {
+        const fullPath = path.join(this.config.outputDir, relativePath);
+        const dir = path.dirname(fullPath);
+
+        // Ensure directory exists
+        await fs.mkdir(dir, { recursive: true });
+
+        if (this.images && relativePath.endsWith('.html')) {
+            content = this.images.rewriteHtml(content);
+        }
 
         // Write file
         await fs.writeFile(fullPath, content, 'utf8');
+        this.manifest?.addFile(relativePath);
 
         if (this.config.verbose) {
             console.log(`   → ${relativePath}`);
@@ -0,0 +1,409 @@
+/**
+ * iCalendar (ICS) Parser and Writer
+ *
+ * Reads calendar exports from KAMAR into the CMS event shape and writes
+ * events back out as a calendar.ics feed. Event dates are stored as
+ * New Zealand local dates and times (YYYY-MM-DD / HH:MM) so they read
+ * the same in the admin, the templates and the export.
+ */
+
+const fs = require('fs').promises;
+
+// The school's time zone - all stored dates and times are local to it
+const TIME_ZONE = 'Pacific/Auckland';
+
+// Time zone definition included in exports so clients don't need to know it
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700405T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+    'TZOFFSETFROM:+1300',
+    'TZOFFSETTO:+1200',
+    'TZNAME:NZST',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700927T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=9;BYDAY=-1SU',
+    'TZOFFSETFROM:+1200',
+    'TZOFFSETTO:+1300',
+    'TZNAME:NZDT',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+];
+
+class ICSCalendar {
+    constructor() {
+        // Converts UTC times from the feed to school-local date parts
+        this.localFormat = new Intl.DateTimeFormat('en-NZ', {
+            timeZone: TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Parse an ICS file from disk
+     * @param {string} filePath
+     * @returns {Array} - Parsed events
+     */
+    async parseFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return this.parse(content);
+    }
+
+    /**
+     * Parse ICS text into events
+     * @param {string} content
+     * @returns {Array} - Parsed events
+     */
+    parse(content) {
+        // Unfold continuation lines (RFC 5545 section 3.1)
+        const lines = content
+            .replace(/^\uFEFF/, '')
+            .replace(/\r?\n[ \t]/g, '')
+            .split(/\r?\n/);
+
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Invalid calendar file - no VCALENDAR found');
+        }
+
+        const events = [];
+        let current = null;
+        let depth = 0;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const property = this.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                if (property.value.toUpperCase() === 'VEVENT' && !current) {
+                    current = {};
+                    depth = 0;
+                } else if (current) {
+                    // Nested component such as VALARM - ignore its properties
+                    depth++;
+                }
+                continue;
+            }
+
+            if (property.name === 'END') {
+                if (current && depth > 0) {
+                    depth--;
+                } else if (current && property.value.toUpperCase() === 'VEVENT') {
+                    const event = this.toEvent(current);
+                    if (event) events.push(event);
+                    current = null;
+                }
+                continue;
+            }
+
+            if (current && depth === 0 && !(property.name in current)) {
+                current[property.name] = property;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @param {string} line
+     * @returns {Object|null}
+     */
+    parseLine(line) {
+        // The value starts at the first colon outside a quoted parameter
+        let inQuotes = false;
+        let colon = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+
+        if (colon === -1) return null;
+
+        const [name, ...paramParts] = line.substring(0, colon).split(';');
+        const params = {};
+
+        paramParts.forEach(part => {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return {
+            name: name.toUpperCase(),
+            params,
+            value: line.substring(colon + 1)
+        };
+    }
+
+    /**
+     * Convert parsed VEVENT properties to a CMS event
+     * @param {Object} props
+     * @returns {Object|null} - Null if the event has no UID or start date
+     */
+    toEvent(props) {
+        const uid = props.UID?.value.trim();
+        const start = props.DTSTART && this.parseDateValue(props.DTSTART);
+
+        if (!uid || !start) return null;
+
+        const end = props.DTEND && this.parseDateValue(props.DTEND);
+        let endDate = '';
+        let endTime = '';
+
+        if (end) {
+            if (start.allDay) {
+                // All-day DTEND is exclusive
+                const lastDay = this.addDays(end.date, -1);
+                endDate = lastDay > start.date ? lastDay : '';
+            } else {
+                endDate = end.date !== start.date ? end.date : '';
+                endTime = end.time || '';
+            }
+        }
+
+        const recurrenceId = props['RECURRENCE-ID']?.value || '';
+
+        return {
+            // Moved occurrences of a recurring event share its UID
+            uid: recurrenceId ? `${uid}#${recurrenceId}` : uid,
+            title: this.unescapeText(props.SUMMARY?.value || '') || 'Untitled event',
+            description: this.unescapeText(props.DESCRIPTION?.value || ''),
+            venue: this.unescapeText(props.LOCATION?.value || ''),
+            category: this.unescapeText(props.CATEGORIES?.value || '').split(',')[0].trim(),
+            startDate: start.date,
+            startTime: start.allDay ? '' : start.time,
+            endDate,
+            endTime,
+            allDay: start.allDay,
+            cancelled: (props.STATUS?.value || '').toUpperCase() === 'CANCELLED',
+            recurring: Boolean(props.RRULE)
+        };
+    }
+
+    /**
+     * Parse a DTSTART/DTEND value to a local date and time
+     * @param {Object} property
+     * @returns {Object|null} - { date: 'YYYY-MM-DD', time: 'HH:MM', allDay }
+     */
+    parseDateValue(property) {
+        const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, , utc] = match;
+
+        if (hour === undefined || property.params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: '', allDay: true };
+        }
+
+        if (utc) {
+            const instant = new Date(Date.UTC(year, month - 1, day, hour, minute));
+            return { ...this.toLocalParts(instant), allDay: false };
+        }
+
+        // Floating or TZID times - KAMAR exports school-local times
+        return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}`, allDay: false };
+    }
+
+    /**
+     * Get the school-local date and time of an instant
+     * @param {Date} instant
+     * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+     */
+    toLocalParts(instant) {
+        const parts = {};
+        this.localFormat.formatToParts(instant).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    /**
+     * Format a school-local date and HH:MM time as an ISO 8601 date-time
+     * with the school's UTC offset, e.g. 2026-03-04T15:30:00+13:00
+     * @param {string} date
+     * @param {string} time
+     * @returns {string}
+     */
+    toOffsetDateTime(date, time) {
+        const wallClock = new Date(`${date}T${time}:00Z`);
+        const offsetAt = (instant) => {
+            const local = this.toLocalParts(instant);
+            return (new Date(`${local.date}T${local.time}:00Z`) - instant) / 60000;
+        };
+
+        // The offset at the wall-clock time read as UTC can be the other
+        // side of a daylight saving change; check it at the real instant
+        const offset = offsetAt(new Date(wallClock - offsetAt(wallClock) * 60000));
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+        return `${date}T${time}:00${sign}${hours}:${minutes}`;
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     * @param {string} date
+     * @param {number} days
+     * @returns {string}
+     */
+    addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Serialize events to an ICS calendar
+     * @param {Array} events - CMS events
+     * @param {Object} options - { name, siteUrl }
+     * @returns {string}
+     */
+    serialize(events, options = {}) {
+        const host = (options.siteUrl || 'localhost').replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+        const stamp = this.formatUTC(new Date());
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${host}//Middleton Grange CMS//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(options.name || 'Events')}`,
+            `X-WR-TIMEZONE:${TIME_ZONE}`,
+            ...VTIMEZONE
+        ];
+
+        events.forEach(event => {
+            if (!event.startDate) return;
+
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${event.uid || `${event.id}@${host}`}`);
+            lines.push(`DTSTAMP:${event.updatedAt?.toDate ? this.formatUTC(event.updatedAt.toDate()) : stamp}`);
+
+            if (event.allDay || !event.startTime) {
+                lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.startDate)}`);
+                lines.push(`DTEND;VALUE=DATE:${this.formatDate(this.addDays(event.endDate || event.startDate, 1))}`);
+            } else {
+                lines.push(`DTSTART;TZID=${TIME_ZONE}:${this.formatLocal(event.startDate, event.startTime)}`);
+                if (event.endTime) {
+                    lines.push(`DTEND;TZID=${TIME_ZONE}:${this.formatLocal(event.endDate || event.startDate, event.endTime)}`);
+                }
+            }
+
+            lines.push(`SUMMARY:${this.escapeText(event.title || '')}`);
+            if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            if (event.venue) lines.push(`LOCATION:${this.escapeText(event.venue)}`);
+            if (event.category) lines.push(`CATEGORIES:${this.escapeText(event.category)}`);
+            if (event.url) lines.push(`URL:${event.url}`);
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format a YYYY-MM-DD date as an ICS date
+     * @param {string} date
+     * @returns {string}
+     */
+    formatDate(date) {
+        return date.replace(/-/g, '');
+    }
+
+    /**
+     * Format a local date and HH:MM time as an ICS local date-time
+     * @param {string} date
+     * @param {string} time
+     * @returns {string}
+     */
+    formatLocal(date, time) {
+        return `${this.formatDate(date)}T${time.replace(':', '')}00`;
+    }
+
+    /**
+     * Format an instant as an ICS UTC date-time
+     * @param {Date} date
+     * @returns {string}
+     */
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape a TEXT value
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Unescape a TEXT value
+     * @param {string} text
+     * @returns {string}
+     */
+    unescapeText(text) {
+        return text
+            .replace(/\\[nN]/g, '\n')
+            .replace(/\\([\\;,])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Fold a content line to 75 octets (RFC 5545 section 3.1)
+     * @param {string} line
+     * @returns {string}
+     */
+    foldLine(line) {
+        if (Buffer.byteLength(line) <= 75) return line;
+
+        const chunks = [];
+        let chunk = '';
+        let bytes = 0;
+
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            // Continuation lines start with a space, leaving 74 octets
+            const limit = chunks.length === 0 ? 75 : 74;
+
+            if (bytes + size > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                bytes = 0;
+            }
+
+            chunk += char;
+            bytes += size;
+        }
+
+        chunks.push(chunk);
+        return chunks.join('\r\n ');
+    }
+}
+
+module.exports = ICSCalendar;
+module.exports.TIME_ZONE = TIME_ZONE;
@@ -0,0 +1,406 @@
+/**
+ * Responsive Image Pipeline
+ *
+ * Resizes the images used in page content, page header images and staff
+ * photos into several widths, as AVIF and WebP plus a JPEG or PNG fallback,
+ * and rewrites <img> tags that show them into <picture> elements with
+ * srcset, sizes, width and height.
+ *
+ * Processed files are named after a hash of the image's content and kept
+ * in a cache directory between builds, with a manifest of the images
+ * already processed, so an unchanged image is never fetched or resized
+ * twice. The manifest records each image's version with its URL: the
+ * Storage generation, ETag or Last-Modified header for a remote image,
+ * the size and modified time for a file in the public directory. An
+ * image replaced at the same URL is fetched again. Each build copies the
+ * files it uses from the cache into the output directory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Pipeline options
+const IMAGES = {
+    // Widths generated, up to the width of the original
+    widths: [320, 640, 960, 1280, 1920],
+    // Width used for the fallback src, for browsers without srcset
+    fallbackWidth: 960,
+    formats: ['avif', 'webp'],
+    quality: { avif: 50, webp: 75, jpeg: 80, png: 80 },
+    // Formats sharp resizes; anything else (SVG, GIF) is left as it is
+    inputFormats: ['jpeg', 'png', 'webp', 'avif', 'tiff'],
+    // Output directory, relative to the site root
+    outputPath: 'images/responsive',
+    // Used when an <img> tag doesn't say how wide it is shown
+    defaultSizes: '(min-width: 1024px) 800px, 100vw'
+};
+
+class ImagePipeline {
+    /**
+     * Create a new ImagePipeline
+     * @param {Object} config - Build configuration
+     * @param {string} config.outputDir - Site output directory
+     * @param {string} config.publicDir - Static files, for site-relative image paths
+     * @param {string} config.imageCacheDir - Where processed images are kept between builds
+     */
+    constructor(config) {
+        this.config = config;
+        this.cacheDir = config.imageCacheDir;
+        this.manifestPath = path.join(this.cacheDir, 'images.json');
+
+        // Source URL -> processed image, from previous builds
+        this.cached = {};
+        // Source URL -> processed image, for this build
+        this.images = new Map();
+    }
+
+    /**
+     * Get the image URLs the pipeline handles: images in page content,
+     * page header images and staff photos
+     * @param {Object} data - Site data
+     * @returns {Array<string>}
+     */
+    getSources(data) {
+        const sources = new Set();
+
+        (data.pages || []).forEach(page => {
+            if (page.headerImage) sources.add(page.headerImage);
+
+            for (const match of (page.content || '').matchAll(/<img\b[^>]*?\ssrc=(["'])(.*?)\1/gi)) {
+                sources.add(this.decodeAttribute(match[2]));
+            }
+        });
+
+        (data.staffProfiles || []).forEach(person => {
+            if (person.photo) sources.add(person.photo);
+        });
+
+        return [...sources].filter(src => /^(https?:)?\//.test(src));
+    }
+
+    /**
+     * Process every image the site uses and copy the results into the
+     * output directory
+     * @param {Object} data - Site data
+     * @returns {Promise<Object>} - { processed, cached, skipped, failed: [{ src, error }] }
+     */
+    async run(data) {
+        const stats = { processed: 0, cached: 0, skipped: 0, failed: [] };
+
+        await this.loadManifest();
+
+        // One at a time: sharp already uses every core for each image
+        for (const src of this.getSources(data)) {
+            try {
+                const result = await this.processImage(src);
+                stats[result]++;
+            } catch (error) {
+                stats.failed.push({ src, error: error.message });
+            }
+        }
+
+        await this.publish();
+        await this.saveManifest();
+
+        return stats;
+    }
+
+    /**
+     * Process one image, reusing earlier results when possible
+     * @param {string} src
+     * @returns {Promise<string>} - 'processed', 'cached' or 'skipped'
+     */
+    async processImage(src) {
+        const version = await this.getVersion(src);
+        const previous = this.cached[src];
+        if (previous && version && previous.version === version && await this.hasFiles(previous)) {
+            this.images.set(src, previous);
+            return previous.skipped ? 'skipped' : 'cached';
+        }
+
+        const buffer = await this.readSource(src);
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12);
+
+        // The same image at another URL (e.g. uploaded twice)
+        const sameImage = [...Object.values(this.cached), ...this.images.values()]
+            .find(image => image.hash === hash);
+        if (sameImage && await this.hasFiles(sameImage)) {
+            this.images.set(src, { ...sameImage, version });
+            return sameImage.skipped ? 'skipped' : 'cached';
+        }
+
+        const metadata = await sharp(buffer).metadata();
+        if (!IMAGES.inputFormats.includes(metadata.format)) {
+            this.images.set(src, { hash, version, skipped: true });
+            return 'skipped';
+        }
+
+        // EXIF orientations 5-8 are rotated a quarter turn
+        const rotated = (metadata.orientation || 1) >= 5;
+        const width = rotated ? metadata.height : metadata.width;
+        const height = rotated ? metadata.width : metadata.height;
+
+        const maxWidth = Math.min(width, IMAGES.widths[IMAGES.widths.length - 1]);
+        const widths = [...new Set([...IMAGES.widths.filter(w => w < maxWidth), maxWidth])];
+
+        // PNGs keep their transparency; everything else falls back to JPEG
+        const fallback = metadata.format === 'png' ? 'png' : 'jpeg';
+        const name = this.getBaseName(src);
+        const files = {};
+
+        await fs.mkdir(this.cacheDir, { recursive: true });
+
+        for (const format of [...IMAGES.formats, fallback]) {
+            files[format] = [];
+
+            for (const w of widths) {
+                const file = `${name}-${hash}-${w}.${format === 'jpeg' ? 'jpg' : format}`;
+
+                await sharp(buffer)
+                    .rotate()
+                    .resize({ width: w, withoutEnlargement: true })
+                    .toFormat(format, { quality: IMAGES.quality[format] })
+                    .toFile(path.join(this.cacheDir, file));
+
+                files[format].push([w, file]);
+            }
+        }
+
+        this.images.set(src, {
+            hash,
+            version,
+            width: maxWidth,
+            height: Math.round(maxWidth * height / width),
+            fallback,
+            files
+        });
+
+        return 'processed';
+    }
+
+    /**
+     * Get the version of an image, to tell whether it changed since the
+     * last build without downloading it
+     * @param {string} src
+     * @returns {Promise<string|null>} - null when it can't be told
+     */
+    async getVersion(src) {
+        try {
+            if (this.isRemote(src)) {
+                const response = await fetch(this.getUrl(src), { method: 'HEAD' });
+                if (!response.ok) return null;
+
+                const headers = response.headers;
+                return headers.get('x-goog-generation') || headers.get('etag') || headers.get('last-modified');
+            }
+
+            const stats = await fs.stat(this.getLocalPath(src));
+            return `${stats.size}-${stats.mtimeMs}`;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Read an image from a URL or the public directory
+     * @param {string} src
+     * @returns {Promise<Buffer>}
+     */
+    async readSource(src) {
+        if (this.isRemote(src)) {
+            const response = await fetch(this.getUrl(src));
+            if (!response.ok) {
+                throw new Error(`Download failed with status ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+
+        return fs.readFile(this.getLocalPath(src));
+    }
+
+    /**
+     * Check whether an image is on another host
+     * @param {string} src
+     * @returns {boolean}
+     */
+    isRemote(src) {
+        return /^(https?:)?\/\//.test(src);
+    }
+
+    /**
+     * Get the URL to fetch a remote image from
+     * @param {string} src
+     * @returns {string}
+     */
+    getUrl(src) {
+        return src.startsWith('//') ? `https:${src}` : src;
+    }
+
+    /**
+     * Get the path of a site-relative image in the public directory
+     * @param {string} src
+     * @returns {string}
+     */
+    getLocalPath(src) {
+        return path.join(this.config.publicDir, decodeURIComponent(src.split(/[?#]/)[0]));
+    }
+
+    /**
+     * Get a readable file name for an image from its URL. Firebase Storage
+     * URLs keep the path in one encoded segment (media%2F123_photo.jpg).
+     * @param {string} src
+     * @returns {string}
+     */
+    getBaseName(src) {
+        let segment = src.split(/[?#]/)[0].split('/').pop() || 'image';
+        try {
+            segment = decodeURIComponent(segment).split('/').pop();
+        } catch {
+            // Use the segment as it is
+        }
+
+        return segment
+            .replace(/\.[^.]+$/, '')
+            .replace(/^\d+_/, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40) || 'image';
+    }
+
+    /**
+     * Check that an image's processed files are all in the cache
+     * @param {Object} image
+     * @returns {Promise<boolean>}
+     */
+    async hasFiles(image) {
+        if (image.skipped) return true;
+
+        try {
+            await Promise.all(this.getFiles(image).map(file => fs.access(path.join(this.cacheDir, file))));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get every processed file for an image
+     * @param {Object} image
+     * @returns {Array<string>}
+     */
+    getFiles(image) {
+        return Object.values(image.files || {}).flat().map(([, file]) => file);
+    }
+
+    /**
+     * Copy the processed files used by this build into the output directory
+     */
+    async publish() {
+        const outputDir = path.join(this.config.outputDir, IMAGES.outputPath);
+        const files = new Set([...this.images.values()].flatMap(image => this.getFiles(image)));
+
+        await fs.mkdir(outputDir, { recursive: true });
+
+        for (const file of files) {
+            await fs.copyFile(path.join(this.cacheDir, file), path.join(outputDir, file));
+        }
+    }
+
+    /**
+     * Load the cache manifest from the last build
+     */
+    async loadManifest() {
+        try {
+            this.cached = JSON.parse(await fs.readFile(this.manifestPath, 'utf8')).images || {};
+        } catch {
+            this.cached = {};
+        }
+    }
+
+    /**
+     * Save the cache manifest, keeping only images used by this build, and
+     * remove cached files no image uses any more
+     */
+    async saveManifest() {
+        const images = Object.fromEntries(this.images);
+        const used = new Set([...this.images.values()].flatMap(image => this.getFiles(image)));
+
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        await fs.writeFile(this.manifestPath, JSON.stringify({ images }, null, 2), 'utf8');
+
+        const entries = await fs.readdir(this.cacheDir);
+        for (const file of entries) {
+            if (file !== path.basename(this.manifestPath) && !used.has(file)) {
+                await fs.unlink(path.join(this.cacheDir, file));
+            }
+        }
+    }
+
+    /**
+     * Replace <img> tags showing processed images with <picture> elements.
+     * A sizes attribute on the tag is kept; other tags get the default.
+     * Tags without loading= are lazy loaded.
+     * @param {string} html
+     * @returns {string}
+     */
+    rewriteHtml(html) {
+        if (this.images.size === 0) return html;
+
+        return html.replace(/<img\b[^>]*>/gi, (tag) => {
+            const src = this.getAttribute(tag, 'src');
+            const image = src && this.images.get(this.decodeAttribute(src));
+            if (!image || image.skipped) return tag;
+
+            const url = (file) => `/${IMAGES.outputPath}/${file}`;
+            const srcset = (format) => image.files[format].map(([w, file]) => `${url(file)} ${w}w`).join(', ');
+            const sizes = this.getAttribute(tag, 'sizes') || IMAGES.defaultSizes;
+            const loading = this.getAttribute(tag, 'loading') || 'lazy';
+
+            const fallbacks = image.files[image.fallback];
+            const [, fallbackFile] = fallbacks.find(([w]) => w >= IMAGES.fallbackWidth) || fallbacks[fallbacks.length - 1];
+
+            // Keep alt, class and the rest; drop what is set here
+            const attributes = tag
+                .replace(/^<img\b|\/?>$/gi, '')
+                .replace(/\s(src|srcset|sizes|width|height|loading|decoding)=(["']).*?\2/gi, '')
+                .trim();
+
+            const sources = IMAGES.formats.map(format =>
+                `<source type="image/${format}" srcset="${srcset(format)}" sizes="${sizes}">`
+            ).join('');
+
+            return `<picture>${sources}<img src="${url(fallbackFile)}" srcset="${srcset(image.fallback)}" sizes="${sizes}" ` +
+                `width="${image.width}" height="${image.height}" loading="${loading}" decoding="async"` +
+                `${attributes ? ` ${attributes}` : ''}></picture>`;
+        });
+    }
+
+    /**
+     * Get an attribute's raw value from a tag
+     * @param {string} tag
+     * @param {string} name
+     * @returns {string|null}
+     */
+    getAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}=(["'])(.*?)\\1`, 'i'));
+        return match ? match[2] : null;
+    }
+
+    /**
+     * Decode the entities Handlebars and the editor use in attribute values
+     * @param {string} value
+     * @returns {string}
+     */
+    decodeAttribute(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+module.exports = ImagePipeline;
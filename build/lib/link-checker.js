@@ -0,0 +1,448 @@
+/**
+ * Link Checker
+ *
+ * Crawls the built site in the output directory, offline, and reports:
+ *
+ *   - broken-link:    internal links to pages that don't exist
+ *   - missing-anchor: #fragments with no matching id on the target page
+ *   - missing-asset:  images, PDFs and other files missing from the output
+ *                     directory, or media library files missing from the
+ *                     media collection
+ *   - wordpress-url:  links and images still pointing at /wp-content/
+ *
+ * Links covered by a redirect rule count as working. External links are
+ * not fetched. The report is written as JSON and HTML.
+ *
+ * Problems in links the templates own come from the templates rather than
+ * page content, such as a footer link to a page not created yet. Those are
+ * the links in the shared header and footer (outside <main>), and links
+ * inside <main> marked with a data-template-link attribute, like the
+ * sidebars' "Get in Touch" button. They're listed once each as warnings
+ * and don't count towards the build's issue limit.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Checker options
+const LINK_CHECK = {
+    issueTypes: {
+        'broken-link': 'Broken link',
+        'missing-anchor': 'Missing anchor',
+        'missing-asset': 'Missing file',
+        'wordpress-url': 'WordPress URL'
+    },
+    // Attributes holding URLs
+    urlAttributes: ['href', 'src', 'srcset', 'poster', 'data'],
+    // Schemes that aren't links to check
+    ignoreSchemes: /^(mailto|tel|sms|javascript|data|blob):/i,
+    // Storage folders whose files belong to the media library
+    mediaFolders: ['media', 'thumbnails'],
+    // Issues kept in the summary sent to the dashboard
+    summaryLimit: 200
+};
+
+class LinkChecker {
+    /**
+     * Create a new LinkChecker
+     * @param {Object} config - Build configuration
+     * @param {string} config.outputDir - Site output directory
+     * @param {string} config.linkReportDir - Where the reports are written
+     * @param {Object} options
+     * @param {string} options.siteUrl - The site's own URL, treated as internal
+     * @param {Array} options.media - Media library documents
+     * @param {Array} options.redirects - Published redirect rules ({ from, wildcard })
+     */
+    constructor(config, { siteUrl = '', media = [], redirects = [] } = {}) {
+        this.config = config;
+        this.outputDir = config.outputDir;
+        this.siteHost = this.getHost(siteUrl);
+
+        this.mediaFiles = new Set();
+        media.forEach(item => {
+            [item.url, item.storagePath, ...Object.values(item.thumbnails || {}).flatMap(t => [t.url, t.path])]
+                .filter(Boolean)
+                .forEach(value => this.mediaFiles.add(this.getStoragePath(value) || value));
+        });
+
+        this.redirects = redirects;
+
+        // Site path -> Set of ids, for pages already read
+        this.anchors = new Map();
+        this.issues = [];
+        this.templateIssues = [];
+    }
+
+    /**
+     * Check every page in the output directory
+     * @returns {Promise<Object>} - Report
+     */
+    async run() {
+        const files = await this.findPages(this.outputDir);
+        const seen = new Set();
+        let links = 0;
+
+        const templateSeen = new Set();
+
+        this.issues = [];
+        this.templateIssues = [];
+
+        for (const file of files) {
+            const html = await fs.readFile(file, 'utf8');
+            const pagePath = this.getPagePath(file);
+            this.anchors.set(pagePath, this.getIds(html));
+
+            for (const { tag, url, template } of this.getLinks(html)) {
+                const key = `${pagePath} ${url} ${template}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                links++;
+
+                const issue = await this.checkLink(url, pagePath, tag);
+                if (!issue) continue;
+
+                if (!template) {
+                    this.issues.push({ type: issue, page: pagePath, url, tag });
+                } else if (!templateSeen.has(`${issue} ${url}`)) {
+                    // Listed once, not for every page the template link is on
+                    templateSeen.add(`${issue} ${url}`);
+                    this.templateIssues.push({ type: issue, page: pagePath, url, tag });
+                }
+            }
+        }
+
+        const counts = Object.fromEntries(Object.keys(LINK_CHECK.issueTypes).map(type => [type, 0]));
+        this.issues.forEach(issue => counts[issue.type]++);
+
+        return {
+            checkedAt: new Date().toISOString(),
+            pages: files.length,
+            links,
+            total: this.issues.length,
+            counts,
+            issues: this.issues,
+            templateIssues: this.templateIssues
+        };
+    }
+
+    /**
+     * Find the HTML files in a directory, recursively
+     * @param {string} dir
+     * @returns {Promise<Array<string>>}
+     */
+    async findPages(dir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.findPages(fullPath));
+            } else if (entry.name.endsWith('.html')) {
+                files.push(fullPath);
+            }
+        }
+
+        return files.sort();
+    }
+
+    /**
+     * Get the site path a file is served at (about/index.html -> /about)
+     * @param {string} file
+     * @returns {string}
+     */
+    getPagePath(file) {
+        const relative = path.relative(this.outputDir, file).split(path.sep).join('/');
+        return '/' + relative.replace(/(^|\/)index\.html$/, '').replace(/\.html$/, '').replace(/\/$/, '');
+    }
+
+    /**
+     * Get the links in a page, leaving out scripts and comments. Links
+     * outside <main> (the shared header and footer) and links marked with
+     * data-template-link are flagged as the templates' own.
+     * @param {string} html
+     * @returns {Array} - [{ tag, url, template }]
+     */
+    getLinks(html) {
+        const markup = html
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, '$1</script>');
+        const mainStart = markup.search(/<main\b/i);
+        const mainEnd = markup.search(/<\/main>/i);
+        const links = [];
+
+        for (const match of markup.matchAll(/<([a-z][a-z0-9-]*)\b([^>]*)>/gi)) {
+            const [, tag, attributes] = match;
+            const template = /\sdata-template-link\b/i.test(attributes) ||
+                (mainStart !== -1 && (match.index < mainStart || (mainEnd !== -1 && match.index > mainEnd)));
+
+            // <link rel="canonical"> and alternates point at the live site, not files
+            if (tag.toLowerCase() === 'link' && /\srel=(["'])(canonical|alternate|preconnect|dns-prefetch)\1/i.test(attributes)) continue;
+
+            for (const [, name, , value] of attributes.matchAll(/\s([a-z-]+)=(["'])(.*?)\2/gi)) {
+                if (!LINK_CHECK.urlAttributes.includes(name.toLowerCase())) continue;
+
+                const urls = name.toLowerCase() === 'srcset'
+                    ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                    : [value];
+
+                urls.map(url => this.decodeAttribute(url.trim()))
+                    .filter(Boolean)
+                    .forEach(url => links.push({ tag: tag.toLowerCase(), url, template }));
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Get the ids and anchor names in a page
+     * @param {string} html
+     * @returns {Set<string>}
+     */
+    getIds(html) {
+        const ids = new Set();
+        for (const match of html.matchAll(/\s(?:id|name)=(["'])(.*?)\1/gi)) {
+            ids.add(this.decodeAttribute(match[2]));
+        }
+        return ids;
+    }
+
+    /**
+     * Check a single link
+     * @param {string} url
+     * @param {string} pagePath - Page the link is on
+     * @param {string} tag - Element the link is on
+     * @returns {Promise<string|null>} - Issue type, or null if the link works
+     */
+    async checkLink(url, pagePath, tag) {
+        if (LINK_CHECK.ignoreSchemes.test(url) || url.includes('{{')) return null;
+
+        if (/\/wp-content\//i.test(url)) return 'wordpress-url';
+
+        let target;
+        try {
+            // Pages are served without a trailing slash, so relative links
+            // resolve against the page's parent
+            target = new URL(url, `https://site.invalid${pagePath}`);
+        } catch {
+            return tag === 'a' ? 'broken-link' : 'missing-asset';
+        }
+
+        // Files in Firebase Storage are checked against the media library
+        const storagePath = this.getStoragePath(target.href);
+        if (storagePath) {
+            const folder = storagePath.split('/')[0];
+            return LINK_CHECK.mediaFolders.includes(folder) && !this.mediaFiles.has(storagePath)
+                ? 'missing-asset'
+                : null;
+        }
+
+        const internal = target.host === 'site.invalid' || (this.siteHost && target.host === this.siteHost);
+        if (!internal || !/^https?:$/.test(target.protocol)) return null;
+
+        let sitePath;
+        try {
+            sitePath = decodeURIComponent(target.pathname).replace(/(.)\/+$/, '$1');
+        } catch {
+            sitePath = target.pathname;
+        }
+
+        const file = await this.resolveFile(sitePath);
+        if (!file) {
+            if (this.isRedirected(sitePath)) return null;
+            return tag === 'a' && !path.extname(sitePath) ? 'broken-link' : 'missing-asset';
+        }
+
+        const anchor = target.hash.slice(1);
+        if (anchor && anchor !== 'top' && file.endsWith('.html')) {
+            const ids = await this.getPageIds(this.getPagePath(file), file);
+            let decoded = anchor;
+            try {
+                decoded = decodeURIComponent(anchor);
+            } catch {
+                // Check the anchor as it is
+            }
+            if (!ids.has(decoded)) return 'missing-anchor';
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the file a site path is served from, as hosting with clean URLs
+     * does: the file itself, its index.html or the path plus .html
+     * @param {string} sitePath
+     * @returns {Promise<string|null>}
+     */
+    async resolveFile(sitePath) {
+        const base = path.join(this.outputDir, sitePath);
+        if (!base.startsWith(this.outputDir)) return null;
+
+        for (const candidate of [base, path.join(base, 'index.html'), `${base}.html`]) {
+            try {
+                if ((await fs.stat(candidate)).isFile()) return candidate;
+            } catch {
+                // Try the next candidate
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the ids on a page, reading it if it hasn't been read yet
+     * @param {string} pagePath
+     * @param {string} file
+     * @returns {Promise<Set<string>>}
+     */
+    async getPageIds(pagePath, file) {
+        if (!this.anchors.has(pagePath)) {
+            this.anchors.set(pagePath, this.getIds(await fs.readFile(file, 'utf8')));
+        }
+        return this.anchors.get(pagePath);
+    }
+
+    /**
+     * Check whether a redirect rule covers a site path
+     * @param {string} sitePath
+     * @returns {boolean}
+     */
+    isRedirected(sitePath) {
+        return this.redirects.some(rule => rule.wildcard
+            ? sitePath === rule.from.slice(0, -2) || sitePath.startsWith(rule.from.slice(0, -1))
+            : sitePath === rule.from);
+    }
+
+    /**
+     * Get the storage path of a Firebase Storage download URL
+     * (…/o/media%2F123_photo.jpg?alt=media -> media/123_photo.jpg)
+     * @param {string} value
+     * @returns {string|null}
+     */
+    getStoragePath(value) {
+        const match = String(value).match(/^https?:\/\/[^/]+\/v0\/b\/[^/]+\/o\/([^?#]+)/);
+        if (!match) return null;
+
+        try {
+            return decodeURIComponent(match[1]);
+        } catch {
+            return match[1];
+        }
+    }
+
+    /**
+     * Get the host of a URL
+     * @param {string} url
+     * @returns {string}
+     */
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Decode the entities Handlebars and the editor use in attribute values
+     * @param {string} value
+     * @returns {string}
+     */
+    decodeAttribute(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Get a short version of a report for the build runner, with the
+     * first issues only
+     * @param {Object} report
+     * @returns {Object}
+     */
+    summarize(report) {
+        const { issues, ...summary } = report;
+        return { ...summary, issues: issues.slice(0, LINK_CHECK.summaryLimit) };
+    }
+
+    /**
+     * Write the report as JSON and HTML
+     * @param {Object} report
+     * @returns {Promise<Object>} - { json, html } file paths
+     */
+    async writeReport(report) {
+        const json = path.join(this.config.linkReportDir, 'link-report.json');
+        const html = path.join(this.config.linkReportDir, 'link-report.html');
+
+        await fs.mkdir(this.config.linkReportDir, { recursive: true });
+        await fs.writeFile(json, JSON.stringify(report, null, 2), 'utf8');
+        await fs.writeFile(html, this.renderReport(report), 'utf8');
+
+        return { json, html };
+    }
+
+    /**
+     * Render the report as a standalone HTML page, issues grouped by type
+     * @param {Object} report
+     * @returns {string}
+     */
+    renderReport(report) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const sections = Object.entries(LINK_CHECK.issueTypes)
+            .filter(([type]) => report.counts[type] > 0)
+            .map(([type, label]) => `
+    <h2>${label}s (${report.counts[type]})</h2>
+    <table>
+        <thead><tr><th>Page</th><th>Link</th><th>Element</th></tr></thead>
+        <tbody>
+${report.issues.filter(issue => issue.type === type).map(issue =>
+        `            <tr><td>${escape(issue.page)}</td><td>${escape(issue.url)}</td><td>&lt;${escape(issue.tag)}&gt;</td></tr>`
+    ).join('\n')}
+        </tbody>
+    </table>`).join('\n');
+
+        const templateIssues = report.templateIssues || [];
+        const templateSection = templateIssues.length === 0 ? '' : `
+    <h2>Site templates (${templateIssues.length})</h2>
+    <p>Found in links the templates add, such as the shared header and footer. These are warnings and don't count towards the issue limit.</p>
+    <table>
+        <thead><tr><th>Problem</th><th>Link</th><th>First found on</th></tr></thead>
+        <tbody>
+${templateIssues.map(issue =>
+        `            <tr><td>${escape(LINK_CHECK.issueTypes[issue.type])}</td><td>${escape(issue.url)}</td><td>${escape(issue.page)}</td></tr>`
+    ).join('\n')}
+        </tbody>
+    </table>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Link Check Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.875rem; }
+        th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; word-break: break-all; }
+        th { background: #f9fafb; }
+    </style>
+</head>
+<body>
+    <h1>Link Check Report</h1>
+    <p>${report.pages} pages and ${report.links} links checked on ${escape(report.checkedAt)}: ${report.total} issue${report.total === 1 ? '' : 's'} found.</p>
+${sections}
+${templateSection}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,159 @@
+/**
+ * Mail Transports
+ *
+ * Pluggable delivery for email sent by the build services. A transport is
+ * any object with an async send(message) method, where message is:
+ *
+ *   { to: string[], replyTo?: string, subject: string, text: string, html?: string }
+ *
+ * Built-in transports:
+ *   mail - Queues the message in the `mail` collection for the Firebase
+ *          "Trigger Email" extension, which sends it over SMTP
+ *   file - Writes each message to a .eml file instead of sending it, as a
+ *          local SMTP stand-in for development and testing
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Queues messages for the Trigger Email extension
+ */
+class MailCollectionTransport {
+    /**
+     * @param {Object} options
+     * @param {Object} options.db - Firestore instance
+     * @param {string} options.collection - Collection the extension watches
+     */
+    constructor({ db, collection = 'mail' } = {}) {
+        if (!db) {
+            throw new Error('The mail transport needs a Firestore instance');
+        }
+
+        this.name = 'mail';
+        this.db = db;
+        this.collection = collection;
+    }
+
+    /**
+     * Queue a message
+     * @param {Object} message
+     * @returns {Promise<Object>} - { id } of the queued mail document
+     */
+    async send(message) {
+        const ref = await this.db.collection(this.collection).add({
+            to: message.to,
+            ...(message.replyTo ? { replyTo: message.replyTo } : {}),
+            message: {
+                subject: message.subject,
+                text: message.text,
+                ...(message.html ? { html: message.html } : {})
+            }
+        });
+
+        return { id: ref.id };
+    }
+}
+
+/**
+ * Writes messages to .eml files, one per message, that open in any mail
+ * client. Nothing is sent.
+ */
+class FileTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory to write messages to
+     * @param {string} options.from - From address written in the messages
+     */
+    constructor({ dir = path.join(process.cwd(), 'outbox'), from = 'cms@localhost' } = {}) {
+        this.name = 'file';
+        this.dir = dir;
+        this.from = from;
+    }
+
+    /**
+     * Write a message
+     * @param {Object} message
+     * @returns {Promise<Object>} - { id, path } of the written file
+     */
+    async send(message) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const file = path.join(this.dir, `${id}.eml`);
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(file, this.format(id, message));
+
+        return { id, path: file };
+    }
+
+    /**
+     * Format a message as a plain-text RFC 5322 email
+     * @param {string} id
+     * @param {Object} message
+     * @returns {string}
+     */
+    format(id, message) {
+        const headers = [
+            `From: ${this.from}`,
+            `To: ${message.to.join(', ')}`,
+            ...(message.replyTo ? [`Reply-To: ${message.replyTo}`] : []),
+            `Subject: ${this.encodeHeader(message.subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${id}@${this.from.split('@')[1] || 'localhost'}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+
+        return `${headers.join('\r\n')}\r\n\r\n${message.text.replace(/\r?\n/g, '\r\n')}\r\n`;
+    }
+
+    /**
+     * Encode a header value that isn't plain ASCII (RFC 2047)
+     * @param {string} value
+     * @returns {string}
+     */
+    encodeHeader(value) {
+        return /^[\x20-\x7e]*$/.test(value)
+            ? value
+            : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    }
+}
+
+// Transports by name, for choosing one from configuration
+const TRANSPORTS = {
+    mail: MailCollectionTransport,
+    file: FileTransport
+};
+
+/**
+ * Add a transport that can be chosen by name
+ * @param {string} name
+ * @param {Function} Transport - Class taking an options object
+ */
+function registerTransport(name, Transport) {
+    TRANSPORTS[name] = Transport;
+}
+
+/**
+ * Create a transport by name
+ * @param {string} name
+ * @param {Object} options - Passed to the transport's constructor
+ * @returns {Object}
+ */
+function createTransport(name, options = {}) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown mail transport "${name}" (available: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+
+    return new Transport(options);
+}
+
+module.exports = {
+    createTransport,
+    registerTransport,
+    MailCollectionTransport,
+    FileTransport
+};
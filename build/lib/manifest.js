@@ -0,0 +1,202 @@
+/**
+ * Build Manifest for Incremental Builds
+ *
+ * Records the inputs each page was last rendered from (updatedAt,
+ * template hash, navigation hash and page-type data hash) so unchanged
+ * pages can be skipped and files of removed pages deleted from dist/.
+ *
+ * Every other file the generator writes (alumni profiles, sport pages,
+ * news and calendar archives, feeds) is listed too, so files the last
+ * build wrote and this one didn't are deleted as well.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Fields compared to decide whether a page needs re-rendering
+const INPUT_FIELDS = ['updatedAt', 'templateHash', 'navHash', 'dataHash'];
+
+class BuildManifest {
+    /**
+     * Create a new BuildManifest
+     * @param {string} manifestPath - Where the manifest is stored
+     * @param {string} outputDir - Build output directory
+     */
+    constructor(manifestPath, outputDir) {
+        this.manifestPath = manifestPath;
+        this.outputDir = outputDir;
+        this.siteHash = null;
+        this.pages = {};
+        this.seen = new Set();
+        // Generated files from the last build, and those written in this one
+        this.files = [];
+        this.written = new Set();
+    }
+
+    /**
+     * Hash any JSON-serializable value
+     * @param {*} value
+     * @returns {string}
+     */
+    static hash(value) {
+        return crypto
+            .createHash('sha256')
+            .update(typeof value === 'string' ? value : JSON.stringify(value) || '')
+            .digest('hex');
+    }
+
+    /**
+     * Load the manifest from disk
+     * @returns {boolean} - False if there was no usable manifest
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.manifestPath, 'utf8');
+            const manifest = JSON.parse(content);
+
+            this.siteHash = manifest.siteHash || null;
+            this.pages = manifest.pages || {};
+            this.files = manifest.files || [];
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Write the manifest to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+        await fs.writeFile(this.manifestPath, JSON.stringify({
+            siteHash: this.siteHash,
+            builtAt: new Date().toISOString(),
+            pages: this.pages,
+            files: [...this.written].sort()
+        }, null, 2), 'utf8');
+    }
+
+    /**
+     * Forget all pages, e.g. before a full rebuild
+     * @param {string} siteHash - Hash of site-wide inputs
+     */
+    reset(siteHash) {
+        this.siteHash = siteHash;
+        this.pages = {};
+        this.seen.clear();
+        this.files = [];
+        this.written.clear();
+    }
+
+    /**
+     * Check whether a page's inputs match the last build and its file still exists
+     * @param {string} pageId
+     * @param {Object} entry - Current inputs
+     * @returns {boolean}
+     */
+    async isUnchanged(pageId, entry) {
+        const previous = this.pages[pageId];
+        if (!previous || previous.file !== entry.file) return false;
+
+        if (INPUT_FIELDS.some(field => previous[field] !== entry[field])) {
+            return false;
+        }
+
+        try {
+            await fs.access(path.join(this.outputDir, previous.file));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Mark a page as present in this build without changes
+     * @param {string} pageId
+     */
+    keep(pageId) {
+        this.seen.add(pageId);
+        if (this.pages[pageId]?.file) this.written.add(this.pages[pageId].file);
+    }
+
+    /**
+     * Record a file written to the output directory in this build
+     * @param {string} relativePath
+     */
+    addFile(relativePath) {
+        this.written.add(relativePath);
+    }
+
+    /**
+     * Record a page rendered in this build
+     * @param {string} pageId
+     * @param {Object} entry
+     */
+    async set(pageId, entry) {
+        const previous = this.pages[pageId];
+
+        // Slug changed - remove the old file
+        if (previous?.file && previous.file !== entry.file) {
+            await this.removeFile(previous.file);
+        }
+
+        this.pages[pageId] = entry;
+        this.seen.add(pageId);
+        this.written.add(entry.file);
+    }
+
+    /**
+     * Delete output for pages that are no longer part of the site, and
+     * generated files the last build wrote that this one didn't. Call
+     * once everything has been generated.
+     * @returns {Array<string>} - Removed files
+     */
+    async removeStale() {
+        const removed = new Set();
+
+        for (const [pageId, entry] of Object.entries(this.pages)) {
+            if (this.seen.has(pageId)) continue;
+
+            if (entry.file && !this.written.has(entry.file)) {
+                await this.removeFile(entry.file);
+                removed.add(entry.file);
+            }
+            delete this.pages[pageId];
+        }
+
+        for (const file of this.files) {
+            if (this.written.has(file) || removed.has(file)) continue;
+
+            await this.removeFile(file);
+            removed.add(file);
+        }
+
+        return [...removed];
+    }
+
+    /**
+     * Remove a file from the output directory, and its folders if now empty
+     * @param {string} relativePath
+     */
+    async removeFile(relativePath) {
+        const fullPath = path.join(this.outputDir, relativePath);
+
+        await fs.rm(fullPath, { force: true });
+
+        // Nested slugs are written as {slug}/index.html, and archives as
+        // e.g. news/2025/03/index.html
+        let dir = path.dirname(fullPath);
+        while (dir.startsWith(this.outputDir + path.sep)) {
+            try {
+                await fs.rmdir(dir);
+            } catch {
+                // Directory not empty
+                break;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+}
+
+module.exports = BuildManifest;
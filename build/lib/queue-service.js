@@ -0,0 +1,130 @@
+/**
+ * Queue Service
+ *
+ * The part every long-running build service shares (build runner, form
+ * notifier, contact router, thumbnail worker): the start-up banner,
+ * connecting to Firebase, watching a query for work, working through it
+ * one run at a time and shutting down cleanly on SIGINT or SIGTERM.
+ *
+ * Each service supplies a `run` function that works through the waiting
+ * items once. Runs never overlap: work that arrives during a run marks
+ * the queue as pending, and it is run again straight after.
+ */
+
+const FirebaseClient = require('./firebase');
+
+class QueueService {
+    /**
+     * Create a new QueueService
+     * @param {Object} options
+     * @param {string} options.name - Service name, e.g. 'Form Notifier'
+     * @param {string} options.icon - Emoji shown in the banner
+     * @param {string} options.source - What the watched query holds, for errors
+     * @param {Function} options.run - Works through the queue once; resolves
+     *   true if more may be waiting
+     * @param {Function} [options.onSnapshot] - Gets each snapshot of the watched
+     *   query and returns whether to run; by default, whenever it has documents
+     * @param {number} [options.retryInterval] - Run again this long after a
+     *   failed run, in milliseconds
+     */
+    constructor({ name, icon, source, run, onSnapshot, retryInterval = null }) {
+        this.name = name;
+        this.icon = icon;
+        this.source = source;
+        this.run = run;
+        this.onSnapshot = onSnapshot || (snapshot => !snapshot.empty);
+        this.retryInterval = retryInterval;
+
+        this.isProcessing = false;
+        this.hasPending = false;
+        this.retryTimer = null;
+    }
+
+    /**
+     * Connect to Firebase and start watching. The process exits if the
+     * service can't start or loses its connection.
+     * @param {Function} setup - Gets the service ready once Firebase is
+     *   connected; resolves the query to watch
+     */
+    async start(setup) {
+        console.log(`\n${this.icon}  Middleton Grange CMS - ${this.name}`);
+        console.log('================================================\n');
+
+        try {
+            await FirebaseClient.init();
+            const query = await setup();
+
+            query.onSnapshot(snapshot => {
+                if (this.onSnapshot(snapshot)) {
+                    this.processQueue();
+                }
+            }, error => {
+                console.error(`❌ Lost connection to ${this.source}:`, error.message);
+                process.exit(1);
+            });
+        } catch (error) {
+            console.error(`\n❌ ${this.name} failed to start:`, error.message);
+            process.exit(1);
+        }
+
+        // Shut down cleanly
+        ['SIGINT', 'SIGTERM'].forEach(signal => {
+            process.on(signal, async () => {
+                console.log(`\n👋 ${this.name} stopping...`);
+                await FirebaseClient.cleanup();
+                process.exit(0);
+            });
+        });
+    }
+
+    /**
+     * Run the queue until nothing is waiting. A call during a run is
+     * picked up by running again once it finishes.
+     */
+    async processQueue() {
+        if (this.isProcessing) {
+            this.hasPending = true;
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            do {
+                this.hasPending = false;
+
+                const more = await this.run();
+
+                // Keep going while there may be more
+                this.hasPending = this.hasPending || Boolean(more);
+            } while (this.hasPending);
+        } catch (error) {
+            console.error(`❌ ${this.name} error:`, error.message);
+            if (this.retryInterval) {
+                this.retryLater();
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        // Work that arrived while a failed run was in flight
+        if (this.hasPending) {
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Run the queue again after the retry interval, e.g. while it's held
+     * up by something the snapshot won't report
+     */
+    retryLater() {
+        if (this.retryTimer) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.processQueue();
+        }, this.retryInterval);
+    }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,210 @@
+/**
+ * Redirect Rules
+ *
+ * Turns the `redirects` collection into Firebase Hosting redirect rules
+ * and a `_redirects` file in the output directory for hosts that read one
+ * instead (Netlify, Cloudflare Pages).
+ *
+ * The tracked firebase.json is never changed. The Firebase rules go into
+ * firebase.deploy.json, a generated copy of it with the public hosting
+ * target's redirects filled in, which the deploy scripts pass to
+ * `firebase deploy --config`.
+ *
+ * A rule redirects `from`, a site path, to `to`, a site path or a full
+ * URL, with a 301 (permanent) or 302 (temporary) status. A `from` ending
+ * in `/*` is a wildcard that matches everything below it; `:splat` in
+ * `to` is replaced with the part of the path it matched:
+ *
+ *   /wp-content/uploads/*  ->  /images/:splat
+ *
+ * Exact rules are listed before wildcards, and longer wildcards before
+ * shorter ones, since hosts use the first rule that matches.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Redirect options
+const REDIRECTS = {
+    types: [301, 302],
+    defaultType: 301,
+    // Hosting target the public site is deployed to (see firebase.json)
+    hostingTarget: 'public',
+    // Fallback rules file, in the output directory
+    fileName: '_redirects'
+};
+
+class RedirectRules {
+    /**
+     * Create a new RedirectRules
+     * @param {Object} config - Build configuration
+     * @param {string} config.outputDir - Site output directory
+     * @param {string} config.firebaseConfigPath - Path to firebase.json
+     * @param {string} config.firebaseDeployConfigPath - Path to the generated deploy config
+     */
+    constructor(config) {
+        this.config = config;
+        this.rules = [];
+        this.skipped = [];
+    }
+
+    /**
+     * Work out the rules to publish from the redirects collection. Rules
+     * that can't work are skipped with a reason: a redirect from a live
+     * page would hide the page, since hosts apply redirects first.
+     * @param {Array} redirects - Redirect documents
+     * @param {Array} pages - Pages being built
+     * @returns {Array} - [{ from, to, type, wildcard }]
+     */
+    build(redirects, pages = []) {
+        const livePaths = new Set(['/', ...pages.filter(page => page.slug).map(page => `/${page.slug}`)]);
+        const rules = new Map();
+
+        this.skipped = [];
+
+        redirects.forEach(redirect => {
+            const from = this.normalizePath(redirect.from);
+            const to = this.normalizeDestination(redirect.to);
+            const skip = (reason) => this.skipped.push({ from: redirect.from || '', to: redirect.to || '', reason });
+
+            if (!from || !to) return skip('missing from or to');
+
+            const wildcard = from.endsWith('/*');
+            if (from.slice(0, -1).includes('*')) return skip('a wildcard can only end the path');
+            if (!wildcard && to === from) return skip('redirects to itself');
+            if (!wildcard && livePaths.has(from)) return skip('a published page has this address');
+            if (rules.has(from)) return skip(`another rule already redirects it to ${rules.get(from).to}`);
+
+            rules.set(from, {
+                from,
+                to,
+                type: REDIRECTS.types.includes(Number(redirect.type)) ? Number(redirect.type) : REDIRECTS.defaultType,
+                wildcard
+            });
+        });
+
+        this.rules = this.collapseChains([...rules.values()]).sort((a, b) =>
+            (a.wildcard - b.wildcard) ||
+            (a.wildcard ? b.from.length - a.from.length : a.from.localeCompare(b.from))
+        );
+
+        return this.rules;
+    }
+
+    /**
+     * Point exact rules straight at the end of a chain (/a -> /b -> /c
+     * becomes /a -> /c), so visitors aren't bounced more than once. A
+     * chain that loops back on itself is dropped.
+     * @param {Array} rules
+     * @returns {Array}
+     */
+    collapseChains(rules) {
+        const exact = new Map(rules.filter(rule => !rule.wildcard).map(rule => [rule.from, rule]));
+
+        return rules.filter(rule => {
+            if (rule.wildcard) return true;
+
+            const seen = new Set([rule.from]);
+            let { to, type } = rule;
+            let next = exact.get(to);
+
+            while (next) {
+                if (seen.has(next.from)) {
+                    this.skipped.push({ from: rule.from, to: rule.to, reason: 'redirect loop' });
+                    return false;
+                }
+                seen.add(next.from);
+                to = next.to;
+                // Any temporary step keeps the whole chain temporary
+                if (next.type === 302) type = 302;
+                next = exact.get(to);
+            }
+
+            Object.assign(rule, { to, type });
+            return true;
+        });
+    }
+
+    /**
+     * Normalize a site path: leading slash, no trailing slash, no query
+     * @param {string} value
+     * @returns {string}
+     */
+    normalizePath(value) {
+        let pathname = String(value || '').trim();
+        if (!pathname) return '';
+
+        // Paths pasted as full URLs from the old site
+        if (/^https?:\/\//i.test(pathname)) {
+            try {
+                pathname = new URL(pathname).pathname;
+            } catch {
+                return '';
+            }
+        }
+
+        pathname = pathname.split(/[?#]/)[0];
+        if (!pathname.startsWith('/')) pathname = `/${pathname}`;
+
+        return pathname.replace(/\/{2,}/g, '/').replace(/(.)\/+$/, '$1');
+    }
+
+    /**
+     * Normalize a destination: full URLs are kept as they are, site paths
+     * are normalized like sources but keep their query and hash
+     * @param {string} value
+     * @returns {string}
+     */
+    normalizeDestination(value) {
+        const destination = String(value || '').trim();
+        if (!destination || /^https?:\/\//i.test(destination)) return destination;
+
+        const [, pathname, rest] = destination.match(/^([^?#]*)(.*)$/);
+        return (this.normalizePath(pathname) || '/') + rest;
+    }
+
+    /**
+     * Get the rules as Firebase Hosting redirects. Wildcards become a
+     * `:splat*` segment capture.
+     * @returns {Array}
+     */
+    toFirebase() {
+        return this.rules.map(rule => ({
+            source: rule.wildcard ? `${rule.from.slice(0, -2)}/:splat*` : rule.from,
+            destination: rule.to,
+            type: rule.type
+        }));
+    }
+
+    /**
+     * Get the rules in `_redirects` file format
+     * @returns {string}
+     */
+    toRedirectsFile() {
+        return this.rules.map(rule => `${rule.from} ${rule.to} ${rule.type}`).join('\n') + '\n';
+    }
+
+    /**
+     * Write the `_redirects` file and the generated deploy config, a copy
+     * of firebase.json with the rules in the public hosting target
+     * @returns {Promise<Object>} - { hostingFound }
+     */
+    async write() {
+        await fs.writeFile(path.join(this.config.outputDir, REDIRECTS.fileName), this.toRedirectsFile(), 'utf8');
+
+        const firebaseConfig = JSON.parse(await fs.readFile(this.config.firebaseConfigPath, 'utf8'));
+        const hosting = [].concat(firebaseConfig.hosting || [])
+            .find(site => site.target === REDIRECTS.hostingTarget);
+
+        if (hosting) {
+            hosting.redirects = this.toFirebase();
+        }
+
+        // Written even without a public target, so deploys never use a stale copy
+        await fs.writeFile(this.config.firebaseDeployConfigPath, JSON.stringify(firebaseConfig, null, 2) + '\n', 'utf8');
+
+        return { hostingFound: Boolean(hosting) };
+    }
+}
+
+module.exports = RedirectRules;
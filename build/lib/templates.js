@@ -8,11 +8,14 @@ const Handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 const { marked } = require('marked');
+const crypto = require('crypto');
 
 class TemplateEngine {
     constructor() {
         this.templates = {};
+        this.sources = {};
         this.partials = {};
+        this.compiledPartials = {};
         this.initialized = false;
     }
 
@@ -172,6 +175,24 @@ class TemplateEngine {
             return `https://img.youtube.com/vi/${videoId}/${quality}.jpg`;
         });
 
+        // Active sponsors in a tier (all tiers if none given), for the
+        // sponsor-strip partial: {{> sponsor-strip tier="gold"}}
+        Handlebars.registerHelper('sponsorsInTier', (tier, options) => {
+            if (!options) {
+                options = tier;
+                tier = null;
+            }
+            const sponsors = options.data?.root?.sponsors || [];
+            return tier ? sponsors.filter(sponsor => sponsor.tier === tier) : sponsors;
+        });
+
+        // Embed a form built in the CMS: {{form "alumni-registration"}}
+        Handlebars.registerHelper('form', (formId, options) => {
+            const form = (options.data?.root?.forms || []).find(f => f.id === formId);
+            if (!form) return '';
+            return new Handlebars.SafeString(this.renderPartial('form', form));
+        });
+
         // Current page check for navigation
         Handlebars.registerHelper('isCurrentPage', (pageSlug, currentSlug) => {
             return pageSlug === currentSlug;
@@ -203,6 +224,7 @@ class TemplateEngine {
                         this.partials[partialName] = content;
                     } else {
                         this.templates[name] = Handlebars.compile(content);
+                        this.sources[name] = content;
                     }
                 }
             }
@@ -235,6 +257,24 @@ class TemplateEngine {
         return template(data);
     }
 
+    /**
+     * Render a partial on its own
+     * @param {string} partialName - Name of the partial, without the leading _
+     * @param {Object} data - Data to pass to the partial
+     * @returns {string} - Rendered HTML
+     */
+    renderPartial(partialName, data) {
+        if (!(partialName in this.partials)) {
+            throw new Error(`Partial not found: ${partialName}`);
+        }
+
+        if (!this.compiledPartials[partialName]) {
+            this.compiledPartials[partialName] = Handlebars.compile(this.partials[partialName]);
+        }
+
+        return this.compiledPartials[partialName](data);
+    }
+
     /**
      * Render the base template with content injected
      * @param {string} contentTemplateName - Name of the content template
@@ -255,6 +295,26 @@ class TemplateEngine {
         return this.render('base', pageData);
     }
 
+    /**
+     * Hash everything a page rendered with this template depends on:
+     * the template itself, the base layout and all partials
+     * @param {string} templateName
+     * @returns {string}
+     */
+    getTemplateHash(templateName) {
+        const hash = crypto.createHash('sha256');
+
+        hash.update(this.sources[templateName] || '');
+        hash.update(this.sources.base || '');
+
+        Object.keys(this.partials).sort().forEach(name => {
+            hash.update(name);
+            hash.update(this.partials[name]);
+        });
+
+        return hash.digest('hex');
+    }
+
     /**
      * Check if a template exists
      * @param {string} templateName
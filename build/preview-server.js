@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Preview Server
+ *
+ * Renders draft previews through the same TemplateEngine and PageGenerator
+ * code the static build uses. The page editor stores a snapshot of the
+ * current (possibly unsaved) editor state in `previewTokens/{token}`; this
+ * server renders that snapshot at /preview/{token} until the token expires,
+ * so reviewers can open the link without a CMS login.
+ *
+ * /accessibility/{token} returns the accessibility issues in the same
+ * rendered snapshot as JSON, which the editor checks before publishing.
+ *
+ * Usage:
+ *   npm run preview
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ *   PREVIEW_PORT - Port to listen on (default 5050)
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+
+const FirebaseClient = require('./lib/firebase');
+const TemplateEngine = require('./lib/templates');
+const PageGenerator = require('./lib/generators');
+const AccessibilityChecker = require('./lib/accessibility');
+const { CONFIG, loadSiteSettings, loadAllData } = require('./generate-site');
+
+// Preview server configuration
+const PREVIEW = {
+    port: parseInt(process.env.PREVIEW_PORT, 10) || 5050,
+    collection: 'previewTokens',
+
+    // Reuse loaded site data briefly so reloading a preview stays fast
+    cacheTtl: 30 * 1000
+};
+
+// Content types for static assets served from public/
+const MIME_TYPES = {
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+let siteCache = null;
+
+/**
+ * Start the preview server
+ */
+async function start() {
+    console.log('\n👁️  Middleton Grange CMS - Preview Server');
+    console.log('================================================\n');
+
+    await FirebaseClient.init();
+    CONFIG.firebaseProjectId = FirebaseClient.getProjectId();
+    await TemplateEngine.init(CONFIG.templatesDir);
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error('❌ Preview error:', error.message);
+            sendMessage(res, 500, 'Preview failed', 'Something went wrong while rendering this preview.');
+        });
+    });
+
+    server.listen(PREVIEW.port, () => {
+        console.log(`✅ Serving previews at http://localhost:${PREVIEW.port}/preview/{token}\n`);
+    });
+
+    // Shut down cleanly
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, async () => {
+            console.log('\n👋 Preview server stopping...');
+            server.close();
+            await FirebaseClient.cleanup();
+            process.exit(0);
+        });
+    });
+}
+
+/**
+ * Route an incoming request
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendMessage(res, 405, 'Method not allowed', 'Previews are read-only.');
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const match = url.pathname.match(/^\/(preview|accessibility)\/([A-Za-z0-9]+)\/?$/);
+
+    if (match) {
+        return match[1] === 'preview'
+            ? renderPreview(match[2], res)
+            : checkAccessibility(match[2], res);
+    }
+
+    return serveAsset(url.pathname, res);
+}
+
+/**
+ * Render the page snapshot stored for a preview token
+ * @param {string} token
+ * @param {http.ServerResponse} res
+ */
+async function renderPreview(token, res) {
+    const preview = await getPreview(token);
+
+    if (!preview) {
+        return sendMessage(res, 404, 'Preview not found', 'This preview link is not valid.');
+    }
+
+    if (preview.expired) {
+        return sendMessage(res, 410, 'Preview expired', 'This preview link has expired. Ask the editor for a new one.');
+    }
+
+    const { html } = await renderSnapshot(preview, token);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        // Keep drafts out of search engines
+        'X-Robots-Tag': 'noindex, nofollow'
+    });
+    res.end(html);
+}
+
+/**
+ * Check the page snapshot stored for a preview token for accessibility
+ * issues. Responds with JSON: { issues: [{ rule, message, snippet }] }
+ * @param {string} token
+ * @param {http.ServerResponse} res
+ */
+async function checkAccessibility(token, res) {
+    const preview = await getPreview(token);
+
+    if (!preview || preview.expired) {
+        return sendJson(res, 404, { error: 'Preview not found or expired' });
+    }
+
+    const { html, page, siteSettings } = await renderSnapshot(preview, token);
+    const issues = new AccessibilityChecker(CONFIG, siteSettings).checkPage(html, page);
+
+    sendJson(res, 200, { issues });
+}
+
+/**
+ * Get a preview token's document, flagged if it has expired
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function getPreview(token) {
+    const preview = await FirebaseClient.getDocument(PREVIEW.collection, token);
+    if (!preview) return null;
+
+    const expiresAt = preview.expiresAt?.toDate?.();
+    return { ...preview, expired: !expiresAt || expiresAt <= new Date() };
+}
+
+/**
+ * Render a preview's page snapshot as the build would
+ * @param {Object} preview
+ * @param {string} token
+ * @returns {Promise<Object>} - { html, page, siteSettings }
+ */
+async function renderSnapshot(preview, token) {
+    const { siteSettings, data } = await getSiteData();
+    const page = {
+        ...preview.page,
+        id: preview.pageId || `preview-${token}`,
+        slug: preview.page?.slug || 'preview'
+    };
+
+    const generator = new PageGenerator(TemplateEngine, CONFIG, siteSettings);
+    const html = generator.renderContentPage(page, withPreviewPage(data, page));
+
+    return { html, page, siteSettings };
+}
+
+/**
+ * Load site settings and content, cached briefly
+ * @returns {Object}
+ */
+async function getSiteData() {
+    if (siteCache && Date.now() - siteCache.loadedAt < PREVIEW.cacheTtl) {
+        return siteCache;
+    }
+
+    const [siteSettings, data] = await Promise.all([
+        loadSiteSettings(),
+        loadAllData()
+    ]);
+
+    siteCache = { siteSettings, data, loadedAt: Date.now() };
+    return siteCache;
+}
+
+/**
+ * Replace the saved version of the previewed page with the snapshot,
+ * so navigation, breadcrumbs and sidebar reflect unsaved titles
+ * @param {Object} data
+ * @param {Object} page
+ * @returns {Object}
+ */
+function withPreviewPage(data, page) {
+    const replace = (pages) => pages.map(p => (p.id === page.id ? page : p));
+
+    const pagesBySection = {};
+    Object.entries(data.pagesBySection).forEach(([sectionId, pages]) => {
+        pagesBySection[sectionId] = replace(pages);
+    });
+
+    return {
+        ...data,
+        pages: replace(data.pages),
+        pagesBySection
+    };
+}
+
+/**
+ * Serve a static asset from public/ so previews are styled like the live site
+ * @param {string} pathname
+ * @param {http.ServerResponse} res
+ */
+async function serveAsset(pathname, res) {
+    const filePath = path.join(CONFIG.publicDir, path.normalize(decodeURIComponent(pathname)));
+
+    // Never serve files outside public/
+    if (!filePath.startsWith(CONFIG.publicDir + path.sep)) {
+        return sendMessage(res, 404, 'Not found', 'This file does not exist.');
+    }
+
+    try {
+        const content = await fs.readFile(filePath);
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        res.end(content);
+    } catch {
+        sendMessage(res, 404, 'Not found', 'This file does not exist.');
+    }
+}
+
+/**
+ * Send a JSON response the admin can read from another origin. Tokens
+ * are unguessable, so the response needs no further protection.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a simple HTML message page
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} title
+ * @param {string} message
+ */
+function sendMessage(res, status, title, message) {
+    res.writeHead(status, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 4rem; color: #1e3a5f;">
+    <h1>${title}</h1>
+    <p>${message}</p>
+</body>
+</html>`);
+}
+
+start().catch(error => {
+    console.error('\n❌ Preview server failed to start:', error.message);
+    process.exit(1);
+});
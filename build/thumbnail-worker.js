@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Middleton Grange CMS - Thumbnail Worker
+ *
+ * Long-running service that makes small and medium thumbnails of every
+ * image in the media library, so the admin grid and image picker don't
+ * load full-size originals. Thumbnails are written to `thumbnails/` in
+ * Firebase Storage and recorded on the media document:
+ *
+ *   thumbnails: {
+ *     small:  { url, path, width, height },
+ *     medium: { url, path, width, height }
+ *   }
+ *
+ * Images already in the library are caught up when the worker starts.
+ * SVGs are left alone. An image that can't be processed gets a
+ * `thumbnailError` instead; delete the field to try it again.
+ *
+ * Usage:
+ *   npm run media:thumbnails
+ *
+ * Environment Variables:
+ *   GOOGLE_APPLICATION_CREDENTIALS - Path to Firebase service account JSON
+ *   FIREBASE_PROJECT_ID - Firebase project ID (optional if in service account)
+ *   FIREBASE_STORAGE_BUCKET - Storage bucket (default: <project-id>.firebasestorage.app)
+ *   FIRESTORE_EMULATOR_HOST - Run against the local emulator (e.g. localhost:8080)
+ *   FIREBASE_STORAGE_EMULATOR_HOST - Storage emulator, with the above (e.g. localhost:9199)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const sharp = require('sharp');
+
+const FirebaseClient = require('./lib/firebase');
+const QueueService = require('./lib/queue-service');
+
+// Configuration
+const CONFIG = {
+    collection: 'media',
+    storagePath: 'thumbnails',
+    // Each size covers a square of this many pixels, for the grids' cropped tiles
+    sizes: {
+        small: 240,
+        medium: 640
+    },
+    quality: 75,
+    // Vector images are already small and scale themselves
+    skipTypes: ['image/svg+xml']
+};
+
+// Worker state
+let bucket = null;
+const queue = new Map();
+
+// Firestore can't query for a missing field, so the worker watches every
+// image and picks out the ones without thumbnails
+const service = new QueueService({
+    name: 'Thumbnail Worker',
+    icon: '🖼️',
+    source: 'the media library',
+    run: createQueued,
+    onSnapshot: snapshot => {
+        snapshot.docChanges().forEach(change => {
+            if (change.type !== 'removed' && needsThumbnails(change.doc.data())) {
+                queue.set(change.doc.id, change.doc);
+            }
+        });
+
+        return queue.size > 0;
+    }
+});
+
+/**
+ * Check whether a media item still needs thumbnails
+ * @param {Object} media
+ * @returns {boolean}
+ */
+function needsThumbnails(media) {
+    return !media.thumbnails &&
+        !media.thumbnailError &&
+        !CONFIG.skipTypes.includes(media.mimeType) &&
+        Boolean(media.storagePath || media.url);
+}
+
+/**
+ * Make thumbnails for queued images, one at a time
+ */
+async function createQueued() {
+    while (queue.size > 0) {
+        const [id, doc] = queue.entries().next().value;
+        queue.delete(id);
+
+        await createThumbnails(doc);
+    }
+}
+
+/**
+ * Make and upload the thumbnails for one image and record them on its
+ * media document. Failures are recorded rather than retried, so a broken
+ * file can't cause a loop.
+ * @param {Object} doc - Media document snapshot
+ */
+async function createThumbnails(doc) {
+    const media = doc.data();
+
+    try {
+        const original = await readOriginal(media);
+        const metadata = await sharp(original).metadata();
+        const thumbnails = {};
+
+        for (const [size, pixels] of Object.entries(CONFIG.sizes)) {
+            const { data, info } = await sharp(original)
+                .rotate()
+                .resize({ width: pixels, height: pixels, fit: 'outside', withoutEnlargement: true })
+                .webp({ quality: CONFIG.quality })
+                .toBuffer({ resolveWithObject: true });
+
+            const filePath = `${CONFIG.storagePath}/${doc.id}-${size}.webp`;
+            const url = await upload(filePath, data, media.storagePath);
+
+            thumbnails[size] = { url, path: filePath, width: info.width, height: info.height };
+        }
+
+        // EXIF orientations 5-8 are rotated a quarter turn
+        const rotated = (metadata.orientation || 1) >= 5;
+
+        await doc.ref.update({
+            thumbnails,
+            thumbnailsAt: admin.firestore.FieldValue.serverTimestamp(),
+            // Migrated images were added without their dimensions
+            ...(media.dimensions ? {} : {
+                dimensions: {
+                    width: rotated ? metadata.height : metadata.width,
+                    height: rotated ? metadata.width : metadata.height
+                }
+            })
+        });
+
+        console.log(`   ✓ ${media.filename || doc.id}`);
+    } catch (error) {
+        await doc.ref.update({ thumbnailError: error.message });
+
+        console.error(`   ✗ ${media.filename || doc.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Read an image's original from Storage, or from its URL if it was added
+ * without a storage path
+ * @param {Object} media
+ * @returns {Promise<Buffer>}
+ */
+async function readOriginal(media) {
+    if (media.storagePath) {
+        const [contents] = await bucket.file(media.storagePath).download();
+        return contents;
+    }
+
+    const response = await fetch(media.url);
+    if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Upload a thumbnail with a download token, as the Firebase SDK does, and
+ * get its download URL
+ * @param {string} filePath
+ * @param {Buffer} data
+ * @param {string} source - Storage path of the original
+ * @returns {Promise<string>}
+ */
+async function upload(filePath, data, source) {
+    const token = crypto.randomUUID();
+
+    await bucket.file(filePath).save(data, {
+        resumable: false,
+        metadata: {
+            contentType: 'image/webp',
+            cacheControl: 'public, max-age=31536000',
+            metadata: {
+                firebaseStorageDownloadTokens: token,
+                source: source || ''
+            }
+        }
+    });
+
+    return getDownloadUrl(filePath, token);
+}
+
+/**
+ * Build a Firebase Storage download URL, pointing at the emulator when
+ * one is in use
+ * @param {string} filePath
+ * @param {string} token
+ * @returns {string}
+ */
+function getDownloadUrl(filePath, token) {
+    const emulator = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+    const host = emulator
+        ? (/^https?:\/\//.test(emulator) ? emulator : `http://${emulator}`)
+        : 'https://firebasestorage.googleapis.com';
+
+    return `${host}/v0/b/${bucket.name}/o/${encodeURIComponent(filePath)}?alt=media&token=${token}`;
+}
+
+service.start(async () => {
+    bucket = FirebaseClient.getBucket();
+
+    console.log(`🪣 Writing thumbnails to ${bucket.name}/${CONFIG.storagePath}`);
+    console.log(`👀 Watching ${CONFIG.collection} for new images\n`);
+
+    return FirebaseClient.db.collection(CONFIG.collection).where('type', '==', 'image');
+});
@@ -106,6 +106,8 @@ class WordPressParser {
             id: this.getValue(item, 'wp:post_id'),
             title: item.title || '',
             slug: this.getValue(item, 'wp:post_name') || this.slugify(item.title || ''),
+            // Permalink on the old site, for redirects to the new address
+            link: item.link || '',
             content: item['content:encoded'] || '',
             excerpt: item['excerpt:encoded'] || '',
             status: this.mapStatus(this.getValue(item, 'wp:status')),
@@ -285,6 +285,10 @@ async function migrate(options) {
 
     console.log(`\n  Prepared ${pages.length} pages in ${menuSections.length} menu sections`);
 
+    // Redirect old permalinks and uploads to their new addresses
+    const redirects = buildRedirects(wpData, mediaMigrator);
+    console.log(`  Prepared ${redirects.length} redirects from old addresses`);
+
     // Generate migration report
     console.log('\n[4/5] Generating migration report...');
     const report = {
@@ -294,10 +298,12 @@ async function migrate(options) {
             pages: pages.length,
             posts: wpData.posts.length,
             attachments: wpData.attachments.length,
-            menuSections: menuSections.length
+            menuSections: menuSections.length,
+            redirects: redirects.length
         },
         pages: pages.map(p => ({ title: p.title, slug: p.slug, status: p.status })),
         menuSections: menuSections,
+        redirects: redirects.map(r => ({ from: r.from, to: r.to })),
         mediaStats: mediaMigrator?.getStats() || null
     };
 
@@ -366,6 +372,27 @@ async function migrate(options) {
 
         console.log(`  Created ${pageCount} pages`);
 
+        // Write redirects in batches
+        currentBatch = db.batch();
+        currentBatchCount = 0;
+
+        for (const redirect of redirects) {
+            currentBatch.set(db.collection('redirects').doc(), redirect);
+            currentBatchCount++;
+
+            if (currentBatchCount >= maxBatchSize) {
+                await currentBatch.commit();
+                currentBatch = db.batch();
+                currentBatchCount = 0;
+            }
+        }
+
+        if (currentBatchCount > 0) {
+            await currentBatch.commit();
+        }
+
+        console.log(`  Created ${redirects.length} redirects`);
+
         // Write media metadata if uploaded
         if (options.uploadMedia && mediaMigrator) {
             console.log('  Saving media metadata...');
@@ -415,6 +442,7 @@ async function migrate(options) {
     console.log(`\nSummary:`);
     console.log(`  Pages migrated: ${pages.length}`);
     console.log(`  Menu sections: ${menuSections.length}`);
+    console.log(`  Redirects: ${redirects.length}`);
     if (mediaMigrator) {
         const stats = mediaMigrator.getStats();
         console.log(`  Media downloaded: ${stats.downloaded}`);
@@ -428,6 +456,63 @@ async function migrate(options) {
     }
 }
 
+/**
+ * Build redirects from the old site's permalinks to the new page
+ * addresses, and from migrated uploads to their new URLs. Addresses that
+ * only lose a trailing slash are left out; hosting strips it anyway.
+ * @param {Object} wpData - Parsed WordPress export
+ * @param {MediaMigrator|null} mediaMigrator
+ * @returns {Array}
+ */
+function buildRedirects(wpData, mediaMigrator) {
+    const redirects = new Map();
+    const now = admin.firestore?.Timestamp?.now?.() || new Date();
+
+    const add = (url, to, note) => {
+        const from = getUrlPath(url);
+        if (!from || from === '/' || !to || from === to || redirects.has(from)) return;
+
+        redirects.set(from, {
+            from,
+            to,
+            type: 301,
+            source: 'migration',
+            note,
+            createdAt: now,
+            updatedAt: now,
+            createdBy: 'migration'
+        });
+    };
+
+    // Only published items had public permalinks
+    [...wpData.pages, ...wpData.posts]
+        .filter(item => item.status === 'published' && item.link)
+        .forEach(item => add(item.link, `/${item.slug}`, `WordPress permalink for "${item.title}"`));
+
+    if (mediaMigrator) {
+        wpData.attachments.forEach(attachment => {
+            add(attachment.url, mediaMigrator.getNewUrl(attachment.url), `WordPress upload ${attachment.filename}`);
+        });
+    }
+
+    return [...redirects.values()];
+}
+
+/**
+ * Get the path of an old site URL, without a trailing slash. Query
+ * string permalinks (?p=123) can't be redirected by hosting and give '/'.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getUrlPath(url) {
+    try {
+        const pathname = decodeURI(new URL(url, 'https://example.invalid').pathname);
+        return pathname.replace(/\/+$/, '') || '/';
+    } catch {
+        return null;
+    }
+}
+
 // Helper function
 function slugify(text) {
     return text
@@ -223,6 +223,170 @@
     };
 
 
+    // ============================================
+    // Photo Lightbox
+    // ============================================
+    const Lightbox = {
+        groups: {},
+        modal: null,
+        image: null,
+        caption: null,
+        counter: null,
+        current: null,
+        index: 0,
+        lastFocus: null,
+
+        init() {
+            // Links sharing a data-lightbox value are viewed as one album
+            document.querySelectorAll('a[data-lightbox]').forEach(link => {
+                const group = link.dataset.lightbox;
+                if (!this.groups[group]) this.groups[group] = [];
+                this.groups[group].push(link);
+
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.open(group, this.groups[group].indexOf(link));
+                });
+            });
+
+            if (Object.keys(this.groups).length === 0) return;
+
+            // Album covers open their album at the cover image
+            document.querySelectorAll('[data-lightbox-open]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.open(button.dataset.lightboxOpen, parseInt(button.dataset.index, 10) || 0);
+                });
+            });
+
+            this.createModal();
+            document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        },
+
+        createModal() {
+            this.modal = document.createElement('div');
+            this.modal.className = 'lightbox';
+            this.modal.setAttribute('role', 'dialog');
+            this.modal.setAttribute('aria-modal', 'true');
+            this.modal.setAttribute('aria-label', 'Photo viewer');
+            this.modal.innerHTML = `
+                <button type="button" class="lightbox-close" aria-label="Close">
+                    <i data-feather="x"></i>
+                </button>
+                <button type="button" class="lightbox-prev" aria-label="Previous photo">
+                    <i data-feather="chevron-left"></i>
+                </button>
+                <figure class="lightbox-figure">
+                    <img class="lightbox-image" alt="">
+                    <figcaption class="lightbox-caption"></figcaption>
+                </figure>
+                <button type="button" class="lightbox-next" aria-label="Next photo">
+                    <i data-feather="chevron-right"></i>
+                </button>
+                <span class="lightbox-counter" aria-live="polite"></span>
+            `;
+            document.body.appendChild(this.modal);
+
+            this.image = this.modal.querySelector('.lightbox-image');
+            this.caption = this.modal.querySelector('.lightbox-caption');
+            this.counter = this.modal.querySelector('.lightbox-counter');
+
+            this.modal.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+            this.modal.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+            this.modal.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+
+            // Close when clicking the backdrop
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal || e.target.classList.contains('lightbox-figure')) {
+                    this.close();
+                }
+            });
+        },
+
+        open(group, index) {
+            const items = this.groups[group];
+            if (!items || items.length === 0) return;
+
+            this.current = group;
+            this.lastFocus = document.activeElement;
+            this.modal.classList.toggle('single', items.length === 1);
+            this.modal.classList.add('active');
+            document.body.style.overflow = 'hidden';
+
+            this.show(index);
+            this.modal.querySelector('.lightbox-close').focus();
+        },
+
+        show(index) {
+            const items = this.groups[this.current];
+            this.index = (index + items.length) % items.length;
+
+            const link = items[this.index];
+            this.image.src = link.href;
+            this.image.alt = link.dataset.alt || '';
+            this.caption.textContent = link.dataset.caption || '';
+            this.caption.hidden = !link.dataset.caption;
+            this.counter.textContent = `${this.index + 1} / ${items.length}`;
+
+            // Preload the neighbouring photos so arrowing through is instant
+            [this.index - 1, this.index + 1].forEach(i => {
+                new Image().src = items[(i + items.length) % items.length].href;
+            });
+        },
+
+        close() {
+            if (!this.current) return;
+
+            this.modal.classList.remove('active');
+            this.image.removeAttribute('src');
+            document.body.style.overflow = '';
+            this.current = null;
+
+            if (this.lastFocus) this.lastFocus.focus();
+        },
+
+        handleKeydown(e) {
+            if (!this.current) return;
+
+            switch (e.key) {
+                case 'Escape':
+                    this.close();
+                    break;
+                case 'ArrowLeft':
+                    this.show(this.index - 1);
+                    break;
+                case 'ArrowRight':
+                    this.show(this.index + 1);
+                    break;
+                case 'Home':
+                    this.show(0);
+                    break;
+                case 'End':
+                    this.show(this.groups[this.current].length - 1);
+                    break;
+                case 'Tab': {
+                    // Keep focus inside the viewer
+                    const buttons = [...this.modal.querySelectorAll('button')].filter(b => b.offsetParent !== null);
+                    const first = buttons[0];
+                    const last = buttons[buttons.length - 1];
+
+                    if (e.shiftKey && document.activeElement === first) {
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        first.focus();
+                    } else {
+                        return;
+                    }
+                    break;
+                }
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+        }
+    };
+
+
     // ============================================
     // Scroll Animations
     // ============================================
@@ -265,6 +429,11 @@
                     field.addEventListener('blur', () => this.validateField(field));
                     field.addEventListener('input', () => this.clearError(field));
                 });
+
+                // Radio and checkbox groups that need at least one option
+                form.querySelectorAll('fieldset[data-required]').forEach(group => {
+                    group.addEventListener('change', () => this.clearError(group, group));
+                });
             });
         },
 
@@ -275,11 +444,35 @@
                     isValid = false;
                 }
             });
+            form.querySelectorAll('fieldset[data-required]').forEach(group => {
+                if (!this.validateGroup(group)) {
+                    isValid = false;
+                }
+            });
             return isValid;
         },
 
+        validateGroup(group) {
+            // Hidden conditional groups are disabled and skipped
+            if (group.disabled || group.querySelector('input:checked')) {
+                this.clearError(group, group);
+                return true;
+            }
+
+            this.showError(group, 'Please choose an option', group);
+            return false;
+        },
+
         validateField(field) {
-            const value = field.value.trim();
+            // Hidden conditional fields are disabled and skipped
+            if (field.disabled) {
+                this.clearError(field);
+                return true;
+            }
+
+            const value = field.type === 'checkbox'
+                ? (field.checked ? field.value : '')
+                : field.value.trim();
             let isValid = true;
             let errorMessage = '';
 
@@ -317,22 +510,22 @@
             return isValid;
         },
 
-        showError(field, message) {
+        showError(field, message, container = field.parentElement) {
             field.classList.add('error');
 
-            let errorEl = field.parentElement.querySelector('.field-error');
+            let errorEl = container.querySelector('.field-error');
             if (!errorEl) {
                 errorEl = document.createElement('span');
                 errorEl.className = 'field-error';
                 errorEl.style.cssText = 'color: #ef4444; font-size: 0.75rem; margin-top: 0.25rem; display: block;';
-                field.parentElement.appendChild(errorEl);
+                container.appendChild(errorEl);
             }
             errorEl.textContent = message;
         },
 
-        clearError(field) {
+        clearError(field, container = field.parentElement) {
             field.classList.remove('error');
-            const errorEl = field.parentElement.querySelector('.field-error');
+            const errorEl = container.querySelector('.field-error');
             if (errorEl) {
                 errorEl.remove();
             }
@@ -340,6 +533,604 @@
     };
 
 
+    // ============================================
+    // Conditional Form Fields
+    // ============================================
+    const ConditionalFields = {
+        init() {
+            document.querySelectorAll('form[data-form-id]').forEach(form => {
+                const groups = form.querySelectorAll('[data-show-if]');
+                if (groups.length === 0) return;
+
+                const update = () => groups.forEach(group => this.toggle(form, group));
+                form.addEventListener('change', update);
+                form.addEventListener('input', update);
+                update();
+            });
+        },
+
+        // Current values of a field; radio and checkbox groups give the ticked options
+        getValues(form, name) {
+            return Array.from(form.elements)
+                .filter(el => el.name === name && !el.disabled)
+                .filter(el => (el.type !== 'radio' && el.type !== 'checkbox') || el.checked)
+                .map(el => el.value.trim());
+        },
+
+        // Show a field when the field it depends on has the expected value
+        // (or any value if none is set). Hidden fields are disabled so they
+        // are neither validated nor submitted.
+        toggle(form, group) {
+            const values = this.getValues(form, group.dataset.showIf);
+            const expected = group.dataset.showValue;
+            const visible = expected ? values.includes(expected) : values.some(Boolean);
+
+            group.hidden = !visible;
+            if (group.tagName === 'FIELDSET') {
+                group.disabled = !visible;
+            } else {
+                group.querySelectorAll('input, select, textarea').forEach(field => {
+                    field.disabled = !visible;
+                });
+            }
+        }
+    };
+
+
+    // ============================================
+    // Form Submission
+    // ============================================
+    const FormSubmission = {
+        init() {
+            document.querySelectorAll('form[data-form-id], form[data-staff-contact]').forEach(form => {
+                form.addEventListener('submit', (e) => {
+                    // FormValidation has already blocked invalid forms
+                    if (e.defaultPrevented) return;
+
+                    e.preventDefault();
+                    this.submit(form);
+                });
+            });
+        },
+
+        async submit(form) {
+            const button = form.querySelector('[type="submit"]');
+            const status = form.querySelector('.form-status');
+
+            if (!form.dataset.endpoint) {
+                this.showStatus(status, 'This form is not available at the moment. Please try again later.');
+                return;
+            }
+
+            button.disabled = true;
+            status.hidden = true;
+
+            try {
+                const response = await fetch(form.dataset.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(this.buildCommit(form, this.getData(form)))
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Submission failed with status ${response.status}`);
+                }
+
+                const success = form.parentElement.querySelector('.form-success');
+                form.reset();
+                form.hidden = true;
+                if (success) {
+                    success.hidden = false;
+                    success.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            } catch (error) {
+                console.error('Form submission error:', error);
+                this.showStatus(status, 'Sorry, your form could not be sent. Please try again.');
+            } finally {
+                button.disabled = false;
+            }
+        },
+
+        showStatus(status, message) {
+            if (!status) return;
+            status.textContent = message;
+            status.hidden = false;
+        },
+
+        // Collect answers by field name; ticked checkboxes are joined with commas
+        getData(form) {
+            const data = {};
+
+            Array.from(form.elements).forEach(el => {
+                if (!el.name || el.disabled) return;
+                if ((el.type === 'radio' || el.type === 'checkbox') && !el.checked) return;
+
+                const value = el.value.trim();
+                data[el.name] = el.type === 'checkbox' && data[el.name]
+                    ? `${data[el.name]}, ${value}`
+                    : value;
+            });
+
+            return data;
+        },
+
+        // Firestore REST commit creating the submission. The server sets
+        // submittedAt, which the security rules check against request.time.
+        buildCommit(form, data) {
+            return {
+                writes: [{
+                    update: {
+                        name: `${form.dataset.collection}/${this.generateId()}`,
+                        fields: 'staffContact' in form.dataset
+                            ? this.buildStaffMessage(data)
+                            : this.buildFormSubmission(form, data)
+                    },
+                    currentDocument: { exists: false },
+                    updateTransforms: [
+                        { fieldPath: 'submittedAt', setToServerValue: 'REQUEST_TIME' }
+                    ]
+                }]
+            };
+        },
+
+        // Answers to a form built in the CMS, for the submissions inbox
+        buildFormSubmission(form, data) {
+            const fields = {};
+            Object.entries(data).forEach(([name, value]) => {
+                fields[name] = { stringValue: value };
+            });
+
+            return {
+                formId: { stringValue: form.dataset.formId },
+                formTitle: { stringValue: form.dataset.formTitle || '' },
+                data: { mapValue: { fields } },
+                pageUrl: { stringValue: window.location.href },
+                status: { stringValue: 'new' },
+                notified: { booleanValue: false }
+            };
+        },
+
+        // Message to a staff member, delivered by the contact router. The
+        // page it was sent from is the one that linked to the form.
+        buildStaffMessage(data) {
+            const fields = {};
+            ['staffId', 'name', 'email', 'phone', 'subject', 'message'].forEach(name => {
+                fields[name] = { stringValue: data[name] || '' };
+            });
+
+            return {
+                ...fields,
+                pageUrl: { stringValue: document.referrer || window.location.href },
+                status: { stringValue: 'pending' }
+            };
+        },
+
+        // Random 20 character document ID, like Firestore's own
+        generateId() {
+            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+            const bytes = crypto.getRandomValues(new Uint8Array(20));
+            return Array.from(bytes, byte => chars[byte % chars.length]).join('');
+        }
+    };
+
+
+    // ============================================
+    // Site Search
+    // ============================================
+    const SiteSearch = {
+        indexUrl: '/search-index.json',
+        index: null,
+        loading: null,
+        maxSuggestions: 6,
+
+        // How much a match counts in each part of a page
+        weights: { title: 10, headings: 5, section: 3, body: 1 },
+
+        // Results page state
+        query: '',
+        results: [],
+        section: '',
+
+        init() {
+            document.querySelectorAll('form[data-site-search]').forEach(form => this.initSuggestions(form));
+
+            if (document.getElementById('search-results')) {
+                this.initResultsPage();
+            }
+        },
+
+        // Fetch the index once, the first time it is needed
+        load() {
+            if (!this.loading) {
+                this.loading = fetch(this.indexUrl)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Search index request failed with status ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .then(data => this.prepare(data))
+                    .catch(error => {
+                        console.error('Search index error:', error);
+                        this.loading = null;
+                        return null;
+                    });
+            }
+
+            return this.loading;
+        },
+
+        // Expand the compact index and map each word to the pages it is in,
+        // keeping the weight of the best place it appears on each page
+        prepare(data) {
+            const docs = (data.docs || []).map(doc => ({
+                title: doc.t || '',
+                url: doc.u,
+                section: data.sections[doc.s] || '',
+                headings: doc.h || [],
+                body: doc.b || ''
+            }));
+
+            const words = new Map();
+
+            docs.forEach((doc, position) => {
+                const add = (text, weight) => {
+                    this.tokenize(text).forEach(word => {
+                        if (!words.has(word)) words.set(word, new Map());
+                        const postings = words.get(word);
+                        postings.set(position, Math.max(postings.get(position) || 0, weight));
+                    });
+                };
+
+                add(doc.title, this.weights.title);
+                add(doc.headings.join(' '), this.weights.headings);
+                add(doc.section, this.weights.section);
+                add(doc.body, this.weights.body);
+            });
+
+            this.index = { docs, words, vocabulary: Array.from(words.keys()) };
+            return this.index;
+        },
+
+        // Lowercase words without accents, so "Māori" matches "maori"
+        tokenize(text) {
+            return String(text || '')
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .split(/[^a-z0-9]+/)
+                .filter(word => word.length > 1 || /\d/.test(word));
+        },
+
+        // Find pages matching a query, best first. Pages matching every
+        // word are preferred; if there are none, pages matching any word.
+        search(query) {
+            const terms = Array.from(new Set(this.tokenize(query)));
+            if (!this.index || terms.length === 0) return [];
+
+            const scores = new Map();
+
+            terms.forEach((term, position) => {
+                // The last word may still be being typed
+                const matches = this.matchWord(term, position === terms.length - 1);
+                const termScores = new Map();
+
+                matches.forEach(({ word, quality }) => {
+                    this.index.words.get(word).forEach((weight, doc) => {
+                        const score = weight * quality;
+                        if (score > (termScores.get(doc)?.score || 0)) {
+                            termScores.set(doc, { score, word });
+                        }
+                    });
+                });
+
+                termScores.forEach(({ score, word }, doc) => {
+                    const entry = scores.get(doc) || { score: 0, terms: 0, words: [] };
+                    entry.score += score;
+                    entry.terms++;
+                    entry.words.push(word);
+                    scores.set(doc, entry);
+                });
+            });
+
+            let matched = Array.from(scores.entries());
+            const matchingAll = matched.filter(([, entry]) => entry.terms === terms.length);
+            if (matchingAll.length > 0) {
+                matched = matchingAll;
+            }
+
+            return matched
+                .map(([doc, entry]) => ({
+                    ...this.index.docs[doc],
+                    score: entry.score * entry.terms,
+                    words: entry.words
+                }))
+                .sort((a, b) => b.score - a.score);
+        },
+
+        // Words in the index matching a search term: the word itself, longer
+        // words it starts, or words a typo or two away
+        matchWord(term, allowPrefix) {
+            const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+            const matches = [];
+
+            this.index.vocabulary.forEach(word => {
+                if (word === term) {
+                    matches.push({ word, quality: 1 });
+                } else if (allowPrefix && term.length >= 2 && word.startsWith(term)) {
+                    matches.push({ word, quality: 0.8 });
+                } else if (maxEdits > 0 && Math.abs(word.length - term.length) <= maxEdits) {
+                    const distance = this.editDistance(term, word, maxEdits);
+                    if (distance <= maxEdits) {
+                        matches.push({ word, quality: distance === 1 ? 0.6 : 0.4 });
+                    }
+                }
+            });
+
+            return matches;
+        },
+
+        // Edit distance counting swapped neighbouring letters as one edit.
+        // Stops early once every path is over the limit.
+        editDistance(a, b, limit) {
+            let beforePrevious = null;
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                    if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        value = Math.min(value, beforePrevious[j - 2] + 1);
+                    }
+
+                    current[j] = value;
+                    rowMin = Math.min(rowMin, value);
+                }
+
+                if (rowMin > limit) return limit + 1;
+
+                beforePrevious = previous;
+                previous = current;
+            }
+
+            return previous[b.length];
+        },
+
+        // Header box: suggestions as you type, chosen with the mouse or arrow keys
+        initSuggestions(form) {
+            const input = form.querySelector('input[name="q"]');
+            const list = form.querySelector('.search-suggestions');
+            if (!input || !list) return;
+
+            let active = -1;
+            let timer = null;
+
+            const options = () => Array.from(list.querySelectorAll('[role="option"]'));
+
+            const close = () => {
+                list.hidden = true;
+                list.innerHTML = '';
+                input.setAttribute('aria-expanded', 'false');
+                input.removeAttribute('aria-activedescendant');
+                active = -1;
+            };
+
+            const setActive = (position) => {
+                const items = options();
+                if (items.length === 0) return;
+
+                active = (position + items.length) % items.length;
+                items.forEach((item, i) => {
+                    item.classList.toggle('active', i === active);
+                    item.setAttribute('aria-selected', i === active ? 'true' : 'false');
+                });
+                input.setAttribute('aria-activedescendant', items[active].id);
+            };
+
+            const update = async () => {
+                const query = input.value.trim();
+                if (query.length < 2) {
+                    close();
+                    return;
+                }
+
+                await this.load();
+                if (!this.index || input.value.trim() !== query) return;
+
+                const results = this.search(query).slice(0, this.maxSuggestions);
+                const allUrl = `${form.getAttribute('action')}?q=${encodeURIComponent(query)}`;
+
+                list.innerHTML = results.map((result, i) => `
+                    <li role="option" id="${list.id}-${i}" class="search-suggestion" aria-selected="false">
+                        <a href="${this.escape(result.url)}" tabindex="-1">
+                            <span class="search-suggestion-title">${this.highlight(result.title, result.words)}</span>
+                            <span class="search-suggestion-section">${this.escape(result.section)}</span>
+                        </a>
+                    </li>
+                `).join('') + `
+                    <li role="option" id="${list.id}-all" class="search-suggestion search-suggestion-all" aria-selected="false">
+                        <a href="${this.escape(allUrl)}" tabindex="-1">
+                            ${results.length ? 'See all results' : 'No quick matches - search anyway'} for &ldquo;${this.escape(query)}&rdquo;
+                        </a>
+                    </li>
+                `;
+
+                active = -1;
+                list.hidden = false;
+                input.setAttribute('aria-expanded', 'true');
+                input.removeAttribute('aria-activedescendant');
+            };
+
+            input.addEventListener('focus', () => this.load(), { once: true });
+
+            input.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(update, 120);
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (list.hidden) return;
+
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+                } else if (e.key === 'Enter' && active >= 0) {
+                    e.preventDefault();
+                    window.location.href = options()[active].querySelector('a').href;
+                } else if (e.key === 'Escape') {
+                    close();
+                }
+            });
+
+            // Close when focus leaves the search box and its suggestions
+            form.addEventListener('focusout', (e) => {
+                if (!form.contains(e.relatedTarget)) {
+                    setTimeout(close, 150);
+                }
+            });
+        },
+
+        async initResultsPage() {
+            const params = new URLSearchParams(window.location.search);
+            const summary = document.getElementById('search-summary');
+            const input = document.getElementById('search-page-input');
+
+            this.query = (params.get('q') || '').trim();
+            this.section = params.get('section') || '';
+
+            if (input) input.value = this.query;
+
+            if (!this.query) {
+                summary.textContent = 'Enter a word or phrase to search the website.';
+                input?.focus();
+                return;
+            }
+
+            summary.textContent = 'Searching...';
+
+            await this.load();
+            if (!this.index) {
+                summary.textContent = 'Search is not available at the moment. Please try again later.';
+                return;
+            }
+
+            this.results = this.search(this.query);
+
+            document.getElementById('search-facets')?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-section]');
+                if (!button) return;
+
+                this.section = button.dataset.section;
+
+                const url = new URL(window.location.href);
+                if (this.section) {
+                    url.searchParams.set('section', this.section);
+                } else {
+                    url.searchParams.delete('section');
+                }
+                history.replaceState(null, '', url);
+
+                this.renderResults();
+            });
+
+            this.renderResults();
+        },
+
+        renderResults() {
+            const summary = document.getElementById('search-summary');
+            const list = document.getElementById('search-results');
+            const facets = document.getElementById('search-facets');
+
+            // Section facets with result counts, in order of first appearance
+            const counts = new Map();
+            this.results.forEach(result => {
+                counts.set(result.section, (counts.get(result.section) || 0) + 1);
+            });
+
+            if (!counts.has(this.section)) {
+                this.section = '';
+            }
+
+            if (facets) {
+                const facetButton = (section, label, count) => `
+                    <button type="button" class="filter-btn${this.section === section ? ' active' : ''}" data-section="${this.escape(section)}" aria-pressed="${this.section === section}">
+                        ${this.escape(label)} <span class="search-facet-count">(${count})</span>
+                    </button>
+                `;
+
+                facets.innerHTML = facetButton('', 'All', this.results.length) +
+                    Array.from(counts.entries()).map(([section, count]) => facetButton(section, section, count)).join('');
+                facets.hidden = counts.size < 2;
+            }
+
+            const results = this.section
+                ? this.results.filter(result => result.section === this.section)
+                : this.results;
+
+            const quoted = `“${this.query}”`;
+            summary.textContent = results.length
+                ? `${results.length} result${results.length === 1 ? '' : 's'} for ${quoted}${this.section ? ` in ${this.section}` : ''}`
+                : `No results for ${quoted}. Check the spelling or try fewer words.`;
+
+            list.innerHTML = results.map(result => `
+                <li class="search-result">
+                    <a href="${this.escape(result.url)}" class="search-result-title">${this.highlight(result.title, result.words)}</a>
+                    <span class="search-result-section">${this.escape(result.section)}</span>
+                    <p class="search-result-snippet">${this.highlight(this.getSnippet(result), result.words)}</p>
+                </li>
+            `).join('');
+        },
+
+        // A short extract of the page around the first matched word
+        getSnippet(result, length = 180) {
+            const text = result.body || result.headings.join(' ');
+            if (text.length <= length) return text;
+
+            const lower = text.toLowerCase();
+            const found = result.words
+                .map(word => lower.indexOf(word))
+                .filter(position => position >= 0)
+                .sort((a, b) => a - b)[0];
+
+            let start = Math.max(0, (found ?? 0) - 60);
+            if (start > 0) {
+                start = text.indexOf(' ', start) + 1 || start;
+            }
+
+            let end = Math.min(text.length, start + length);
+            if (end < text.length) {
+                end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+            }
+
+            return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+        },
+
+        // Escape text and mark the words that matched
+        highlight(text, words) {
+            if (!words || words.length === 0) return this.escape(text);
+
+            const pattern = new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+
+            return String(text).split(pattern).map((part, i) =>
+                i % 2 === 1 ? `<mark>${this.escape(part)}</mark>` : this.escape(part)
+            ).join('');
+        },
+
+        escape(text) {
+            return String(text ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+    };
+
+
     // ============================================
     // Back to Top Button
     // ============================================
@@ -423,8 +1214,12 @@
         PopupModal.init();
         SmoothScroll.init();
         LazyLoad.init();
+        Lightbox.init();
         ScrollAnimations.init();
         FormValidation.init();
+        ConditionalFields.init();
+        FormSubmission.init();
+        SiteSearch.init();
         BackToTop.init();
         ExternalLinks.init();
 
@@ -0,0 +1,85 @@
+/**
+ * Accessibility checker tests
+ *
+ * A site built from the default settings and the repo's own templates
+ * should pass the checks the build runs, with or without content.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TemplateEngine = require('../build/lib/templates');
+const PageGenerator = require('../build/lib/generators');
+const AccessibilityChecker = require('../build/lib/accessibility');
+const { CONFIG } = require('../build/generate-site');
+
+const EMPTY = {
+    pages: [],
+    menuSections: [],
+    pagesBySection: {}
+};
+
+const FULL = {
+    ...EMPTY,
+    events: [{ id: 'e1', title: 'Athletics Day', startDate: '2099-03-04', startTime: '09:00' }],
+    staffProfiles: [{ id: 's1', name: 'Jane Smith', role: 'Principal', email: 'jane@example.com' }],
+    videos: [{ id: 'v1', title: 'Prizegiving', videoId: 'dQw4w9WgXcQ', year: 2025, category: 'Events' }],
+    albums: [{ id: 'a1', title: 'Sports Day', images: [{ url: '/images/sports-day.jpg', alt: 'The relay' }] }],
+    alumniProfiles: [{ id: 'al1', name: 'Sam Lee', slug: 'sam-lee', leavingYear: 2000 }],
+    jobs: [{ id: 'j1', title: 'Teacher', status: 'published', closingDate: '2099-12-01' }],
+    sponsors: [{ id: 'sp1', name: 'Acme', tier: 'gold', active: true, website: 'https://acme.example.com' }]
+};
+
+// Page types with their own listing templates
+const PAGE_TYPES = ['page', 'news', 'calendar', 'staff-listing', 'video-gallery', 'photo-gallery', 'alumni-listing', 'job-listing', 'sponsors'];
+
+describe('AccessibilityChecker', () => {
+    let generator;
+    let checker;
+
+    before(async () => {
+        await TemplateEngine.init(CONFIG.templatesDir);
+        generator = new PageGenerator(TemplateEngine, { ...CONFIG, isDev: false }, CONFIG.siteDefaults);
+        checker = new AccessibilityChecker(CONFIG, CONFIG.siteDefaults);
+    });
+
+    it('passes the default site colours', () => {
+        assert.deepEqual(checker.checkColours(), []);
+    });
+
+    it('flags colours that are hard to read', () => {
+        const colours = new AccessibilityChecker(CONFIG, { ...CONFIG.siteDefaults, primaryColor: '#9ca3af' }).checkColours();
+
+        assert.ok(colours.length > 0);
+        assert.ok(colours.every(issue => issue.rule === 'contrast'));
+    });
+
+    for (const [label, data] of [['empty', EMPTY], ['with content', FULL]]) {
+        for (const pageType of PAGE_TYPES) {
+            it(`passes the ${pageType} template ${label}`, () => {
+                const page = { id: `p-${pageType}`, title: 'Title', slug: pageType, pageType, status: 'published', content: '<p>Text</p>' };
+                const issues = checker.checkPage(generator.renderContentPage(page, data), page);
+
+                assert.deepEqual(issues.map(issue => `${issue.message}: ${issue.snippet}`), []);
+            });
+        }
+    }
+
+    it('passes the homepage', () => {
+        const html = generator.renderPage('homepage', generator.getCommonData(FULL));
+
+        assert.deepEqual(checker.checkPage(html), []);
+    });
+
+    it('flags headings that skip a level', () => {
+        const issues = checker.checkPage('<main><h1>Title</h1><h3>Skipped</h3></main>');
+
+        assert.deepEqual(issues.map(issue => issue.rule), ['heading-order']);
+    });
+
+    it('flags empty links unless they are hidden', () => {
+        const issues = checker.checkPage('<main><a href="/a"></a><div hidden><a href="/b"></a></div></main>');
+
+        assert.deepEqual(issues.map(issue => [issue.rule, issue.snippet]), [['empty-link', '<a href="/a"></a>']]);
+    });
+});
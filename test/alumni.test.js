@@ -0,0 +1,57 @@
+/**
+ * Alumni profile tests
+ *
+ * The "Stay in Touch" box links to the Alumni Update Details URL from
+ * site settings, and is left out when none is set.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const TemplateEngine = require('../build/lib/templates');
+const PageGenerator = require('../build/lib/generators');
+
+const CONFIG = {
+    templatesDir: path.join(__dirname, '..', 'templates'),
+    outputDir: path.join(__dirname, '..', 'dist'),
+    isDev: false
+};
+
+const DATA = {
+    pages: [],
+    menuSections: [],
+    pagesBySection: {}
+};
+
+describe('alumni profiles', () => {
+    /**
+     * Render an alumni profile page with the given site links
+     * @param {Object} links
+     * @returns {string}
+     */
+    const render = (links) => {
+        const generator = new PageGenerator(TemplateEngine, CONFIG, { siteName: 'Middleton Grange School', links });
+        return generator.renderPage('alumni-profile', {
+            ...generator.getCommonData(DATA, { slug: 'alumni/sam-lee' }),
+            title: 'Sam Lee'
+        });
+    };
+
+    before(async () => {
+        await TemplateEngine.init(CONFIG.templatesDir);
+    });
+
+    it('links to the configured update details page', () => {
+        const html = render({ alumniUpdateUrl: '/alumni/update-details' });
+
+        assert.ok(html.includes('<a href="/alumni/update-details" class="btn btn-secondary btn-block">Update Your Details</a>'));
+    });
+
+    it('leaves out Stay in Touch when no URL is set', () => {
+        const html = render({});
+
+        assert.ok(!html.includes('Stay in Touch'));
+        assert.ok(!html.includes('/alumni-update-details'));
+    });
+});
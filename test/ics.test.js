@@ -0,0 +1,140 @@
+/**
+ * ICS calendar tests
+ *
+ * Parses a KAMAR-style export (test/fixtures/kamar-calendar.ics) with
+ * folded lines, all-day events, TZID and UTC times, a recurring event
+ * with a moved occurrence and a cancelled event, and checks what the
+ * event importer stores for them.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const ICSCalendar = require('../build/lib/ics');
+const { getEventId, hasChanged, pick } = require('../build/import-events');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'kamar-calendar.ics');
+
+describe('ICSCalendar', () => {
+    const ics = new ICSCalendar();
+    let events;
+
+    /**
+     * Find a parsed event by UID
+     * @param {string} uid
+     * @returns {Object}
+     */
+    const byUid = (uid) => events.find(event => event.uid === uid);
+
+    before(async () => {
+        events = await ics.parseFile(FIXTURE);
+    });
+
+    it('reads every event, skipping the time zone and alarms', () => {
+        assert.equal(events.length, 7);
+    });
+
+    it('unfolds continuation lines and unescapes text', () => {
+        const event = byUid('kamar-1001@middleton.school.nz');
+
+        assert.equal(event.description,
+            'All students compete for their house. Bring a water bottle, sunhat and sunscreen.\n' +
+            'Parents are welcome to watch from the grandstand; seats are limited.');
+        assert.equal(event.venue, 'School Field, Acacia Avenue');
+        assert.equal(event.category, 'Sport');
+    });
+
+    it('keeps TZID times as school-local times', () => {
+        const event = byUid('kamar-1001@middleton.school.nz');
+
+        assert.deepEqual([event.startDate, event.startTime, event.endDate, event.endTime, event.allDay],
+            ['2026-03-04', '09:00', '', '15:15', false]);
+    });
+
+    it('converts UTC times to school-local times', () => {
+        const event = byUid('kamar-1004@middleton.school.nz');
+
+        // May is NZST, UTC+12
+        assert.deepEqual([event.startDate, event.startTime, event.endTime], ['2026-05-05', '17:30', '19:30']);
+    });
+
+    it('reads all-day events with an exclusive end date', () => {
+        const camp = byUid('kamar-1002@middleton.school.nz');
+        const staffDay = byUid('kamar-1003@middleton.school.nz');
+
+        assert.deepEqual([camp.startDate, camp.endDate, camp.startTime, camp.allDay], ['2026-07-01', '2026-07-03', '', true]);
+        assert.deepEqual([staffDay.startDate, staffDay.endDate, staffDay.allDay], ['2026-04-20', '', true]);
+    });
+
+    it('flags recurring events and keeps moved occurrences apart', () => {
+        const series = byUid('kamar-1005@middleton.school.nz');
+        const moved = byUid('kamar-1005@middleton.school.nz#20260217T153000');
+
+        assert.equal(series.recurring, true);
+        assert.equal(series.startDate, '2026-02-10');
+        assert.equal(moved.recurring, false);
+        assert.deepEqual([moved.title, moved.startDate], ['Chess Club (moved to Wednesday)', '2026-02-18']);
+    });
+
+    it('marks cancelled events', () => {
+        assert.equal(byUid('kamar-1006@middleton.school.nz').cancelled, true);
+        assert.ok(events.filter(event => event.uid !== 'kamar-1006@middleton.school.nz').every(event => !event.cancelled));
+    });
+
+    it('rejects files that are not calendars', () => {
+        assert.throws(() => ics.parse('BEGIN:VEVENT\r\nEND:VEVENT\r\n'), /no VCALENDAR/);
+    });
+
+    it('folds long lines when serializing, and reads them back', () => {
+        const description = 'Kapa haka rōpū performance at the Christchurch Town Hall. '.repeat(4).trim();
+        const output = ics.serialize([{
+            id: 'e1',
+            title: 'Kapa haka',
+            description,
+            startDate: '2026-09-01',
+            startTime: '18:00',
+            endTime: '20:00'
+        }], { name: 'Test', siteUrl: 'https://www.middleton.school.nz' });
+
+        assert.ok(output.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+        const [event] = ics.parse(output);
+        assert.equal(event.description, description);
+        assert.deepEqual([event.startDate, event.startTime, event.endTime], ['2026-09-01', '18:00', '20:00']);
+    });
+});
+
+describe('event importer', () => {
+    let events;
+
+    before(async () => {
+        events = await new ICSCalendar().parseFile(FIXTURE);
+    });
+
+    it('stores each UID under a stable, valid document ID', () => {
+        const ids = events.map(event => getEventId(event.uid));
+
+        assert.ok(ids.every(id => /^ics-[0-9a-f]{24}$/.test(id)));
+        assert.equal(new Set(ids).size, ids.length);
+        assert.equal(getEventId('kamar-1001@middleton.school.nz'), ids[0]);
+    });
+
+    it('only updates events whose feed fields changed', async () => {
+        const [athletics] = events;
+        const stored = { ...pick(athletics), uid: athletics.uid, source: 'kamar', featured: true };
+        const [reimported] = await new ICSCalendar().parseFile(FIXTURE);
+
+        assert.equal(hasChanged(stored, reimported), false);
+        assert.equal(hasChanged(stored, { ...reimported, startTime: '09:30' }), true);
+    });
+
+    it('fills missing feed fields with empty values', () => {
+        const data = pick({ title: 'Quiz Night', startDate: '2026-08-14', allDay: false });
+
+        assert.equal(data.venue, '');
+        assert.equal(data.endDate, '');
+        assert.equal(data.allDay, false);
+        assert.ok(!('uid' in data));
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Responsive image pipeline tests
+ *
+ * Images are cached between builds by URL and version, so an image
+ * replaced at the same URL is processed again.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ImagePipeline = require('../build/lib/images');
+
+describe('ImagePipeline', () => {
+    let dir;
+    let config;
+
+    const DATA = {
+        pages: [{ content: '<p><img src="/images/photo.png" alt="The field"></p>' }]
+    };
+
+    /**
+     * Write a solid colour PNG to public/images/photo.png
+     * @param {string} colour
+     * @param {Date} modified
+     */
+    const writeImage = async (colour, modified) => {
+        const file = path.join(config.publicDir, 'images', 'photo.png');
+        const image = await sharp({ create: { width: 400, height: 300, channels: 3, background: colour } }).png().toBuffer();
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, image);
+        await fs.utimes(file, modified, modified);
+    };
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'images-'));
+        config = {
+            outputDir: path.join(dir, 'dist'),
+            publicDir: path.join(dir, 'public'),
+            imageCacheDir: path.join(dir, 'cache')
+        };
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('reuses an unchanged image from the last build', async () => {
+        await writeImage('#0a3d62', new Date('2026-01-01'));
+        await new ImagePipeline(config).run(DATA);
+
+        const stats = await new ImagePipeline(config).run(DATA);
+
+        assert.deepEqual([stats.processed, stats.cached], [0, 1]);
+    });
+
+    it('processes an image again when it is replaced at the same URL', async () => {
+        await writeImage('#0a3d62', new Date('2026-01-01'));
+        const first = new ImagePipeline(config);
+        await first.run(DATA);
+
+        await writeImage('#e58e26', new Date('2026-02-01'));
+        const second = new ImagePipeline(config);
+        const stats = await second.run(DATA);
+
+        assert.deepEqual([stats.processed, stats.cached], [1, 0]);
+        assert.notEqual(second.images.get('/images/photo.png').hash, first.images.get('/images/photo.png').hash);
+    });
+});
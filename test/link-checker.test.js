@@ -0,0 +1,139 @@
+/**
+ * Link checker tests
+ *
+ * Checks a small built site on disk: broken links in page content are
+ * issues, broken links the templates add are warnings. A site built from
+ * the default templates and settings has no issues.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const LinkChecker = require('../build/lib/link-checker');
+const TemplateEngine = require('../build/lib/templates');
+const PageGenerator = require('../build/lib/generators');
+const AssetHandler = require('../build/lib/assets');
+const { CONFIG } = require('../build/generate-site');
+
+/**
+ * Wrap page content in a header and footer like the templates'
+ * @param {string} content
+ * @returns {string}
+ */
+function page(content) {
+    return `<!DOCTYPE html><html><head><link rel="stylesheet" href="/css/style.css"></head><body>
+<header><a href="/">Home</a><a href="/enrol">Enrol</a></header>
+<main id="main-content">${content}</main>
+<footer><a href="/privacy">Privacy</a></footer>
+</body></html>`;
+}
+
+describe('LinkChecker', () => {
+    let dir;
+    let report;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'links-'));
+        const outputDir = path.join(dir, 'dist');
+
+        await fs.mkdir(path.join(outputDir, 'css'), { recursive: true });
+        await fs.writeFile(path.join(outputDir, 'css', 'style.css'), '');
+        await fs.writeFile(path.join(outputDir, 'index.html'), page('<a href="/about#staff">About</a>'));
+        await fs.writeFile(path.join(outputDir, 'about.html'), page('<h2 id="staff">Staff</h2><a href="/missing">Gone</a><a href="/old">Old</a><a href="/apply" data-template-link>Apply</a>'));
+
+        const checker = new LinkChecker({ outputDir, linkReportDir: path.join(dir, 'reports') }, {
+            redirects: [{ from: '/old', wildcard: false }]
+        });
+        report = await checker.run();
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('reports broken links in page content', () => {
+        assert.deepEqual(report.issues.map(issue => [issue.type, issue.page, issue.url]), [
+            ['broken-link', '/about', '/missing']
+        ]);
+        assert.equal(report.total, 1);
+    });
+
+    it('lists template link problems once, apart from the issues', () => {
+        assert.deepEqual(report.templateIssues.map(issue => [issue.type, issue.url]), [
+            ['broken-link', '/enrol'],
+            ['broken-link', '/apply'],
+            ['broken-link', '/privacy']
+        ]);
+    });
+});
+
+describe('LinkChecker on the default templates', () => {
+    let dir;
+    let report;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'links-site-'));
+        const config = { ...CONFIG, outputDir: path.join(dir, 'dist'), linkReportDir: path.join(dir, 'reports'), isDev: false };
+
+        const pages = [
+            { id: 'p1', title: 'Our School', slug: 'our-school', status: 'published', menuSection: 's1', content: '<p>Welcome</p>' },
+            { id: 'p2', title: 'Calendar', slug: 'calendar', pageType: 'calendar', status: 'published', menuSection: 's1', content: '' },
+            { id: 'p3', title: 'Vacancies', slug: 'vacancies', pageType: 'job-listing', status: 'published', menuSection: 's1', content: '' },
+            { id: 'p4', title: 'Athletics Day results', slug: 'athletics-results', pageType: 'news', status: 'published', menuSection: 's1', content: '<p>Results</p>', publishedAt: new Date('2026-03-05T00:00:00Z') }
+        ];
+        const data = {
+            pages,
+            menuSections: [{ id: 's1', title: 'Our School', slug: 'our-school', order: 1 }],
+            pagesBySection: { s1: pages },
+            videos: [],
+            staffProfiles: [],
+            staffDepartments: [],
+            alumniProfiles: [],
+            events: [{ id: 'e1', title: 'Athletics Day', startDate: '2099-03-04' }],
+            albums: [],
+            jobs: [],
+            sponsors: [],
+            sports: [{ id: 'rugby', name: 'Rugby', slug: 'rugby' }],
+            forms: [],
+            redirects: [],
+            media: []
+        };
+
+        await fs.mkdir(config.outputDir, { recursive: true });
+        await TemplateEngine.init(config.templatesDir);
+        await new AssetHandler(config).copyAssets();
+
+        // The same steps as a build, with the default settings
+        const generator = new PageGenerator(TemplateEngine, config, CONFIG.siteDefaults);
+        await generator.generateHomepage(data);
+        await generator.generatePages(data);
+        await generator.generateNews(data);
+        await generator.generateAlumni(data);
+        await generator.generateSports(data);
+        await generator.generateStaffContact(data);
+        await generator.generateSearch(data);
+        await generator.generateCalendar(data);
+        await generator.generateSpecialPages(data);
+
+        report = await new LinkChecker(config, { siteUrl: CONFIG.siteDefaults.siteUrl }).run();
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('finds no issues in page content', () => {
+        assert.deepEqual(report.issues.map(issue => `${issue.type} ${issue.page} ${issue.url}`), []);
+        assert.ok(report.total <= CONFIG.maxLinkIssues);
+    });
+
+    it('lists the template links to pages not created yet as warnings', () => {
+        const urls = report.templateIssues.map(issue => issue.url);
+
+        assert.ok(urls.includes('/contact'));
+        assert.ok(urls.includes('/about'));
+    });
+});
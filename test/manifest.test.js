@@ -0,0 +1,84 @@
+/**
+ * Build manifest tests
+ *
+ * Incremental builds delete files the last build wrote and this one
+ * didn't: content pages, and generated files like alumni profiles and
+ * news archives.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const BuildManifest = require('../build/lib/manifest');
+
+describe('BuildManifest', () => {
+    let dir;
+    let outputDir;
+    let manifestPath;
+
+    const write = async (file) => {
+        await fs.mkdir(path.dirname(path.join(outputDir, file)), { recursive: true });
+        await fs.writeFile(path.join(outputDir, file), 'x');
+    };
+
+    const exists = (file) => fs.access(path.join(outputDir, file)).then(() => true, () => false);
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+        outputDir = path.join(dir, 'dist');
+        manifestPath = path.join(dir, 'manifest.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('removes generated files the next build does not write', async () => {
+        const first = new BuildManifest(manifestPath, outputDir);
+        first.reset('site');
+        for (const file of ['alumni/jo.html', 'alumni/sam.html', 'news/2025/03/index.html', 'sports/rugby.html']) {
+            await write(file);
+            first.addFile(file);
+        }
+        await first.save();
+
+        const second = new BuildManifest(manifestPath, outputDir);
+        assert.equal(await second.load(), true);
+        second.addFile('alumni/jo.html');
+
+        const removed = await second.removeStale();
+
+        assert.deepEqual(removed.sort(), ['alumni/sam.html', 'news/2025/03/index.html', 'sports/rugby.html']);
+        assert.equal(await exists('alumni/jo.html'), true);
+        assert.equal(await exists('alumni/sam.html'), false);
+        // Emptied archive folders go too
+        assert.equal(await exists('news'), false);
+    });
+
+    it('keeps unchanged pages and removes deleted ones', async () => {
+        const first = new BuildManifest(manifestPath, outputDir);
+        first.reset('site');
+        await write('about.html');
+        await write('old.html');
+        await first.set('p1', { file: 'about.html', updatedAt: 1 });
+        await first.set('p2', { file: 'old.html', updatedAt: 1 });
+        await first.save();
+
+        const second = new BuildManifest(manifestPath, outputDir);
+        await second.load();
+        assert.equal(await second.isUnchanged('p1', { file: 'about.html', updatedAt: 1 }), true);
+        second.keep('p1');
+
+        assert.deepEqual(await second.removeStale(), ['old.html']);
+        assert.equal(await exists('about.html'), true);
+
+        // Kept pages are still listed for the build after
+        await second.save();
+        const saved = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        assert.deepEqual(saved.files, ['about.html']);
+        assert.deepEqual(Object.keys(saved.pages), ['p1']);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Queue service tests
+ *
+ * Runs of a service's queue never overlap, work that arrives during a
+ * run is picked up straight after, and failed runs are retried when the
+ * service has a retry interval. Nothing here connects to Firebase.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const QueueService = require('../build/lib/queue-service');
+
+/**
+ * Wait for the given time
+ * @param {number} ms
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('QueueService', () => {
+    it('runs again after a run that saw new work, never two at once', async () => {
+        let running = 0;
+        let overlapped = false;
+        const runs = [];
+
+        const service = new QueueService({
+            name: 'Test Service',
+            run: async () => {
+                overlapped = overlapped || running > 0;
+                running++;
+                runs.push(runs.length);
+                await sleep(10);
+                running--;
+            }
+        });
+
+        const first = service.processQueue();
+        service.processQueue();
+        service.processQueue();
+        await first;
+
+        assert.equal(overlapped, false);
+        assert.equal(runs.length, 2);
+    });
+
+    it('keeps running while the run says more may be waiting', async () => {
+        let batches = 3;
+        const service = new QueueService({ name: 'Test Service', run: async () => --batches > 0 });
+
+        await service.processQueue();
+
+        assert.equal(batches, 0);
+    });
+
+    it('retries a failed run after the retry interval', async () => {
+        let calls = 0;
+        const service = new QueueService({
+            name: 'Test Service',
+            retryInterval: 10,
+            run: async () => {
+                calls++;
+                if (calls === 1) throw new Error('Claim failed');
+            }
+        });
+
+        const { error } = console;
+        console.error = () => {};
+        try {
+            await service.processQueue();
+        } finally {
+            console.error = error;
+        }
+        await sleep(50);
+
+        assert.equal(calls, 2);
+        assert.equal(service.retryTimer, null);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Redirect rules tests
+ *
+ * The build writes the rules to `_redirects` and to the generated
+ * firebase.deploy.json, and leaves the tracked firebase.json alone.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const RedirectRules = require('../build/lib/redirects');
+
+const FIREBASE_CONFIG_PATH = path.join(__dirname, '..', 'firebase.json');
+
+describe('RedirectRules', () => {
+    let dir;
+    let config;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'redirects-'));
+        config = {
+            outputDir: dir,
+            firebaseConfigPath: FIREBASE_CONFIG_PATH,
+            firebaseDeployConfigPath: path.join(dir, 'firebase.deploy.json')
+        };
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('sorts exact rules first and collapses chains', () => {
+        const redirects = new RedirectRules(config);
+        const rules = redirects.build([
+            { from: '/old-news/*', to: '/news/:splat' },
+            { from: '/a', to: '/b', type: 302 },
+            { from: '/b', to: '/c' },
+            { from: '/about', to: '/elsewhere' }
+        ], [{ slug: 'about' }]);
+
+        assert.deepEqual(rules.map(rule => `${rule.from} ${rule.to} ${rule.type}`),
+            ['/a /c 302', '/b /c 301', '/old-news/* /news/:splat 301']);
+        assert.deepEqual(redirects.skipped.map(skip => skip.reason), ['a published page has this address']);
+    });
+
+    it('writes the deploy config without changing firebase.json', async () => {
+        const before = await fs.readFile(FIREBASE_CONFIG_PATH, 'utf8');
+        const redirects = new RedirectRules(config);
+        redirects.build([{ from: '/old-news/*', to: '/news/:splat' }]);
+
+        const { hostingFound } = await redirects.write();
+
+        const deployConfig = JSON.parse(await fs.readFile(config.firebaseDeployConfigPath, 'utf8'));
+        const publicSite = deployConfig.hosting.find(site => site.target === 'public');
+        assert.equal(hostingFound, true);
+        assert.deepEqual(publicSite.redirects, [{ source: '/old-news/:splat*', destination: '/news/:splat', type: 301 }]);
+        assert.equal(await fs.readFile(path.join(dir, '_redirects'), 'utf8'), '/old-news/* /news/:splat 301\n');
+        assert.equal(await fs.readFile(FIREBASE_CONFIG_PATH, 'utf8'), before);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Structured data (JSON-LD) tests
+ *
+ * Renders pages through the real templates and checks every
+ * <script type="application/ld+json"> block parses and has the
+ * expected nodes.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const TemplateEngine = require('../build/lib/templates');
+const PageGenerator = require('../build/lib/generators');
+
+const CONFIG = {
+    templatesDir: path.join(__dirname, '..', 'templates'),
+    outputDir: path.join(__dirname, '..', 'dist'),
+    isDev: false
+};
+
+const SETTINGS = {
+    siteName: 'Middleton Grange School',
+    tagline: 'Excellence in Christian education',
+    siteUrl: 'https://www.middleton.school.nz',
+    contact: {
+        address: '50 Acacia Avenue, Riccarton, Christchurch',
+        phone: '03 348 9826',
+        email: 'office@middleton.school.nz'
+    },
+    links: { facebookUrl: 'https://www.facebook.com/middletongrange' }
+};
+
+const DATA = {
+    pages: [],
+    menuSections: [],
+    pagesBySection: {},
+    events: [
+        { id: 'e1', title: 'Athletics Day', startDate: '2099-03-04', startTime: '09:00', endTime: '15:00', venue: 'School Field' },
+        { id: 'e2', title: 'Year 9 Camp', startDate: '2099-07-01', endDate: '2099-07-03', allDay: true }
+    ],
+    staffProfiles: [
+        { id: 's1', name: 'Jane Smith', role: 'Principal', email: 'jane@example.com', bio: '<p>Jane &amp; her team</p>' },
+        { id: 's2', name: 'Tom Brown', role: 'Teacher', photo: '/images/staff/tom.jpg' }
+    ]
+};
+
+/**
+ * Parse every JSON-LD block in a page
+ * @param {string} html
+ * @returns {Array} - Parsed blocks
+ */
+function getJsonLd(html) {
+    const blocks = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)];
+    assert.ok(blocks.length > 0, 'page has no JSON-LD');
+    return blocks.map(([, json]) => JSON.parse(json));
+}
+
+/**
+ * Get the @graph nodes of a page's structured data
+ * @param {string} html
+ * @returns {Array}
+ */
+function getGraph(html) {
+    const [structuredData] = getJsonLd(html);
+    assert.equal(structuredData['@context'], 'https://schema.org');
+    assert.ok(Array.isArray(structuredData['@graph']));
+    return structuredData['@graph'];
+}
+
+/**
+ * Find the nodes of a type in a graph
+ * @param {Array} graph
+ * @param {string} type
+ * @returns {Array}
+ */
+function ofType(graph, type) {
+    return graph.filter(node => [].concat(node['@type']).includes(type));
+}
+
+describe('structured data', () => {
+    let generator;
+
+    before(async () => {
+        await TemplateEngine.init(CONFIG.templatesDir);
+        generator = new PageGenerator(TemplateEngine, CONFIG, SETTINGS);
+    });
+
+    it('describes the school on the homepage', () => {
+        const html = generator.renderPage('homepage', generator.getCommonData(DATA));
+        const [school] = ofType(getGraph(html), 'School');
+
+        assert.ok(school);
+        assert.ok([].concat(school['@type']).includes('EducationalOrganization'));
+        assert.equal(school['@id'], 'https://www.middleton.school.nz/#school');
+        assert.equal(school.name, SETTINGS.siteName);
+        assert.equal(school.telephone, SETTINGS.contact.phone);
+        assert.equal(school.address['@type'], 'PostalAddress');
+        assert.deepEqual(school.sameAs, [SETTINGS.links.facebookUrl]);
+    });
+
+    it('lists the breadcrumb trail from Home', () => {
+        const html = generator.renderContentPage({ id: 'p1', title: 'About Us', slug: 'about', content: '<p>About</p>' }, DATA);
+        const [breadcrumbs] = ofType(getGraph(html), 'BreadcrumbList');
+
+        assert.deepEqual(breadcrumbs.itemListElement.map(item => [item.position, item.name, item.item]), [
+            [1, 'Home', 'https://www.middleton.school.nz/'],
+            [2, 'About Us', 'https://www.middleton.school.nz/about']
+        ]);
+    });
+
+    it('describes a news page as a NewsArticle', () => {
+        const html = generator.renderContentPage({
+            id: 'n1',
+            title: 'Kapa haka <success>',
+            slug: 'kapa-haka',
+            pageType: 'news',
+            status: 'published',
+            content: '<p>Our group placed first.</p>',
+            headerImage: '/images/kapa-haka.jpg',
+            publishedAt: new Date('2026-05-01T00:00:00Z')
+        }, DATA);
+        const [article] = ofType(getGraph(html), 'NewsArticle');
+
+        assert.equal(article.headline, 'Kapa haka <success>');
+        assert.equal(article.datePublished, '2026-05-01T00:00:00.000Z');
+        assert.deepEqual(article.image, ['https://www.middleton.school.nz/images/kapa-haka.jpg']);
+        assert.deepEqual(article.publisher, { '@id': 'https://www.middleton.school.nz/#school' });
+
+        // "<" is escaped so the JSON can't end the script element early
+        assert.ok(!html.includes('"headline":"Kapa haka <success>"'));
+    });
+
+    it('describes calendar events as Events', () => {
+        const html = generator.renderContentPage({ id: 'c1', title: 'Calendar', slug: 'calendar', pageType: 'calendar', content: '' }, DATA);
+        const events = ofType(getGraph(html), 'Event');
+
+        assert.deepEqual(events.map(event => [event.name, event.startDate, event.endDate]), [
+            ['Athletics Day', '2099-03-04T09:00:00+13:00', '2099-03-04T15:00:00+13:00'],
+            ['Year 9 Camp', '2099-07-01', '2099-07-03']
+        ]);
+        assert.equal(events[0].location.name, 'School Field');
+        assert.equal(events[1].location.name, SETTINGS.siteName);
+    });
+
+    it('describes staff as People without their email addresses', () => {
+        const html = generator.renderContentPage({ id: 's', title: 'Our Staff', slug: 'staff', pageType: 'staff-listing', content: '' }, DATA);
+        const people = ofType(getGraph(html), 'Person');
+
+        assert.deepEqual(people.map(person => [person.name, person.jobTitle]), [
+            ['Jane Smith', 'Principal'],
+            ['Tom Brown', 'Teacher']
+        ]);
+        assert.equal(people[0].description, 'Jane & her team');
+        assert.equal(people[1].image, 'https://www.middleton.school.nz/images/staff/tom.jpg');
+        assert.ok(people.every(person => !('email' in person)));
+    });
+
+    it('merges and extends with the page\'s own structured data', () => {
+        const html = generator.renderContentPage({
+            id: 'n2',
+            title: 'Guest column',
+            slug: 'guest-column',
+            pageType: 'news',
+            content: '<p>Column</p>',
+            publishedAt: new Date('2026-06-01T00:00:00Z'),
+            structuredData: JSON.stringify([
+                { '@context': 'https://schema.org', '@type': 'NewsArticle', author: { '@type': 'Person', name: 'A. Writer' }, description: null },
+                { '@type': 'FAQPage', name: 'Questions' }
+            ])
+        }, DATA);
+        const graph = getGraph(html);
+        const [article] = ofType(graph, 'NewsArticle');
+
+        assert.deepEqual(article.author, { '@type': 'Person', name: 'A. Writer' });
+        assert.ok(!('description' in article));
+        assert.equal(article.headline, 'Guest column');
+        assert.equal(ofType(graph, 'FAQPage').length, 1);
+        assert.ok(graph.every(node => !('@context' in node)));
+    });
+
+    it('dates job postings by their posted date, never their closing date', () => {
+        const posted = generator.getJobPostingSchema({ title: 'Teacher', postedDate: '2099-01-10', closingDate: '2099-02-01' });
+        const added = generator.getJobPostingSchema({
+            title: 'Caretaker',
+            closingDate: '2099-02-01',
+            createdAt: { toDate: () => new Date('2099-01-05T03:00:00Z') }
+        });
+        const undated = JSON.parse(generator.toJsonLd(generator.getJobPostingSchema({ title: 'Coach', closingDate: '2099-02-01' })));
+
+        assert.equal(posted.datePosted, '2099-01-10');
+        assert.equal(added.datePosted, '2099-01-05');
+        assert.ok(!('datePosted' in undated));
+        assert.equal(undated.validThrough, '2099-02-01');
+    });
+
+    it('leaves out invalid page structured data with a warning', () => {
+        const html = generator.renderContentPage({ id: 'b1', title: 'Broken', slug: 'broken', content: '', structuredData: '{"@type": ' }, DATA);
+
+        assert.equal(ofType(getGraph(html), 'School').length, 1);
+        assert.ok(generator.warnings.some(warning => warning.includes('/broken is not valid JSON')));
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Video metadata tests
+ *
+ * admin/js/video-metadata.js is a browser script, so it's run in a
+ * sandbox with its own window and fetch. Lookups use setLookup() or a
+ * stubbed fetch, never the real provider APIs.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'admin', 'js', 'video-metadata.js'), 'utf8');
+
+describe('VideoMetadata', () => {
+    let VideoMetadata;
+    let requests;
+    let responses;
+
+    beforeEach(() => {
+        requests = [];
+        responses = [];
+
+        const context = {
+            window: {},
+            URL,
+            fetch: async (url) => {
+                requests.push(url);
+                return responses.shift();
+            }
+        };
+        vm.runInNewContext(SOURCE, context);
+        VideoMetadata = context.window.VideoMetadata;
+    });
+
+    describe('parseUrl', () => {
+        it('reads YouTube video IDs from every URL form', () => {
+            const urls = [
+                'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                'https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s&list=PL123',
+                'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+                'https://youtu.be/dQw4w9WgXcQ?si=abc',
+                'https://www.youtube.com/embed/dQw4w9WgXcQ',
+                'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+                'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+                'https://www.youtube.com/live/dQw4w9WgXcQ',
+                '  https://www.youtube.com/watch?v=dQw4w9WgXcQ  '
+            ];
+
+            urls.forEach(url => {
+                assert.deepEqual({ ...VideoMetadata.parseUrl(url) }, { provider: 'youtube', videoId: 'dQw4w9WgXcQ' }, url);
+            });
+        });
+
+        it('reads Vimeo video IDs from every URL form', () => {
+            const urls = [
+                'https://vimeo.com/76979871',
+                'https://www.vimeo.com/76979871',
+                'https://vimeo.com/channels/staffpicks/76979871',
+                'https://player.vimeo.com/video/76979871?h=abc'
+            ];
+
+            urls.forEach(url => {
+                assert.deepEqual({ ...VideoMetadata.parseUrl(url) }, { provider: 'vimeo', videoId: '76979871' }, url);
+            });
+        });
+
+        it('rejects other sites, bad IDs and text that isn\'t a URL', () => {
+            const inputs = [
+                'https://www.youtube.com/watch?v=tooShort',
+                'https://www.youtube.com/watch',
+                'https://www.youtube.com/channel/UC123',
+                'https://vimeo.com/channels/staffpicks',
+                'https://www.dailymotion.com/video/x7tgad0',
+                'https://youtube.com.example.com/watch?v=dQw4w9WgXcQ',
+                'youtube.com/watch?v=dQw4w9WgXcQ',
+                ''
+            ];
+
+            inputs.forEach(input => {
+                assert.equal(VideoMetadata.parseUrl(input), null, input);
+            });
+        });
+    });
+
+    describe('lookup', () => {
+        it('uses the lookup set with setLookup', async () => {
+            const calls = [];
+            VideoMetadata.setLookup(async (provider, videoId) => {
+                calls.push([provider, videoId]);
+                return { title: 'Prizegiving 2025', thumbnail: 'https://example.com/thumb.jpg', duration: '1:02:03', author: 'Middleton Grange' };
+            });
+
+            const metadata = await VideoMetadata.lookup('vimeo', '76979871');
+
+            assert.deepEqual(calls, [['vimeo', '76979871']]);
+            assert.deepEqual({ ...metadata }, {
+                title: 'Prizegiving 2025',
+                thumbnail: 'https://example.com/thumb.jpg',
+                duration: '1:02:03',
+                author: 'Middleton Grange'
+            });
+            assert.equal(requests.length, 0);
+        });
+
+        it('fills in missing fields and the default thumbnail', async () => {
+            VideoMetadata.setLookup(async () => null);
+
+            const metadata = await VideoMetadata.lookup('youtube', 'dQw4w9WgXcQ');
+
+            assert.deepEqual({ ...metadata }, {
+                title: '',
+                thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+                duration: '',
+                author: ''
+            });
+        });
+
+        it('rejects unsupported providers', async () => {
+            VideoMetadata.setLookup(async () => ({ title: 'Never used' }));
+
+            await assert.rejects(VideoMetadata.lookup('dailymotion', 'x7tgad0'), /Unsupported video provider/);
+        });
+
+        it('goes back to the oEmbed lookup after setLookup(null)', async () => {
+            VideoMetadata.setLookup(async () => ({ title: 'Stub' }));
+            VideoMetadata.setLookup(null);
+            responses.push({
+                ok: true,
+                json: async () => ({ title: 'Athletics Day', thumbnail_url: 'https://i.vimeocdn.com/1.jpg', duration: 3725, author_name: 'MGS' })
+            });
+
+            const metadata = await VideoMetadata.lookup('vimeo', '76979871');
+
+            assert.deepEqual(requests, ['https://vimeo.com/api/oembed.json?format=json&url=https%3A%2F%2Fvimeo.com%2F76979871']);
+            assert.deepEqual({ ...metadata }, {
+                title: 'Athletics Day',
+                thumbnail: 'https://i.vimeocdn.com/1.jpg',
+                duration: '1:02:05',
+                author: 'MGS'
+            });
+        });
+
+        it('reports failed oEmbed lookups', async () => {
+            responses.push({ ok: false, status: 404 });
+
+            await assert.rejects(VideoMetadata.lookup('youtube', 'dQw4w9WgXcQ'), /YouTube lookup failed \(404\)/);
+            assert.deepEqual(requests, ['https://www.youtube.com/oembed?format=json&url=https%3A%2F%2Fwww.youtube.com%2Fwatch%3Fv%3DdQw4w9WgXcQ']);
+        });
+    });
+
+    it('formats durations as m:ss or h:mm:ss', () => {
+        assert.equal(VideoMetadata.formatDuration(59.6), '1:00');
+        assert.equal(VideoMetadata.formatDuration(605), '10:05');
+        assert.equal(VideoMetadata.formatDuration(3725), '1:02:05');
+    });
+});